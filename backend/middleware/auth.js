@@ -0,0 +1,125 @@
+// Authentication for every API route: resolves req.user once, and requires a login for every /api/ route
+// that isn't on the public allow-list
+
+export const AUTH_ERRORS = {
+  auth_required: { status: 401, message: 'Authentication required' },
+  invalid_token: { status: 401, message: 'Invalid or expired token' },
+  invalid_credentials: { status: 401, message: 'Invalid credentials' },
+  challenge_expired: { status: 401, message: 'Your sign-in attempt expired. Please sign in again.' },
+  forbidden: { status: 403, message: 'You do not have permission to do that' }
+};
+
+/**
+ * Send a 401/403 as { error, code }; 401s carry a WWW-Authenticate challenge
+ */
+export function sendAuthError(res, code = 'auth_required', message) {
+  const { status, message: defaultMessage } = AUTH_ERRORS[code] || AUTH_ERRORS.auth_required;
+  if (status === 401) {
+    res.set('WWW-Authenticate', code === 'invalid_token' ? 'Bearer error="invalid_token"' : 'Bearer');
+  }
+  return res.status(status).json({ error: message || defaultMessage, code });
+}
+
+/**
+ * Bearer header, or ?token= for OAuth redirects and WebSocket upgrades
+ */
+export function getBearerToken(req) {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.substring(7);
+  }
+  return req.query?.token || null;
+}
+
+// 'METHOD /path' with :params -> matcher for one public route
+function compileRoute(route) {
+  const [method, path] = route.split(' ');
+  const pattern = path.split('/').map(part => part.startsWith(':')
+    ? '[^/]+'
+    : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('/');
+  const regex = new RegExp(`^${pattern}/?$`);
+  // Express answers HEAD with the GET route
+  const methods = method === 'GET' ? ['GET', 'HEAD'] : [method];
+  return (req, path) => methods.includes(req.method) && regex.test(path);
+}
+
+/**
+ * `authenticate` sets req.user (the users row, or null) and req.auth ({ userId, email, sessionId, method })
+ * from the login session or a signed access token. A token that is present but invalid, expired or revoked
+ * leaves req.user null and sets req.authError = 'invalid_token'. `requireAuth` rejects requests without a user.
+ * Server sessions only count when they belong to a login session, so every login can be listed and revoked,
+ * and each authenticated request marks its login session as seen.
+ * `requireApiAuth` (mounted on /api/) applies requireAuth to every route except `publicRoutes`, a list of
+ * 'METHOD /api/path' strings where :name matches one path segment. `requireVerifiedEmail` answers 403
+ * until the user has confirmed their email address.
+ */
+export function createAuthMiddleware({ authTokenService, findUserById, publicRoutes = [] }) {
+  const publicMatchers = publicRoutes.map(compileRoute);
+
+  // In the background so requests don't wait on it
+  function recordActivity(sessionId) {
+    authTokenService.touchSession(sessionId).catch(error => {
+      console.error('Error recording session activity:', error);
+    });
+  }
+
+  async function authenticate(req, res, next) {
+    req.user = null;
+    req.auth = null;
+    req.authError = null;
+
+    try {
+      // Server sessions end when their login session is revoked; older ones without a login session
+      // can't be listed or revoked, so they no longer count and the user has to sign in again
+      const sessionId = req.session?.loginSessionId;
+      if (req.session?.authenticated && req.session.user?.id && sessionId) {
+        const user = await authTokenService.isSessionActive(sessionId) ? await findUserById(req.session.user.id) : null;
+        if (user) {
+          req.user = user;
+          req.auth = { userId: user.id, email: user.email, sessionId, method: 'session' };
+          recordActivity(sessionId);
+          return next();
+        }
+      }
+
+      const token = getBearerToken(req);
+      if (token) {
+        const claims = authTokenService.verifyAccessToken(token);
+        const user = claims && await authTokenService.isSessionActive(claims.sid)
+          ? await findUserById(claims.sub)
+          : null;
+
+        if (user) {
+          req.user = user;
+          req.auth = { userId: user.id, email: user.email, sessionId: claims.sid, method: 'token' };
+          recordActivity(claims.sid);
+        } else {
+          req.authError = 'invalid_token';
+        }
+      }
+    } catch (error) {
+      console.error('Error authenticating request:', error);
+    }
+
+    next();
+  }
+
+  function requireAuth(req, res, next) {
+    if (req.user) return next();
+    return sendAuthError(res, req.authError || 'auth_required');
+  }
+
+  function requireApiAuth(req, res, next) {
+    const path = req.baseUrl + req.path;
+    if (req.method === 'OPTIONS' || publicMatchers.some(matches => matches(req, path))) return next();
+    return requireAuth(req, res, next);
+  }
+
+  function requireVerifiedEmail(req, res, next) {
+    if (!req.user) return requireAuth(req, res, next);
+    if (req.user.email_verified_at) return next();
+    return sendAuthError(res, 'forbidden', 'Verify your email address first');
+  }
+
+  return { authenticate, requireAuth, requireApiAuth, requireVerifiedEmail };
+}
@@ -0,0 +1,23 @@
+-- Create exchange_rates table for converting revenue between currencies
+CREATE TABLE IF NOT EXISTS exchange_rates (
+    currency VARCHAR(3) NOT NULL,
+    rate_date DATE NOT NULL,
+    rate NUMERIC(20, 8) NOT NULL CHECK (rate > 0), -- Units of currency per 1 USD
+    source VARCHAR(20) NOT NULL DEFAULT 'file', -- 'file' (offline JSON) or 'upload'
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (currency, rate_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_exchange_rates_date ON exchange_rates(rate_date);
+
+-- Per-user display preferences
+CREATE TABLE IF NOT EXISTS user_preferences (
+    user_id VARCHAR(255) PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    reporting_currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Add comments
+COMMENT ON TABLE exchange_rates IS 'Local USD exchange rates, loaded from an offline JSON file or uploaded manually';
+COMMENT ON COLUMN exchange_rates.rate IS 'Units of this currency per 1 USD on rate_date';
+COMMENT ON COLUMN user_preferences.reporting_currency IS 'Currency analytics are converted to';
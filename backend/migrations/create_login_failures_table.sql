@@ -0,0 +1,33 @@
+-- Create login_failures and auth_audit_log tables for per-account brute-force protection
+CREATE TABLE IF NOT EXISTS login_failures (
+    email VARCHAR(255) PRIMARY KEY, -- Lowercased login email; tracked whether or not an account exists
+    failed_count INTEGER NOT NULL DEFAULT 0,
+    lockout_count INTEGER NOT NULL DEFAULT 0,
+    last_failed_at TIMESTAMP WITH TIME ZONE,
+    retry_after TIMESTAMP WITH TIME ZONE,
+    locked_until TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_failures_last_failed ON login_failures(last_failed_at);
+
+CREATE TABLE IF NOT EXISTS auth_audit_log (
+    id SERIAL PRIMARY KEY,
+    user_id VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL,
+    email VARCHAR(255),
+    event VARCHAR(50) NOT NULL,
+    ip_address VARCHAR(64),
+    user_agent TEXT,
+    details JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_audit_log_user ON auth_audit_log(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_auth_audit_log_email ON auth_audit_log(email, created_at);
+
+-- Add comments
+COMMENT ON TABLE login_failures IS 'Recent failed sign-ins per email, used for progressive delays and temporary lockouts';
+COMMENT ON COLUMN login_failures.retry_after IS 'Earliest time the next attempt is accepted (progressive delay between failures)';
+COMMENT ON COLUMN login_failures.locked_until IS 'Account is locked until this time; a password reset lifts it early';
+COMMENT ON COLUMN login_failures.lockout_count IS 'Lockouts since the last quiet day; each one doubles the lockout duration';
+COMMENT ON TABLE auth_audit_log IS 'Security events on accounts, such as lockouts and unlocks';
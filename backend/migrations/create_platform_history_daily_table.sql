@@ -0,0 +1,24 @@
+-- Create platform_history_daily table for daily rollups of platform_history raw snapshots
+CREATE TABLE IF NOT EXISTS platform_history_daily (
+    id SERIAL PRIMARY KEY,
+    user_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    platform_name VARCHAR(50) NOT NULL,
+    platform_identifier VARCHAR(255) NOT NULL,
+    metric_name VARCHAR(50) NOT NULL,
+    day DATE NOT NULL, -- UTC day
+    value_last INTEGER NOT NULL,
+    value_avg INTEGER NOT NULL,
+    value_min INTEGER NOT NULL,
+    value_max INTEGER NOT NULL,
+    sample_count INTEGER NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One row per metric per day; rollups are upserted
+CREATE UNIQUE INDEX IF NOT EXISTS idx_platform_history_daily_unique ON platform_history_daily(user_id, platform_name, platform_identifier, metric_name, day);
+CREATE INDEX IF NOT EXISTS idx_platform_history_daily_day ON platform_history_daily(day);
+
+-- Add comments
+COMMENT ON TABLE platform_history_daily IS 'Daily aggregates of platform_history raw snapshots, kept after the source rows are pruned';
+COMMENT ON COLUMN platform_history_daily.value_last IS 'Last value recorded in the day';
+COMMENT ON COLUMN platform_history_daily.sample_count IS 'Number of raw snapshots aggregated into this row';
@@ -0,0 +1,24 @@
+-- Create platform_history_monthly table for monthly rollups of platform_history_daily
+CREATE TABLE IF NOT EXISTS platform_history_monthly (
+    id SERIAL PRIMARY KEY,
+    user_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    platform_name VARCHAR(50) NOT NULL,
+    platform_identifier VARCHAR(255) NOT NULL,
+    metric_name VARCHAR(50) NOT NULL,
+    month DATE NOT NULL, -- first day of the UTC month
+    value_last INTEGER NOT NULL,
+    value_avg INTEGER NOT NULL,
+    value_min INTEGER NOT NULL,
+    value_max INTEGER NOT NULL,
+    sample_count INTEGER NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One row per metric per month; rollups are upserted
+CREATE UNIQUE INDEX IF NOT EXISTS idx_platform_history_monthly_unique ON platform_history_monthly(user_id, platform_name, platform_identifier, metric_name, month);
+CREATE INDEX IF NOT EXISTS idx_platform_history_monthly_month ON platform_history_monthly(month);
+
+-- Add comments
+COMMENT ON TABLE platform_history_monthly IS 'Monthly aggregates of platform_history_daily, kept after the source rows are pruned';
+COMMENT ON COLUMN platform_history_monthly.value_last IS 'Last value recorded in the month';
+COMMENT ON COLUMN platform_history_monthly.sample_count IS 'Number of raw snapshots aggregated into this row';
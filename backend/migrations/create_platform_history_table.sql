@@ -15,8 +15,10 @@ CREATE INDEX IF NOT EXISTS idx_platform_history_user_platform ON platform_histor
 CREATE INDEX IF NOT EXISTS idx_platform_history_metric ON platform_history(platform_name, metric_name);
 CREATE INDEX IF NOT EXISTS idx_platform_history_recorded_at ON platform_history(recorded_at);
 
--- Note: No unique constraint needed since we want to store historical data over time
--- Multiple entries for the same metric are allowed for trend analysis
+-- Multiple entries for the same metric are allowed for trend analysis; only an exact
+-- timestamp is unique, so backfilled imports (stored at midnight UTC) can be re-run as upserts
+CREATE UNIQUE INDEX IF NOT EXISTS idx_platform_history_unique_sample
+    ON platform_history(user_id, platform_name, platform_identifier, metric_name, recorded_at);
 
 -- Add comment
 COMMENT ON TABLE platform_history IS 'Stores historical platform metrics for growth rate calculations';
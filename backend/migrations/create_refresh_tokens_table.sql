@@ -0,0 +1,23 @@
+-- Create refresh_tokens table for rotating login refresh tokens
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    session_id UUID NOT NULL, -- Shared by every token rotated from the same login
+    token_hash VARCHAR(64) NOT NULL, -- SHA-256 of the token; the token itself is never stored
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    replaced_by INTEGER REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+    user_agent TEXT,
+    ip_address VARCHAR(64),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_refresh_tokens_hash ON refresh_tokens(token_hash);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session ON refresh_tokens(session_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_expires ON refresh_tokens(expires_at);
+
+-- Add comments
+COMMENT ON TABLE refresh_tokens IS 'Refresh tokens issued at login; each use rotates the token and revokes the old one';
+COMMENT ON COLUMN refresh_tokens.session_id IS 'Login session the token belongs to; access tokens carry it so revoking the session revokes them too';
+COMMENT ON COLUMN refresh_tokens.replaced_by IS 'Token issued when this one was rotated; reusing a rotated token revokes the whole session';
@@ -0,0 +1,22 @@
+-- Create revenue_entries table for per-user manual revenue
+CREATE TABLE IF NOT EXISTS revenue_entries (
+    id SERIAL PRIMARY KEY,
+    user_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    platform_name VARCHAR(50) NOT NULL, -- 'youtube', 'twitch', 'tiktok', ...
+    period VARCHAR(7) NOT NULL, -- Month the revenue was earned, 'YYYY-MM'
+    source VARCHAR(50) NOT NULL DEFAULT 'manual', -- 'manual', 'adsense', 'sponsorship', ...
+    amount NUMERIC(14, 2) NOT NULL CHECK (amount >= 0),
+    currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One entry per user, platform, period and source
+CREATE UNIQUE INDEX IF NOT EXISTS idx_revenue_entries_unique ON revenue_entries(user_id, platform_name, period, source);
+CREATE INDEX IF NOT EXISTS idx_revenue_entries_user_period ON revenue_entries(user_id, period);
+
+-- Add comments
+COMMENT ON TABLE revenue_entries IS 'Revenue entered by creators; replaces estimated platform revenue for the latest period';
+COMMENT ON COLUMN revenue_entries.period IS 'Calendar month the revenue belongs to (YYYY-MM)';
+COMMENT ON COLUMN revenue_entries.source IS 'Where the revenue came from, so several sources can be recorded per month';
@@ -0,0 +1,12 @@
+-- Create user_retention_settings table for per-user history retention
+CREATE TABLE IF NOT EXISTS user_retention_settings (
+    user_id VARCHAR(255) PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    raw_days INTEGER NOT NULL, -- Raw snapshots in platform_history
+    daily_days INTEGER NOT NULL, -- Rows in platform_history_daily
+    monthly_days INTEGER, -- Rows in platform_history_monthly; NULL keeps them forever
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Add comments
+COMMENT ON TABLE user_retention_settings IS 'Per-user overrides of the default history retention policy';
+COMMENT ON COLUMN user_retention_settings.monthly_days IS 'Days to keep monthly aggregates (NULL = forever)';
@@ -0,0 +1,25 @@
+-- Create user_two_factor table for TOTP two-factor authentication
+CREATE TABLE IF NOT EXISTS user_two_factor (
+    user_id VARCHAR(255) PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    secret TEXT NOT NULL, -- Encrypted base32 TOTP secret
+    enabled_at TIMESTAMP WITH TIME ZONE, -- NULL while enrolment is waiting for the first code
+    last_used_step BIGINT, -- Time step of the last accepted code; older or equal steps are refused
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Single-use recovery codes for when the authenticator app is unavailable
+CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL, -- SHA-256 of the normalised code
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_two_factor_recovery_codes_user_hash ON two_factor_recovery_codes(user_id, code_hash);
+
+-- Add comments
+COMMENT ON TABLE user_two_factor IS 'TOTP secrets; two-factor login is required once enabled_at is set';
+COMMENT ON COLUMN user_two_factor.last_used_step IS 'Prevents a code from being replayed within its validity window';
+COMMENT ON TABLE two_factor_recovery_codes IS 'Hashed backup codes, each usable once in place of a TOTP code';
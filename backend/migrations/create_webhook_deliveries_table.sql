@@ -0,0 +1,22 @@
+-- Create webhook_deliveries table for logging incoming platform webhooks
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id SERIAL PRIMARY KEY,
+    platform VARCHAR(50) NOT NULL,
+    delivery_id VARCHAR(255) NOT NULL, -- Sender nonce, or the signature when no nonce is sent
+    signature_timestamp VARCHAR(50),
+    payload TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'received', -- 'received', 'processed', 'failed'
+    result JSONB,
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    processed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- A delivery can only be accepted once per platform (replay protection)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_webhook_deliveries_unique_delivery ON webhook_deliveries(platform, delivery_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_received_at ON webhook_deliveries(received_at);
+
+-- Add comments
+COMMENT ON TABLE webhook_deliveries IS 'Log of verified webhook deliveries, used for replay protection and auditing';
+COMMENT ON COLUMN webhook_deliveries.delivery_id IS 'Unique delivery nonce per platform';
+COMMENT ON COLUMN webhook_deliveries.payload IS 'Raw request body exactly as signed by the sender';
+COMMENT ON COLUMN webhook_deliveries.status IS 'Processing status (received, processed, failed)';
@@ -0,0 +1,20 @@
+-- Create websub_subscriptions table for YouTube PubSubHubbub leases
+CREATE TABLE IF NOT EXISTS websub_subscriptions (
+    id SERIAL PRIMARY KEY,
+    channel_id VARCHAR(255) NOT NULL UNIQUE,
+    topic TEXT NOT NULL,
+    status VARCHAR(30) NOT NULL DEFAULT 'pending', -- 'pending', 'active', 'pending_unsubscribe', 'unsubscribed', 'failed'
+    lease_seconds INTEGER,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    requested_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Lease renewal looks up active subscriptions close to expiry
+CREATE INDEX IF NOT EXISTS idx_websub_subscriptions_status_expires ON websub_subscriptions(status, expires_at);
+
+-- Add comments
+COMMENT ON TABLE websub_subscriptions IS 'YouTube WebSub (PubSubHubbub) subscriptions for connected channels';
+COMMENT ON COLUMN websub_subscriptions.topic IS 'Channel upload feed URL registered with the hub';
+COMMENT ON COLUMN websub_subscriptions.status IS 'Subscription state (pending, active, pending_unsubscribe, unsubscribed, failed)';
+COMMENT ON COLUMN websub_subscriptions.expires_at IS 'When the hub lease runs out; renewed by the cron scheduler before this';
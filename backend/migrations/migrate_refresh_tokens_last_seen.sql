@@ -0,0 +1,4 @@
+-- Record when each login session was last used, for the session list
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN refresh_tokens.last_seen_at IS 'Last authenticated request made with this login session (updated at most once a minute)';
@@ -0,0 +1,76 @@
+-- Move users to UUID ids and key user_tokens on the user id.
+-- Safe to re-run: users that already have a UUID are left alone.
+
+-- Old -> new id for every rewritten user, kept for tracing old ids in logs and exports
+CREATE TABLE IF NOT EXISTS user_id_migrations (
+    old_id VARCHAR(255) PRIMARY KEY,
+    new_id VARCHAR(255) NOT NULL UNIQUE,
+    migrated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+DO $$
+DECLARE
+    fk RECORD;
+    uuid_pattern CONSTANT TEXT := '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$';
+BEGIN
+    -- Foreign keys to users(id) follow id changes; ON DELETE behaviour is kept as it was
+    FOR fk IN
+        SELECT c.conname, c.conrelid::regclass AS table_name, pg_get_constraintdef(c.oid) AS definition
+        FROM pg_constraint c
+        WHERE c.contype = 'f' AND c.confrelid = 'users'::regclass AND c.confupdtype <> 'c'
+    LOOP
+        EXECUTE format('ALTER TABLE %s DROP CONSTRAINT %I', fk.table_name, fk.conname);
+        EXECUTE format('ALTER TABLE %s ADD CONSTRAINT %I %s ON UPDATE CASCADE', fk.table_name, fk.conname, fk.definition);
+    END LOOP;
+
+    -- user_tokens rows keyed by email move to the user's id. Where a user has both, the email-keyed
+    -- row is the one the server has been reading and writing, so it wins.
+    DELETE FROM user_tokens t
+    USING users u, user_tokens e
+    WHERE t.user_id = u.id AND e.user_id = u.email AND e.platform = t.platform;
+
+    UPDATE user_tokens t SET user_id = u.id
+    FROM users u
+    WHERE t.user_id = u.email;
+
+    -- Tokens for accounts that no longer exist can't be used by anyone
+    DELETE FROM user_tokens t
+    WHERE NOT EXISTS (SELECT 1 FROM users u WHERE u.id = t.user_id);
+
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'user_tokens_user_id_fkey'
+    ) THEN
+        ALTER TABLE user_tokens ADD CONSTRAINT user_tokens_user_id_fkey
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+
+    -- Rewrite every non-UUID id (Date.now() strings, serials); foreign keys cascade the change
+    INSERT INTO user_id_migrations (old_id, new_id)
+    SELECT id, gen_random_uuid()::text FROM users WHERE id !~ uuid_pattern
+    ON CONFLICT (old_id) DO NOTHING;
+
+    UPDATE users u SET id = m.new_id
+    FROM user_id_migrations m
+    WHERE u.id = m.old_id;
+
+    -- Logged-in server sessions keep working under the new id
+    IF to_regclass('sessions') IS NOT NULL THEN
+        UPDATE sessions s
+        SET sess = jsonb_set(s.sess::jsonb, '{user,id}', to_jsonb(m.new_id))::json
+        FROM user_id_migrations m
+        WHERE s.sess->'user'->>'id' = m.old_id;
+    END IF;
+
+    ALTER TABLE users ALTER COLUMN id SET DEFAULT gen_random_uuid()::text;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'users_id_uuid_check'
+    ) THEN
+        EXECUTE format('ALTER TABLE users ADD CONSTRAINT users_id_uuid_check CHECK (id ~ %L)', uuid_pattern);
+    END IF;
+END $$;
+
+-- Add comments
+COMMENT ON TABLE user_id_migrations IS 'Maps pre-UUID user ids to the UUIDs that replaced them';
+COMMENT ON COLUMN users.id IS 'Random UUID (text); never derived from the email or signup time';
+COMMENT ON COLUMN user_tokens.user_id IS 'users.id of the account the platform is connected to';
@@ -0,0 +1,13 @@
+-- Background refresh state: failed refreshes back off via next_refresh_at, and a connection that can't be
+-- refreshed is flagged with needs_reconnect_at instead of being deleted, so the dashboard can prompt the user.
+ALTER TABLE user_tokens ADD COLUMN IF NOT EXISTS refresh_failures INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE user_tokens ADD COLUMN IF NOT EXISTS next_refresh_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE user_tokens ADD COLUMN IF NOT EXISTS needs_reconnect_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE user_tokens ADD COLUMN IF NOT EXISTS last_refresh_error TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_user_tokens_refresh_due ON user_tokens(expires_at) WHERE needs_reconnect_at IS NULL;
+
+COMMENT ON COLUMN user_tokens.refresh_failures IS 'Consecutive failed refresh attempts, reset when a new token is saved';
+COMMENT ON COLUMN user_tokens.next_refresh_at IS 'Earliest time the background refresh retries after a failure';
+COMMENT ON COLUMN user_tokens.needs_reconnect_at IS 'Set when the token can no longer be refreshed and the user has to reconnect the platform';
+COMMENT ON COLUMN user_tokens.last_refresh_error IS 'Error from the most recent failed refresh';
@@ -0,0 +1,19 @@
+-- Single token column: authService used to write user_tokens.token while TokenManager used token_data.
+-- The server read and wrote `token`, so it wins where both are set; `node scripts/reencryptTokens.js`
+-- then moves everything to AES-GCM.
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'user_tokens' AND column_name = 'token'
+    ) THEN
+        ALTER TABLE user_tokens ADD COLUMN IF NOT EXISTS token_data TEXT;
+        UPDATE user_tokens SET token_data = token WHERE token IS NOT NULL;
+        ALTER TABLE user_tokens DROP COLUMN token;
+    END IF;
+END $$;
+
+DELETE FROM user_tokens WHERE token_data IS NULL;
+ALTER TABLE user_tokens ALTER COLUMN token_data SET NOT NULL;
+
+COMMENT ON COLUMN user_tokens.token_data IS 'Token JSON encrypted with AES-256-GCM: gcm:v<key version>:<iv>:<tag>:<ciphertext>';
@@ -35,8 +35,105 @@ async function runMigration() {
     await pool.query(sessionsSQL);
     console.log('✅ Sessions table migration completed!');
     
+    // Run webhook_deliveries table migration
+    console.log('📬 Creating webhook_deliveries table...');
+    const webhookDeliveriesPath = path.join(process.cwd(), 'migrations', 'create_webhook_deliveries_table.sql');
+    const webhookDeliveriesSQL = fs.readFileSync(webhookDeliveriesPath, 'utf8');
+    await pool.query(webhookDeliveriesSQL);
+    console.log('✅ Webhook deliveries table migration completed!');
+    
+    // Run websub_subscriptions table migration
+    console.log('📺 Creating websub_subscriptions table...');
+    const websubSubscriptionsPath = path.join(process.cwd(), 'migrations', 'create_websub_subscriptions_table.sql');
+    const websubSubscriptionsSQL = fs.readFileSync(websubSubscriptionsPath, 'utf8');
+    await pool.query(websubSubscriptionsSQL);
+    console.log('✅ WebSub subscriptions table migration completed!');
+    
+    // Run history rollup and retention migrations
+    console.log('🗄️ Creating platform_history_daily, platform_history_monthly and user_retention_settings tables...');
+    for (const file of [
+      'create_platform_history_daily_table.sql',
+      'create_platform_history_monthly_table.sql',
+      'create_user_retention_settings_table.sql'
+    ]) {
+      const sql = fs.readFileSync(path.join(process.cwd(), 'migrations', file), 'utf8');
+      await pool.query(sql);
+    }
+    console.log('✅ History retention tables migration completed!');
+    
+    // Run revenue_entries table migration
+    console.log('💰 Creating revenue_entries table...');
+    const revenueEntriesPath = path.join(process.cwd(), 'migrations', 'create_revenue_entries_table.sql');
+    const revenueEntriesSQL = fs.readFileSync(revenueEntriesPath, 'utf8');
+    await pool.query(revenueEntriesSQL);
+    console.log('✅ Revenue entries table migration completed!');
+    
+    // Run exchange_rates and user_preferences table migration
+    console.log('💱 Creating exchange_rates and user_preferences tables...');
+    const exchangeRatesPath = path.join(process.cwd(), 'migrations', 'create_exchange_rates_table.sql');
+    const exchangeRatesSQL = fs.readFileSync(exchangeRatesPath, 'utf8');
+    await pool.query(exchangeRatesSQL);
+    console.log('✅ Exchange rates table migration completed!');
+    
+    // Run refresh_tokens table migration
+    console.log('🔑 Creating refresh_tokens table...');
+    const refreshTokensPath = path.join(process.cwd(), 'migrations', 'create_refresh_tokens_table.sql');
+    const refreshTokensSQL = fs.readFileSync(refreshTokensPath, 'utf8');
+    await pool.query(refreshTokensSQL);
+    console.log('✅ Refresh tokens table migration completed!');
+    
+    // Run account_tokens table migration
+    console.log('✉️ Creating account_tokens table...');
+    const accountTokensPath = path.join(process.cwd(), 'migrations', 'create_account_tokens_table.sql');
+    const accountTokensSQL = fs.readFileSync(accountTokensPath, 'utf8');
+    await pool.query(accountTokensSQL);
+    console.log('✅ Account tokens table migration completed!');
+    
+    // Run user_two_factor table migration
+    console.log('🛡️ Creating user_two_factor and two_factor_recovery_codes tables...');
+    const twoFactorPath = path.join(process.cwd(), 'migrations', 'create_user_two_factor_table.sql');
+    const twoFactorSQL = fs.readFileSync(twoFactorPath, 'utf8');
+    await pool.query(twoFactorSQL);
+    console.log('✅ Two-factor tables migration completed!');
+    
+    // Run login_failures and auth_audit_log table migration
+    console.log('🔒 Creating login_failures and auth_audit_log tables...');
+    const loginFailuresPath = path.join(process.cwd(), 'migrations', 'create_login_failures_table.sql');
+    const loginFailuresSQL = fs.readFileSync(loginFailuresPath, 'utf8');
+    await pool.query(loginFailuresSQL);
+    console.log('✅ Login lockout tables migration completed!');
+    
+    // Rewrite user ids as UUIDs and key user_tokens on them (runs after every table that references users is
+    // created; the migrations below only change user_tokens and refresh_tokens columns that aren't user ids)
+    console.log('🆔 Migrating user ids to UUIDs...');
+    const userIdsPath = path.join(process.cwd(), 'migrations', 'migrate_user_ids_to_uuid.sql');
+    const userIdsSQL = fs.readFileSync(userIdsPath, 'utf8');
+    await pool.query(userIdsSQL);
+    console.log('✅ User id migration completed!');
+    
+    // Merge user_tokens.token into token_data, the encrypted token store's column
+    console.log('🔐 Migrating user_tokens to a single token_data column...');
+    const tokenDataPath = path.join(process.cwd(), 'migrations', 'migrate_user_tokens_token_data.sql');
+    const tokenDataSQL = fs.readFileSync(tokenDataPath, 'utf8');
+    await pool.query(tokenDataSQL);
+    console.log('✅ User tokens column migration completed!');
+
+    // Add refresh backoff and needs-reconnect state for the background token refresh
+    console.log('🔁 Adding token refresh state to user_tokens...');
+    const refreshStatePath = path.join(process.cwd(), 'migrations', 'migrate_user_tokens_refresh_state.sql');
+    const refreshStateSQL = fs.readFileSync(refreshStatePath, 'utf8');
+    await pool.query(refreshStateSQL);
+    console.log('✅ Token refresh state migration completed!');
+
+    // Add last-seen times to login sessions
+    console.log('👀 Adding last_seen_at to refresh_tokens...');
+    const lastSeenPath = path.join(process.cwd(), 'migrations', 'migrate_refresh_tokens_last_seen.sql');
+    const lastSeenSQL = fs.readFileSync(lastSeenPath, 'utf8');
+    await pool.query(lastSeenSQL);
+    console.log('✅ Session last-seen migration completed!');
+
     // Verify tables were created
-    const tables = ['platform_history', 'user_tokens', 'sessions'];
+    const tables = ['platform_history', 'user_tokens', 'sessions', 'webhook_deliveries', 'websub_subscriptions', 'platform_history_daily', 'platform_history_monthly', 'user_retention_settings', 'revenue_entries', 'exchange_rates', 'user_preferences', 'refresh_tokens', 'account_tokens', 'user_two_factor', 'two_factor_recovery_codes', 'login_failures', 'auth_audit_log', 'user_id_migrations'];
     for (const table of tables) {
       const result = await pool.query(`
         SELECT table_name 
@@ -0,0 +1,35 @@
+import dotenv from 'dotenv';
+import fs from 'fs';
+import ExchangeRateService from '../services/exchangeRateService.js';
+
+dotenv.config();
+
+// Usage: node scripts/loadExchangeRates.js rates.json
+// The file is { "base": "USD", "date": "YYYY-MM-DD", "rates": { "EUR": 0.97, ... } };
+// uploaded rates replace any already stored for that date.
+async function loadExchangeRates() {
+  const filePath = process.argv[2];
+  if (!filePath || !fs.existsSync(filePath)) {
+    console.error('❌ Usage: node scripts/loadExchangeRates.js <rates.json>');
+    process.exit(1);
+  }
+
+  const exchangeRateService = new ExchangeRateService();
+  let exitCode = 0;
+
+  try {
+    const payload = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const result = await exchangeRateService.storeRates(payload, 'upload');
+
+    console.log(`✅ Stored ${result.stored} of ${result.currencies} exchange rates for ${result.date}`);
+  } catch (error) {
+    console.error('❌ Loading exchange rates failed:', error.message);
+    exitCode = 1;
+  } finally {
+    await exchangeRateService.pool.end();
+  }
+
+  process.exit(exitCode);
+}
+
+loadExchangeRates();
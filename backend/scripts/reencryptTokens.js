@@ -0,0 +1,40 @@
+import dotenv from 'dotenv';
+import TokenStore from '../services/tokenStore.js';
+import TwoFactorService from '../services/twoFactorService.js';
+
+dotenv.config();
+
+// Usage: node scripts/reencryptTokens.js
+// Run after adding a new key to ENCRYPTION_KEYS: platform tokens and two-factor secrets still encrypted
+// with an older key (or the old CBC format) are rewritten with the current one. Keep the old key in
+// ENCRYPTION_KEYS until a run reports no failures.
+async function reencryptTokens() {
+  const tokenStore = new TokenStore();
+  const twoFactorService = new TwoFactorService();
+  let exitCode = 0;
+
+  try {
+    console.log(`🔐 Re-encrypting with key version ${tokenStore.cipher.currentVersion}...`);
+
+    const tokens = await tokenStore.reencryptAll();
+    console.log(`✅ Platform tokens: ${tokens.reencrypted} re-encrypted, ${tokens.failed} failed, ${tokens.total} total`);
+
+    const secrets = await twoFactorService.reencryptSecrets();
+    console.log(`✅ Two-factor secrets: ${secrets.reencrypted} re-encrypted, ${secrets.failed} failed, ${secrets.total} total`);
+
+    if (tokens.failed > 0 || secrets.failed > 0) {
+      console.error('❌ Some values could not be decrypted; check that every key version in use is in ENCRYPTION_KEYS');
+      exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Re-encryption failed:', error.message);
+    exitCode = 1;
+  } finally {
+    await tokenStore.pool.end();
+    await twoFactorService.pool.end();
+  }
+
+  process.exit(exitCode);
+}
+
+reencryptTokens();
@@ -11,10 +11,10 @@ async function runTokenCleanup() {
     console.log('⏰ Timestamp:', new Date().toISOString());
     
     // Run the cleanup
-    const removedCount = await tokenManager.cleanupExpiredTokens();
+    const failedCount = await tokenManager.cleanupExpiredTokens();
     
     console.log('✅ Token cleanup completed successfully');
-    console.log(`📊 Summary: Removed ${removedCount} expired tokens`);
+    console.log(`📊 Summary: ${failedCount} expired tokens could not be refreshed`);
     
     // Exit with success code
     process.exit(0);
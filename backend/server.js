@@ -6,7 +6,6 @@ import rateLimit from "express-rate-limit";
 import helmet from "helmet";
 import compression from "compression";
 import cron from "node-cron";
-import fs from "fs";
 import path from "path";
 import { fileURLToPath } from 'url';
 import passport from "passport";
@@ -14,6 +13,24 @@ import session from "express-session";
 import { Pool } from 'pg';
 
 import PlatformManager from "./services/platformManager.js";
+import platformRegistry from "./services/platforms/platformRegistry.js";
+import { SERIES_INTERVALS } from "./services/historyService.js";
+import { webhookService } from "./services/webhookService.js";
+import TwitchEventSubService from "./services/twitchEventSubService.js";
+import YouTubeWebSubService from "./services/youtubeWebSubService.js";
+import LiveUpdateService from "./services/liveUpdateService.js";
+import CsvImportService from "./services/csvImportService.js";
+import ExportService, { EXPORT_FORMATS } from "./services/exportService.js";
+import RevenueService from "./services/revenueService.js";
+import AuthTokenService from "./services/authTokenService.js";
+import AccountTokenService, { ACCOUNT_TOKEN_PURPOSES } from "./services/accountTokenService.js";
+import MailService from "./services/mailService.js";
+import TwoFactorService from "./services/twoFactorService.js";
+import LoginLockoutService, { LOGIN_BLOCK_CODES } from "./services/loginLockoutService.js";
+import TokenManager from "./services/tokenManager.js";
+import { createAuthMiddleware, sendAuthError } from "./middleware/auth.js";
+import { BASE_CURRENCY } from "./services/exchangeRateService.js";
+import { PLATFORM_STATUS, platformStatus } from "./utils/platformStatus.js";
 import logger from "./utils/logger.js";
 
 // Database connection
@@ -21,15 +38,13 @@ const pool = new Pool({
   connectionString: process.env.PG_CONNECTION_STRING,
   ssl: { rejectUnauthorized: false }
 });
-import { googleClient, setupTwitchPassport, getTikTokToken, storeToken, getToken } from "./services/authService.js";
-import { createUser, findUserByEmail, findUserById, verifyUser, updateUserPlatforms, getUserPlatforms, deleteUser } from "./services/userService.js";
-import { google } from 'googleapis';
+import { setupTwitchPassport, storeToken, getToken } from "./services/authService.js";
+import { createUser, findUserByEmail, findUserById, verifyUser, updatePassword, markEmailVerified, updateUserPlatforms, getUserPlatforms, deleteUser } from "./services/userService.js";
 
 dotenv.config();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const MANUAL_REVENUE_PATH = path.join(__dirname, "manualRevenue.json");
 
 const app = express();
 
@@ -44,36 +59,9 @@ const deduplicateRequests = (req, res, next) => {
   // Better user identification
   let userId = 'anonymous';
   
-  // Try to get user ID from session first
-  if (req.session?.user?.id) {
-    userId = req.session.user.id;
-  } else if (req.session?.user?.email) {
-    userId = req.session.user.email;
-  } else {
-    // Try to get from token in query or header
-    const authHeader = req.headers.authorization;
-    const tokenParam = req.query.token;
-    
-    let token = null;
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      token = authHeader.substring(7);
-    } else if (tokenParam) {
-      token = tokenParam;
-    }
-    
-    if (token) {
-      try {
-        const decoded = Buffer.from(token, 'base64').toString('utf-8');
-        const [email, timestamp] = decoded.split(':');
-        const tokenTime = parseInt(timestamp);
-        const currentTime = Date.now();
-        if (currentTime - tokenTime <= 24 * 60 * 60 * 1000) {
-          userId = email;
-        }
-      } catch (decodeError) {
-        // Keep userId as 'anonymous'
-      }
-    }
+  // Set by the authenticate middleware
+  if (req.user) {
+    userId = req.user.id;
   }
   
   const endpoint = req.path;
@@ -105,11 +93,9 @@ const deduplicateRequests = (req, res, next) => {
 
 // Add platform-specific rate limiting
 const platformRateLimits = new Map();
-const PLATFORM_RATE_LIMITS = {
-  youtube: { maxCalls: 100, windowMs: 60 * 60 * 1000 }, // 100 calls per hour
-  twitch: { maxCalls: 800, windowMs: 60 * 60 * 1000 },  // 800 calls per hour
-  tiktok: { maxCalls: 200, windowMs: 60 * 60 * 1000 }   // 200 calls per hour
-};
+const PLATFORM_RATE_LIMITS = Object.fromEntries(
+  platformRegistry.list().map(adapter => [adapter.id, adapter.rateLimit])
+);
 
 function checkPlatformRateLimit(platform) {
   const now = Date.now();
@@ -222,8 +208,8 @@ const limiter = rateLimit({
 
 // Apply rate limiting to most endpoints, but exclude auth endpoints and OPTIONS requests
 app.use('/api/', (req, res, next) => {
-  // Skip rate limiting for authentication endpoints, health check, and OPTIONS requests
-  if (req.path.startsWith('/auth/') || req.path === '/health' || req.method === 'OPTIONS') {
+  // Skip rate limiting for authentication endpoints, platform webhooks, health check, and OPTIONS requests
+  if (req.path.startsWith('/auth/') || req.path.startsWith('/webhooks/') || req.path === '/health' || req.method === 'OPTIONS') {
     return next();
   }
   return limiter(req, res, next);
@@ -257,6 +243,9 @@ const sessionConfig = {
   }
 };
 
+// Kept so WebSocket upgrades can be authenticated with the same session cookie
+let sessionMiddleware;
+
 // Initialize session store
 const initializeSessionStore = async () => {
   if (process.env.NODE_ENV === 'production') {
@@ -284,7 +273,8 @@ const initializeSessionStore = async () => {
     logger.startup('Using MemoryStore for development');
   }
   
-  app.use(session(sessionConfig));
+  sessionMiddleware = session(sessionConfig);
+  app.use(sessionMiddleware);
   app.use(passport.initialize());
   app.use(passport.session());
 };
@@ -304,27 +294,32 @@ passport.deserializeUser((user, done) => {
 // Initialize Passport with correct callback URL
 setupTwitchPassport();
 
-app.use(express.json());
-
-// Persistent manual revenue overrides
-let manualRevenueOverrides = {};
-
-// Load manual revenue overrides on startup
-if (fs.existsSync(MANUAL_REVENUE_PATH)) {
-  try {
-    manualRevenueOverrides = JSON.parse(fs.readFileSync(MANUAL_REVENUE_PATH, "utf-8"));
-  } catch (e) {
-    console.error("Failed to load manual revenue overrides:", e);
-    manualRevenueOverrides = {};
+app.use(express.json({
+  // Keep the exact request bytes for webhook signature verification
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks/')) {
+      req.rawBody = buf.toString('utf8');
+    }
   }
-}
-
-function saveManualRevenueOverrides() {
-  fs.writeFileSync(MANUAL_REVENUE_PATH, JSON.stringify(manualRevenueOverrides, null, 2));
-}
+}));
 
 // Initialize platform manager
 const platformManager = new PlatformManager();
+const twitchEventSubService = new TwitchEventSubService(platformManager.services.twitch);
+const youtubeWebSubService = new YouTubeWebSubService(platformManager.services.youtube);
+const csvImportService = new CsvImportService(platformManager.historyService);
+const exportService = new ExportService(platformManager.historyService);
+const exchangeRateService = platformManager.exchangeRateService;
+const revenueService = new RevenueService(exchangeRateService);
+const authTokenService = new AuthTokenService();
+const accountTokenService = new AccountTokenService();
+const mailService = new MailService();
+const twoFactorService = new TwoFactorService();
+const loginLockoutService = new LoginLockoutService();
+const tokenManager = new TokenManager();
+
+// Platform tokens are refreshed this many minutes before they expire
+const TOKEN_REFRESH_WINDOW_MINUTES = parseInt(process.env.TOKEN_REFRESH_WINDOW_MINUTES, 10) || 30;
 
 // -------------------- Data Store (with real API integration) --------------------
 
@@ -350,6 +345,14 @@ const PLATFORM_CACHE_DURATIONS = {
   tiktok: 5 * 60 * 1000    // 5 minutes (TikTok data changes moderately)
 };
 
+// Let webhook-driven updates merge into these caches
+webhookService.registerCaches({
+  platformCache: userPlatformCache,
+  analyticsCache: userAnalyticsCache,
+  lastUpdate: userLastUpdate,
+  platformManager
+});
+
 // Add cache validation function
 function isCacheValid(userId, platform = null) {
   const lastUpdate = userLastUpdate.get(userId);
@@ -374,6 +377,128 @@ const defaultMockData = [
 
 // -------------------- Helper Functions --------------------
 
+// /api/ routes that work without a login. Everything else under /api/ answers 401 to anonymous requests,
+// so a new route is protected unless it is added here.
+const PUBLIC_API_ROUTES = [
+  // Signing in, account recovery and login status
+  'POST /api/auth/register',
+  'POST /api/auth/login',
+  'POST /api/auth/login/2fa',
+  'POST /api/auth/refresh',
+  'POST /api/auth/verify-email',
+  'POST /api/auth/forgot-password',
+  'POST /api/auth/reset-password',
+  'GET /api/auth/status',
+  'GET /api/auth/status-token',
+  'GET /api/auth/logout',
+  'POST /api/auth/logout',
+  // Platform OAuth: the start redirects anonymous browsers to the login page, the callback checks its signed state
+  ...platformRegistry.list().filter(adapter => adapter.auth).flatMap(({ auth }) => [
+    `GET /api/auth/${auth.path}`,
+    `GET /api/auth/${auth.path}/callback`
+  ]),
+  // Demo data for visitors who aren't logged in
+  'GET /api/platforms',
+  'GET /api/platforms/:name/stats',
+  'GET /api/analytics',
+  'POST /api/analytics',
+  'GET /api/exchange-rates',
+  'GET /api/health',
+  // Platform pushes, verified by their signatures
+  'POST /api/webhooks/twitch/eventsub',
+  'GET /api/webhooks/youtube/websub',
+  'POST /api/webhooks/youtube/websub',
+  'POST /api/webhooks/:platform'
+];
+
+// Every request gets req.user (or null); /api/ routes need a login unless they are in PUBLIC_API_ROUTES
+const { authenticate, requireApiAuth, requireVerifiedEmail } = createAuthMiddleware({
+  authTokenService,
+  findUserById,
+  publicRoutes: PUBLIC_API_ROUTES
+});
+app.use(authenticate);
+app.use('/api/', requireApiAuth);
+
+// HTTP-only copy of the access token for production security
+function setAuthTokenCookie(res, { token, expiresIn }) {
+  res.cookie('authToken', token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production', // HTTPS only in production
+    sameSite: 'strict', // Stricter than 'lax' for better security
+    maxAge: expiresIn * 1000,
+    path: '/'
+  });
+}
+
+// Request details stored with refresh tokens so sessions can be told apart
+function getClientMeta(req) {
+  return { userAgent: req.get('user-agent') || null, ip: req.ip || null };
+}
+
+// 429 for a sign-in attempted while the account is locked or inside its progressive delay
+function sendLoginBlocked(res, block) {
+  const minutes = Math.ceil(block.retryAfter / 60);
+  const error = block.code === LOGIN_BLOCK_CODES.locked
+    ? `Too many failed sign-in attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}, or reset your password to unlock your account.`
+    : `Too many failed sign-in attempts. Please wait ${block.retryAfter} second${block.retryAfter === 1 ? '' : 's'} and try again.`;
+
+  res.set('Retry-After', String(block.retryAfter));
+  return res.status(429).json({ error, code: block.code, retryAfter: block.retryAfter });
+}
+
+// Log a user in: server session plus a signed access token and refresh token
+async function completeLogin(req, res, user, extra = {}) {
+  await loginLockoutService.recordSuccess(user.email);
+  const { sessionId, ...tokens } = await authTokenService.issueTokens(user, getClientMeta(req));
+  req.session.user = { email: user.email, id: user.id };
+  req.session.authenticated = true;
+  req.session.loginSessionId = sessionId; // Revoking the login session also ends this server session
+  setAuthTokenCookie(res, tokens);
+
+  res.json({
+    success: true,
+    user: { email: user.email, id: user.id },
+    ...tokens, // Still return tokens for localStorage fallback
+    ...extra,
+    message: 'Login successful'
+  });
+}
+
+const MIN_PASSWORD_LENGTH = 8;
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+// Email a fresh verification link; a mail failure is logged, the user can ask for another link
+async function sendVerificationEmail(user) {
+  try {
+    const token = await accountTokenService.createToken(user.id, ACCOUNT_TOKEN_PURPOSES.verifyEmail);
+    await mailService.sendVerificationEmail(user.email, getFrontendUrl(`/verify-email?token=${encodeURIComponent(token)}`));
+    return true;
+  } catch (error) {
+    console.error('Error sending verification email:', error);
+    return false;
+  }
+}
+
+// Manual revenue is applied when platforms are read, so only cached analytics go stale
+function invalidateUserRevenue(userId) {
+  userAnalyticsCache.delete(userId);
+  platformManager.invalidateAnalytics(userId);
+}
+
+// Returns an error message unless we hold an exchange rate for the currency
+async function validateCurrency(currency) {
+  if (currency === undefined || currency === BASE_CURRENCY) return null;
+  const rates = await exchangeRateService.getRates();
+  return rates[currency] ? null : `No exchange rate available for ${currency}`;
+}
+
 async function updatePlatformData(userId = null) {
   try {
     // Use global connected platforms
@@ -464,6 +589,82 @@ cron.schedule('0 * * * *', () => {
   cleanupExpiredCache();
 });
 
+// Re-create missing or revoked Twitch EventSub subscriptions daily at 4 AM
+cron.schedule('0 4 * * *', async () => {
+  try {
+    const synced = await twitchEventSubService.syncAllSubscriptions();
+    logger.info(`Synced Twitch EventSub subscriptions for ${synced} users`);
+  } catch (error) {
+    console.error('❌ Error syncing Twitch EventSub subscriptions:', error);
+  }
+});
+
+// Renew YouTube WebSub leases that expire within a day, and subscribe any new channels, every 6 hours
+cron.schedule('0 */6 * * *', async () => {
+  try {
+    const renewed = await youtubeWebSubService.renewExpiringSubscriptions();
+    const subscribed = await youtubeWebSubService.subscribeAllChannels();
+    logger.info(`Renewed ${renewed} YouTube WebSub leases, subscribed ${subscribed} new channels`);
+  } catch (error) {
+    console.error('❌ Error renewing YouTube WebSub subscriptions:', error);
+  }
+});
+
+// Roll history into daily/monthly aggregates and apply retention daily at 2 AM
+cron.schedule('0 2 * * *', async () => {
+  try {
+    await platformManager.historyService.applyRetention();
+  } catch (error) {
+    console.error('❌ Error applying history retention:', error);
+  }
+});
+
+// Prune the webhook delivery log daily at 3 AM
+cron.schedule('0 3 * * *', async () => {
+  try {
+    const removed = await webhookService.pruneDeliveries(30);
+    logger.info(`Pruned ${removed} old webhook deliveries`);
+  } catch (error) {
+    console.error('❌ Error pruning webhook deliveries:', error);
+  }
+});
+
+// Drop refresh, verification and password reset tokens that expired or were used over a week ago,
+// and failed login records that went quiet, daily at 3:30 AM
+cron.schedule('30 3 * * *', async () => {
+  try {
+    const removed = await authTokenService.cleanupExpiredTokens(7);
+    logger.info(`Removed ${removed} old refresh tokens`);
+  } catch (error) {
+    console.error('❌ Error cleaning up refresh tokens:', error);
+  }
+  try {
+    const removed = await accountTokenService.cleanupExpiredTokens(7);
+    logger.info(`Removed ${removed} old verification and password reset tokens`);
+  } catch (error) {
+    console.error('❌ Error cleaning up account tokens:', error);
+  }
+  try {
+    const removed = await loginLockoutService.cleanupStaleFailures(1);
+    logger.info(`Removed ${removed} stale failed login records`);
+  } catch (error) {
+    console.error('❌ Error cleaning up failed login records:', error);
+  }
+});
+
+// Refresh platform tokens that are about to expire every 10 minutes. Failures back off; connections that
+// can't be refreshed are flagged for the user to reconnect.
+cron.schedule('*/10 * * * *', async () => {
+  try {
+    const { refreshed, failed } = await tokenManager.refreshExpiringTokens({ windowMinutes: TOKEN_REFRESH_WINDOW_MINUTES });
+    if (refreshed || failed) {
+      logger.info(`Refreshed ${refreshed} platform tokens, ${failed} failed`);
+    }
+  } catch (error) {
+    console.error('❌ Error refreshing platform tokens:', error);
+  }
+});
+
 // -------------------- User Management --------------------
 
 // User registration
@@ -475,17 +676,29 @@ app.post("/api/auth/register", async (req, res) => {
       return res.status(400).json({ error: 'Email and password are required' });
     }
     
+    // Same rule as password resets
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+    
     // Create new user in database
     const newUser = await createUser(email, password);
+    await sendVerificationEmail(newUser);
     
+    const { sessionId, ...tokens } = await authTokenService.issueTokens(newUser, getClientMeta(req));
+
     // Set session
     req.session.user = { email: newUser.email, id: newUser.id };
     req.session.authenticated = true;
+    req.session.loginSessionId = sessionId;
+    setAuthTokenCookie(res, tokens);
     
     res.json({ 
       success: true, 
-      user: { email: newUser.email, id: newUser.id },
-      message: 'Account created successfully' 
+      user: { email: newUser.email, id: newUser.id, emailVerified: false },
+      ...tokens,
+      message: 'Account created successfully. Check your email to verify your address.' 
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -514,115 +727,269 @@ app.post("/api/auth/login", async (req, res) => {
       return res.status(400).json({ error: 'Email and password are required' });
     }
     
+    // The attempt is claimed before the password is checked, so locked accounts are refused
+    // and parallel guesses can't slip past the delay
+    const { block, attempt } = await loginLockoutService.reserveAttempt(email);
+    if (block) {
+      return sendLoginBlocked(res, block);
+    }
+    
     // Verify user credentials
     const user = await verifyUser(email, password);
     
     if (!user) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+      const failure = await loginLockoutService.recordFailure(attempt, getClientMeta(req));
+      if (failure.code === LOGIN_BLOCK_CODES.locked) {
+        return sendLoginBlocked(res, failure);
+      }
+      return sendAuthError(res, 'invalid_credentials');
     }
     
-    // Set session
-    req.session.user = { email: user.email, id: user.id };
-    req.session.authenticated = true;
-    
-    // Generate a simple token for development (base64 encoded email:timestamp)
-    const token = Buffer.from(`${user.email}:${Date.now()}`).toString('base64');
-    
-    // Set HTTP-only cookie for production security
-    res.cookie('authToken', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production', // HTTPS only in production
-      sameSite: 'strict', // Stricter than 'lax' for better security
-      maxAge: 24 * 60 * 60 * 1000, // 24 hours
-      path: '/'
-    });
+    // With two-factor on, the password only earns a challenge for the second step
+    if (await twoFactorService.isEnabled(user.id)) {
+      await loginLockoutService.releaseAttempt(attempt);
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: authTokenService.signTwoFactorChallenge(user)
+      });
+    }
     
-    res.json({ 
-      success: true, 
-      user: { email: user.email, id: user.id },
-      token: token, // Still return token for localStorage fallback
-      message: 'Login successful' 
-    });
+    await completeLogin(req, res, user);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ error: 'Login failed' });
   }
 });
 
-// Get current user
-app.get("/api/auth/me", deduplicateRequests, async (req, res) => {
-  console.log('Session data for /api/auth/me:', {
-    sessionId: req.sessionID,
-    authenticated: req.session.authenticated,
-    user: req.session.user,
-    sessionExists: !!req.session
-  });
-  
-  // Check if session exists and has user data
-  if (!req.session || !req.session.authenticated || !req.session.user) {
-    console.log('Session authentication failed - trying token-based auth');
-    
-    // Fallback to token-based authentication
-    const authHeader = req.headers.authorization;
-    const tokenParam = req.query.token;
-    
-    let token = null;
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      token = authHeader.substring(7);
-    } else if (tokenParam) {
-      token = tokenParam;
+// Second login step: { challengeToken, code } where code is a TOTP code or a recovery code
+app.post("/api/auth/login/2fa", async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body || {};
+    const claims = authTokenService.verifyTwoFactorChallenge(challengeToken);
+    if (!claims) {
+      return sendAuthError(res, 'challenge_expired');
     }
-    
-    if (token) {
-      try {
-        const decoded = Buffer.from(token, 'base64').toString('utf-8');
-        const [email, timestamp] = decoded.split(':');
-        
-        const tokenTime = parseInt(timestamp);
-        const currentTime = Date.now();
-        if (currentTime - tokenTime <= 24 * 60 * 60 * 1000) {
-          const user = await findUserByEmail(email);
-          if (user) {
-            return res.json({
-              authenticated: true,
-              user: {
-                id: user.id,
-                email: user.email,
-                connectedPlatforms: user.connected_platforms || []
-              }
-            });
-          }
-        }
-      } catch (decodeError) {
-        console.error('Token decode error:', decodeError);
+
+    const user = await findUserById(claims.sub);
+    if (!user) {
+      return sendAuthError(res, 'invalid_credentials', 'Invalid authentication code');
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const { block, attempt } = await loginLockoutService.reserveAttempt(user.email);
+    if (block) {
+      return sendLoginBlocked(res, block);
+    }
+
+    const method = await twoFactorService.verify(user.id, code);
+    if (!method) {
+      const failure = await loginLockoutService.recordFailure(attempt, getClientMeta(req));
+      if (failure.code === LOGIN_BLOCK_CODES.locked) {
+        return sendLoginBlocked(res, failure);
       }
+      return sendAuthError(res, 'invalid_credentials', 'Invalid authentication code');
     }
-    
-    return res.status(401).json({ authenticated: false, error: 'Not authenticated' });
+
+    await completeLogin(req, res, user, { recoveryCodeUsed: method === 'recovery_code' });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ error: 'Login failed' });
   }
-  
+});
+
+// Exchange a refresh token for a new access/refresh pair; the old refresh token stops working
+app.post("/api/auth/refresh", async (req, res) => {
   try {
-    const user = await findUserById(req.session.user.id);
-    if (!user) {
-      return res.status(404).json({ authenticated: false, error: 'User not found' });
+    const tokens = await authTokenService.rotateRefreshToken(req.body?.refreshToken, getClientMeta(req));
+    if (!tokens) {
+      return sendAuthError(res, 'invalid_token', 'Invalid or expired refresh token');
     }
-  
-    console.log('User data for /api/auth/me:', {
+
+    setAuthTokenCookie(res, tokens);
+    res.json({ success: true, ...tokens });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Token refresh failed' });
+  }
+});
+
+// Get current user
+app.get("/api/auth/me", deduplicateRequests, (req, res) => {
+  const { user } = req;
+  res.json({
+    authenticated: true,
+    user: {
+      id: user.id,
       email: user.email,
-      connectedPlatforms: user.connected_platforms
-    });
-  
-    res.json({
-      authenticated: true,
-      user: {
-        id: user.id,
-        email: user.email,
-        connectedPlatforms: user.connected_platforms || []
+      emailVerified: !!user.email_verified_at,
+      connectedPlatforms: user.connected_platforms || []
+    }
+  });
+});
+
+// Confirm an email address with the token from the verification email
+app.post("/api/auth/verify-email", async (req, res) => {
+  try {
+    const userId = await accountTokenService.consumeToken(req.body?.token, ACCOUNT_TOKEN_PURPOSES.verifyEmail);
+    if (!userId) {
+      return res.status(400).json({ error: 'This verification link is invalid or has expired' });
+    }
+
+    await markEmailVerified(userId);
+    res.json({ success: true, message: 'Email address verified' });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({ error: 'Email verification failed' });
+  }
+});
+
+// Send another verification email to the logged-in user
+app.post("/api/auth/resend-verification", async (req, res) => {
+  if (req.user.email_verified_at) {
+    return res.json({ success: true, message: 'Email address is already verified' });
+  }
+
+  if (!await sendVerificationEmail(req.user)) {
+    return res.status(500).json({ error: 'Failed to send verification email' });
+  }
+  res.json({ success: true, message: 'Verification email sent' });
+});
+
+// Start a password reset. The response is the same whether or not the account exists.
+app.post("/api/auth/forgot-password", async (req, res) => {
+  const { email } = req.body || {};
+  if (!email || typeof email !== 'string') {
+    return res.status(400).json({ error: 'Email is required' });
+  }
+
+  try {
+    const user = await findUserByEmail(email);
+    if (user) {
+      const token = await accountTokenService.createToken(user.id, ACCOUNT_TOKEN_PURPOSES.resetPassword);
+      await mailService.sendPasswordResetEmail(user.email, getFrontendUrl(`/reset-password?token=${encodeURIComponent(token)}`));
+    }
+  } catch (error) {
+    console.error('Password reset request error:', error);
+  }
+
+  res.json({ success: true, message: 'If an account exists for that email, a password reset link is on its way' });
+});
+
+// Finish a password reset: set the new password, log out every existing session and lift any lockout
+app.post("/api/auth/reset-password", async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    const userId = await accountTokenService.consumeToken(token, ACCOUNT_TOKEN_PURPOSES.resetPassword);
+    if (!userId) {
+      return res.status(400).json({ error: 'This password reset link is invalid or has expired' });
+    }
+
+    await updatePassword(userId, password);
+    // The reset link arrived by email, so the address is confirmed too
+    await markEmailVerified(userId);
+    await authTokenService.revokeAllForUser(userId);
+
+    // Proving control of the mailbox lifts a lockout
+    const user = await findUserById(userId);
+    if (user) {
+      await loginLockoutService.unlock(user.email, { ...getClientMeta(req), reason: 'password_reset' });
+    }
+
+    res.json({ success: true, message: 'Password updated. You can now sign in with your new password.' });
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({ error: 'Password reset failed' });
+  }
+});
+
+// Two-factor authentication settings
+app.get("/api/auth/2fa", async (req, res) => {
+  try {
+    res.json(await twoFactorService.getStatus(req.user.id));
+  } catch (error) {
+    console.error('Error getting two-factor status:', error);
+    res.status(500).json({ error: 'Failed to get two-factor status' });
+  }
+});
+
+// Begin enrolment: a new secret and QR code for the authenticator app
+app.post("/api/auth/2fa/setup", async (req, res) => {
+  try {
+    const enrollment = await twoFactorService.startEnrollment(req.user);
+    if (!enrollment) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    res.json(enrollment);
+  } catch (error) {
+    console.error('Error starting two-factor setup:', error);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+});
+
+// Finish enrolment with a code from the app; returns the recovery codes once
+app.post("/api/auth/2fa/enable", async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactorService.confirmEnrollment(req.user.id, req.body?.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+    res.json({ success: true, recoveryCodes });
+  } catch (error) {
+    console.error('Error enabling two-factor:', error);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+// Turning two-factor off needs the password and a current code (or recovery code)
+app.post("/api/auth/2fa/disable", async (req, res) => {
+  try {
+    const { password, code } = req.body || {};
+
+    // Password and code guesses here count towards the same lockout as sign-ins, so a stolen
+    // access token can't be used to guess the password
+    const { block, attempt } = await loginLockoutService.reserveAttempt(req.user.email);
+    if (block) {
+      return sendLoginBlocked(res, block);
+    }
+
+    let error = null;
+    if (!await verifyUser(req.user.email, password)) {
+      error = 'Incorrect password';
+    } else if (await twoFactorService.isEnabled(req.user.id) && !await twoFactorService.verify(req.user.id, code)) {
+      error = 'Invalid authentication code';
+    }
+    if (error) {
+      const failure = await loginLockoutService.recordFailure(attempt, getClientMeta(req));
+      if (failure.code === LOGIN_BLOCK_CODES.locked) {
+        return sendLoginBlocked(res, failure);
       }
-    });
+      return res.status(400).json({ error });
+    }
+
+    await loginLockoutService.releaseAttempt(attempt);
+    await twoFactorService.disable(req.user.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error disabling two-factor:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+// Replace the recovery codes (needs a current code)
+app.post("/api/auth/2fa/recovery-codes", async (req, res) => {
+  try {
+    if (!await twoFactorService.verify(req.user.id, req.body?.code)) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+    res.json({ success: true, recoveryCodes: await twoFactorService.regenerateRecoveryCodes(req.user.id) });
   } catch (error) {
-    console.error('Error getting user:', error);
-    res.status(500).json({ authenticated: false, error: 'Failed to get user data' });
+    console.error('Error regenerating recovery codes:', error);
+    res.status(500).json({ error: 'Failed to regenerate recovery codes' });
   }
 });
 
@@ -630,61 +997,38 @@ app.get("/api/auth/me", deduplicateRequests, async (req, res) => {
 
 app.get("/api/auth/status", (req, res) => {
   res.json({ 
-    authenticated: req.session.authenticated || false,
-    user: req.session.user || null,
+    authenticated: !!req.user,
+    user: req.user ? { email: req.user.email, id: req.user.id } : null,
     connectedPlatforms: connectedPlatforms.length,
     lastUpdate: Date.now()
   });
 });
 
-app.get("/api/auth/status-token", async (req, res) => {
+app.get("/api/auth/status-token", (req, res) => {
+  // Only a valid, unexpired and unrevoked access token counts here, not the session
+  if (req.auth?.method !== 'token') {
+    return res.json({ authenticated: false });
+  }
+
+  res.json({
+    authenticated: true,
+    user: { email: req.user.email, emailVerified: !!req.user.email_verified_at, platform: req.user.connected_platforms || [] }
+  });
+});
+
+// Ends the server session and revokes the token login session (access and refresh tokens)
+async function handleLogout(req, res) {
   try {
-    const authHeader = req.headers.authorization;
-    const tokenParam = req.query.token;
-    
-    let token = null;
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      token = authHeader.substring(7);
-    } else if (tokenParam) {
-      token = tokenParam;
-    }
-    
-    if (!token) {
-      return res.json({ authenticated: false });
+    if (req.auth?.sessionId) {
+      await authTokenService.revokeSession(req.auth.sessionId);
     }
-    
-    // Decode the token (simple base64 for development)
-    try {
-      const decoded = Buffer.from(token, 'base64').toString('utf-8');
-      const [email, timestamp] = decoded.split(':');
-      
-      // Check if token is not expired (24 hours)
-      const tokenTime = parseInt(timestamp);
-      const currentTime = Date.now();
-      if (currentTime - tokenTime > 24 * 60 * 60 * 1000) {
-        return res.json({ authenticated: false });
-      }
-      
-      // Find user by email
-      const user = await findUserByEmail(email);
-      if (user) {
-        return res.json({ 
-          authenticated: true, 
-          user: { email: user.email, platform: user.connected_platforms || [] }
-        });
-      }
-    } catch (decodeError) {
-      console.error('Token decode error:', decodeError);
+    if (req.body?.refreshToken) {
+      await authTokenService.revokeRefreshToken(req.body.refreshToken);
     }
-    
-    res.json({ authenticated: false });
   } catch (error) {
-    console.error('Status token error:', error);
-    res.json({ authenticated: false });
+    console.error('Error revoking auth tokens on logout:', error);
   }
-});
 
-app.get("/api/auth/logout", (req, res) => {
   req.session.destroy((err) => {
     if (err) {
       console.error('Logout error:', err);
@@ -708,59 +1052,54 @@ app.get("/api/auth/logout", (req, res) => {
       res.json({ success: true });
     }
   });
+}
+
+app.get("/api/auth/logout", handleLogout);
+app.post("/api/auth/logout", handleLogout);
+
+// Active login sessions (devices), with the one making this request marked as current
+app.get("/api/auth/sessions", async (req, res) => {
+  try {
+    const sessions = await authTokenService.listSessions(req.user.id);
+    res.json({
+      sessions: sessions.map(session => ({ ...session, current: session.id === req.auth.sessionId }))
+    });
+  } catch (error) {
+    console.error('Error listing sessions:', error);
+    res.status(500).json({ error: 'Failed to load sessions' });
+  }
+});
+
+// Sign out every other device; the current session stays signed in
+app.post("/api/auth/sessions/revoke-others", async (req, res) => {
+  try {
+    const revoked = await authTokenService.revokeOtherSessions(req.user.id, req.auth.sessionId);
+    res.json({ success: true, revoked });
+  } catch (error) {
+    console.error('Error revoking other sessions:', error);
+    res.status(500).json({ error: 'Failed to sign out other sessions' });
+  }
+});
+
+// Sign out one device; revoking the current session is the same as logging out
+app.delete("/api/auth/sessions/:sessionId", async (req, res) => {
+  try {
+    const revoked = await authTokenService.revokeUserSession(req.user.id, req.params.sessionId);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ success: true, current: req.params.sessionId === req.auth.sessionId });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
 });
 
 // Delete account endpoint
 app.delete("/api/auth/delete-account", async (req, res) => {
   try {
-    // Check if user is authenticated via session or token
-    let userEmail = null;
-    let userId = null;
-    
-    // First try session-based authentication
-    if (req.session.authenticated && req.session.user) {
-      userEmail = req.session.user.email;
-      userId = req.session.user.id;
-    } else {
-      // Try token-based authentication
-      const authHeader = req.headers.authorization;
-      const tokenParam = req.query.token;
-      
-      let token = null;
-      if (authHeader && authHeader.startsWith('Bearer ')) {
-        token = authHeader.substring(7);
-      } else if (tokenParam) {
-        token = tokenParam;
-      }
-      
-      if (token) {
-        try {
-          const decoded = Buffer.from(token, 'base64').toString('utf-8');
-          const [email, timestamp] = decoded.split(':');
-          
-          // Check if token is not expired (24 hours)
-          const tokenTime = parseInt(timestamp);
-          const currentTime = Date.now();
-          if (currentTime - tokenTime <= 24 * 60 * 60 * 1000) {
-            userEmail = email;
-            // Find user ID from database
-            const user = await findUserByEmail(email);
-            if (user) {
-              userId = user.id;
-            }
-          }
-        } catch (decodeError) {
-          console.error('Token decode error:', decodeError);
-        }
-      }
-    }
-    
-    if (!userEmail || !userId) {
-      return res.status(401).json({ error: 'Authentication required' });
-    }
-    
-    // Delete user and all associated data
-    const success = await deleteUser(userId, userEmail);
+    // Delete user and all associated data
+    const success = await deleteUser(req.user.id);
     
     if (success) {
       // Destroy session
@@ -802,439 +1141,92 @@ function getFrontendUrl(path = '') {
   return `${baseUrl}${path}`;
 }
 
-// Google OAuth (YouTube)
-app.get("/api/auth/google", async (req, res) => {
-  // Check if user is authenticated via session or token
-  let userEmail = null;
-  let userId = null;
-  
-  // First try session-based authentication
-  if (req.session.authenticated && req.session.user) {
-    userEmail = req.session.user.email;
-    userId = req.session.user.id;
-  } else {
-    // Try token-based authentication
-    const authHeader = req.headers.authorization;
-    const tokenParam = req.query.token;
-    
-    let token = null;
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      token = authHeader.substring(7);
-    } else if (tokenParam) {
-      token = tokenParam;
+// Platform OAuth: /api/auth/<path> and its /callback for every registered adapter with auth
+// Services an adapter's onConnect can use to set up push updates for a newly connected account
+const platformConnectServices = { youtubeWebSubService, twitchEventSubService };
+
+for (const adapter of platformRegistry.list().filter(a => a.auth)) {
+  const { auth } = adapter;
+  const failureRedirect = getFrontendUrl(`/login?error=${auth.path}_oauth_failed`);
+
+  app.get(`/api/auth/${auth.path}`, async (req, res) => {
+    if (!req.user) {
+      return res.redirect(getFrontendUrl('/login?error=not_logged_in'));
     }
-    
-    if (token) {
-      try {
-        const decoded = Buffer.from(token, 'base64').toString('utf-8');
-        const [email, timestamp] = decoded.split(':');
-        
-        // Check if token is not expired (24 hours)
-        const tokenTime = parseInt(timestamp);
-        const currentTime = Date.now();
-        if (currentTime - tokenTime <= 24 * 60 * 60 * 1000) {
-          userEmail = email;
-          // Find user ID from database
-          const user = await findUserByEmail(email);
-          if (user) {
-            userId = user.id;
-          }
-        }
-      } catch (decodeError) {
-        console.error('Token decode error:', decodeError);
-      }
+    // Platforms can only be connected once the account's email address is confirmed
+    if (!req.user.email_verified_at) {
+      return res.redirect(getFrontendUrl('/dashboard?error=email_unverified'));
     }
-  }
-  
-  if (!userEmail || !userId) {
-    return res.redirect('http://localhost:3000/login?error=not_logged_in');
-  }
-  
-  // Store the user's info in a state parameter
-  const state = Buffer.from(JSON.stringify({
-    userId: userId,
-    email: userEmail,
-    timestamp: Date.now()
-  })).toString('base64');
-  
-  // Ensure the redirect URI is set on the client before generating URL
-  googleClient.redirectUri = process.env.GOOGLE_REDIRECT_URI;
-  
-  const url = googleClient.generateAuthUrl({
-    access_type: "offline",
-    scope: ["https://www.googleapis.com/auth/youtube.readonly", "email", "profile"],
-    prompt: "consent",
-    state: state,
-    redirect_uri: process.env.GOOGLE_REDIRECT_URI,
-    response_type: "code",
-    include_granted_scopes: true
-  });
-  
-  logger.info('Google OAuth URL generated:', {
-    redirect_uri: process.env.GOOGLE_REDIRECT_URI,
-    client_id: process.env.GOOGLE_CLIENT_ID ? 'set' : 'missing',
-    url_length: url.length,
-    full_url: url.substring(0, 200) + '...', // Log first 200 chars of URL for debugging
-    has_redirect_uri: url.includes('redirect_uri='),
-    client_redirect_uri: googleClient.redirectUri
+
+    // Signed and short-lived, so the callback can trust which account the platform is being connected to
+    const state = authTokenService.signOAuthState(req.user, req.auth.sessionId);
+
+    logger.info(`${adapter.displayName} OAuth request for user:`, req.user.email);
+    res.redirect(auth.getAuthorizationUrl(state));
   });
-  
-  res.redirect(url);
-});
 
-app.get("/api/auth/google/callback", async (req, res) => {
-  const { code, state } = req.query;
-  try {
-    const { tokens } = await googleClient.getToken(code);
-    googleClient.setCredentials(tokens);
-    // Get user email
-    const oauth2 = googleClient;
-    const userinfo = await oauth2.request({ url: 'https://www.googleapis.com/oauth2/v2/userinfo' });
-    const email = userinfo.data.email;
-    
-    // Get user info from state parameter instead of session
-    let userInfo;
+  app.get(`/api/auth/${auth.path}/callback`, async (req, res) => {
+    const { code, state, error } = req.query;
+
     try {
-      if (state) {
-        const decodedState = JSON.parse(Buffer.from(state, 'base64').toString('utf-8'));
-        userInfo = decodedState;
-        logger.debug('Google OAuth state decoded:', userInfo);
-      } else {
-        console.error('No state parameter in Google OAuth callback');
-        return res.redirect(getFrontendUrl('/login?error=google_oauth_failed'));
-      }
-    } catch (stateError) {
-      console.error('Error decoding Google OAuth state:', stateError);
-      return res.redirect(getFrontendUrl('/login?error=google_oauth_failed'));
-    }
-    
-    // Store token for the user from state parameter
-    await storeToken(userInfo.email, 'youtube', tokens);
-    
-    // Get user's YouTube channel info
-    const youtubeClient = google.youtube({ version: 'v3', auth: googleClient });
-    const channelsResponse = await youtubeClient.channels.list({
-      part: 'snippet,statistics',
-      mine: true
-    });
-    
-    const channelId = channelsResponse.data.items?.[0]?.id;
-    const channelTitle = channelsResponse.data.items?.[0]?.snippet?.title;
-    
-    // Add platform to user's connected platforms
-    const user = await findUserByEmail(userInfo.email);
-    if (user) {
-      const connectedPlatforms = user.connected_platforms || [];
-      if (!connectedPlatforms.find(p => p.name === 'youtube')) {
-        connectedPlatforms.push({ 
-          name: 'youtube', 
-          identifier: channelId || 'authenticated_user',
-          title: channelTitle || 'YouTube Channel'
-        });
-        await updateUserPlatforms(user.id, connectedPlatforms);
-        logger.info('Added YouTube platform to user:', user.email, 'Platforms:', connectedPlatforms);
+      if (error || !code) {
+        console.error(`${adapter.displayName} OAuth error:`, error || 'No authorization code received');
+        return res.redirect(failureRedirect);
       }
-    }
-    
-    // Update platform data immediately
-    await updatePlatformData(user.id);
-    await updateAnalyticsData(user.id);
-    
-    // Redirect to frontend dashboard
-    res.redirect(getFrontendUrl('/dashboard?platform=youtube&email=' + encodeURIComponent(userInfo.email)));
-  } catch (err) {
-    console.error('Google OAuth error:', err);
-    res.redirect(getFrontendUrl('/login?error=google_oauth_failed'));
-  }
-});
 
-// Twitch OAuth
-app.get("/api/auth/twitch", async (req, res, next) => {
-  // Check if user is authenticated via session or token
-  let userEmail = null;
-  let userId = null;
-  
-  // First try session-based authentication
-  if (req.session.authenticated && req.session.user) {
-    userEmail = req.session.user.email;
-    userId = req.session.user.id;
-  } else {
-    // Try token-based authentication
-    const authHeader = req.headers.authorization;
-    const tokenParam = req.query.token;
-    
-    let token = null;
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      token = authHeader.substring(7);
-    } else if (tokenParam) {
-      token = tokenParam;
-    }
-    
-    if (token) {
-      try {
-        const decoded = Buffer.from(token, 'base64').toString('utf-8');
-        const [email, timestamp] = decoded.split(':');
-        
-        // Check if token is not expired (24 hours)
-        const tokenTime = parseInt(timestamp);
-        const currentTime = Date.now();
-        if (currentTime - tokenTime <= 24 * 60 * 60 * 1000) {
-          userEmail = email;
-          // Find user ID from database
-          const user = await findUserByEmail(email);
-          if (user) {
-            userId = user.id;
-          }
-        }
-      } catch (decodeError) {
-        console.error('Token decode error:', decodeError);
+      const claims = authTokenService.verifyOAuthState(state);
+      if (!claims || !await authTokenService.isSessionActive(claims.sid)) {
+        console.error(`Invalid or expired ${adapter.displayName} OAuth state`);
+        return res.redirect(getFrontendUrl('/login?error=state_invalid'));
+      }
+      // A browser signed in as someone else can't finish another account's connection
+      if (req.user && String(req.user.id) !== claims.sub) {
+        console.error(`${adapter.displayName} OAuth state belongs to a different user than the session`);
+        return res.redirect(getFrontendUrl('/login?error=state_invalid'));
       }
-    }
-  }
-  
-  if (!userEmail || !userId) {
-    return res.redirect(getFrontendUrl('/login?error=not_logged_in'));
-  }
-  
-  // Store the user's info in a state parameter
-  const state = Buffer.from(JSON.stringify({
-    userId: userId,
-    email: userEmail,
-    timestamp: Date.now()
-  })).toString('base64');
-  
-  console.log('Twitch OAuth request - callback URL:', process.env.TWITCH_REDIRECT_URI);
-  
-  // Manually construct Twitch OAuth URL to ensure redirect_uri is included
-  // Ensure we use HTTPS for production
-  const redirectUri = process.env.TWITCH_REDIRECT_URI.replace('http://', 'https://');
-  const twitchAuthUrl = `https://id.twitch.tv/oauth2/authorize?response_type=code&client_id=${process.env.TWITCH_CLIENT_ID}&redirect_uri=${encodeURIComponent(redirectUri)}&scope=${encodeURIComponent('user:read:email analytics:read:games channel:read:subscriptions')}&state=${encodeURIComponent(state)}`;
-  
-  console.log('Generated Twitch OAuth URL:', twitchAuthUrl);
-  res.redirect(twitchAuthUrl);
-});
 
-app.get("/api/auth/twitch/callback", async (req, res) => {
-  const { code, state, error } = req.query;
-  
-  try {
-    logger.debug('Twitch callback - code:', !!code, 'state:', !!state, 'error:', error);
-    
-    if (error) {
-      console.error('Twitch OAuth error:', error);
-      return res.redirect(getFrontendUrl('/login?error=twitch_oauth_failed'));
-    }
-    
-    if (!code) {
-      console.error('No authorization code received from Twitch');
-      return res.redirect(getFrontendUrl('/login?error=twitch_oauth_failed'));
-    }
-    
-    // Exchange authorization code for access token
-    const tokenResponse = await fetch('https://id.twitch.tv/oauth2/token', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-      body: new URLSearchParams({
-        client_id: process.env.TWITCH_CLIENT_ID,
-        client_secret: process.env.TWITCH_CLIENT_SECRET,
-        code: code,
-        grant_type: 'authorization_code',
-        redirect_uri: process.env.TWITCH_REDIRECT_URI.replace('http://', 'https://')
-      })
-    });
-    
-    const tokenData = await tokenResponse.json();
-    
-    if (!tokenResponse.ok) {
-      console.error('Failed to exchange code for token:', tokenData);
-      return res.redirect(getFrontendUrl('/login?error=twitch_oauth_failed'));
-    }
-    
-    logger.debug('Twitch tokens received:', { access_token: !!tokenData.access_token, refresh_token: !!tokenData.refresh_token });
-    
-    // Get user info from state parameter
-    let userInfo;
-    try {
-      if (state) {
-        userInfo = JSON.parse(Buffer.from(state, 'base64').toString());
-        logger.info('Retrieved user info from state:', userInfo.email);
-      } else {
-        throw new Error('No state parameter');
+      const user = await findUserById(claims.sub);
+      if (!user) {
+        console.error(`${adapter.displayName} OAuth callback for unknown user:`, claims.sub);
+        return res.redirect(failureRedirect);
       }
-    } catch (error) {
-      console.error('Failed to parse state parameter:', error.message);
-      return res.redirect(getFrontendUrl('/login?error=state_invalid'));
-    }
-    
-    // Check if state is not too old (5 minutes max)
-    if (Date.now() - userInfo.timestamp > 5 * 60 * 1000) {
-      console.error('State parameter is too old');
-      return res.redirect(getFrontendUrl('/login?error=state_expired'));
-    }
-    
-    logger.debug('Storing Twitch token for user from state:', userInfo.email);
-    
-    await storeToken(userInfo.email, 'twitch', { 
-      access_token: tokenData.access_token, 
-      refresh_token: tokenData.refresh_token 
-    });
-    
-    // Get user's Twitch info using the access token
-    const userResponse = await fetch('https://api.twitch.tv/helix/users', {
-      headers: {
-        'Authorization': `Bearer ${tokenData.access_token}`,
-        'Client-Id': process.env.TWITCH_CLIENT_ID
+      if (!user.email_verified_at) {
+        return res.redirect(getFrontendUrl('/dashboard?error=email_unverified'));
       }
-    });
-    
-    const userData = await userResponse.json();
-    const twitchUser = userData.data?.[0]?.login || 'authenticated_user';
-    const twitchDisplayName = userData.data?.[0]?.display_name || 'Twitch Channel';
-    
-    // Add platform to user's connected platforms
-    const user = await findUserByEmail(userInfo.email);
-    if (user) {
+
+      // Exchange the authorization code and store the token for the user the state was issued to
+      const token = await auth.exchangeCode(code);
+      await storeToken(user.id, adapter.id, token);
+
+      const account = await auth.getAccount(token);
+
+      // Add platform to user's connected platforms
       const connectedPlatforms = user.connected_platforms || [];
-      if (!connectedPlatforms.find(p => p.name === 'twitch')) {
-        connectedPlatforms.push({ 
-          name: 'twitch', 
-          identifier: twitchUser || 'authenticated_user',
-          title: twitchDisplayName || 'Twitch Channel'
-        });
+      if (!connectedPlatforms.find(p => p.name === adapter.id)) {
+        connectedPlatforms.push({ name: adapter.id, identifier: account.identifier, title: account.title });
         await updateUserPlatforms(user.id, connectedPlatforms);
-        logger.info('Added Twitch platform to user:', user.email, 'Platforms:', connectedPlatforms);
-      }
-    }
-    
-    logger.debug('User connected platforms after Twitch:', user && user.connected_platforms);
-    
-    // Update platform data immediately
-    await updatePlatformData(user.id);
-    await updateAnalyticsData(user.id);
-    
-    logger.info('Redirecting to dashboard with Twitch data');
-    // Redirect to frontend dashboard
-    res.redirect(getFrontendUrl('/dashboard?platform=twitch&email=' + encodeURIComponent(userInfo.email)));
-  } catch (err) {
-    console.error('Twitch OAuth error:', err);
-    console.error('Error stack:', err.stack);
-    res.redirect(getFrontendUrl('/login?error=twitch_oauth_failed'));
-  }
-});
-
-// TikTok OAuth
-app.get("/api/auth/tiktok", async (req, res) => {
-  // Check if user is authenticated via session or token
-  let userEmail = null;
-  let userId = null;
-  
-  // First try session-based authentication
-  if (req.session.authenticated && req.session.user) {
-    userEmail = req.session.user.email;
-    userId = req.session.user.id;
-  } else {
-    // Try token-based authentication
-    const authHeader = req.headers.authorization;
-    const tokenParam = req.query.token;
-    
-    let token = null;
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      token = authHeader.substring(7);
-    } else if (tokenParam) {
-      token = tokenParam;
-    }
-    
-    if (token) {
-      try {
-        const decoded = Buffer.from(token, 'base64').toString('utf-8');
-        const [email, timestamp] = decoded.split(':');
-        
-        // Check if token is not expired (24 hours)
-        const tokenTime = parseInt(timestamp);
-        const currentTime = Date.now();
-        if (currentTime - tokenTime <= 24 * 60 * 60 * 1000) {
-          userEmail = email;
-          // Find user ID from database
-          const user = await findUserByEmail(email);
-          if (user) {
-            userId = user.id;
-          }
-        }
-      } catch (decodeError) {
-        console.error('Token decode error:', decodeError);
+        logger.info(`Added ${adapter.displayName} platform to user:`, user.email, 'Platforms:', connectedPlatforms);
       }
-    }
-  }
-  
-  if (!userEmail || !userId) {
-    return res.redirect('http://localhost:3000/login?error=not_logged_in');
-  }
-  
-  // Store the user's info in a state parameter
-  const state = Buffer.from(JSON.stringify({
-    userId: userId,
-    email: userEmail,
-    timestamp: Date.now()
-  })).toString('base64');
-  
-  const url = `https://www.tiktok.com/v2/auth/authorize/?client_key=${process.env.TIKTOK_CLIENT_KEY}&response_type=code&scope=user.info.basic,video.list,video.stats&redirect_uri=${encodeURIComponent(process.env.TIKTOK_REDIRECT_URI)}&state=${encodeURIComponent(state)}`;
-  res.redirect(url);
-});
 
-app.get("/api/auth/tiktok/callback", async (req, res) => {
-  const { code, state } = req.query;
-  try {
-    const tokenData = await getTikTokToken(code);
-    
-    // Get user info from state parameter
-    let userInfo;
-    try {
-      if (state) {
-        userInfo = JSON.parse(Buffer.from(state, 'base64').toString('utf-8'));
-        logger.debug('TikTok OAuth state decoded:', userInfo);
-      } else {
-        console.error('No state parameter in TikTok OAuth callback');
-        return res.redirect(getFrontendUrl('/login?error=tiktok_oauth_failed'));
-      }
-    } catch (stateError) {
-      console.error('Error decoding TikTok OAuth state:', stateError);
-      return res.redirect(getFrontendUrl('/login?error=tiktok_oauth_failed'));
-    }
-    
-    // Store token for the user from state parameter
-    await storeToken(userInfo.email, 'tiktok', tokenData);
-    
-    // Get user's TikTok info (if available in token data)
-    const tiktokUser = tokenData.open_id || 'authenticated_user';
-    
-    // Add platform to user's connected platforms
-    const user = await findUserByEmail(userInfo.email);
-    if (user) {
-      const connectedPlatforms = user.connected_platforms || [];
-      if (!connectedPlatforms.find(p => p.name === 'tiktok')) {
-        connectedPlatforms.push({ 
-          name: 'tiktok', 
-          identifier: tiktokUser,
-          title: 'TikTok Account'
+      // In the background so the redirect isn't delayed
+      if (adapter.onConnect && account.identifier !== 'authenticated_user') {
+        adapter.onConnect(account, platformConnectServices).catch(error => {
+          console.error(`Failed to set up ${adapter.displayName} updates for ${account.identifier}:`, error.message);
         });
-        await updateUserPlatforms(user.id, connectedPlatforms);
-        logger.info('Added TikTok platform to user:', user.email, 'Platforms:', connectedPlatforms);
       }
+
+      // Update platform data immediately
+      await updatePlatformData(user.id);
+      await updateAnalyticsData(user.id);
+
+      // Redirect to frontend dashboard
+      res.redirect(getFrontendUrl(`/dashboard?platform=${adapter.id}&email=` + encodeURIComponent(user.email)));
+    } catch (err) {
+      console.error(`${adapter.displayName} OAuth error:`, err);
+      res.redirect(failureRedirect);
     }
-    
-    // Update platform data immediately
-    await updatePlatformData(user.id);
-    await updateAnalyticsData(user.id);
-    
-    // Redirect to frontend dashboard
-    res.redirect(getFrontendUrl('/dashboard?platform=tiktok&email=' + encodeURIComponent(userInfo.email)));
-  } catch (err) {
-    console.error('TikTok OAuth error:', err);
-    res.redirect(getFrontendUrl('/login?error=tiktok_oauth_failed'));
-  }
-});
+  });
+}
 
 // Platform Management
 app.get("/api/platforms", deduplicateRequests, async (req, res) => {
@@ -1244,71 +1236,20 @@ app.get("/api/platforms", deduplicateRequests, async (req, res) => {
     // If user is authenticated, fetch their tokens
     let userTokens = {};
     
-          // First try session-based authentication
-      if (req.session && req.session.user && req.session.user.email) {
-        logger.debug('Session user:', req.session.user);
-        user = await findUserByEmail(req.session.user.email);
-        logger.debug('Found user:', user ? user.email : 'not found');
-        if (user) {
-          userConnectedPlatforms = user.connected_platforms || [];
-          logger.debug('User connected platforms:', userConnectedPlatforms);
-        }
-        
-        const [youtubeToken, twitchToken, tiktokToken] = await Promise.all([
-          getToken(req.session.user.email, 'youtube').catch(() => null),
-          getToken(req.session.user.email, 'twitch').catch(() => null),
-          getToken(req.session.user.email, 'tiktok').catch(() => null)
-        ]);
-        
-        if (youtubeToken) userTokens.youtube = youtubeToken;
-        if (twitchToken) userTokens.twitch = twitchToken;
-        if (tiktokToken) userTokens.tiktok = tiktokToken;
-        
-        logger.debug('User tokens found:', Object.keys(userTokens));
-    } else {
-      // Try token-based authentication
-      const authHeader = req.headers.authorization;
-      const tokenParam = req.query.token;
-      
-      let token = null;
-      if (authHeader && authHeader.startsWith('Bearer ')) {
-        token = authHeader.substring(7);
-      } else if (tokenParam) {
-        token = tokenParam;
-      }
-      
-      if (token) {
-        try {
-          const decoded = Buffer.from(token, 'base64').toString('utf-8');
-          const [email, timestamp] = decoded.split(':');
-          
-          // Check if token is not expired (24 hours)
-          const tokenTime = parseInt(timestamp);
-          const currentTime = Date.now();
-          if (currentTime - tokenTime <= 24 * 60 * 60 * 1000) {
-            user = await findUserByEmail(email);
-            logger.debug('Token user:', user ? user.email : 'not found');
-            if (user) {
-              userConnectedPlatforms = user.connected_platforms || [];
-              logger.debug('User connected platforms:', userConnectedPlatforms);
-              
-              const [youtubeToken, twitchToken, tiktokToken] = await Promise.all([
-                getToken(email, 'youtube').catch(() => null),
-                getToken(email, 'twitch').catch(() => null),
-                getToken(email, 'tiktok').catch(() => null)
-              ]);
-              
-              if (youtubeToken) userTokens.youtube = youtubeToken;
-              if (twitchToken) userTokens.twitch = twitchToken;
-              if (tiktokToken) userTokens.tiktok = tiktokToken;
-              
-              logger.debug('User tokens found:', Object.keys(userTokens));
-            }
-          }
-        } catch (decodeError) {
-          console.error('Token decode error:', decodeError);
-        }
-      }
+    // Set by the authenticate middleware
+    user = req.user;
+    if (user) {
+      userConnectedPlatforms = user.connected_platforms || [];
+      logger.debug('User connected platforms:', userConnectedPlatforms);
+
+      const platformIds = platformRegistry.ids();
+      const tokens = await Promise.all(platformIds.map(id => getToken(user.id, id).catch(() => null)));
+
+      platformIds.forEach((id, index) => {
+        if (tokens[index]) userTokens[id] = tokens[index];
+      });
+
+      logger.debug('User tokens found:', Object.keys(userTokens));
     }
 
     // Get user-specific cache data
@@ -1355,31 +1296,18 @@ app.get("/api/platforms", deduplicateRequests, async (req, res) => {
         // Get stats for platforms with user tokens - handle API quota errors gracefully
         const authenticatedStats = await Promise.allSettled(
           platformsWithTokens.map(async (platform) => {
-            const platformName = platform.name.toLowerCase();
-            try {
-              if (platformName === 'youtube') {
-                return await platformManager.services.youtube.getChannelStats(platform.identifier, platform.token.access_token, user.id);
-              } else if (platformName === 'twitch') {
-                return await platformManager.services.twitch.getChannelStats(platform.identifier, platform.token.accessToken, user.id);
-              } else if (platformName === 'tiktok') {
-                return await platformManager.services.tiktok.getCreatorStats(platform.identifier, user.id);
+            const adapter = platformRegistry.get(platform.name);
+            // Failures come back as the last good stats (or a placeholder) with a status explaining them
+            return platformManager.fetchWithStatus(platform.name, platform.identifier, user.id, async () => {
+              if (!adapter) {
+                throw new Error(`Unsupported platform: ${platform.name}`);
               }
-            } catch (error) {
-              console.error(`Error fetching ${platformName} data:`, error.message);
-              // Return empty data for this platform if API fails
-              return {
-                name: platform.name,
-                subscribers: 0,
-                followers: 0,
-                views: 0,
-                viewers: 0,
-                revenue: 0,
-                growth: 0,
-                channelId: platform.identifier,
-                channelName: platform.title || platform.name,
-                error: error.message
-              };
-            }
+              return await adapter.fetchStats(platformManager.services[adapter.id], {
+                identifier: platform.identifier,
+                accessToken: platform.token.access_token,
+                userId: user.id
+              });
+            });
           })
         );
         
@@ -1402,7 +1330,8 @@ app.get("/api/platforms", deduplicateRequests, async (req, res) => {
               growth: 0,
               channelId: platform.identifier,
               channelName: platform.title || platform.name,
-              error: result.reason?.message || 'API request failed'
+              error: result.reason?.message || 'API request failed',
+              status: platformStatus(PLATFORM_STATUS.apiError, { error: { message: result.reason?.message || 'API request failed' } })
             };
           });
         
@@ -1426,7 +1355,8 @@ app.get("/api/platforms", deduplicateRequests, async (req, res) => {
           views: 0,
           viewers: 0,
           revenue: 0,
-          growth: 0
+          growth: 0,
+          status: platformStatus(PLATFORM_STATUS.tokenExpired, { error: { message: 'No access token stored for this platform' } })
         }));
         userPlatformCache.set(userCacheKey, emptyData);
         userLastUpdate.set(userCacheKey, Date.now());
@@ -1445,13 +1375,26 @@ app.get("/api/platforms", deduplicateRequests, async (req, res) => {
       data = defaultMockData;
     }
     
-    // Inject manual revenue overrides
-    data = data.map(platform => {
-      if (manualRevenueOverrides[platform.name]) {
-        return { ...platform, revenue: manualRevenueOverrides[platform.name] };
-      }
-      return platform;
-    });
+    // Inject this user's manual revenue
+    data = revenueService.applyOverrides(data, await revenueService.getRevenueOverrides(userId));
+
+    // Flag connections whose tokens could not be refreshed so the dashboard can ask the user to reconnect
+    if (user) {
+      const reconnectStates = await tokenManager.getReconnectStates(user.id);
+      data = data.map(platform => {
+        const state = reconnectStates[platform.name?.toLowerCase()];
+        if (!state) return platform;
+        return {
+          ...platform,
+          needsReconnect: true,
+          reconnectReason: state.error,
+          status: platformStatus(PLATFORM_STATUS.tokenExpired, {
+            lastSuccessAt: platform.status?.lastSuccessAt,
+            error: { message: state.error || 'Token could not be refreshed' }
+          })
+        };
+      });
+    }
     
     logger.debug('Returning platform data for user:', userCacheKey, data);
     res.json(data);
@@ -1467,7 +1410,8 @@ app.get("/api/platforms", deduplicateRequests, async (req, res) => {
           views: 0,
           viewers: 0,
           revenue: 0,
-          growth: 0
+          growth: 0,
+          status: platformStatus(PLATFORM_STATUS.apiError, { error })
         }));
         logger.debug('Returning empty data due to error:', emptyData);
         res.json(emptyData);
@@ -1478,7 +1422,8 @@ app.get("/api/platforms", deduplicateRequests, async (req, res) => {
   }
 });
 
-app.post("/api/platforms", async (req, res) => {
+// Connecting platforms needs a confirmed email address, like the OAuth flow
+app.post("/api/platforms", requireVerifiedEmail, async (req, res) => {
   try {
     const { name, identifier } = req.body;
     
@@ -1537,8 +1482,9 @@ app.delete("/api/platforms/:name", async (req, res) => {
 // New endpoint: Set manual revenue for a platform
 app.post("/api/platforms/:name/revenue", async (req, res) => {
   try {
-    const { name } = req.params;
-    const { revenue } = req.body;
+    const { user } = req;
+
+    const { revenue, currency = BASE_CURRENCY } = req.body;
     if (typeof revenue !== "number" || revenue < 0) {
       return res.status(400).json({ error: "Revenue must be a non-negative number" });
     }
@@ -1547,73 +1493,128 @@ app.post("/api/platforms/:name/revenue", async (req, res) => {
     if (revenue > 1000000000) { // 1 billion limit
       return res.status(400).json({ error: "Revenue cannot exceed 1,000,000,000" });
     }
-    manualRevenueOverrides[name] = revenue;
-    saveManualRevenueOverrides();
-    
-    // Clear all caches to ensure manual revenue changes are reflected immediately
-    userPlatformCache.clear();
-    userLastUpdate.clear();
-    platformManager.clearCache();
-    
-    // Update cache immediately for all users
-    for (const [userKey, userData] of userPlatformCache.entries()) {
-      const updatedData = userData.map(platform =>
-        platform.name === name ? { ...platform, revenue } : platform
-      );
-      userPlatformCache.set(userKey, updatedData);
+
+    // Recorded as this month's manual entry in the user's ledger
+    const platform = req.params.name.toLowerCase();
+    const entry = { platform, period: revenueService.getPeriod(), amount: revenue, currency };
+    const validationError = revenueService.validateEntry(entry) || await validateCurrency(currency);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
-    
-    await updateAnalyticsData();
-    res.json({ success: true, revenue });
+    await revenueService.upsertEntry(user.id, entry);
+
+    invalidateUserRevenue(user.id);
+    res.json({ success: true, revenue, currency });
   } catch (error) {
     console.error("Error setting manual revenue:", error);
     res.status(500).json({ error: "Failed to set manual revenue" });
   }
 });
 
+// Manual revenue ledger for the current user
+app.get("/api/revenue", async (req, res) => {
+  try {
+    const { user } = req;
+
+    const { platform, from, to } = req.query;
+    res.json(await revenueService.listEntries(user.id, { platform: platform?.toLowerCase(), from, to }));
+  } catch (error) {
+    console.error('Error listing revenue entries:', error);
+    res.status(500).json({ error: 'Failed to list revenue entries' });
+  }
+});
+
+app.post("/api/revenue", async (req, res) => {
+  try {
+    const { user } = req;
+
+    const entry = {
+      platform: req.body.platform?.toLowerCase(),
+      period: req.body.period,
+      source: req.body.source ?? 'manual',
+      amount: req.body.amount,
+      currency: req.body.currency ?? 'USD',
+      notes: req.body.notes ?? null
+    };
+    const validationError = revenueService.validateEntry(entry) || await validateCurrency(entry.currency);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const saved = await revenueService.upsertEntry(user.id, entry);
+    invalidateUserRevenue(user.id);
+    res.status(201).json(saved);
+  } catch (error) {
+    console.error('Error creating revenue entry:', error);
+    res.status(500).json({ error: 'Failed to create revenue entry' });
+  }
+});
+
+app.put("/api/revenue/:id", async (req, res) => {
+  try {
+    const { user } = req;
+
+    const id = parseInt(req.params.id);
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({ error: 'Invalid revenue entry id' });
+    }
+
+    const changes = {
+      platform: req.body.platform?.toLowerCase(),
+      period: req.body.period,
+      source: req.body.source,
+      amount: req.body.amount,
+      currency: req.body.currency,
+      notes: req.body.notes
+    };
+    const validationError = revenueService.validateEntry(changes, true) || await validateCurrency(changes.currency);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const updated = await revenueService.updateEntry(user.id, id, changes);
+    if (!updated) {
+      return res.status(404).json({ error: 'Revenue entry not found' });
+    }
+
+    invalidateUserRevenue(user.id);
+    res.json(updated);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'An entry already exists for that platform, period and source' });
+    }
+    console.error('Error updating revenue entry:', error);
+    res.status(500).json({ error: 'Failed to update revenue entry' });
+  }
+});
+
+app.delete("/api/revenue/:id", async (req, res) => {
+  try {
+    const { user } = req;
+
+    const id = parseInt(req.params.id);
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({ error: 'Invalid revenue entry id' });
+    }
+
+    if (!(await revenueService.deleteEntry(user.id, id))) {
+      return res.status(404).json({ error: 'Revenue entry not found' });
+    }
+
+    invalidateUserRevenue(user.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting revenue entry:', error);
+    res.status(500).json({ error: 'Failed to delete revenue entry' });
+  }
+});
+
 // Analytics
 app.get("/api/analytics", async (req, res) => {
   try {
-    // Get user authentication (session or token-based)
-    let user = null;
-    let userConnectedPlatforms = [];
-    
-    // Try session-based authentication first
-    if (req.session && req.session.user && req.session.user.email) {
-      user = await findUserByEmail(req.session.user.email);
-      if (user) {
-        userConnectedPlatforms = user.connected_platforms || [];
-      }
-    } else {
-      // Try token-based authentication
-      const authHeader = req.headers.authorization;
-      const tokenParam = req.query.token;
-      
-      let token = null;
-      if (authHeader && authHeader.startsWith('Bearer ')) {
-        token = authHeader.substring(7);
-      } else if (tokenParam) {
-        token = tokenParam;
-      }
-      
-      if (token) {
-        try {
-          const decoded = Buffer.from(token, 'base64').toString('utf-8');
-          const [email, timestamp] = decoded.split(':');
-          
-          const tokenTime = parseInt(timestamp);
-          const currentTime = Date.now();
-          if (currentTime - tokenTime <= 24 * 60 * 60 * 1000) {
-            user = await findUserByEmail(email);
-            if (user) {
-              userConnectedPlatforms = user.connected_platforms || [];
-            }
-          }
-        } catch (decodeError) {
-          console.error('Token decode error:', decodeError);
-        }
-      }
-    }
+    // Set by the authenticate middleware
+    const { user } = req;
+    const userConnectedPlatforms = user?.connected_platforms || [];
     
     // Get user-specific cache data
     const userId = user ? user.id : null;
@@ -1642,13 +1643,10 @@ app.get("/api/analytics", async (req, res) => {
       }
     }
     
-    // Apply manual revenue overrides to platform data before calculating analytics
-    const platformDataWithOverrides = platformData.map(platform => {
-      if (manualRevenueOverrides[platform.name]) {
-        return { ...platform, revenue: manualRevenueOverrides[platform.name] };
-      }
-      return platform;
-    });
+    // Apply this user's manual revenue to platform data before calculating analytics
+    const platformDataWithOverrides = revenueService.applyOverrides(
+      platformData, await revenueService.getRevenueOverrides(userId)
+    );
     
     // Calculate analytics based on the platform data with manual overrides
     const analytics = await platformManager.calculateAnalytics(platformDataWithOverrides, userId);
@@ -1661,7 +1659,7 @@ app.get("/api/analytics", async (req, res) => {
 });
 
 // Analytics cache version - increment this when trend calculation logic changes
-const ANALYTICS_CACHE_VERSION = 'v2'; // Changed from v1 due to trend calculation fix
+const ANALYTICS_CACHE_VERSION = 'v4'; // Changed from v3: analytics are in the user's reporting currency
 
 // Clear analytics cache to fix trend calculation issues
 app.post("/api/cache/clear-analytics", async (req, res) => {
@@ -1683,49 +1681,12 @@ app.post("/api/analytics", async (req, res) => {
       return res.status(400).json({ error: 'Platforms data is required and must be an array' });
     }
     
-    // Get user authentication (session or token-based)
-    let user = null;
-    
-    // Try session-based authentication first
-    if (req.session && req.session.user && req.session.user.email) {
-      user = await findUserByEmail(req.session.user.email);
-    } else {
-      // Try token-based authentication
-      const authHeader = req.headers.authorization;
-      const tokenParam = req.query.token;
-      
-      let token = null;
-      if (authHeader && authHeader.startsWith('Bearer ')) {
-        token = authHeader.substring(7);
-      } else if (tokenParam) {
-        token = tokenParam;
-      }
-      
-      if (token) {
-        try {
-          const decoded = Buffer.from(token, 'base64').toString('utf-8');
-          const [email, timestamp] = decoded.split(':');
-          
-          const tokenTime = parseInt(timestamp);
-          const currentTime = Date.now();
-          if (currentTime - tokenTime <= 24 * 60 * 60 * 1000) {
-            user = await findUserByEmail(email);
-          }
-        } catch (decodeError) {
-          console.error('Token decode error:', decodeError);
-        }
-      }
-    }
-    
-    const userId = user ? user.id : null;
+    const userId = req.user ? req.user.id : null;
     
-    // Apply manual revenue overrides to platform data before calculating analytics
-    const platformsWithOverrides = platforms.map(platform => {
-      if (manualRevenueOverrides[platform.name]) {
-        return { ...platform, revenue: manualRevenueOverrides[platform.name] };
-      }
-      return platform;
-    });
+    // Apply this user's manual revenue to platform data before calculating analytics
+    const platformsWithOverrides = revenueService.applyOverrides(
+      platforms, await revenueService.getRevenueOverrides(userId)
+    );
     
     // Calculate analytics based on the provided platform data with manual overrides
     const analytics = await platformManager.calculateAnalytics(platformsWithOverrides, userId);
@@ -1740,46 +1701,8 @@ app.post("/api/analytics", async (req, res) => {
 // Manual data refresh
 app.post("/api/refresh", async (req, res) => {
   try {
-    // Get user authentication (session or token-based)
-    let user = null;
-    
-    // Try session-based authentication first
-    if (req.session && req.session.user && req.session.user.email) {
-      user = await findUserByEmail(req.session.user.email);
-    } else {
-      // Try token-based authentication
-      const authHeader = req.headers.authorization;
-      const tokenParam = req.query.token;
-      
-      let token = null;
-      if (authHeader && authHeader.startsWith('Bearer ')) {
-        token = authHeader.substring(7);
-      } else if (tokenParam) {
-        token = tokenParam;
-      }
-      
-      if (token) {
-        try {
-          const decoded = Buffer.from(token, 'base64').toString('utf-8');
-          const [email, timestamp] = decoded.split(':');
-          
-          const tokenTime = parseInt(timestamp);
-          const currentTime = Date.now();
-          if (currentTime - tokenTime <= 24 * 60 * 60 * 1000) {
-            user = await findUserByEmail(email);
-          }
-        } catch (decodeError) {
-          console.error('Token decode error:', decodeError);
-        }
-      }
-    }
-    
-    if (!user) {
-      return res.status(401).json({ error: 'Authentication required' });
-    }
-    
     // Simple and safe: clear only this user's cache
-    const userCacheKey = user.id;
+    const userCacheKey = req.user.id;
     userPlatformCache.delete(userCacheKey);
     userAnalyticsCache.delete(userCacheKey);
     userLastUpdate.delete(userCacheKey);
@@ -1812,7 +1735,405 @@ app.get("/api/platforms/:name/stats", async (req, res) => {
   }
 });
 
+// Metric time series from platform_history, e.g. /api/history/youtube/subscribers,views?interval=week
+app.get("/api/history/:platform/:metric", async (req, res) => {
+  try {
+    const { user } = req;
+
+    // platform_history stores each platform under its display name, and account-wide totals under 'all'
+    const platformKey = req.params.platform.toLowerCase();
+    const platformName = platformKey === 'all' ? 'all' : platformRegistry.get(platformKey)?.displayName;
+    if (!platformName) {
+      return res.status(400).json({ error: `Unsupported platform: ${req.params.platform}` });
+    }
+
+    const metrics = [...new Set(req.params.metric.split(',').map(metric => metric.trim()).filter(Boolean))];
+    if (metrics.length === 0 || metrics.length > 10 || metrics.some(metric => !/^[a-z_]+$/.test(metric))) {
+      return res.status(400).json({ error: 'Provide up to 10 comma-separated metric names' });
+    }
 
+    const interval = req.query.interval || 'day';
+    if (!SERIES_INTERVALS.includes(interval)) {
+      return res.status(400).json({ error: `Interval must be one of: ${SERIES_INTERVALS.join(', ')}` });
+    }
+
+    const aggregate = req.query.aggregate || 'last';
+    if (!['last', 'avg', 'min', 'max'].includes(aggregate)) {
+      return res.status(400).json({ error: 'Aggregate must be one of: last, avg, min, max' });
+    }
+
+    // Default to the last 30 days
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+      return res.status(400).json({ error: 'from and to must be valid dates with from before to' });
+    }
+
+    // Keep responses bounded (roughly 1000 buckets)
+    const bucketDays = { day: 1, week: 7, month: 28 }[interval];
+    if ((to - from) / (bucketDays * 24 * 60 * 60 * 1000) > 1000) {
+      return res.status(400).json({ error: 'Date range is too large for this interval' });
+    }
+
+    const series = await platformManager.historyService.getMetricSeries(user.id, platformName, metrics, {
+      from,
+      to,
+      interval,
+      aggregate
+    });
+
+    res.json({
+      platform: req.params.platform.toLowerCase(),
+      interval,
+      aggregate,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      series
+    });
+  } catch (error) {
+    console.error('Error fetching metric history:', error);
+    res.status(500).json({ error: 'Failed to fetch metric history' });
+  }
+});
+
+// Analytics CSV exports (YouTube Studio, Twitch, TikTok) are uploaded as the raw request body
+const csvUpload = express.text({ type: ['text/csv', 'text/plain', 'application/vnd.ms-excel'], limit: '5mb' });
+
+// Parse the upload into the rows that would be imported; `platform` is detected from the header unless given
+function previewHistoryImport(req, res) {
+  if (typeof req.body !== 'string' || req.body.trim() === '') {
+    res.status(400).json({ error: 'Upload a CSV file as text/csv' });
+    return null;
+  }
+
+  const platform = req.query.platform ? req.query.platform.toLowerCase() : null;
+  try {
+    return csvImportService.buildPreview(req.body, platform);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+    return null;
+  }
+}
+
+// Imported rows are stored against the connected account so they line up with live snapshots
+function getImportIdentifier(user, platform) {
+  const connected = (user.connected_platforms || []).find(p => p.name === platform);
+  return connected ? connected.identifier : 'import';
+}
+
+app.post("/api/history/import/preview", csvUpload, async (req, res) => {
+  try {
+    const { user } = req;
+
+    const preview = previewHistoryImport(req, res);
+    if (!preview) return;
+
+    res.json({ ...preview, identifier: getImportIdentifier(user, preview.platform) });
+  } catch (error) {
+    console.error('Error previewing history import:', error);
+    res.status(500).json({ error: 'Failed to preview import' });
+  }
+});
+
+app.post("/api/history/import", csvUpload, async (req, res) => {
+  try {
+    const { user } = req;
+
+    const preview = previewHistoryImport(req, res);
+    if (!preview) return;
+    if (preview.errors.length > 0) {
+      return res.status(400).json({ error: `The file has ${preview.errors.length} invalid value(s)`, errors: preview.errors });
+    }
+
+    const result = await csvImportService.importRows(
+      user.id, preview.platform, getImportIdentifier(user, preview.platform), preview.rows
+    );
+
+    // Growth rates and trends read history, so drop this user's cached analytics
+    userAnalyticsCache.delete(user.id);
+    platformManager.invalidateAnalytics(user.id);
+
+    res.json({ success: true, platform: preview.platform, ...result });
+  } catch (error) {
+    console.error('Error importing history:', error);
+    res.status(500).json({ error: 'Failed to import history' });
+  }
+});
+
+// Download everything for the current user: platforms, history, manual revenue and analytics
+app.get("/api/export", async (req, res) => {
+  try {
+    const { user } = req;
+
+    const format = (req.query.format || 'json').toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    // Default to the last year
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 365 * 24 * 60 * 60 * 1000);
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+      return res.status(400).json({ error: 'from and to must be valid dates with from before to' });
+    }
+
+    // Same platform data and overrides the dashboard shows
+    const userConnectedPlatforms = user.connected_platforms || [];
+    let platformData = userPlatformCache.get(user.id);
+    if (!platformData) {
+      platformData = userConnectedPlatforms.length > 0
+        ? await platformManager.getAllPlatformStats(userConnectedPlatforms, user.id)
+        : [];
+    }
+    platformData = revenueService.applyOverrides(platformData, await revenueService.getRevenueOverrides(user.id));
+
+    const manualRevenue = await revenueService.listEntries(user.id, {
+      from: revenueService.getPeriod(from),
+      to: revenueService.getPeriod(to)
+    });
+
+    const analytics = platformData.length > 0
+      ? await platformManager.calculateAnalytics(platformData, user.id)
+      : { totalRevenue: 0, totalGrowth: 0, topPlatform: null, monthlyTrend: [], platformBreakdown: [] };
+
+    const data = await exportService.buildExport(user, { from, to, platforms: platformData, analytics, manualRevenue });
+    const { body, contentType, filename } = await exportService.render(data, format);
+
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store'
+    });
+    res.send(body);
+  } catch (error) {
+    console.error('Error exporting account data:', error);
+    res.status(500).json({ error: 'Failed to export account data' });
+  }
+});
+
+// History retention settings for the current user
+app.get("/api/settings/retention", async (req, res) => {
+  try {
+    const { user } = req;
+
+    res.json(await platformManager.historyService.getRetentionSettings(user.id));
+  } catch (error) {
+    console.error('Error fetching retention settings:', error);
+    res.status(500).json({ error: 'Failed to fetch retention settings' });
+  }
+});
+
+app.put("/api/settings/retention", async (req, res) => {
+  try {
+    const { user } = req;
+
+    const settings = {
+      rawDays: req.body.rawDays,
+      dailyDays: req.body.dailyDays,
+      monthlyDays: req.body.monthlyDays ?? null
+    };
+    const validationError = platformManager.historyService.validateRetentionSettings(settings);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    res.json(await platformManager.historyService.updateRetentionSettings(user.id, settings));
+  } catch (error) {
+    console.error('Error updating retention settings:', error);
+    res.status(500).json({ error: 'Failed to update retention settings' });
+  }
+});
+
+// Go back to the default retention policy
+app.delete("/api/settings/retention", async (req, res) => {
+  try {
+    const { user } = req;
+
+    res.json(await platformManager.historyService.resetRetentionSettings(user.id));
+  } catch (error) {
+    console.error('Error resetting retention settings:', error);
+    res.status(500).json({ error: 'Failed to reset retention settings' });
+  }
+});
+
+
+// Latest stored rate per currency (units per 1 USD)
+app.get("/api/exchange-rates", async (req, res) => {
+  try {
+    const rates = await exchangeRateService.getRates();
+    res.json({ base: BASE_CURRENCY, rates });
+  } catch (error) {
+    console.error('Error fetching exchange rates:', error);
+    res.status(500).json({ error: 'Failed to fetch exchange rates' });
+  }
+});
+
+// Currency analytics and revenue totals are reported in
+app.get("/api/settings/currency", async (req, res) => {
+  try {
+    const { user } = req;
+
+    res.json({ currency: await exchangeRateService.getReportingCurrency(user.id) });
+  } catch (error) {
+    console.error('Error fetching reporting currency:', error);
+    res.status(500).json({ error: 'Failed to fetch reporting currency' });
+  }
+});
+
+app.put("/api/settings/currency", async (req, res) => {
+  try {
+    const { user } = req;
+
+    const { currency } = req.body;
+    if (!/^[A-Z]{3}$/.test(currency || '')) {
+      return res.status(400).json({ error: 'currency must be a 3-letter ISO code' });
+    }
+    const validationError = await validateCurrency(currency);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    await exchangeRateService.setReportingCurrency(user.id, currency);
+    invalidateUserRevenue(user.id);
+    res.json({ currency });
+  } catch (error) {
+    console.error('Error updating reporting currency:', error);
+    res.status(500).json({ error: 'Failed to update reporting currency' });
+  }
+});
+
+
+// -------------------- Webhooks --------------------
+
+// Twitch EventSub callback (challenge handshake, notifications and revocations)
+app.post("/api/webhooks/twitch/eventsub", async (req, res) => {
+  try {
+    const result = await twitchEventSubService.handleMessage(req.headers, req.rawBody ?? JSON.stringify(req.body));
+
+    if (result.text !== undefined) {
+      return res.status(result.status).type('text/plain').send(result.text);
+    }
+    if (result.body) {
+      return res.status(result.status).json(result.body);
+    }
+    res.status(result.status).end();
+  } catch (error) {
+    console.error('Error handling Twitch EventSub message:', error);
+    res.status(500).json({ success: false, error: 'Failed to process EventSub message' });
+  }
+});
+
+// List the current user's Twitch EventSub subscriptions
+app.get("/api/twitch/eventsub/subscriptions", async (req, res) => {
+  try {
+    const { user } = req;
+
+    const twitch = (user.connected_platforms || []).find(p => p.name === 'twitch');
+    if (!twitch) {
+      return res.status(404).json({ error: 'Twitch is not connected' });
+    }
+
+    const broadcasterUserId = await platformManager.services.twitch.getChannelIdFromUsername(twitch.identifier);
+    const subscriptions = await twitchEventSubService.listSubscriptions(broadcasterUserId);
+    res.json({ broadcasterUserId, subscriptions });
+  } catch (error) {
+    console.error('Error listing Twitch EventSub subscriptions:', error);
+    res.status(500).json({ error: 'Failed to list EventSub subscriptions' });
+  }
+});
+
+// Create any missing Twitch EventSub subscriptions for the current user
+app.post("/api/twitch/eventsub/subscriptions", async (req, res) => {
+  try {
+    const { user } = req;
+
+    const twitch = (user.connected_platforms || []).find(p => p.name === 'twitch');
+    if (!twitch) {
+      return res.status(404).json({ error: 'Twitch is not connected' });
+    }
+
+    const result = await twitchEventSubService.syncSubscriptions(twitch.identifier);
+    res.json({ success: true, broadcasterUserId: result.broadcasterUserId, created: result.created });
+  } catch (error) {
+    console.error('Error syncing Twitch EventSub subscriptions:', error);
+    res.status(500).json({ error: 'Failed to create EventSub subscriptions' });
+  }
+});
+
+// Delete one of the current user's Twitch EventSub subscriptions
+app.delete("/api/twitch/eventsub/subscriptions/:id", async (req, res) => {
+  try {
+    const { user } = req;
+
+    const twitch = (user.connected_platforms || []).find(p => p.name === 'twitch');
+    if (!twitch) {
+      return res.status(404).json({ error: 'Twitch is not connected' });
+    }
+
+    // Only allow deleting subscriptions that belong to this user's channel
+    const broadcasterUserId = await platformManager.services.twitch.getChannelIdFromUsername(twitch.identifier);
+    const subscriptions = await twitchEventSubService.listSubscriptions(broadcasterUserId);
+    if (!subscriptions.some(sub => sub.id === req.params.id)) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    await twitchEventSubService.deleteSubscription(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting Twitch EventSub subscription:', error);
+    res.status(500).json({ error: 'Failed to delete EventSub subscription' });
+  }
+});
+
+// YouTube WebSub verification of intent (hub echoes back hub.challenge)
+app.get("/api/webhooks/youtube/websub", async (req, res) => {
+  try {
+    const challenge = await youtubeWebSubService.verifyIntent(req.query);
+    if (!challenge) {
+      return res.status(404).type('text/plain').send('Unknown subscription');
+    }
+    res.status(200).type('text/plain').send(challenge);
+  } catch (error) {
+    console.error('Error verifying YouTube WebSub intent:', error);
+    res.status(500).type('text/plain').send('Verification failed');
+  }
+});
+
+// YouTube WebSub notifications (Atom feed of new, updated or deleted videos)
+app.post("/api/webhooks/youtube/websub", express.text({ type: ['application/atom+xml', 'application/xml', 'text/xml'] }), async (req, res) => {
+  // Acknowledge straight away; the hub only cares about the 2xx
+  res.status(204).end();
+
+  try {
+    const rawBody = typeof req.body === 'string' ? req.body : '';
+    await youtubeWebSubService.handleNotification(rawBody, req.get('x-hub-signature'));
+  } catch (error) {
+    console.error('Error handling YouTube WebSub notification:', error);
+  }
+});
+
+// Platform webhook receiver (signed with HMAC-SHA256 over `${timestamp}.${rawBody}`)
+app.post("/api/webhooks/:platform", async (req, res) => {
+  const { platform } = req.params;
+  try {
+    const result = await webhookService.handleWebhook(platform, {
+      rawBody: req.rawBody ?? JSON.stringify(req.body),
+      payload: req.body,
+      signature: req.get('signature'),
+      timestamp: req.get('timestamp'),
+      nonce: req.get('nonce')
+    });
+
+    if (result.status >= 400) {
+      logger.warn(`Webhook ${platform} rejected (${result.status}):`, result.body.error);
+    }
+
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error(`Error handling ${platform} webhook:`, error);
+    res.status(500).json({ success: false, error: 'Failed to process webhook' });
+  }
+});
 
 // Health check
 app.get("/api/health", (req, res) => {
@@ -1821,6 +2142,7 @@ app.get("/api/health", (req, res) => {
     timestamp: new Date().toISOString(),
     connectedPlatforms: connectedPlatforms.length,
     cacheStats: platformManager.getCacheStats(),
+    webhooks: webhookService.getWebhookEndpoints(),
     lastUpdate: Date.now()
   });
 });
@@ -1847,10 +2169,27 @@ app.use('*', (req, res) => {
   res.status(404).json({ error: 'Endpoint not found' });
 });
 
+// Authenticate WebSocket upgrades the same way as /api/auth/me (session cookie, or ?token=)
+const authenticateUpgrade = (req) => new Promise((resolve) => {
+  sessionMiddleware(req, {}, () => {
+    req.query = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+    authenticate(req, {}, () => resolve(req.user));
+  });
+});
+
+// Seed the exchange_rates table from the offline rates file (uploaded rates are kept)
+exchangeRateService.loadRatesFile()
+  .then(result => result && logger.info(`Loaded ${result.stored} exchange rates for ${result.date}`))
+  .catch(error => console.error('❌ Error loading exchange rates file:', error.message));
+
 const PORT = process.env.PORT || 4000;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   logger.startup(`Creator Dashboard Backend running on http://localhost:${PORT}`);
 logger.startup(`Connected platforms: ${connectedPlatforms.length}`);
 logger.startup(`Data refresh scheduled every 5 minutes`);
 });
 
+// Live dashboard updates over WebSocket
+const liveUpdateService = new LiveUpdateService(webhookService);
+liveUpdateService.attach(server, { path: '/api/live', authenticate: authenticateUpgrade });
+
@@ -0,0 +1,81 @@
+import crypto from 'crypto';
+import { Pool } from 'pg';
+
+export const ACCOUNT_TOKEN_PURPOSES = {
+  verifyEmail: 'verify_email',
+  resetPassword: 'reset_password'
+};
+
+const DEFAULT_EMAIL_VERIFICATION_TTL_HOURS = 24;
+const DEFAULT_PASSWORD_RESET_TTL_MINUTES = 60;
+
+// Single-use, expiring tokens for email verification and password reset links (account_tokens)
+class AccountTokenService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.PG_CONNECTION_STRING
+    });
+    this.ttlMs = {
+      [ACCOUNT_TOKEN_PURPOSES.verifyEmail]:
+        (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || DEFAULT_EMAIL_VERIFICATION_TTL_HOURS) * 60 * 60 * 1000,
+      [ACCOUNT_TOKEN_PURPOSES.resetPassword]:
+        (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || DEFAULT_PASSWORD_RESET_TTL_MINUTES) * 60 * 1000
+    };
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Issue a token for a user, invalidating any earlier unused token for the same purpose
+   */
+  async createToken(userId, purpose) {
+    if (!this.ttlMs[purpose]) {
+      throw new Error(`Unknown account token purpose: ${purpose}`);
+    }
+
+    await this.pool.query(
+      'UPDATE account_tokens SET used_at = NOW() WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+      [userId, purpose]
+    );
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    await this.pool.query(`
+      INSERT INTO account_tokens (user_id, purpose, token_hash, expires_at)
+      VALUES ($1, $2, $3, $4)
+    `, [userId, purpose, this.hashToken(token), new Date(Date.now() + this.ttlMs[purpose])]);
+
+    return token;
+  }
+
+  /**
+   * Redeem a token. Returns the user id it was issued to, or null if it is unknown, expired,
+   * already used or meant for another purpose. A token can only be redeemed once.
+   */
+  async consumeToken(token, purpose) {
+    if (typeof token !== 'string' || !token) return null;
+
+    const result = await this.pool.query(`
+      UPDATE account_tokens SET used_at = NOW()
+      WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+      RETURNING user_id
+    `, [this.hashToken(token), purpose]);
+
+    return result.rows[0]?.user_id || null;
+  }
+
+  /**
+   * Delete tokens that expired, or were used, more than `days` ago
+   */
+  async cleanupExpiredTokens(days = 7) {
+    const result = await this.pool.query(`
+      DELETE FROM account_tokens
+      WHERE expires_at < NOW() - ($1 || ' days')::INTERVAL
+         OR used_at < NOW() - ($1 || ' days')::INTERVAL
+    `, [days]);
+    return result.rowCount;
+  }
+}
+
+export default AccountTokenService;
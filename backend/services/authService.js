@@ -1,86 +1,24 @@
 import { OAuth2Client } from 'google-auth-library';
 import passport from 'passport';
 import { Strategy as TwitchStrategy } from 'passport-twitch-new';import axios from 'axios';
-import crypto from 'crypto';
-import { Pool } from 'pg';
 import dotenv from 'dotenv';
+import TokenStore from './tokenStore.js';
 dotenv.config();
 
-// Initialize pool with error handling
-let pool = null;
-try {
-  pool = new Pool({ connectionString: process.env.PG_CONNECTION_STRING });
-} catch (error) {
-  console.warn('Database connection failed, OAuth will work without token storage:', error.message);
-}
-
-// Use a fixed 32-byte encryption key if not provided in environment
-const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef';
-const IV_LENGTH = 16;
-
-function encrypt(text) {
-  try {
-    // Use the hex key directly
-    const key = Buffer.from(ENCRYPTION_KEY, 'hex');
-    const iv = crypto.randomBytes(IV_LENGTH);
-    const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
-    let encrypted = cipher.update(text, 'utf8');
-    encrypted = Buffer.concat([encrypted, cipher.final()]);
-    return iv.toString('hex') + ':' + encrypted.toString('hex');
-  } catch (error) {
-    console.error('Encryption error:', error.message);
-    throw error;
-  }
-}
-
-function decrypt(text) {
-  try {
-    // Use the hex key directly
-    const key = Buffer.from(ENCRYPTION_KEY, 'hex');
-    const textParts = text.split(':');
-    const iv = Buffer.from(textParts.shift(), 'hex');
-    const encryptedText = Buffer.from(textParts.join(':'), 'hex');
-    const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
-    let decrypted = decipher.update(encryptedText);
-    decrypted = Buffer.concat([decrypted, decipher.final()]);
-    return decrypted.toString('utf8');
-  } catch (error) {
-    console.error('Decryption error:', error.message);
-    throw error;
-  }
-}
+// Shared with TokenManager: every read and write of platform tokens goes through the encrypted store
+const tokenStore = new TokenStore();
 
 export async function storeToken(userId, platform, tokenObj) {
-  if (!pool) {
-    console.warn('Database not available, skipping token storage');
-    return;
-  }
-  
   try {
-    const encrypted = encrypt(JSON.stringify(tokenObj));
-    await pool.query(
-      `INSERT INTO user_tokens (user_id, platform, token) VALUES ($1, $2, $3)
-       ON CONFLICT (user_id, platform) DO UPDATE SET token = EXCLUDED.token`,
-      [userId, platform, encrypted]
-    );
+    await tokenStore.save(userId, platform, tokenObj);
   } catch (error) {
     console.error('Failed to store token:', error.message);
   }
 }
 
 export async function getToken(userId, platform) {
-  if (!pool) {
-    console.warn('Database not available, cannot retrieve token');
-    return null;
-  }
-  
   try {
-    const res = await pool.query(
-      'SELECT token FROM user_tokens WHERE user_id = $1 AND platform = $2',
-      [userId, platform]
-    );
-    if (res.rows.length === 0) return null;
-    return JSON.parse(decrypt(res.rows[0].token));
+    return await tokenStore.get(userId, platform);
   } catch (error) {
     console.error('Failed to retrieve token:', error.message);
     return null;
@@ -112,7 +50,9 @@ export function setupTwitchPassport() {
     scope: [
       'user:read:email',
       'analytics:read:games',
-      'channel:read:subscriptions'
+      'channel:read:subscriptions',
+      'moderator:read:followers',
+      'bits:read'
     ]
   }, async (accessToken, refreshToken, profile, done) => {
     console.log('Twitch OAuth callback - tokens received');
@@ -0,0 +1,293 @@
+import crypto from 'crypto';
+import { Pool } from 'pg';
+
+const DEFAULT_ACCESS_TOKEN_TTL_SECONDS = 15 * 60; // 15 minutes
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+const TWO_FACTOR_CHALLENGE_TTL_SECONDS = 5 * 60;
+const OAUTH_STATE_TTL_SECONDS = 5 * 60;
+// Requests within this long of the last recorded one don't update a session's last-seen time
+const SESSION_ACTIVITY_INTERVAL_SECONDS = 60;
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+// Signed access tokens (HS256 JWTs) and rotating refresh tokens (refresh_tokens) for API logins
+class AuthTokenService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.PG_CONNECTION_STRING
+    });
+    this.secret = process.env.AUTH_TOKEN_SECRET || process.env.SESSION_SECRET;
+    this.accessTokenTtl = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS) || DEFAULT_ACCESS_TOKEN_TTL_SECONDS;
+    this.refreshTokenTtlMs = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || DEFAULT_REFRESH_TOKEN_TTL_DAYS) * 24 * 60 * 60 * 1000;
+  }
+
+  sign(data) {
+    if (!this.secret) {
+      throw new Error('AUTH_TOKEN_SECRET (or SESSION_SECRET) must be set to sign auth tokens');
+    }
+    return crypto.createHmac('sha256', this.secret).update(data).digest('base64url');
+  }
+
+  signJwt(claims, ttlSeconds) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({ ...claims, iat: now, exp: now + ttlSeconds }));
+    return `${header}.${payload}.${this.sign(`${header}.${payload}`)}`;
+  }
+
+  /**
+   * Short-lived access token for a user's login session
+   */
+  signAccessToken(user, sessionId) {
+    return this.signJwt({ sub: String(user.id), email: user.email, sid: sessionId }, this.accessTokenTtl);
+  }
+
+  /**
+   * Claims of a valid, unexpired access token, or null. Does not check whether the session was revoked.
+   */
+  verifyAccessToken(token) {
+    const claims = this.verifyJwt(token);
+    return claims && claims.sid && !claims.purpose ? claims : null;
+  }
+
+  /**
+   * Proof that a user passed the password step of a two-factor login; only good for the second step
+   */
+  signTwoFactorChallenge(user) {
+    return this.signJwt({ sub: String(user.id), purpose: '2fa' }, TWO_FACTOR_CHALLENGE_TTL_SECONDS);
+  }
+
+  verifyTwoFactorChallenge(token) {
+    const claims = this.verifyJwt(token);
+    return claims && claims.purpose === '2fa' ? claims : null;
+  }
+
+  /**
+   * OAuth `state` for connecting a platform, tying the callback to the user and login session that started it
+   */
+  signOAuthState(user, sessionId) {
+    return this.signJwt({ sub: String(user.id), sid: sessionId, purpose: 'oauth' }, OAUTH_STATE_TTL_SECONDS);
+  }
+
+  verifyOAuthState(token) {
+    const claims = this.verifyJwt(token);
+    return claims && claims.purpose === 'oauth' ? claims : null;
+  }
+
+  /**
+   * Claims of any correctly signed, unexpired token, or null
+   */
+  verifyJwt(token) {
+    if (typeof token !== 'string') return null;
+
+    const parts = token.split('.');
+    if (parts.length !== 3) return null;
+    const [header, payload, signature] = parts;
+
+    try {
+      const expected = Buffer.from(this.sign(`${header}.${payload}`));
+      const actual = Buffer.from(signature);
+      // timingSafeEqual throws on length mismatch
+      if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+      if (JSON.parse(Buffer.from(header, 'base64url').toString('utf8')).alg !== 'HS256') return null;
+
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      if (!claims.sub || typeof claims.exp !== 'number') return null;
+      if (claims.exp <= Math.floor(Date.now() / 1000)) return null;
+
+      return claims;
+    } catch {
+      return null;
+    }
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  async storeRefreshToken(userId, sessionId, { userAgent = null, ip = null } = {}) {
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+    const result = await this.pool.query(`
+      INSERT INTO refresh_tokens (user_id, session_id, token_hash, expires_at, user_agent, ip_address)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id
+    `, [userId, sessionId, this.hashToken(refreshToken), new Date(Date.now() + this.refreshTokenTtlMs), userAgent, ip]);
+
+    return { id: result.rows[0].id, refreshToken };
+  }
+
+  /**
+   * Start a new login session: an access token plus the session's first refresh token
+   */
+  async issueTokens(user, meta = {}) {
+    const sessionId = crypto.randomUUID();
+    const { refreshToken } = await this.storeRefreshToken(user.id, sessionId, meta);
+
+    return {
+      sessionId,
+      token: this.signAccessToken(user, sessionId),
+      refreshToken,
+      expiresIn: this.accessTokenTtl
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new pair. The old token stops working; presenting it again
+   * (a stolen or replayed token) revokes the whole session. Returns null if the token is not usable.
+   */
+  async rotateRefreshToken(refreshToken, meta = {}) {
+    if (typeof refreshToken !== 'string' || !refreshToken) return null;
+
+    const result = await this.pool.query(`
+      SELECT rt.id, rt.user_id, rt.session_id, rt.expires_at, rt.revoked_at, users.email
+      FROM refresh_tokens rt
+      JOIN users ON users.id = rt.user_id
+      WHERE rt.token_hash = $1
+    `, [this.hashToken(refreshToken)]);
+
+    const current = result.rows[0];
+    if (!current) return null;
+
+    if (current.revoked_at) {
+      console.warn(`Refresh token reuse detected for session ${current.session_id}; revoking it`);
+      await this.revokeSession(current.session_id);
+      return null;
+    }
+    if (new Date(current.expires_at) <= new Date()) return null;
+
+    // Claim the token so two concurrent refreshes can't both succeed
+    const claimed = await this.pool.query(
+      'UPDATE refresh_tokens SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL RETURNING id',
+      [current.id]
+    );
+    if (claimed.rowCount === 0) {
+      await this.revokeSession(current.session_id);
+      return null;
+    }
+
+    const next = await this.storeRefreshToken(current.user_id, current.session_id, meta);
+    await this.pool.query('UPDATE refresh_tokens SET replaced_by = $1 WHERE id = $2', [next.id, current.id]);
+
+    return {
+      token: this.signAccessToken({ id: current.user_id, email: current.email }, current.session_id),
+      refreshToken: next.refreshToken,
+      expiresIn: this.accessTokenTtl
+    };
+  }
+
+  /**
+   * Whether a login session still has a live refresh token (i.e. was not logged out or revoked)
+   */
+  async isSessionActive(sessionId) {
+    const result = await this.pool.query(`
+      SELECT 1 FROM refresh_tokens
+      WHERE session_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+      LIMIT 1
+    `, [sessionId]);
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Mark a login session as seen now; written at most once a minute per session
+   */
+  async touchSession(sessionId) {
+    await this.pool.query(`
+      UPDATE refresh_tokens SET last_seen_at = NOW()
+      WHERE session_id = $1 AND revoked_at IS NULL
+        AND (last_seen_at IS NULL OR last_seen_at < NOW() - ($2 * INTERVAL '1 second'))
+    `, [sessionId, SESSION_ACTIVITY_INTERVAL_SECONDS]);
+  }
+
+  async revokeSession(sessionId) {
+    const result = await this.pool.query(
+      'UPDATE refresh_tokens SET revoked_at = NOW() WHERE session_id = $1 AND revoked_at IS NULL',
+      [sessionId]
+    );
+    return result.rowCount;
+  }
+
+  /**
+   * Revoke the session a refresh token belongs to (logout with only the refresh token at hand)
+   */
+  async revokeRefreshToken(refreshToken) {
+    const result = await this.pool.query(`
+      UPDATE refresh_tokens SET revoked_at = NOW()
+      WHERE revoked_at IS NULL
+        AND session_id = (SELECT session_id FROM refresh_tokens WHERE token_hash = $1)
+    `, [this.hashToken(refreshToken)]);
+    return result.rowCount;
+  }
+
+  /**
+   * A user's live login sessions, most recently active first. A session is last seen at its latest
+   * authenticated request (see touchSession) or refresh; device details come from its latest token.
+   */
+  async listSessions(userId) {
+    const result = await this.pool.query(`
+      SELECT session_id,
+        MIN(created_at) AS created_at,
+        MAX(GREATEST(created_at, last_seen_at)) AS last_seen_at,
+        (ARRAY_AGG(user_agent ORDER BY created_at DESC))[1] AS user_agent,
+        (ARRAY_AGG(ip_address ORDER BY created_at DESC))[1] AS ip_address
+      FROM refresh_tokens
+      WHERE user_id = $1
+      GROUP BY session_id
+      HAVING BOOL_OR(revoked_at IS NULL AND expires_at > NOW())
+      ORDER BY last_seen_at DESC
+    `, [userId]);
+
+    return result.rows.map(row => ({
+      id: row.session_id,
+      createdAt: row.created_at,
+      lastSeenAt: row.last_seen_at,
+      userAgent: row.user_agent,
+      ipAddress: row.ip_address
+    }));
+  }
+
+  /**
+   * Revoke one of a user's sessions; returns false if it isn't theirs or was already revoked
+   */
+  async revokeUserSession(userId, sessionId) {
+    const result = await this.pool.query(
+      'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = $1 AND session_id = $2 AND revoked_at IS NULL',
+      [userId, sessionId]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Revoke every session of a user except `keepSessionId`; returns how many sessions ended
+   */
+  async revokeOtherSessions(userId, keepSessionId) {
+    const result = await this.pool.query(`
+      UPDATE refresh_tokens SET revoked_at = NOW()
+      WHERE user_id = $1 AND revoked_at IS NULL AND session_id IS DISTINCT FROM $2
+      RETURNING session_id
+    `, [userId, keepSessionId || null]);
+    return new Set(result.rows.map(row => row.session_id)).size;
+  }
+
+  async revokeAllForUser(userId) {
+    const result = await this.pool.query(
+      'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+      [userId]
+    );
+    return result.rowCount;
+  }
+
+  /**
+   * Delete refresh tokens that expired, or were revoked, more than `days` ago
+   */
+  async cleanupExpiredTokens(days = 7) {
+    const result = await this.pool.query(`
+      DELETE FROM refresh_tokens
+      WHERE expires_at < NOW() - ($1 || ' days')::INTERVAL
+         OR revoked_at < NOW() - ($1 || ' days')::INTERVAL
+    `, [days]);
+    return result.rowCount;
+  }
+}
+
+export default AuthTokenService;
@@ -0,0 +1,229 @@
+import HistoryService from './historyService.js';
+import platformRegistry from './platforms/platformRegistry.js';
+
+// Refuse anything larger than a few years of daily rows
+const MAX_IMPORT_ROWS = 5000;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Parses analytics CSV exports and backfills them into platform_history
+class CsvImportService {
+  constructor(historyService = new HistoryService(), registry = platformRegistry) {
+    this.historyService = historyService;
+    this.registry = registry;
+  }
+
+  /**
+   * Column mapping from the platform's adapter (its `csvColumns`); null for platforms without CSV imports
+   */
+  getColumnMapping(platform) {
+    const adapter = this.registry.get(platform);
+    return adapter?.id === platform ? adapter.csvColumns || null : null;
+  }
+
+  /**
+   * Split CSV text into rows of trimmed cells (RFC 4180 quoting, any line ending)
+   */
+  parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    const input = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (inQuotes) {
+        if (char === '"' && input[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(cell.trim());
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') i++;
+        row.push(cell.trim());
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell !== '' || row.length > 0) {
+      row.push(cell.trim());
+      rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(value => value !== ''));
+  }
+
+  /**
+   * Guess the export's platform from its header; null when no platform matches
+   */
+  detectPlatform(header) {
+    const columns = header.map(column => column.toLowerCase());
+    let best = null;
+    let bestMatches = 0;
+
+    this.registry.list().filter(adapter => adapter.csvColumns).forEach(({ id: platform, csvColumns: mapping }) => {
+      if (!columns.some(column => mapping.date.includes(column))) return;
+      const matches = columns.filter(column => mapping.columns[column]).length;
+      if (matches > bestMatches) {
+        best = platform;
+        bestMatches = matches;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Parse a date cell to midnight UTC (YYYY-MM-DD, M/D/YYYY, "Jan 5, 2025", ...)
+   */
+  parseDate(value) {
+    let match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (match) return this.toUtcDate(+match[1], +match[2], +match[3]);
+
+    match = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (match) return this.toUtcDate(+match[3], +match[1], +match[2]);
+
+    // "Jan 5, 2025", "January 5 2025", "Sun Jan 5 2025"
+    match = value.toLowerCase().match(/([a-z]{3})[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})/);
+    if (match && MONTHS.includes(match[1])) {
+      return this.toUtcDate(+match[3], MONTHS.indexOf(match[1]) + 1, +match[2]);
+    }
+
+    return null;
+  }
+
+  toUtcDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    // Reject rollovers such as 2025-02-30
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return date;
+  }
+
+  /**
+   * Parse a numeric cell ("1,234", "$12.50", "3.2%"); empty cells are null
+   */
+  parseNumber(value) {
+    const cleaned = value.replace(/[,$%\s]/g, '');
+    if (cleaned === '' || cleaned === '-') return null;
+    const number = Number(cleaned);
+    return Number.isFinite(number) ? number : NaN;
+  }
+
+  /**
+   * Map an export to per-day metric values without storing anything.
+   * Rows that aren't dated (e.g. YouTube's "Total" row) are skipped; bad values are reported per line.
+   */
+  buildPreview(text, platform = null) {
+    const rows = this.parseCsv(text);
+    if (rows.length < 2) {
+      throw new Error('The file has no data rows');
+    }
+
+    const [header, ...dataRows] = rows;
+    const detected = platform || this.detectPlatform(header);
+    const mapping = this.getColumnMapping(detected);
+    if (!mapping) {
+      throw new Error(platform
+        ? `Unsupported platform: ${platform}`
+        : 'Could not recognise this export; choose the platform manually');
+    }
+
+    const columns = header.map(column => column.toLowerCase());
+    const dateIndex = columns.findIndex(column => mapping.date.includes(column));
+    if (dateIndex === -1) {
+      throw new Error(`Missing date column (expected one of: ${mapping.date.join(', ')})`);
+    }
+
+    const mappedColumns = [];
+    const ignoredColumns = [];
+    header.forEach((column, index) => {
+      if (index === dateIndex) return;
+      const target = mapping.columns[column.toLowerCase()];
+      if (target) {
+        mappedColumns.push({ column, index, metric: target.metric, scale: target.scale || 1 });
+      } else {
+        ignoredColumns.push(column);
+      }
+    });
+    if (mappedColumns.length === 0) {
+      throw new Error('None of the columns in this file can be imported');
+    }
+    if (dataRows.length > MAX_IMPORT_ROWS) {
+      throw new Error(`Files are limited to ${MAX_IMPORT_ROWS} rows`);
+    }
+
+    const previewRows = [];
+    const errors = [];
+    let skipped = 0;
+
+    dataRows.forEach((cells, rowIndex) => {
+      const line = rowIndex + 2; // 1-based, after the header
+      const date = this.parseDate(cells[dateIndex] || '');
+      if (!date) {
+        skipped++;
+        return;
+      }
+
+      const metrics = {};
+      mappedColumns.forEach(({ column, index, metric, scale }) => {
+        const value = this.parseNumber(cells[index] || '');
+        if (value === null) return;
+        if (Number.isNaN(value)) {
+          errors.push({ line, column, message: `Not a number: "${cells[index]}"` });
+          return;
+        }
+        metrics[metric] = Math.round(value * scale);
+      });
+
+      if (Object.keys(metrics).length > 0) {
+        previewRows.push({ line, date: date.toISOString().slice(0, 10), metrics });
+      }
+    });
+
+    previewRows.sort((a, b) => a.date.localeCompare(b.date));
+
+    return {
+      platform: detected,
+      columns: mappedColumns.map(({ column, metric }) => ({ column, metric })),
+      ignoredColumns,
+      rows: previewRows,
+      skipped,
+      errors
+    };
+  }
+
+  /**
+   * Upsert previewed rows into platform_history, one sample per metric at midnight UTC of each day
+   */
+  async importRows(userId, platform, identifier, rows) {
+    const platformName = this.registry.get(platform).displayName;
+    let stored = 0;
+
+    for (const row of rows) {
+      const recordedAt = new Date(`${row.date}T00:00:00.000Z`);
+      await Promise.all(Object.entries(row.metrics).map(([metricName, value]) =>
+        this.historyService.storeMetric(userId, platformName, identifier, metricName, value, recordedAt)
+      ));
+      stored += Object.keys(row.metrics).length;
+    }
+
+    console.log(`✅ Imported ${stored} ${platformName} history values for user ${userId}`);
+    return { days: rows.length, values: stored };
+  }
+}
+
+export default CsvImportService;
@@ -0,0 +1,175 @@
+import { Pool } from 'pg';
+import fs from 'fs';
+import path from 'path';
+
+// Offline rates shipped with the backend (relative to where it runs); override with EXCHANGE_RATES_FILE
+export const DEFAULT_RATES_FILE = path.join(process.cwd(), 'data', 'exchangeRates.json');
+
+// Rates are stored against USD, which converts at 1 without a table row
+export const BASE_CURRENCY = 'USD';
+
+// Local exchange-rate table (exchange_rates) and per-user reporting currency (user_preferences)
+class ExchangeRateService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.PG_CONNECTION_STRING
+    });
+  }
+
+  /**
+   * Returns an error message for an invalid rates payload ({ base, date, rates }), or null
+   */
+  validateRates(payload) {
+    const { base, date, rates } = payload || {};
+
+    if (!/^[A-Z]{3}$/.test(base || '')) {
+      return 'base must be a 3-letter ISO currency code';
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || isNaN(new Date(date).getTime())) {
+      return 'date must be a YYYY-MM-DD date';
+    }
+    if (!rates || typeof rates !== 'object' || Object.keys(rates).length === 0) {
+      return 'rates must map currency codes to rates';
+    }
+    for (const [currency, rate] of Object.entries(rates)) {
+      if (!/^[A-Z]{3}$/.test(currency)) {
+        return `Invalid currency code: ${currency}`;
+      }
+      if (typeof rate !== 'number' || !Number.isFinite(rate) || rate <= 0) {
+        return `Rate for ${currency} must be a positive number`;
+      }
+    }
+    if (base !== BASE_CURRENCY && !rates[BASE_CURRENCY]) {
+      return `Rates based on ${base} must include ${BASE_CURRENCY}`;
+    }
+    return null;
+  }
+
+  /**
+   * Re-base rates to units per 1 USD
+   */
+  toUsdRates({ base, rates }) {
+    if (base === BASE_CURRENCY) {
+      return Object.fromEntries(Object.entries(rates).filter(([currency]) => currency !== BASE_CURRENCY));
+    }
+
+    // rates[X] is X per 1 base, so X per USD = rates[X] / rates[USD]
+    const usdRate = rates[BASE_CURRENCY];
+    const usdRates = { [base]: 1 / usdRate };
+    Object.entries(rates).forEach(([currency, rate]) => {
+      if (currency !== BASE_CURRENCY && currency !== base) {
+        usdRates[currency] = rate / usdRate;
+      }
+    });
+    return usdRates;
+  }
+
+  /**
+   * Store one day's rates. Uploads replace existing rates for that day; file loads never do.
+   */
+  async storeRates(payload, source = 'upload') {
+    const validationError = this.validateRates(payload);
+    if (validationError) {
+      throw new Error(validationError);
+    }
+
+    const usdRates = Object.entries(this.toUsdRates(payload));
+    const values = usdRates.map((_, i) => `($${i * 2 + 1}, $${usdRates.length * 2 + 1}, $${i * 2 + 2}, $${usdRates.length * 2 + 2})`);
+    const params = [...usdRates.flat(), payload.date, source];
+
+    const result = await this.pool.query(`
+      INSERT INTO exchange_rates (currency, rate_date, rate, source)
+      VALUES ${values.join(', ')}
+      ON CONFLICT (currency, rate_date)
+      ${source === 'file' ? 'DO NOTHING' : 'DO UPDATE SET rate = EXCLUDED.rate, source = EXCLUDED.source, updated_at = NOW()'}
+    `, params);
+
+    return { date: payload.date, currencies: usdRates.length, stored: result.rowCount };
+  }
+
+  /**
+   * Load the offline rates file into the table (existing rows win)
+   */
+  async loadRatesFile(filePath = process.env.EXCHANGE_RATES_FILE || DEFAULT_RATES_FILE) {
+    if (!fs.existsSync(filePath)) {
+      console.log(`⚠️ No exchange rates file at ${filePath}`);
+      return null;
+    }
+
+    const payload = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return this.storeRates(payload, 'file');
+  }
+
+  /**
+   * Latest rate on or before `onDate` for every currency: { EUR: { rate, date }, ... }
+   */
+  async getRates(onDate = new Date()) {
+    const result = await this.pool.query(`
+      SELECT DISTINCT ON (currency) currency, rate, rate_date
+      FROM exchange_rates
+      WHERE rate_date <= $1
+      ORDER BY currency, rate_date DESC
+    `, [onDate]);
+
+    const rates = { [BASE_CURRENCY]: { rate: 1, date: null } };
+    result.rows.forEach(row => {
+      rates[row.currency] = {
+        rate: Number(row.rate),
+        date: new Date(row.rate_date).toISOString().slice(0, 10)
+      };
+    });
+    return rates;
+  }
+
+  /**
+   * Convert an amount between currencies with rates from getRates; throws for unknown currencies
+   */
+  convert(amount, from, to, rates) {
+    if (from === to) return amount;
+
+    const fromRate = rates[from];
+    const toRate = rates[to];
+    if (!fromRate || !toRate) {
+      throw new Error(`No exchange rate for ${!fromRate ? from : to}`);
+    }
+    return amount / fromRate.rate * toRate.rate;
+  }
+
+  /**
+   * Date of the oldest rate used for a set of currencies (null when only USD is involved)
+   */
+  getRateDate(currencies, rates) {
+    const dates = [...new Set(currencies)]
+      .map(currency => rates[currency]?.date)
+      .filter(Boolean)
+      .sort();
+    return dates[0] || null;
+  }
+
+  async getReportingCurrency(userId) {
+    if (!userId) return BASE_CURRENCY;
+
+    try {
+      const result = await this.pool.query(
+        'SELECT reporting_currency FROM user_preferences WHERE user_id = $1',
+        [userId]
+      );
+      return result.rows[0]?.reporting_currency || BASE_CURRENCY;
+    } catch (error) {
+      console.error('Error loading reporting currency:', error);
+      return BASE_CURRENCY;
+    }
+  }
+
+  async setReportingCurrency(userId, currency) {
+    await this.pool.query(`
+      INSERT INTO user_preferences (user_id, reporting_currency)
+      VALUES ($1, $2)
+      ON CONFLICT (user_id)
+      DO UPDATE SET reporting_currency = EXCLUDED.reporting_currency, updated_at = NOW()
+    `, [userId, currency]);
+    return currency;
+  }
+}
+
+export default ExchangeRateService;
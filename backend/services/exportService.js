@@ -0,0 +1,150 @@
+import ExcelJS from 'exceljs';
+import HistoryService from './historyService.js';
+import { BASE_CURRENCY } from './exchangeRateService.js';
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+const PLATFORM_FIELDS = ['subscribers', 'followers', 'views', 'viewers', 'revenue', 'growth'];
+
+// Bundles a user's platforms, history, manual revenue and analytics into a downloadable file
+class ExportService {
+  constructor(historyService = new HistoryService()) {
+    this.historyService = historyService;
+  }
+
+  /**
+   * Collect everything for the export; platform stats and analytics are computed by the caller
+   */
+  async buildExport(user, { from, to, platforms, analytics, manualRevenue }) {
+    const connected = user.connected_platforms || [];
+    const history = await this.historyService.getHistoryRows(user.id, { from, to });
+
+    return {
+      exportedAt: new Date().toISOString(),
+      range: { from: from.toISOString(), to: to.toISOString() },
+      account: { email: user.email, createdAt: user.created_at ? new Date(user.created_at).toISOString() : null },
+      platforms: platforms.map(platform => {
+        const account = connected.find(p => p.name === platform.name.toLowerCase());
+        return {
+          name: platform.name,
+          identifier: account ? account.identifier : null,
+          ...Object.fromEntries(PLATFORM_FIELDS.map(field => [field, platform[field] ?? null])),
+          revenueCurrency: platform.revenueCurrency || BASE_CURRENCY
+        };
+      }),
+      history,
+      manualRevenue,
+      analytics
+    };
+  }
+
+  /**
+   * The export as flat tables, shared by the CSV sections and the XLSX sheets
+   */
+  getTables(data) {
+    return [
+      {
+        name: 'Summary',
+        columns: ['field', 'value'],
+        rows: [
+          { field: 'email', value: data.account.email },
+          { field: 'exportedAt', value: data.exportedAt },
+          { field: 'from', value: data.range.from },
+          { field: 'to', value: data.range.to },
+          { field: 'currency', value: data.analytics.currency || BASE_CURRENCY },
+          { field: 'totalRevenue', value: data.analytics.totalRevenue },
+          { field: 'totalGrowth', value: data.analytics.totalGrowth },
+          { field: 'topPlatform', value: data.analytics.topPlatform }
+        ]
+      },
+      {
+        name: 'Platforms',
+        columns: ['name', 'identifier', ...PLATFORM_FIELDS, 'revenueCurrency'],
+        rows: data.platforms
+      },
+      {
+        name: 'Metric History',
+        columns: ['recordedAt', 'platform', 'identifier', 'metric', 'value', 'resolution'],
+        rows: data.history
+      },
+      {
+        name: 'Manual Revenue',
+        columns: ['period', 'platform', 'source', 'amount', 'currency', 'notes'],
+        rows: data.manualRevenue
+      },
+      {
+        name: 'Monthly Trend',
+        columns: ['month', 'label', 'revenue', 'interpolated'],
+        rows: data.analytics.monthlyTrend || []
+      },
+      {
+        name: 'Platform Breakdown',
+        columns: ['platform', 'percentage'],
+        rows: data.analytics.platformBreakdown || []
+      }
+    ];
+  }
+
+  escapeCsv(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * One CSV file with a titled section per table, separated by blank lines
+   */
+  toCsv(data) {
+    return this.getTables(data).map(({ name, columns, rows }) => [
+      this.escapeCsv(`# ${name}`),
+      columns.join(','),
+      ...rows.map(row => columns.map(column => this.escapeCsv(row[column])).join(','))
+    ].join('\r\n')).join('\r\n\r\n') + '\r\n';
+  }
+
+  /**
+   * One worksheet per table
+   */
+  async toXlsx(data) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'Networthy';
+    workbook.created = new Date(data.exportedAt);
+
+    this.getTables(data).forEach(({ name, columns, rows }) => {
+      const sheet = workbook.addWorksheet(name);
+      sheet.columns = columns.map(column => ({ header: column, key: column, width: Math.max(12, column.length + 2) }));
+      sheet.getRow(1).font = { bold: true };
+      rows.forEach(row => sheet.addRow(Object.fromEntries(columns.map(column => [column, row[column] ?? null]))));
+    });
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+
+  /**
+   * Serialize the export; returns the body with its content type and a download filename
+   */
+  async render(data, format) {
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const filename = `networthy-export-${data.exportedAt.slice(0, 10)}.${extension}`;
+
+    let body;
+    switch (format) {
+      case 'csv':
+        body = this.toCsv(data);
+        break;
+      case 'xlsx':
+        body = await this.toXlsx(data);
+        break;
+      default:
+        body = JSON.stringify(data, null, 2);
+    }
+
+    return { body, contentType, filename };
+  }
+}
+
+export default ExportService;
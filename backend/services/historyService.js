@@ -1,10 +1,37 @@
 import { Pool } from 'pg';
 
+export const SERIES_INTERVALS = ['day', 'week', 'month'];
+
+// SQL aggregate used to collapse each bucket to one value (samples may be raw rows or rollups)
+const SERIES_AGGREGATES = {
+  last: '(array_agg(value_last ORDER BY sampled_at DESC))[1]',
+  avg: 'ROUND(SUM(value_avg * sample_count)::numeric / SUM(sample_count))',
+  min: 'MIN(value_min)',
+  max: 'MAX(value_max)'
+};
+
+const ROLLUP_COLUMNS = 'value_last, value_avg, value_min, value_max, sample_count';
+const ROLLUP_UPDATE = `
+  value_last = EXCLUDED.value_last,
+  value_avg = EXCLUDED.value_avg,
+  value_min = EXCLUDED.value_min,
+  value_max = EXCLUDED.value_max,
+  sample_count = EXCLUDED.sample_count,
+  updated_at = NOW()
+`;
+
 class HistoryService {
   constructor() {
     this.pool = new Pool({
       connectionString: process.env.PG_CONNECTION_STRING
     });
+
+    // Applied to users without a user_retention_settings row
+    this.retentionDefaults = {
+      rawDays: parseInt(process.env.HISTORY_RAW_RETENTION_DAYS) || 90,
+      dailyDays: parseInt(process.env.HISTORY_DAILY_RETENTION_DAYS) || 730,
+      monthlyDays: parseInt(process.env.HISTORY_MONTHLY_RETENTION_DAYS) || null // null = forever
+    };
   }
 
   /**
@@ -74,6 +101,178 @@ class HistoryService {
     }
   }
 
+  /**
+   * Get bucketed, gap-filled series for one or more metrics of a platform
+   */
+  async getMetricSeries(userId, platformName, metricNames, { from, to, interval = 'day', aggregate = 'last' }) {
+    if (!SERIES_INTERVALS.includes(interval)) {
+      throw new Error(`Unsupported interval: ${interval}`);
+    }
+    if (!SERIES_AGGREGATES[aggregate]) {
+      throw new Error(`Unsupported aggregate: ${aggregate}`);
+    }
+
+    // Raw snapshots where they exist, then daily rollups before the oldest raw day,
+    // then monthly rollups before the oldest daily month
+    const query = `
+      WITH samples AS (
+        SELECT metric_name, recorded_at AS sampled_at, metric_value AS value_last, metric_value AS value_avg,
+               metric_value AS value_min, metric_value AS value_max, 1 AS sample_count
+        FROM platform_history
+        WHERE user_id = $1
+          AND platform_name = $2
+          AND metric_name = ANY($4)
+          AND recorded_at >= $5
+          AND recorded_at <= $6
+        UNION ALL
+        SELECT d.metric_name, d.day::timestamp AT TIME ZONE 'UTC', d.value_last, d.value_avg,
+               d.value_min, d.value_max, d.sample_count
+        FROM platform_history_daily d
+        WHERE d.user_id = $1
+          AND d.platform_name = $2
+          AND d.metric_name = ANY($4)
+          AND d.day::timestamp AT TIME ZONE 'UTC' >= date_trunc('day', $5::timestamptz, 'UTC')
+          AND d.day::timestamp AT TIME ZONE 'UTC' <= $6
+          AND d.day < COALESCE((
+            SELECT MIN((h.recorded_at AT TIME ZONE 'UTC')::date) FROM platform_history h
+            WHERE h.user_id = d.user_id AND h.platform_name = d.platform_name
+              AND h.platform_identifier = d.platform_identifier AND h.metric_name = d.metric_name
+          ), 'infinity'::date)
+        UNION ALL
+        SELECT m.metric_name, m.month::timestamp AT TIME ZONE 'UTC', m.value_last, m.value_avg,
+               m.value_min, m.value_max, m.sample_count
+        FROM platform_history_monthly m
+        WHERE m.user_id = $1
+          AND m.platform_name = $2
+          AND m.metric_name = ANY($4)
+          AND m.month::timestamp AT TIME ZONE 'UTC' >= date_trunc('month', $5::timestamptz, 'UTC')
+          AND m.month::timestamp AT TIME ZONE 'UTC' <= $6
+          AND m.month < COALESCE((
+            SELECT date_trunc('month', MIN(d.day))::date FROM platform_history_daily d
+            WHERE d.user_id = m.user_id AND d.platform_name = m.platform_name
+              AND d.platform_identifier = m.platform_identifier AND d.metric_name = m.metric_name
+          ), 'infinity'::date)
+      )
+      SELECT metric_name, date_trunc($3, sampled_at, 'UTC') AS bucket, ${SERIES_AGGREGATES[aggregate]} AS value
+      FROM samples
+      GROUP BY metric_name, bucket
+      ORDER BY bucket ASC
+    `;
+
+    const result = await this.pool.query(query, [userId, platformName, interval, metricNames, from, to]);
+
+    const buckets = this.getSeriesBuckets(from, to, interval);
+    const series = {};
+    metricNames.forEach(metricName => {
+      const points = result.rows
+        .filter(row => row.metric_name === metricName)
+        .map(row => ({ bucket: new Date(row.bucket).toISOString(), value: Number(row.value) }));
+      series[metricName] = this.fillSeriesGaps(points, buckets);
+    });
+
+    return series;
+  }
+
+  /**
+   * Start of the UTC day/week (Monday)/month containing `date`
+   */
+  getBucketStart(date, interval) {
+    const d = new Date(date);
+    switch (interval) {
+      case 'week': {
+        const daysSinceMonday = (d.getUTCDay() + 6) % 7;
+        return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - daysSinceMonday));
+      }
+      case 'month':
+        return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1));
+      default:
+        return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+    }
+  }
+
+  /**
+   * Every bucket start between `from` and `to`, as ISO strings
+   */
+  getSeriesBuckets(from, to, interval) {
+    const buckets = [];
+    const end = new Date(to).getTime();
+    let current = this.getBucketStart(from, interval);
+
+    while (current.getTime() <= end) {
+      buckets.push(current.toISOString());
+      if (interval === 'month') {
+        current = new Date(Date.UTC(current.getUTCFullYear(), current.getUTCMonth() + 1, 1));
+      } else {
+        current = new Date(current.getTime() + (interval === 'week' ? 7 : 1) * 24 * 60 * 60 * 1000);
+      }
+    }
+
+    return buckets;
+  }
+
+  /**
+   * Carry the last known value into empty buckets; buckets before the first measurement stay null
+   */
+  fillSeriesGaps(points, buckets) {
+    const valuesByBucket = new Map(points.map(point => [point.bucket, point.value]));
+    let lastValue = null;
+
+    return buckets.map(bucket => {
+      if (valuesByBucket.has(bucket)) {
+        lastValue = valuesByBucket.get(bucket);
+        return { bucket, value: lastValue, filled: false };
+      }
+      return { bucket, value: lastValue, filled: true };
+    });
+  }
+
+  /**
+   * Every stored value for a user in a date range, oldest first. Like getMetricSeries, days and
+   * months that have been pruned from the raw table come from the daily/monthly rollups instead.
+   */
+  async getHistoryRows(userId, { from, to }) {
+    const query = `
+      SELECT platform_name, platform_identifier, metric_name, recorded_at, metric_value AS value, 'raw' AS resolution
+      FROM platform_history
+      WHERE user_id = $1
+        AND recorded_at >= $2
+        AND recorded_at <= $3
+      UNION ALL
+      SELECT d.platform_name, d.platform_identifier, d.metric_name, d.day::timestamp AT TIME ZONE 'UTC', d.value_last, 'daily'
+      FROM platform_history_daily d
+      WHERE d.user_id = $1
+        AND d.day::timestamp AT TIME ZONE 'UTC' >= date_trunc('day', $2::timestamptz, 'UTC')
+        AND d.day::timestamp AT TIME ZONE 'UTC' <= $3
+        AND d.day < COALESCE((
+          SELECT MIN((h.recorded_at AT TIME ZONE 'UTC')::date) FROM platform_history h
+          WHERE h.user_id = d.user_id AND h.platform_name = d.platform_name
+            AND h.platform_identifier = d.platform_identifier AND h.metric_name = d.metric_name
+        ), 'infinity'::date)
+      UNION ALL
+      SELECT m.platform_name, m.platform_identifier, m.metric_name, m.month::timestamp AT TIME ZONE 'UTC', m.value_last, 'monthly'
+      FROM platform_history_monthly m
+      WHERE m.user_id = $1
+        AND m.month::timestamp AT TIME ZONE 'UTC' >= date_trunc('month', $2::timestamptz, 'UTC')
+        AND m.month::timestamp AT TIME ZONE 'UTC' <= $3
+        AND m.month < COALESCE((
+          SELECT date_trunc('month', MIN(d.day))::date FROM platform_history_daily d
+          WHERE d.user_id = m.user_id AND d.platform_name = m.platform_name
+            AND d.platform_identifier = m.platform_identifier AND d.metric_name = m.metric_name
+        ), 'infinity'::date)
+      ORDER BY recorded_at ASC, platform_name, metric_name
+    `;
+
+    const result = await this.pool.query(query, [userId, from, to]);
+    return result.rows.map(row => ({
+      platform: row.platform_name,
+      identifier: row.platform_identifier,
+      metric: row.metric_name,
+      recordedAt: new Date(row.recorded_at).toISOString(),
+      value: Number(row.value),
+      resolution: row.resolution
+    }));
+  }
+
   /**
    * Calculate growth rate based on historical data
    */
@@ -144,7 +343,7 @@ class HistoryService {
   }
 
   /**
-   * Get historical revenue data for trend calculation
+   * Get historical revenue data for trend calculation (from the start of the oldest month)
    */
   async getRevenueHistory(userId, months = 6) {
     try {
@@ -155,7 +354,7 @@ class HistoryService {
           AND platform_name = 'all' 
           AND platform_identifier = 'total'
           AND metric_name = 'revenue'
-          AND recorded_at >= NOW() - INTERVAL '${months} months'
+          AND recorded_at >= date_trunc('month', NOW()) - INTERVAL '${months - 1} months'
         ORDER BY recorded_at ASC
       `;
       
@@ -168,27 +367,25 @@ class HistoryService {
   }
 
   /**
-   * Calculate revenue trend based on historical data
+   * Calculate monthly revenue trend from stored revenue snapshots
    */
-  async calculateRevenueTrend(userId, currentRevenue) {
+  async calculateRevenueTrend(userId, currentRevenue, months = 6) {
     try {
-      const revenueHistory = await this.getRevenueHistory(userId, 6);
+      const revenueHistory = await this.getRevenueHistory(userId, months);
       
       if (revenueHistory.length === 0) {
         // No historical data - return flat trend based on current revenue
-        return this.generateFlatTrend(currentRevenue);
+        return this.generateFlatTrend(currentRevenue, months);
       }
 
-      // Group data by month and calculate monthly totals
+      // Group data by month and calculate monthly averages
       const monthlyData = this.groupDataByMonth(revenueHistory);
       
       // Fill in missing months with interpolated values
-      const completeTrend = this.fillMissingMonths(monthlyData, 6);
-      
-      return completeTrend;
+      return this.fillMissingMonths(monthlyData, months);
     } catch (error) {
       console.error('Error calculating revenue trend:', error);
-      return this.generateFlatTrend(currentRevenue);
+      return this.generateFlatTrend(currentRevenue, months);
     }
   }
 
@@ -200,7 +397,7 @@ class HistoryService {
     
     historyData.forEach(record => {
       const date = new Date(record.recorded_at);
-      const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+      const monthKey = this.getMonthKey(date);
       
       if (!monthlyData[monthKey]) {
         monthlyData[monthKey] = [];
@@ -218,27 +415,38 @@ class HistoryService {
     return monthlyAverages;
   }
 
+  getMonthKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+  }
+
   /**
-   * Fill missing months with interpolated values
+   * The last `monthsCount` calendar months, oldest first, as { month: 'YYYY-MM', label: 'Jan 2025' }
    */
-  fillMissingMonths(monthlyData, monthsCount) {
-    const trend = [];
-    const now = new Date();
+  getMonthBuckets(monthsCount, now = new Date()) {
+    const buckets = [];
     
     for (let i = monthsCount - 1; i >= 0; i--) {
       const targetDate = new Date(now.getFullYear(), now.getMonth() - i, 1);
-      const monthKey = `${targetDate.getFullYear()}-${String(targetDate.getMonth() + 1).padStart(2, '0')}`;
-      
-      if (monthlyData[monthKey]) {
-        trend.push(monthlyData[monthKey]);
-      } else {
-        // Interpolate missing month
-        const interpolatedValue = this.interpolateValue(monthlyData, monthKey);
-        trend.push(interpolatedValue);
-      }
+      buckets.push({
+        month: this.getMonthKey(targetDate),
+        label: targetDate.toLocaleString('en-US', { month: 'short', year: 'numeric' })
+      });
     }
     
-    return trend;
+    return buckets;
+  }
+
+  /**
+   * Fill missing months with interpolated values, flagging which points were measured
+   */
+  fillMissingMonths(monthlyData, monthsCount) {
+    return this.getMonthBuckets(monthsCount).map(({ month, label }) => {
+      if (monthlyData[month] !== undefined) {
+        return { month, label, revenue: monthlyData[month], interpolated: false };
+      }
+      // Interpolate missing month
+      return { month, label, revenue: this.interpolateValue(monthlyData, month), interpolated: true };
+    });
   }
 
   /**
@@ -275,55 +483,150 @@ class HistoryService {
   }
 
   /**
-   * Generate flat trend when no historical data exists
+   * Flat trend at current revenue when no history exists; only the current month is measured
+   */
+  generateFlatTrend(currentRevenue, monthsCount = 6) {
+    const buckets = this.getMonthBuckets(monthsCount);
+    return buckets.map(({ month, label }, index) => ({
+      month,
+      label,
+      revenue: Math.round(currentRevenue),
+      interpolated: index < buckets.length - 1
+    }));
+  }
+
+  /**
+   * Retention settings for a user, falling back to the defaults
    */
-  generateFlatTrend(currentRevenue) {
-    // For zero revenue, show a flat line at zero
-    if (currentRevenue === 0) {
-      return [0, 0, 0, 0, 0, 0];
+  async getRetentionSettings(userId) {
+    const result = await this.pool.query(
+      'SELECT raw_days, daily_days, monthly_days FROM user_retention_settings WHERE user_id = $1',
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      return { ...this.retentionDefaults, isDefault: true };
     }
-    
-    // Generate a more realistic trend that stays close to current revenue
-    const trend = [];
-    let baseRevenue = Math.round(currentRevenue * 0.85); // Start at 85% of current revenue
-    
-    for (let i = 0; i < 6; i++) {
-      // Use smaller, more realistic growth (95-105% per month)
-      const growth = (Math.random() * 0.1) + 0.95; // 95-105% growth per month
-      baseRevenue = Math.round(baseRevenue * growth);
-      
-      // Ensure the trend doesn't deviate too far from current revenue
-      if (baseRevenue > currentRevenue * 1.2) {
-        baseRevenue = Math.round(currentRevenue * 1.2);
-      } else if (baseRevenue < currentRevenue * 0.6) {
-        baseRevenue = Math.round(currentRevenue * 0.6);
-      }
-      
-      trend.push(baseRevenue);
+
+    const row = result.rows[0];
+    return { rawDays: row.raw_days, dailyDays: row.daily_days, monthlyDays: row.monthly_days, isDefault: false };
+  }
+
+  /**
+   * Validate retention settings; returns an error message or null
+   */
+  validateRetentionSettings({ rawDays, dailyDays, monthlyDays }) {
+    if (!Number.isInteger(rawDays) || rawDays < 1) {
+      return 'rawDays must be a positive whole number of days';
     }
-    
-    // Ensure the last value is close to current revenue
-    trend[trend.length - 1] = currentRevenue;
-    
-    return trend;
+    if (!Number.isInteger(dailyDays) || dailyDays < rawDays) {
+      return 'dailyDays must be a whole number of days, at least rawDays';
+    }
+    if (monthlyDays !== null && (!Number.isInteger(monthlyDays) || monthlyDays < dailyDays)) {
+      return 'monthlyDays must be null (keep forever) or a whole number of days, at least dailyDays';
+    }
+    return null;
+  }
+
+  async updateRetentionSettings(userId, { rawDays, dailyDays, monthlyDays = null }) {
+    const error = this.validateRetentionSettings({ rawDays, dailyDays, monthlyDays });
+    if (error) {
+      throw new Error(error);
+    }
+
+    await this.pool.query(
+      `INSERT INTO user_retention_settings (user_id, raw_days, daily_days, monthly_days, updated_at)
+       VALUES ($1, $2, $3, $4, NOW())
+       ON CONFLICT (user_id)
+       DO UPDATE SET raw_days = $2, daily_days = $3, monthly_days = $4, updated_at = NOW()`,
+      [userId, rawDays, dailyDays, monthlyDays]
+    );
+
+    return { rawDays, dailyDays, monthlyDays, isDefault: false };
+  }
+
+  async resetRetentionSettings(userId) {
+    await this.pool.query('DELETE FROM user_retention_settings WHERE user_id = $1', [userId]);
+    return { ...this.retentionDefaults, isDefault: true };
   }
 
   /**
-   * Clean up old historical data (older than 90 days)
+   * Roll raw snapshots into daily and monthly aggregates, then prune each table per user retention.
+   * Raw rows are pruned by whole UTC days and daily rows by whole months, so every
+   * rollup that is recomputed still has all of its source rows.
    */
-  async cleanupOldData() {
+  async applyRetention() {
+    const { rawDays, dailyDays, monthlyDays } = this.retentionDefaults;
+    const client = await this.pool.connect();
+
     try {
-      const query = `
-        DELETE FROM platform_history 
-        WHERE recorded_at < NOW() - INTERVAL '90 days'
-      `;
-      
-      const result = await this.pool.query(query);
-      console.log(`Cleaned up ${result.rowCount} old historical records`);
-      return result.rowCount;
+      await client.query('BEGIN');
+
+      const dailyRollup = await client.query(`
+        INSERT INTO platform_history_daily (user_id, platform_name, platform_identifier, metric_name, day, ${ROLLUP_COLUMNS})
+        SELECT user_id, platform_name, platform_identifier, metric_name, (recorded_at AT TIME ZONE 'UTC')::date,
+               (array_agg(metric_value ORDER BY recorded_at DESC))[1], ROUND(AVG(metric_value)),
+               MIN(metric_value), MAX(metric_value), COUNT(*)
+        FROM platform_history
+        GROUP BY user_id, platform_name, platform_identifier, metric_name, (recorded_at AT TIME ZONE 'UTC')::date
+        ON CONFLICT (user_id, platform_name, platform_identifier, metric_name, day)
+        DO UPDATE SET ${ROLLUP_UPDATE}
+      `);
+
+      const monthlyRollup = await client.query(`
+        INSERT INTO platform_history_monthly (user_id, platform_name, platform_identifier, metric_name, month, ${ROLLUP_COLUMNS})
+        SELECT user_id, platform_name, platform_identifier, metric_name, date_trunc('month', day)::date,
+               (array_agg(value_last ORDER BY day DESC))[1],
+               ROUND(SUM(value_avg * sample_count)::numeric / SUM(sample_count)),
+               MIN(value_min), MAX(value_max), SUM(sample_count)
+        FROM platform_history_daily
+        GROUP BY user_id, platform_name, platform_identifier, metric_name, date_trunc('month', day)::date
+        ON CONFLICT (user_id, platform_name, platform_identifier, metric_name, month)
+        DO UPDATE SET ${ROLLUP_UPDATE}
+      `);
+
+      const rawPruned = await client.query(`
+        DELETE FROM platform_history h
+        WHERE h.recorded_at < (date_trunc('day', NOW() AT TIME ZONE 'UTC') - make_interval(days => COALESCE(
+          (SELECT s.raw_days FROM user_retention_settings s WHERE s.user_id = h.user_id), $1::int
+        ))) AT TIME ZONE 'UTC'
+      `, [rawDays]);
+
+      const dailyPruned = await client.query(`
+        DELETE FROM platform_history_daily d
+        WHERE d.day < date_trunc('month', NOW() AT TIME ZONE 'UTC' - make_interval(days => COALESCE(
+          (SELECT s.daily_days FROM user_retention_settings s WHERE s.user_id = d.user_id), $1::int
+        )))::date
+      `, [dailyDays]);
+
+      // A NULL monthly_days keeps monthly rows forever (make_interval(NULL) never matches)
+      const monthlyPruned = await client.query(`
+        DELETE FROM platform_history_monthly m
+        WHERE m.month < date_trunc('month', NOW() AT TIME ZONE 'UTC' - make_interval(days =>
+          CASE WHEN EXISTS (SELECT 1 FROM user_retention_settings s WHERE s.user_id = m.user_id)
+            THEN (SELECT s.monthly_days FROM user_retention_settings s WHERE s.user_id = m.user_id)
+            ELSE $1::int
+          END
+        ))::date
+      `, [monthlyDays]);
+
+      await client.query('COMMIT');
+
+      const summary = {
+        dailyRows: dailyRollup.rowCount,
+        monthlyRows: monthlyRollup.rowCount,
+        rawPruned: rawPruned.rowCount,
+        dailyPruned: dailyPruned.rowCount,
+        monthlyPruned: monthlyPruned.rowCount
+      };
+      console.log('History retention applied:', summary);
+      return summary;
     } catch (error) {
-      console.error('Error cleaning up old data:', error);
+      await client.query('ROLLBACK');
+      console.error('Error applying history retention:', error);
       throw error;
+    } finally {
+      client.release();
     }
   }
 }
@@ -0,0 +1,116 @@
+import { WebSocketServer } from 'ws';
+import { webhookService } from './webhookService.js';
+
+// Ping every client on this interval; clients that miss a pong are dropped
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+// WebSocket server pushing platform_update messages to the dashboard
+class LiveUpdateService {
+  constructor(webhooks = webhookService) {
+    this.webhookService = webhooks;
+    this.wss = null;
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Attach to the HTTP server; `authenticate(req)` resolves the user for the upgrade request or null
+   */
+  attach(server, { path = '/api/live', authenticate }) {
+    this.wss = new WebSocketServer({ noServer: true });
+    this.wss.on('connection', (ws, req, user) => this.handleConnection(ws, req, user));
+
+    server.on('upgrade', async (req, socket, head) => {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      if (pathname !== path) {
+        socket.destroy();
+        return;
+      }
+
+      try {
+        const user = await authenticate(req);
+        if (!user) {
+          socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+          socket.destroy();
+          return;
+        }
+
+        this.wss.handleUpgrade(req, socket, head, (ws) => {
+          this.wss.emit('connection', ws, req, user);
+        });
+      } catch (error) {
+        console.error('❌ WebSocket upgrade error:', error);
+        socket.write('HTTP/1.1 500 Internal Server Error\r\nConnection: close\r\n\r\n');
+        socket.destroy();
+      }
+    });
+
+    this.heartbeatTimer = setInterval(() => this.checkHeartbeats(), HEARTBEAT_INTERVAL_MS);
+    this.wss.on('close', () => clearInterval(this.heartbeatTimer));
+
+    return this.wss;
+  }
+
+  /**
+   * Register an authenticated connection; `?streamId=&lastSeq=` resumes a dropped stream
+   */
+  handleConnection(ws, req, user) {
+    const params = new URL(req.url, 'http://localhost').searchParams;
+    const lastSeq = params.has('lastSeq') ? parseInt(params.get('lastSeq')) : null;
+    const resume = params.get('streamId') && lastSeq !== null
+      ? { streamId: params.get('streamId'), lastSeq }
+      : null;
+
+    ws.isAlive = true;
+    ws.on('pong', () => { ws.isAlive = true; });
+
+    ws.on('message', (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch {
+        return; // Ignore anything that isn't JSON
+      }
+
+      // Browsers can't send ping frames, so clients check liveness with a JSON ping
+      if (message.type === 'ping') {
+        ws.send(JSON.stringify({ type: 'pong', timestamp: new Date().toISOString() }));
+      }
+    });
+
+    ws.on('close', () => this.webhookService.removeSubscriber(user.id, ws));
+    ws.on('error', (error) => {
+      console.error(`WebSocket error for user ${user.id}:`, error.message);
+    });
+
+    ws.send(JSON.stringify({
+      type: 'connected',
+      streamId: this.webhookService.streamId,
+      heartbeatInterval: HEARTBEAT_INTERVAL_MS
+    }));
+    this.webhookService.addSubscriber(user.id, ws, resume);
+  }
+
+  checkHeartbeats() {
+    if (!this.wss) return;
+
+    this.wss.clients.forEach((ws) => {
+      if (!ws.isAlive) {
+        ws.terminate();
+        return;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }
+
+  close() {
+    clearInterval(this.heartbeatTimer);
+    if (this.wss) {
+      this.wss.clients.forEach(ws => ws.terminate());
+      this.wss.close();
+      this.wss = null;
+    }
+  }
+}
+
+export default LiveUpdateService;
@@ -0,0 +1,204 @@
+import { Pool } from 'pg';
+
+export const LOGIN_BLOCK_CODES = {
+  locked: 'account_locked',
+  throttled: 'login_throttled'
+};
+
+const DEFAULT_LOCKOUT_THRESHOLD = 5;
+const DEFAULT_LOCKOUT_MINUTES = 15;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+const MAX_DELAY_SECONDS = 30;
+// Failures older than this no longer count towards a lockout
+const FAILURE_WINDOW_MINUTES = 60;
+// A day without failures forgets earlier lockouts, so the next one starts at the base duration again
+const LOCKOUT_MEMORY_MINUTES = 24 * 60;
+
+export function normalizeLoginEmail(email) {
+  return String(email ?? '').trim().toLowerCase();
+}
+
+// Per-account failed sign-in tracking: progressive delays, temporary lockouts and their audit trail
+class LoginLockoutService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.PG_CONNECTION_STRING
+    });
+    this.threshold = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || DEFAULT_LOCKOUT_THRESHOLD;
+    this.lockoutMinutes = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || DEFAULT_LOCKOUT_MINUTES;
+  }
+
+  /**
+   * Seconds to wait after the nth consecutive failure below the lockout threshold: 1, 2, 4, ... capped
+   */
+  delaySeconds(failedCount) {
+    return Math.min(2 ** (failedCount - 1), MAX_DELAY_SECONDS);
+  }
+
+  /**
+   * Lockout length in minutes; doubles with every lockout since the last quiet day
+   */
+  lockoutDurationMinutes(previousLockouts) {
+    return Math.min(this.lockoutMinutes * 2 ** previousLockouts, MAX_LOCKOUT_MINUTES);
+  }
+
+  /**
+   * Whether a sign-in for this email may be attempted now. Returns null if so,
+   * otherwise { code, retryAfter } with retryAfter in seconds.
+   */
+  async check(email) {
+    const result = await this.pool.query(`
+      SELECT CEIL(EXTRACT(EPOCH FROM (locked_until - NOW()))) AS locked_for,
+        CEIL(EXTRACT(EPOCH FROM (retry_after - NOW()))) AS delay_for
+      FROM login_failures
+      WHERE email = $1
+    `, [normalizeLoginEmail(email)]);
+
+    const row = result.rows[0];
+    if (!row) return null;
+
+    const lockedFor = parseInt(row.locked_for);
+    if (lockedFor > 0) return { code: LOGIN_BLOCK_CODES.locked, retryAfter: lockedFor };
+
+    const delayFor = parseInt(row.delay_for);
+    if (delayFor > 0) return { code: LOGIN_BLOCK_CODES.throttled, retryAfter: delayFor };
+
+    return null;
+  }
+
+  /**
+   * Claim a sign-in attempt for this email before the password (or two-factor code) is checked.
+   * The attempt is counted as a failure up front, in the same UPDATE that checks the account isn't
+   * locked or inside its delay, so a burst of parallel requests can't all get past the check:
+   * only one wins until the delay it sets runs out.
+   *
+   * Returns { block } with the { code, retryAfter } to refuse with, or { attempt } to settle with
+   * recordFailure, releaseAttempt or recordSuccess once the outcome is known.
+   */
+  async reserveAttempt(email) {
+    const normalized = normalizeLoginEmail(email);
+    await this.pool.query(
+      'INSERT INTO login_failures (email) VALUES ($1) ON CONFLICT (email) DO NOTHING',
+      [normalized]
+    );
+
+    // Failures in the window so far including this one, and lockouts within the memory period;
+    // the delay and lockout length mirror delaySeconds() and lockoutDurationMinutes()
+    const failed = `(CASE WHEN last_failed_at < NOW() - ($2 * INTERVAL '1 minute') THEN 1 ELSE failed_count + 1 END)`;
+    const lockouts = `(CASE WHEN last_failed_at < NOW() - ($3 * INTERVAL '1 minute') THEN 0 ELSE lockout_count END)`;
+    const result = await this.pool.query(`
+      UPDATE login_failures SET
+        failed_count = CASE WHEN ${failed} >= $4 THEN 0 ELSE ${failed} END,
+        lockout_count = CASE WHEN ${failed} >= $4 THEN ${lockouts} + 1 ELSE ${lockouts} END,
+        retry_after = CASE WHEN ${failed} >= $4 THEN NULL
+          ELSE NOW() + LEAST(POWER(2, ${failed} - 1), $5) * INTERVAL '1 second' END,
+        locked_until = CASE WHEN ${failed} >= $4
+          THEN NOW() + LEAST($6 * POWER(2, ${lockouts}), $7) * INTERVAL '1 minute' END,
+        last_failed_at = NOW(),
+        updated_at = NOW()
+      WHERE email = $1
+        AND (locked_until IS NULL OR locked_until <= NOW())
+        AND (retry_after IS NULL OR retry_after <= NOW())
+      RETURNING failed_count, lockout_count
+    `, [normalized, FAILURE_WINDOW_MINUTES, LOCKOUT_MEMORY_MINUTES, this.threshold, MAX_DELAY_SECONDS, this.lockoutMinutes, MAX_LOCKOUT_MINUTES]);
+
+    const row = result.rows[0];
+    if (!row) {
+      // Another attempt holds the account; if its delay just ran out, wait a second rather than race it
+      return { block: await this.check(normalized) || { code: LOGIN_BLOCK_CODES.throttled, retryAfter: 1 } };
+    }
+
+    const locked = row.failed_count === 0;
+    return {
+      attempt: {
+        email: normalized,
+        locked,
+        failedCount: locked ? this.threshold : row.failed_count,
+        lockoutCount: row.lockout_count,
+        failure: locked
+          ? { code: LOGIN_BLOCK_CODES.locked, retryAfter: this.lockoutDurationMinutes(row.lockout_count - 1) * 60 }
+          : { code: LOGIN_BLOCK_CODES.throttled, retryAfter: this.delaySeconds(row.failed_count) }
+      }
+    };
+  }
+
+  /**
+   * Settle a reserved attempt that failed: it was already counted, so this only audits a lockout.
+   * Returns the resulting block ({ code, retryAfter }) for the response.
+   */
+  async recordFailure(attempt, meta = {}) {
+    if (attempt.locked) {
+      const lockoutMinutes = attempt.failure.retryAfter / 60;
+      await this.audit('account_locked', attempt.email, meta, {
+        failedAttempts: attempt.failedCount,
+        lockoutMinutes,
+        lockoutCount: attempt.lockoutCount
+      });
+    }
+    return attempt.failure;
+  }
+
+  /**
+   * Undo a reserved attempt whose password was right but that isn't a completed sign-in yet
+   * (two-factor still to come), so it doesn't count as a failure and doesn't clear earlier ones either
+   */
+  async releaseAttempt(attempt) {
+    await this.pool.query(`
+      UPDATE login_failures
+      SET failed_count = $2, lockout_count = $3, retry_after = NULL, locked_until = NULL, updated_at = NOW()
+      WHERE email = $1
+    `, [
+      attempt.email,
+      attempt.failedCount - 1,
+      attempt.locked ? attempt.lockoutCount - 1 : attempt.lockoutCount
+    ]);
+  }
+
+  /**
+   * Forget failures after a successful sign-in
+   */
+  async recordSuccess(email) {
+    await this.pool.query('DELETE FROM login_failures WHERE email = $1', [normalizeLoginEmail(email)]);
+  }
+
+  /**
+   * Clear failures and lift any lockout, e.g. after a password reset. Audited when a lockout was lifted.
+   */
+  async unlock(email, meta = {}) {
+    const normalized = normalizeLoginEmail(email);
+    const result = await this.pool.query(
+      'DELETE FROM login_failures WHERE email = $1 RETURNING locked_until > NOW() AS was_locked',
+      [normalized]
+    );
+
+    const wasLocked = !!result.rows[0]?.was_locked;
+    if (wasLocked) {
+      await this.audit('account_unlocked', normalized, meta, { reason: meta.reason || null });
+    }
+    return wasLocked;
+  }
+
+  /**
+   * Append to auth_audit_log; the user is looked up by email so attempts on unknown emails are still recorded
+   */
+  async audit(event, email, meta = {}, details = {}) {
+    await this.pool.query(`
+      INSERT INTO auth_audit_log (user_id, email, event, ip_address, user_agent, details)
+      VALUES ((SELECT id FROM users WHERE LOWER(email) = $1 LIMIT 1), $1, $2, $3, $4, $5)
+    `, [email, event, meta.ip || null, meta.userAgent || null, JSON.stringify(details)]);
+  }
+
+  /**
+   * Drop failure records with no activity for `days` days (lockouts still in force are kept)
+   */
+  async cleanupStaleFailures(days = 1) {
+    const result = await this.pool.query(`
+      DELETE FROM login_failures
+      WHERE last_failed_at < NOW() - ($1 * INTERVAL '1 day')
+        AND (locked_until IS NULL OR locked_until < NOW())
+    `, [days]);
+    return result.rowCount;
+  }
+}
+
+export default LoginLockoutService;
@@ -0,0 +1,93 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const DEFAULT_MAIL_DIR = path.join(process.cwd(), 'data', 'mail');
+const DEFAULT_FROM = 'Networthy <no-reply@networthy.link>';
+
+// Development transport: prints each message to the server log
+export class ConsoleMailTransport {
+  async send(message) {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return { id: crypto.randomUUID() };
+  }
+}
+
+// Development/test transport: writes each message to <directory>/<timestamp>-<id>.json
+export class FileMailTransport {
+  constructor(directory = DEFAULT_MAIL_DIR) {
+    this.directory = directory;
+  }
+
+  async send(message) {
+    const id = crypto.randomUUID();
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(this.directory, `${Date.now()}-${id}.json`),
+      JSON.stringify({ id, sentAt: new Date().toISOString(), ...message }, null, 2)
+    );
+    return { id };
+  }
+}
+
+// Transports selectable with MAIL_TRANSPORT. A deployment can add its own (SMTP, a provider's API):
+// any object with an async send({ from, to, subject, text }) method works.
+export const MAIL_TRANSPORTS = {
+  console: () => new ConsoleMailTransport(),
+  file: () => new FileMailTransport(process.env.MAIL_DIR || DEFAULT_MAIL_DIR)
+};
+
+export function createMailTransport(name = process.env.MAIL_TRANSPORT || 'console') {
+  const factory = MAIL_TRANSPORTS[name];
+  if (!factory) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected one of: ${Object.keys(MAIL_TRANSPORTS).join(', ')})`);
+  }
+  if (name === 'console' && process.env.NODE_ENV === 'production') {
+    console.warn('⚠️ MAIL_TRANSPORT is console: account emails are only written to the log');
+  }
+  return factory();
+}
+
+// Account emails (verification and password reset) sent through a pluggable transport
+class MailService {
+  constructor(transport = createMailTransport()) {
+    this.transport = transport;
+    this.from = process.env.MAIL_FROM || DEFAULT_FROM;
+  }
+
+  async send({ to, subject, text }) {
+    return this.transport.send({ from: this.from, to, subject, text });
+  }
+
+  async sendVerificationEmail(to, link) {
+    return this.send({
+      to,
+      subject: 'Verify your Networthy email address',
+      text: [
+        'Welcome to Networthy!',
+        '',
+        'Confirm your email address to finish setting up your account:',
+        link,
+        '',
+        "If you didn't create an account, you can ignore this email."
+      ].join('\n')
+    });
+  }
+
+  async sendPasswordResetEmail(to, link) {
+    return this.send({
+      to,
+      subject: 'Reset your Networthy password',
+      text: [
+        'Someone asked to reset the password for your Networthy account.',
+        '',
+        'Choose a new password here (the link works once and expires soon):',
+        link,
+        '',
+        "If you didn't ask for this, you can ignore this email; your password won't change."
+      ].join('\n')
+    });
+  }
+}
+
+export default MailService;
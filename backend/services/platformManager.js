@@ -1,20 +1,20 @@
-import YouTubeService from './youtubeService.js';
-import TwitchService from './twitchService.js';
-import TikTokService from './tiktokService.js';
+import platformRegistry from './platforms/platformRegistry.js';
 import HistoryService from './historyService.js';
+import ExchangeRateService, { BASE_CURRENCY } from './exchangeRateService.js';
+import { PLATFORM_STATUS, describePlatformError, platformStatus } from '../utils/platformStatus.js';
 
 class PlatformManager {
-  constructor() {
-    this.services = {
-      youtube: new YouTubeService(),
-      twitch: new TwitchService(),
-      tiktok: new TikTokService()
-    };
+  constructor(registry = platformRegistry) {
+    this.registry = registry;
+    // One API client per registered platform, keyed by adapter id
+    this.services = Object.fromEntries(registry.list().map(adapter => [adapter.id, adapter.createService()]));
     
     this.historyService = new HistoryService();
+    this.exchangeRateService = new ExchangeRateService();
     this.cache = new Map();
+    this.lastSuccess = new Map(); // Last good stats per platform, identifier and user, served when a fetch fails
     this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
-    this.analyticsCacheVersion = 'v2'; // Increment when trend calculation logic changes
+    this.analyticsCacheVersion = 'v4'; // Increment when trend calculation logic changes
   }
 
   async getPlatformStats(platform, identifier, userId = null) {
@@ -26,21 +26,11 @@ class PlatformManager {
         return cached.data;
       }
 
-      let stats;
-      switch (platform.toLowerCase()) {
-        case 'youtube':
-          stats = await this.services.youtube.getChannelStats(identifier, null, userId);
-          break;
-        case 'twitch':
-          stats = await this.services.twitch.getChannelStats(identifier, null, userId);
-          break;
-        case 'tiktok':
-          stats = await this.services.tiktok.getCreatorStats(identifier, userId);
-          break;
-
-        default:
-          throw new Error(`Unsupported platform: ${platform}`);
+      const adapter = this.registry.get(platform);
+      if (!adapter) {
+        throw new Error(`Unsupported platform: ${platform}`);
       }
+      const stats = await adapter.fetchStats(this.services[adapter.id], { identifier, accessToken: null, userId });
 
       // Cache the result
       this.cache.set(cacheKey, {
@@ -57,15 +47,9 @@ class PlatformManager {
 
   async getAllPlatformStats(platforms, userId = null) {
     try {
-      const promises = platforms.map(async (platform) => {
-        try {
-          return await this.getPlatformStats(platform.name, platform.identifier, userId);
-        } catch (error) {
-          console.error(`Failed to fetch ${platform.name} data:`, error.message);
-          // Return fallback data
-          return this.getFallbackData(platform.name);
-        }
-      });
+      // Failed fetches come back as last good or placeholder stats with a status saying what went wrong
+      const promises = platforms.map(platform => this.fetchWithStatus(platform.name, platform.identifier, userId,
+        () => this.getPlatformStats(platform.name, platform.identifier, userId)));
 
       const results = await Promise.allSettled(promises);
       return results.map(result => 
@@ -77,51 +61,92 @@ class PlatformManager {
     }
   }
 
-  getFallbackData(platformName) {
-    // Return mock data when API fails
-    const fallbackData = {
-      youtube: {
-        name: 'YouTube',
-        subscribers: 0,
-        views: 0,
-        revenue: 0,
-        growth: 0,
-        channelId: '',
-        channelName: 'Unknown Channel'
-      },
-      twitch: {
-        name: 'Twitch',
-        followers: 0,
-        viewers: 0,
-        revenue: 0,
-        growth: 0,
-        channelId: '',
-        channelName: 'Unknown Channel'
-      },
-      tiktok: {
-        name: 'TikTok',
-        followers: 0,
-        views: 0,
-        revenue: 0,
-        growth: 0,
-        channelId: '',
-        channelName: 'Unknown Creator'
-      },
+  /**
+   * Run a stats fetch and attach `status`. When it fails, the last good stats are served instead
+   * (as `stale` for a plain API error; token, quota and not-found failures keep their own state),
+   * or the zeroed fallback when this platform has never loaded.
+   */
+  async fetchWithStatus(platformName, identifier, userId, fetchStats) {
+    const key = `${platformName.toLowerCase()}_${identifier}_${userId || 'public'}`;
+    const previous = this.lastSuccess.get(key);
+
+    try {
+      const stats = await fetchStats();
+      // A cached result is the same object, so keep the time it was actually fetched
+      const lastSuccessAt = previous?.stats === stats ? previous.at : new Date().toISOString();
+      this.lastSuccess.set(key, { stats, at: lastSuccessAt });
+      return { ...stats, status: platformStatus(PLATFORM_STATUS.ok, { lastSuccessAt }) };
+    } catch (error) {
+      console.error(`Failed to fetch ${platformName} data:`, error.message);
+      const failure = describePlatformError(error);
+      if (!previous) {
+        return this.getUnavailableData(platformName, failure);
+      }
+
+      const state = failure.state === PLATFORM_STATUS.apiError ? PLATFORM_STATUS.stale : failure.state;
+      return {
+        ...previous.stats,
+        error: failure.message,
+        status: platformStatus(state, { lastSuccessAt: previous.at, error: failure })
+      };
+    }
+  }
 
+  // Placeholder entry for a platform with no stats to show; the status says why
+  getUnavailableData(platformName, failure) {
+    return {
+      ...this.getFallbackData(platformName),
+      error: failure.message,
+      status: platformStatus(failure.state, { error: failure })
     };
+  }
 
-    return fallbackData[platformName.toLowerCase()] || fallbackData.youtube;
+  // Placeholder stats from the platform's adapter; unknown platforms get YouTube's
+  getFallbackData(platformName) {
+    const adapter = this.registry.get(platformName) || this.registry.get('youtube');
+    return { ...adapter.fallbackStats };
   }
 
-  async calculateAnalytics(platformStats, userId = null) {
+  /**
+   * Convert each platform's revenue (USD unless `revenueCurrency` says otherwise) to `currency`.
+   * Rates are only loaded when something actually needs converting.
+   */
+  async convertRevenue(platformStats, currency) {
+    const currencies = platformStats.map(platform => platform.revenueCurrency || BASE_CURRENCY);
+    if (currencies.every(c => c === currency)) {
+      return { platforms: platformStats, rates: null, exchangeRate: null };
+    }
+
+    const rates = await this.exchangeRateService.getRates();
+    const round = (amount) => Math.round(amount * 100) / 100;
+    const platforms = platformStats.map((platform, i) => ({
+      ...platform,
+      revenue: round(this.exchangeRateService.convert(platform.revenue || 0, currencies[i], currency, rates)),
+      revenueCurrency: currency
+    }));
+
+    const involved = [...new Set([...currencies, currency])].filter(c => c !== BASE_CURRENCY);
+    return {
+      platforms,
+      rates,
+      exchangeRate: {
+        date: this.exchangeRateService.getRateDate(involved, rates),
+        rates: Object.fromEntries(involved.map(c => [c, rates[c].rate]))
+      }
+    };
+  }
+
+  async calculateAnalytics(platformStats, userId = null, { currency } = {}) {
     try {
+      const reportingCurrency = currency || await this.exchangeRateService.getReportingCurrency(userId);
+
       // Check cache version and clear if outdated
       const cacheKey = `analytics_${userId || 'anonymous'}`;
       const cached = this.cache.get(cacheKey);
       
       console.log(`Analytics cache check for key: ${cacheKey}, cached: ${!!cached}, version: ${cached?.version}, current: ${this.analyticsCacheVersion}`);
       
-      if (cached && cached.version !== this.analyticsCacheVersion) {
+      if (cached && (cached.version !== this.analyticsCacheVersion || cached.data.currency !== reportingCurrency)) {
         console.log(`Clearing outdated analytics cache (${cached.version} -> ${this.analyticsCacheVersion})`);
         this.cache.delete(cacheKey);
       } else if (cached && Date.now() < cached.expiry) {
@@ -129,8 +154,21 @@ class PlatformManager {
         console.log(`Returning cached analytics for key: ${cacheKey}`);
         return cached.data;
       }
-      
+
+      // Everything below is in the reporting currency; history stays in USD
+      const converted = await this.convertRevenue(platformStats, reportingCurrency);
+      const usdRevenue = reportingCurrency === BASE_CURRENCY
+        ? null
+        : await this.convertRevenue(platformStats, BASE_CURRENCY);
+      const toReporting = (usdAmount) => converted.rates
+        ? Math.round(this.exchangeRateService.convert(usdAmount, BASE_CURRENCY, reportingCurrency, converted.rates) * 100) / 100
+        : usdAmount;
+      platformStats = converted.platforms;
+
       const totalRevenue = platformStats.reduce((sum, platform) => sum + (platform.revenue || 0), 0);
+      const totalRevenueUsd = usdRevenue
+        ? usdRevenue.platforms.reduce((sum, platform) => sum + (platform.revenue || 0), 0)
+        : totalRevenue;
       const totalFollowers = platformStats.reduce((sum, platform) => sum + (platform.followers || 0), 0);
       
       // Calculate growth rate (average of all platforms)
@@ -177,26 +215,28 @@ class PlatformManager {
       }
 
       // Store total revenue in history if userId is provided
-      if (userId && totalRevenue > 0) {
+      if (userId && totalRevenueUsd > 0) {
         try {
-          await this.historyService.storeTotalRevenue(userId, totalRevenue);
+          await this.historyService.storeTotalRevenue(userId, totalRevenueUsd);
         } catch (error) {
           console.error('Error storing total revenue:', error);
         }
       }
 
-      // Generate monthly trend based on historical data
-      let monthlyTrend;
-      // Temporarily use the fixed generateMonthlyTrend for all users to fix the 3567 issue
-      monthlyTrend = this.generateMonthlyTrend(totalRevenue);
-      console.log(`Using fixed generateMonthlyTrend for user ${userId}, revenue: ${totalRevenue}`);
+      // Monthly trend from stored revenue snapshots (flat at current revenue without a user)
+      const usdTrend = userId
+        ? await this.historyService.calculateRevenueTrend(userId, totalRevenueUsd)
+        : this.historyService.generateFlatTrend(totalRevenueUsd);
+      const monthlyTrend = usdTrend.map(point => ({ ...point, revenue: toReporting(point.revenue) }));
 
       const analyticsResult = {
         totalRevenue,
         totalGrowth: +averageGrowth.toFixed(1),
         topPlatform: topPlatform.name,
         monthlyTrend,
-        platformBreakdown: breakdown
+        platformBreakdown: breakdown,
+        currency: reportingCurrency,
+        exchangeRate: converted.exchangeRate || usdRevenue?.exchangeRate || null
       };
       
       // Cache the analytics result with version
@@ -214,37 +254,6 @@ class PlatformManager {
     }
   }
 
-  generateMonthlyTrend(currentRevenue) {
-    // For zero revenue, show a flat line at zero
-    if (currentRevenue === 0) {
-      return [0, 0, 0, 0, 0, 0];
-    }
-    
-    // Generate more realistic monthly trend data that stays close to current revenue
-    const trend = [];
-    let baseRevenue = currentRevenue * 0.85; // Start at 85% of current revenue
-    
-    for (let i = 0; i < 6; i++) {
-      // Use smaller, more realistic growth (95-105% per month)
-      const growth = (Math.random() * 0.1) + 0.95; // 95-105% growth per month
-      baseRevenue *= growth;
-      
-      // Ensure the trend doesn't deviate too far from current revenue
-      if (baseRevenue > currentRevenue * 1.2) {
-        baseRevenue = currentRevenue * 1.2;
-      } else if (baseRevenue < currentRevenue * 0.6) {
-        baseRevenue = currentRevenue * 0.6;
-      }
-      
-      trend.push(Math.round(baseRevenue));
-    }
-    
-    // Ensure the last value is close to current revenue
-    trend[trend.length - 1] = Math.round(currentRevenue);
-    
-    return trend;
-  }
-
   clearCache() {
     console.log('Clearing all platform manager cache');
     this.cache.clear();
@@ -261,6 +270,21 @@ class PlatformManager {
     }
   }
 
+  // Merge fresh numbers (e.g. from a webhook) into cached stats for one user's platform
+  mergeCachedStats(platform, userId, patch) {
+    const prefix = `${platform.toLowerCase()}_`;
+    const suffix = `_${userId || 'public'}`;
+    for (const [key, cached] of this.cache.entries()) {
+      if (key.toLowerCase().startsWith(prefix) && key.endsWith(suffix)) {
+        this.cache.set(key, { ...cached, data: { ...cached.data, ...patch } });
+      }
+    }
+  }
+
+  invalidateAnalytics(userId) {
+    this.cache.delete(`analytics_${userId || 'anonymous'}`);
+  }
+
   getCacheStats() {
     return {
       size: this.cache.size,
@@ -0,0 +1,84 @@
+import youtubeAdapter from './youtubeAdapter.js';
+import twitchAdapter from './twitchAdapter.js';
+import tiktokAdapter from './tiktokAdapter.js';
+
+/**
+ * Everything the app needs to know about one network. Adding a platform means writing an adapter and
+ * registering it below; PlatformManager, TokenManager, WebhookService, RevenueService, CsvImportService,
+ * the history routes and the OAuth routes look it up here.
+ *
+ * Required:
+ * - id: key in connected_platforms, user_tokens, rate limits and webhook URLs ('youtube')
+ * - displayName: name in stats and platform_history ('YouTube')
+ * - metrics: { audience, reach, growth } - the stat fields holding the audience and reach counts,
+ *   and the one growth is measured on
+ * - revenueModel: { type, description } - how the service estimates revenue
+ * - rateLimit: { maxCalls, windowMs } for calls to the platform's API
+ * - fallbackStats: placeholder stats when nothing could be fetched
+ * - createService(): the API client PlatformManager keeps in `services[id]`
+ * - fetchStats(service, { identifier, accessToken, userId }): stats for one channel or account
+ *
+ * Optional:
+ * - auth: { path, getAuthorizationUrl(state), exchangeCode(code), getAccount(token), refreshToken(token) }
+ *   mounts /api/auth/<path> and its /callback. getAccount returns the { identifier, title } to connect,
+ *   and refreshToken returns the refreshed token to store. Throw on failure.
+ * - onConnect(account, services): async setup after a user connects the account, such as push
+ *   subscriptions; `services` holds server.js's youtubeWebSubService and twitchEventSubService
+ * - webhook: { secretEnv, parse(payload) } - parse returns { identifier, data } with data in stat field names
+ * - csvColumns: { date, columns } - analytics export date column names, and lowercased column names mapped
+ *   to { metric, scale } in platform_history; `scale` converts to the whole-number units stored there
+ */
+const REQUIRED_FIELDS = ['id', 'displayName', 'metrics', 'revenueModel', 'rateLimit', 'fallbackStats', 'createService', 'fetchStats'];
+const REQUIRED_AUTH_FIELDS = ['path', 'getAuthorizationUrl', 'exchangeCode', 'getAccount', 'refreshToken'];
+
+export class PlatformRegistry {
+  constructor(adapters = []) {
+    this.adapters = new Map();
+    adapters.forEach(adapter => this.register(adapter));
+  }
+
+  register(adapter) {
+    const missing = REQUIRED_FIELDS.filter(field => !adapter?.[field]);
+    if (adapter?.auth) {
+      missing.push(...REQUIRED_AUTH_FIELDS.filter(field => !adapter.auth[field]).map(field => `auth.${field}`));
+    }
+    if (adapter?.webhook && typeof adapter.webhook.parse !== 'function') {
+      missing.push('webhook.parse');
+    }
+    if (adapter?.onConnect !== undefined && typeof adapter.onConnect !== 'function') {
+      missing.push('onConnect');
+    }
+    if (adapter?.csvColumns && !(adapter.csvColumns.date && adapter.csvColumns.columns)) {
+      missing.push('csvColumns.date, csvColumns.columns');
+    }
+    if (missing.length > 0) {
+      throw new Error(`Platform adapter ${adapter?.id || '(unnamed)'} is missing ${missing.join(', ')}`);
+    }
+    if (this.adapters.has(adapter.id)) {
+      throw new Error(`Platform adapter ${adapter.id} is already registered`);
+    }
+
+    this.adapters.set(adapter.id, adapter);
+    return adapter;
+  }
+
+  /**
+   * Look up an adapter by id or display name, ignoring case; null if there is none
+   */
+  get(platform) {
+    const key = String(platform || '').toLowerCase();
+    return this.adapters.get(key) || this.list().find(adapter => adapter.displayName.toLowerCase() === key) || null;
+  }
+
+  list() {
+    return [...this.adapters.values()];
+  }
+
+  ids() {
+    return [...this.adapters.keys()];
+  }
+}
+
+export const platformRegistry = new PlatformRegistry([youtubeAdapter, twitchAdapter, tiktokAdapter]);
+
+export default platformRegistry;
@@ -0,0 +1,100 @@
+import axios from 'axios';
+import TikTokService from '../tiktokService.js';
+import { getTikTokToken } from '../authService.js';
+
+const TIKTOK_TOKEN_URL = 'https://open.tiktokapis.com/v2/oauth/token/';
+
+// TikTok through the Display API, connected with TikTok Login Kit
+const tiktokAdapter = {
+  id: 'tiktok',
+  displayName: 'TikTok',
+  metrics: { audience: 'followers', reach: 'views', growth: 'followers' },
+  revenueModel: { type: 'audience', description: 'About $0.005 per follower plus $0.50 per 1,000 video views a month' },
+  rateLimit: { maxCalls: 200, windowMs: 60 * 60 * 1000 },
+  fallbackStats: {
+    name: 'TikTok',
+    followers: 0,
+    views: 0,
+    revenue: 0,
+    growth: 0,
+    channelId: '',
+    channelName: 'Unknown Creator'
+  },
+
+  // Analytics export columns -> platform_history metrics, for CSV imports
+  csvColumns: {
+    date: ['date'],
+    columns: {
+      'followers': { metric: 'followers' },
+      'difference in followers from previous day': { metric: 'new_followers' },
+      'video views': { metric: 'daily_views' },
+      'profile views': { metric: 'profile_views' },
+      'likes': { metric: 'likes' },
+      'comments': { metric: 'comments' },
+      'shares': { metric: 'shares' }
+    }
+  },
+
+  createService() {
+    return new TikTokService();
+  },
+
+  // The service authenticates with client credentials, so the user's token isn't needed
+  fetchStats(service, { identifier, userId = null }) {
+    return service.getCreatorStats(identifier, userId);
+  },
+
+  auth: {
+    path: 'tiktok',
+
+    getAuthorizationUrl(state) {
+      return `https://www.tiktok.com/v2/auth/authorize/?client_key=${process.env.TIKTOK_CLIENT_KEY}&response_type=code&scope=user.info.basic,video.list,video.stats&redirect_uri=${encodeURIComponent(process.env.TIKTOK_REDIRECT_URI)}&state=${encodeURIComponent(state)}`;
+    },
+
+    exchangeCode(code) {
+      return getTikTokToken(code);
+    },
+
+    async getAccount(token) {
+      return { identifier: token.open_id || 'authenticated_user', title: 'TikTok Account' };
+    },
+
+    // Access tokens last a day, refresh tokens a year
+    async refreshToken(tokenData) {
+      // TikTok expects a form-encoded body and reports some errors in a 200 response
+      const response = await axios.post(TIKTOK_TOKEN_URL, new URLSearchParams({
+        client_key: process.env.TIKTOK_CLIENT_KEY,
+        client_secret: process.env.TIKTOK_CLIENT_SECRET,
+        grant_type: 'refresh_token',
+        refresh_token: tokenData.refresh_token
+      }).toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      });
+
+      const { access_token, refresh_token, expires_in, refresh_expires_in, open_id, scope, error, error_description } = response.data;
+      if (!access_token) {
+        throw Object.assign(new Error(error_description || error || 'No access token in TikTok response'), { code: error });
+      }
+
+      return {
+        access_token,
+        refresh_token: refresh_token || tokenData.refresh_token,
+        expires_at: new Date(Date.now() + (expires_in * 1000)),
+        refresh_expires_at: refresh_expires_in
+          ? new Date(Date.now() + (refresh_expires_in * 1000))
+          : tokenData.refresh_expires_at,
+        open_id: open_id || tokenData.open_id,
+        scope: scope || tokenData.scope
+      };
+    }
+  },
+
+  webhook: {
+    secretEnv: 'TIKTOK_WEBHOOK_SECRET',
+    parse({ openId, followerCount, videoCount, likeCount }) {
+      return { identifier: openId, data: { followers: followerCount, videos: videoCount, likes: likeCount } };
+    }
+  }
+};
+
+export default tiktokAdapter;
@@ -0,0 +1,127 @@
+import axios from 'axios';
+import TwitchService from '../twitchService.js';
+
+const TWITCH_SCOPES = 'user:read:email analytics:read:games channel:read:subscriptions moderator:read:followers bits:read';
+
+// Twitch requires the registered redirect URI over HTTPS
+const twitchRedirectUri = () => process.env.TWITCH_REDIRECT_URI.replace('http://', 'https://');
+
+// Twitch through the Helix API, connected with Twitch OAuth
+const twitchAdapter = {
+  id: 'twitch',
+  displayName: 'Twitch',
+  metrics: { audience: 'followers', reach: 'viewers', growth: 'followers' },
+  revenueModel: { type: 'audience', description: 'About $0.01 per follower plus $0.05 per concurrent viewer a month' },
+  rateLimit: { maxCalls: 800, windowMs: 60 * 60 * 1000 },
+  fallbackStats: {
+    name: 'Twitch',
+    followers: 0,
+    viewers: 0,
+    revenue: 0,
+    growth: 0,
+    channelId: '',
+    channelName: 'Unknown Channel'
+  },
+
+  // Analytics export columns -> platform_history metrics, for CSV imports
+  csvColumns: {
+    date: ['date', 'day'],
+    columns: {
+      'average viewers': { metric: 'viewers' },
+      'max viewers': { metric: 'max_viewers' },
+      'unique viewers': { metric: 'unique_viewers' },
+      'live views': { metric: 'live_views' },
+      'follows': { metric: 'new_followers' },
+      'new followers': { metric: 'new_followers' },
+      'new subscriptions': { metric: 'new_subscribers' },
+      'minutes watched': { metric: 'minutes_watched' },
+      'minutes streamed': { metric: 'minutes_streamed' },
+      'hours streamed': { metric: 'minutes_streamed', scale: 60 },
+      'chatters': { metric: 'chatters' }
+    }
+  },
+
+  createService() {
+    return new TwitchService();
+  },
+
+  fetchStats(service, { identifier, accessToken = null, userId = null }) {
+    return service.getChannelStats(identifier, accessToken, userId);
+  },
+
+  // Create the channel's EventSub subscriptions (follows, going live, subs, bits)
+  async onConnect({ identifier }, { twitchEventSubService }) {
+    await twitchEventSubService.syncSubscriptions(identifier);
+  },
+
+  auth: {
+    path: 'twitch',
+
+    getAuthorizationUrl(state) {
+      return `https://id.twitch.tv/oauth2/authorize?response_type=code&client_id=${process.env.TWITCH_CLIENT_ID}&redirect_uri=${encodeURIComponent(twitchRedirectUri())}&scope=${encodeURIComponent(TWITCH_SCOPES)}&state=${encodeURIComponent(state)}`;
+    },
+
+    async exchangeCode(code) {
+      const response = await fetch('https://id.twitch.tv/oauth2/token', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+          client_id: process.env.TWITCH_CLIENT_ID,
+          client_secret: process.env.TWITCH_CLIENT_SECRET,
+          code,
+          grant_type: 'authorization_code',
+          redirect_uri: twitchRedirectUri()
+        })
+      });
+
+      const tokenData = await response.json();
+      if (!response.ok) {
+        throw new Error(`Failed to exchange code for token: ${tokenData.message || response.status}`);
+      }
+      return {
+        access_token: tokenData.access_token,
+        refresh_token: tokenData.refresh_token,
+        expires_in: tokenData.expires_in
+      };
+    },
+
+    async getAccount(token) {
+      const response = await fetch('https://api.twitch.tv/helix/users', {
+        headers: {
+          'Authorization': `Bearer ${token.access_token}`,
+          'Client-Id': process.env.TWITCH_CLIENT_ID
+        }
+      });
+      const userData = await response.json();
+      return {
+        identifier: userData.data?.[0]?.login || 'authenticated_user',
+        title: userData.data?.[0]?.display_name || 'Twitch Channel'
+      };
+    },
+
+    async refreshToken(tokenData) {
+      const response = await axios.post('https://id.twitch.tv/oauth2/token', {
+        grant_type: 'refresh_token',
+        refresh_token: tokenData.refresh_token,
+        client_id: process.env.TWITCH_CLIENT_ID,
+        client_secret: process.env.TWITCH_CLIENT_SECRET
+      });
+
+      const { access_token, refresh_token, expires_in } = response.data;
+      return {
+        access_token,
+        refresh_token: refresh_token || tokenData.refresh_token,
+        expires_at: new Date(Date.now() + (expires_in * 1000))
+      };
+    }
+  },
+
+  webhook: {
+    secretEnv: 'TWITCH_WEBHOOK_SECRET',
+    parse({ broadcasterUserId, followerCount, viewerCount, isLive }) {
+      return { identifier: broadcasterUserId, data: { followers: followerCount, viewers: viewerCount, isLive } };
+    }
+  }
+};
+
+export default twitchAdapter;
@@ -0,0 +1,112 @@
+import { google } from 'googleapis';
+import YouTubeService from '../youtubeService.js';
+import { googleClient } from '../authService.js';
+
+// YouTube through the Data API v3, connected with Google OAuth
+const youtubeAdapter = {
+  id: 'youtube',
+  displayName: 'YouTube',
+  metrics: { audience: 'subscribers', reach: 'views', growth: 'subscribers' },
+  revenueModel: { type: 'cpm', description: 'About $3.50 per 1,000 views on the latest 50 videos' },
+  rateLimit: { maxCalls: 100, windowMs: 60 * 60 * 1000 },
+  fallbackStats: {
+    name: 'YouTube',
+    subscribers: 0,
+    views: 0,
+    revenue: 0,
+    growth: 0,
+    channelId: '',
+    channelName: 'Unknown Channel'
+  },
+
+  // Analytics export columns -> platform_history metrics, for CSV imports
+  csvColumns: {
+    date: ['date'],
+    columns: {
+      'views': { metric: 'daily_views' },
+      'watch time (hours)': { metric: 'watch_time_minutes', scale: 60 },
+      'subscribers': { metric: 'net_subscribers' },
+      'subscribers gained': { metric: 'subscribers_gained' },
+      'subscribers lost': { metric: 'subscribers_lost' },
+      'estimated revenue (usd)': { metric: 'revenue_cents', scale: 100 },
+      'impressions': { metric: 'impressions' },
+      'likes': { metric: 'likes' },
+      'comments added': { metric: 'comments' },
+      'shares': { metric: 'shares' }
+    }
+  },
+
+  createService() {
+    return new YouTubeService();
+  },
+
+  fetchStats(service, { identifier, accessToken = null, userId = null }) {
+    return service.getChannelStats(identifier, accessToken, userId);
+  },
+
+  // Subscribe the channel to new-upload notifications
+  async onConnect({ identifier }, { youtubeWebSubService }) {
+    await youtubeWebSubService.subscribe(identifier);
+  },
+
+  auth: {
+    path: 'google',
+
+    getAuthorizationUrl(state) {
+      // Ensure the redirect URI is set on the client before generating URL
+      googleClient.redirectUri = process.env.GOOGLE_REDIRECT_URI;
+      return googleClient.generateAuthUrl({
+        access_type: 'offline',
+        scope: ['https://www.googleapis.com/auth/youtube.readonly', 'email', 'profile'],
+        prompt: 'consent',
+        state,
+        redirect_uri: process.env.GOOGLE_REDIRECT_URI,
+        response_type: 'code',
+        include_granted_scopes: true
+      });
+    },
+
+    async exchangeCode(code) {
+      const { tokens } = await googleClient.getToken(code);
+      return tokens;
+    },
+
+    async getAccount(tokens) {
+      const auth = new google.auth.OAuth2();
+      auth.setCredentials(tokens);
+      const response = await google.youtube({ version: 'v3', auth }).channels.list({ part: 'snippet', mine: true });
+      const channel = response.data.items?.[0];
+      return { identifier: channel?.id || 'authenticated_user', title: channel?.snippet?.title || 'YouTube Channel' };
+    },
+
+    async refreshToken(tokenData) {
+      const oauth2Client = new google.auth.OAuth2(
+        process.env.GOOGLE_CLIENT_ID,
+        process.env.GOOGLE_CLIENT_SECRET,
+        process.env.GOOGLE_REDIRECT_URI
+      );
+      oauth2Client.setCredentials({ refresh_token: tokenData.refresh_token });
+
+      const { credentials } = await oauth2Client.refreshAccessToken();
+      return {
+        access_token: credentials.access_token,
+        refresh_token: credentials.refresh_token || tokenData.refresh_token,
+        // google-auth-library hands back an absolute expiry_date rather than expires_in
+        expires_at: credentials.expiry_date
+          ? new Date(credentials.expiry_date)
+          : new Date(Date.now() + (credentials.expires_in * 1000)),
+        scope: credentials.scope,
+        token_type: credentials.token_type
+      };
+    }
+  },
+
+  webhook: {
+    secretEnv: 'YOUTUBE_WEBHOOK_SECRET',
+    parse({ channelId, subscriberCount, viewCount, videoCount }) {
+      return { identifier: channelId, data: { subscribers: subscriberCount, views: viewCount, videos: videoCount } };
+    }
+  }
+};
+
+export default youtubeAdapter;
@@ -0,0 +1,211 @@
+import { Pool } from 'pg';
+import ExchangeRateService, { BASE_CURRENCY } from './exchangeRateService.js';
+import platformRegistry from './platforms/platformRegistry.js';
+
+const ENTRY_COLUMNS = 'id, platform_name, period, source, amount, currency, notes, created_at, updated_at';
+
+// Per-user manual revenue ledger (revenue_entries)
+class RevenueService {
+  constructor(exchangeRateService = new ExchangeRateService(), registry = platformRegistry) {
+    this.pool = new Pool({
+      connectionString: process.env.PG_CONNECTION_STRING
+    });
+    this.exchangeRateService = exchangeRateService;
+    this.registry = registry;
+  }
+
+  /**
+   * Month key ('YYYY-MM') for a date, in UTC
+   */
+  getPeriod(date = new Date()) {
+    return date.toISOString().slice(0, 7);
+  }
+
+  /**
+   * Returns an error message for an invalid entry, or null. `partial` allows missing fields (edits).
+   */
+  validateEntry({ platform, period, source, amount, currency }, partial = false) {
+    const has = (value) => value !== undefined;
+    const platforms = this.registry.ids();
+
+    if ((!partial || has(platform)) && !platforms.includes(platform)) {
+      return `platform must be one of: ${platforms.join(', ')}`;
+    }
+    if ((!partial || has(period)) && !/^\d{4}-(0[1-9]|1[0-2])$/.test(period || '')) {
+      return 'period must be a month in YYYY-MM format';
+    }
+    if (has(source) && !/^[a-z0-9_-]{1,50}$/.test(source)) {
+      return 'source must be 1-50 lowercase letters, digits, dashes or underscores';
+    }
+    if ((!partial || has(amount)) && (typeof amount !== 'number' || !Number.isFinite(amount) || amount < 0)) {
+      return 'amount must be a non-negative number';
+    }
+    if (has(amount) && amount > 1000000000) {
+      return 'amount cannot exceed 1,000,000,000';
+    }
+    if (has(currency) && !/^[A-Z]{3}$/.test(currency)) {
+      return 'currency must be a 3-letter ISO code';
+    }
+    return null;
+  }
+
+  formatEntry(row) {
+    return {
+      id: row.id,
+      platform: row.platform_name,
+      period: row.period,
+      source: row.source,
+      amount: Number(row.amount),
+      currency: row.currency,
+      notes: row.notes,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * A user's entries, newest period first; optionally one platform and/or a period range
+   */
+  async listEntries(userId, { platform, from, to } = {}) {
+    const conditions = ['user_id = $1'];
+    const params = [userId];
+
+    if (platform) {
+      params.push(platform);
+      conditions.push(`platform_name = $${params.length}`);
+    }
+    if (from) {
+      params.push(from);
+      conditions.push(`period >= $${params.length}`);
+    }
+    if (to) {
+      params.push(to);
+      conditions.push(`period <= $${params.length}`);
+    }
+
+    const result = await this.pool.query(`
+      SELECT ${ENTRY_COLUMNS}
+      FROM revenue_entries
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY period DESC, platform_name, source
+    `, params);
+
+    return result.rows.map(row => this.formatEntry(row));
+  }
+
+  /**
+   * Create an entry, or replace the amount of the existing one for the same platform, period and source
+   */
+  async upsertEntry(userId, { platform, period, source = 'manual', amount, currency = 'USD', notes = null }) {
+    const result = await this.pool.query(`
+      INSERT INTO revenue_entries (user_id, platform_name, period, source, amount, currency, notes)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (user_id, platform_name, period, source)
+      DO UPDATE SET
+        amount = EXCLUDED.amount,
+        currency = EXCLUDED.currency,
+        notes = EXCLUDED.notes,
+        updated_at = NOW()
+      RETURNING ${ENTRY_COLUMNS}
+    `, [userId, platform, period, source, amount, currency, notes]);
+
+    return this.formatEntry(result.rows[0]);
+  }
+
+  /**
+   * Edit an entry the user owns; returns null when it doesn't exist.
+   * Throws a 23505 error if the edit collides with another entry's platform/period/source.
+   */
+  async updateEntry(userId, id, changes) {
+    const columns = { platform: 'platform_name', period: 'period', source: 'source', amount: 'amount', currency: 'currency', notes: 'notes' };
+    const assignments = [];
+    const params = [userId, id];
+
+    Object.entries(columns).forEach(([field, column]) => {
+      if (changes[field] !== undefined) {
+        params.push(changes[field]);
+        assignments.push(`${column} = $${params.length}`);
+      }
+    });
+
+    const result = await this.pool.query(`
+      UPDATE revenue_entries
+      SET ${[...assignments, 'updated_at = NOW()'].join(', ')}
+      WHERE user_id = $1 AND id = $2
+      RETURNING ${ENTRY_COLUMNS}
+    `, params);
+
+    return result.rows[0] ? this.formatEntry(result.rows[0]) : null;
+  }
+
+  /**
+   * Delete an entry the user owns; returns whether it existed
+   */
+  async deleteEntry(userId, id) {
+    const result = await this.pool.query('DELETE FROM revenue_entries WHERE user_id = $1 AND id = $2', [userId, id]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Revenue that replaces the estimate for each platform: the total of the most recent period with entries,
+   * as { youtube: { amount, currency } }. A period mixing currencies is totalled in USD.
+   */
+  async getRevenueOverrides(userId) {
+    if (!userId) return {};
+
+    try {
+      const result = await this.pool.query(`
+        SELECT platform_name, period, currency, SUM(amount) AS total
+        FROM revenue_entries
+        WHERE user_id = $1
+          AND period = (
+            SELECT MAX(latest.period) FROM revenue_entries latest
+            WHERE latest.user_id = revenue_entries.user_id AND latest.platform_name = revenue_entries.platform_name
+          )
+        GROUP BY platform_name, period, currency
+        ORDER BY platform_name, currency
+      `, [userId]);
+
+      const byPlatform = {};
+      result.rows.forEach(row => {
+        (byPlatform[row.platform_name] ||= []).push({ currency: row.currency, amount: Number(row.total) });
+      });
+
+      const overrides = {};
+      let rates = null;
+      for (const [platform, totals] of Object.entries(byPlatform)) {
+        if (totals.length === 1) {
+          overrides[platform] = totals[0];
+          continue;
+        }
+
+        try {
+          rates ||= await this.exchangeRateService.getRates();
+          const amount = totals.reduce((sum, { amount, currency }) =>
+            sum + this.exchangeRateService.convert(amount, currency, BASE_CURRENCY, rates), 0);
+          overrides[platform] = { amount: Math.round(amount * 100) / 100, currency: BASE_CURRENCY };
+        } catch (error) {
+          console.error(`Error converting ${platform} revenue entries:`, error.message);
+        }
+      }
+      return overrides;
+    } catch (error) {
+      console.error('Error loading revenue overrides:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Replace estimated revenue (always USD) with the user's own figures, keeping their currency
+   */
+  applyOverrides(platforms, overrides) {
+    return platforms.map(platform => {
+      const override = overrides[platform.name.toLowerCase()];
+      return override
+        ? { ...platform, revenue: override.amount, revenueCurrency: override.currency }
+        : platform;
+    });
+  }
+}
+
+export default RevenueService;
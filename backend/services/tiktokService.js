@@ -108,7 +108,7 @@ class TikTokService {
       };
     } catch (error) {
       console.error('TikTok API Error:', error.message);
-      throw new Error(`Failed to fetch TikTok data: ${error.message}`);
+      throw new Error(`Failed to fetch TikTok data: ${error.message}`, { cause: error });
     }
   }
 
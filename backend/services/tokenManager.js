@@ -1,10 +1,29 @@
 import { Pool } from 'pg';
-import { google } from 'googleapis';
-import axios from 'axios';
+import TokenStore from './tokenStore.js';
+import platformRegistry from './platforms/platformRegistry.js';
+
+// Failed refreshes are retried after 5, 10, 20... minutes (capped at 6 hours); after this many the user has to reconnect
+const REFRESH_RETRY_BASE_MINUTES = 5;
+const REFRESH_RETRY_MAX_MINUTES = 6 * 60;
+const MAX_REFRESH_ATTEMPTS = 5;
+
+// Failures that retrying won't fix: the grant was revoked or expired, or there is nothing to refresh with
+const isPermanentRefreshError = (error) =>
+  ['invalid_grant', 'no_refresh_token'].includes(error.code) ||
+  error.response?.data?.error === 'invalid_grant' ||
+  [400, 401].includes(error.response?.status);
+
+const requireRefreshToken = (tokenData) => {
+  if (!tokenData.refresh_token) {
+    throw Object.assign(new Error('No refresh token stored'), { code: 'no_refresh_token' });
+  }
+};
 
 class TokenManager {
-  constructor() {
+  constructor(tokenStore = new TokenStore(), registry = platformRegistry) {
     this.pool = new Pool({ connectionString: process.env.PG_CONNECTION_STRING });
+    this.tokenStore = tokenStore;
+    this.registry = registry;
   }
 
   // Check if token is expired
@@ -13,87 +32,95 @@ class TokenManager {
     return new Date() > new Date(tokenData.expires_at);
   }
 
-  // Validate and refresh YouTube tokens
-  async validateAndRefreshYouTubeToken(userId, tokenData) {
+  // Validate a token and refresh it through its platform adapter once expired; `force` refreshes a token
+  // that hasn't expired yet. Failures are recorded for backoff and the token is kept.
+  async validateAndRefreshToken(userId, platform, tokenData, { force = false } = {}) {
+    const adapter = this.registry.get(platform);
+    if (!adapter?.auth) {
+      return tokenData; // Nothing to refresh with
+    }
+
     try {
-      if (!this.isTokenExpired(tokenData)) {
+      if (!force && !this.isTokenExpired(tokenData)) {
         return tokenData; // Token is still valid
       }
 
-      console.log(`🔄 Refreshing expired YouTube token for user: ${userId}`);
+      console.log(`🔄 Refreshing ${adapter.displayName} token for user: ${userId}`);
+      requireRefreshToken(tokenData);
 
-      // Create OAuth2 client for refresh
-      const { OAuth2 } = google.auth;
-      const oauth2Client = new OAuth2(
-        process.env.GOOGLE_CLIENT_ID,
-        process.env.GOOGLE_CLIENT_SECRET,
-        process.env.GOOGLE_REDIRECT_URI
-      );
+      const updatedToken = await adapter.auth.refreshToken(tokenData);
+      await this.updateToken(userId, adapter.id, updatedToken);
+      console.log(`✅ ${adapter.displayName} token refreshed successfully for user: ${userId}`);
 
-      // Set refresh token
-      oauth2Client.setCredentials({
-        refresh_token: tokenData.refresh_token
-      });
-
-      // Refresh the token
-      const { credentials } = await oauth2Client.refreshAccessToken();
-      
-      // Update token in database
-      const updatedToken = {
-        access_token: credentials.access_token,
-        refresh_token: credentials.refresh_token || tokenData.refresh_token,
-        expires_at: new Date(Date.now() + (credentials.expires_in * 1000)),
-        scope: credentials.scope,
-        token_type: credentials.token_type
-      };
-
-      await this.updateToken(userId, 'youtube', updatedToken);
-      console.log(`✅ YouTube token refreshed successfully for user: ${userId}`);
-      
       return updatedToken;
     } catch (error) {
-      console.error(`❌ Failed to refresh YouTube token for user ${userId}:`, error.message);
-      // Remove invalid token
-      await this.removeToken(userId, 'youtube');
+      console.error(`❌ Failed to refresh ${adapter.displayName} token for user ${userId}:`, error.message);
+      await this.recordRefreshFailure(userId, adapter.id, error);
       throw new Error('Token refresh failed - re-authentication required');
     }
   }
 
-  // Validate and refresh Twitch tokens
-  async validateAndRefreshTwitchToken(userId, tokenData) {
+  // Count a failed refresh: retry later with exponential backoff, or flag the connection as needing
+  // the user to reconnect. The token is kept so the connection still shows up on the dashboard.
+  async recordRefreshFailure(userId, platform, error) {
     try {
-      if (!this.isTokenExpired(tokenData)) {
-        return tokenData; // Token is still valid
+      const attempts = await this.tokenStore.getRefreshFailures(userId, platform) + 1;
+      const needsReconnect = isPermanentRefreshError(error) || attempts >= MAX_REFRESH_ATTEMPTS;
+      const delayMinutes = Math.min(REFRESH_RETRY_BASE_MINUTES * 2 ** (attempts - 1), REFRESH_RETRY_MAX_MINUTES);
+
+      await this.tokenStore.recordRefreshFailure(userId, platform, {
+        message: error.message,
+        retryAt: needsReconnect ? null : new Date(Date.now() + delayMinutes * 60 * 1000),
+        needsReconnect
+      });
+
+      if (needsReconnect) {
+        console.warn(`⚠️ ${platform} connection for user ${userId} needs to be reconnected`);
       }
+      return { attempts, needsReconnect };
+    } catch (recordError) {
+      console.error('Error recording token refresh failure:', recordError);
+      return null;
+    }
+  }
 
-      console.log(`🔄 Refreshing expired Twitch token for user: ${userId}`);
+  // Refresh tokens that expire within the window before they do (run periodically). Tokens backing off
+  // after a failure or waiting for the user to reconnect are skipped.
+  async refreshExpiringTokens({ windowMinutes = 30 } = {}) {
+    const summary = { refreshed: 0, failed: 0, skipped: 0 };
+    const tokens = await this.tokenStore.listDueForRefresh(windowMinutes);
+
+    for (const { userId, platform, token: tokenData, error } of tokens) {
+      if (error) {
+        console.warn(`⚠️ Skipping ${platform} token for user ${userId}: ${error.message}`);
+        summary.skipped++;
+        continue;
+      }
 
-      // Twitch token refresh
-      const response = await axios.post('https://id.twitch.tv/oauth2/token', {
-        grant_type: 'refresh_token',
-        refresh_token: tokenData.refresh_token,
-        client_id: process.env.TWITCH_CLIENT_ID,
-        client_secret: process.env.TWITCH_CLIENT_SECRET
-      });
+      if (!this.registry.get(platform)?.auth) {
+        summary.skipped++;
+        continue;
+      }
 
-      const { access_token, refresh_token, expires_in } = response.data;
-      
-      // Update token in database
-      const updatedToken = {
-        accessToken: access_token,
-        refreshToken: refresh_token,
-        expiresAt: new Date(Date.now() + (expires_in * 1000))
-      };
-
-      await this.updateToken(userId, 'twitch', updatedToken);
-      console.log(`✅ Twitch token refreshed successfully for user: ${userId}`);
-      
-      return updatedToken;
+      try {
+        await this.validateAndRefreshToken(userId, platform, tokenData, { force: true });
+        summary.refreshed++;
+      } catch (refreshError) {
+        // Already recorded by the refresh
+        summary.failed++;
+      }
+    }
+
+    return summary;
+  }
+
+  // Platforms this user has to reconnect, keyed by platform: { since, error }
+  async getReconnectStates(userId) {
+    try {
+      return await this.tokenStore.getReconnectStates(userId);
     } catch (error) {
-      console.error(`❌ Failed to refresh Twitch token for user ${userId}:`, error.message);
-      // Remove invalid token
-      await this.removeToken(userId, 'twitch');
-      throw new Error('Token refresh failed - re-authentication required');
+      console.error('Error getting reconnect states:', error);
+      return {};
     }
   }
 
@@ -108,11 +135,7 @@ class TokenManager {
 
       // Check if token is expired and refresh if needed
       if (this.isTokenExpired(tokenData)) {
-        if (platform === 'youtube') {
-          return await this.validateAndRefreshYouTubeToken(userId, tokenData);
-        } else if (platform === 'twitch') {
-          return await this.validateAndRefreshTwitchToken(userId, tokenData);
-        }
+        return await this.validateAndRefreshToken(userId, platform, tokenData);
       }
 
       return tokenData;
@@ -122,30 +145,20 @@ class TokenManager {
     }
   }
 
-  // Get token from database
+  // Get decrypted token from the token store
   async getToken(userId, platform) {
     try {
-      const result = await this.pool.query(
-        'SELECT * FROM user_tokens WHERE user_id = $1 AND platform = $2',
-        [userId, platform]
-      );
-      return result.rows[0] || null;
+      return await this.tokenStore.get(userId, platform);
     } catch (error) {
       console.error('Error getting token:', error);
       return null;
     }
   }
 
-  // Update token in database
+  // Encrypt and save token in the token store
   async updateToken(userId, platform, tokenData) {
     try {
-      await this.pool.query(
-        `INSERT INTO user_tokens (user_id, platform, token_data, created_at, updated_at)
-         VALUES ($1, $2, $3, NOW(), NOW())
-         ON CONFLICT (user_id, platform)
-         DO UPDATE SET token_data = $3, updated_at = NOW()`,
-        [userId, platform, JSON.stringify(tokenData)]
-      );
+      return await this.tokenStore.save(userId, platform, tokenData);
     } catch (error) {
       console.error('Error updating token:', error);
       throw error;
@@ -155,52 +168,42 @@ class TokenManager {
   // Remove token from database
   async removeToken(userId, platform) {
     try {
-      await this.pool.query(
-        'DELETE FROM user_tokens WHERE user_id = $1 AND platform = $2',
-        [userId, platform]
-      );
+      await this.tokenStore.remove(userId, platform);
       console.log(`🗑️ Removed ${platform} token for user: ${userId}`);
     } catch (error) {
       console.error('Error removing token:', error);
     }
   }
 
-  // Clean up all expired tokens (run periodically)
+  // Try to refresh every expired token; returns how many could not be refreshed
   async cleanupExpiredTokens() {
     try {
       console.log('🧹 Starting expired token cleanup...');
       
-      // Get all tokens
-      const result = await this.pool.query('SELECT * FROM user_tokens');
-      let removedCount = 0;
-
-      for (const token of result.rows) {
-        try {
-          const tokenData = JSON.parse(token.token_data);
-          
-          if (this.isTokenExpired(tokenData)) {
-            // Try to refresh the token
-            try {
-              if (token.platform === 'youtube') {
-                await this.validateAndRefreshYouTubeToken(token.user_id, tokenData);
-              } else if (token.platform === 'twitch') {
-                await this.validateAndRefreshTwitchToken(token.user_id, tokenData);
-              }
-            } catch (refreshError) {
-              // If refresh fails, remove the token
-              await this.removeToken(token.user_id, token.platform);
-              removedCount++;
-            }
+      // Get all tokens, decrypted
+      const tokens = await this.tokenStore.list();
+      let failedCount = 0;
+
+      for (const { userId, platform, token: tokenData, error } of tokens) {
+        if (error) {
+          // Most likely a missing or wrong encryption key; deleting would lose tokens that are still good
+          console.warn(`⚠️ Skipping ${platform} token for user ${userId}: ${error.message}`);
+          continue;
+        }
+
+        if (this.isTokenExpired(tokenData)) {
+          // Try to refresh the token
+          try {
+            await this.validateAndRefreshToken(userId, platform, tokenData);
+          } catch (refreshError) {
+            // The refresh recorded the failure; the token stays until the user reconnects
+            failedCount++;
           }
-        } catch (parseError) {
-          // If token data is corrupted, remove it
-          await this.removeToken(token.user_id, token.platform);
-          removedCount++;
         }
       }
 
-      console.log(`✅ Token cleanup completed. Removed ${removedCount} expired tokens.`);
-      return removedCount;
+      console.log(`✅ Token cleanup completed. ${failedCount} expired tokens could not be refreshed.`);
+      return failedCount;
     } catch (error) {
       console.error('❌ Error during token cleanup:', error);
       throw error;
@@ -212,10 +215,8 @@ class TokenManager {
     try {
       const platforms = [];
       
-      // Check each platform for valid tokens
-      const platformsToCheck = ['youtube', 'twitch', 'tiktok'];
-      
-      for (const platform of platformsToCheck) {
+      // Check each registered platform for valid tokens
+      for (const platform of this.registry.ids()) {
         const token = await this.getValidToken(userId, platform);
         if (token) {
           platforms.push(platform);
@@ -0,0 +1,209 @@
+import { Pool } from 'pg';
+import { getTokenCipher } from '../utils/tokenCrypto.js';
+
+// Platform OAuth tokens in user_tokens, one row per user and platform, always encrypted at rest
+class TokenStore {
+  constructor(cipher = getTokenCipher()) {
+    this.pool = new Pool({
+      connectionString: process.env.PG_CONNECTION_STRING
+    });
+    this.cipher = cipher;
+  }
+
+  /**
+   * Decode a stored token_data value. Rows written before encryption was shared are plain JSON.
+   */
+  deserialize(tokenData) {
+    const text = tokenData.trimStart().startsWith('{') ? tokenData : this.cipher.decrypt(tokenData);
+    return JSON.parse(text);
+  }
+
+  /**
+   * Absolute expiry for the shapes platforms hand back: expires_at, Google's expiry_date (ms)
+   * or a relative expires_in (seconds, counted from now)
+   */
+  resolveExpiry(token) {
+    const expiresAt = this.storedExpiry(token);
+    if (expiresAt) return expiresAt;
+    if (token.expires_in) return new Date(Date.now() + token.expires_in * 1000);
+    return null;
+  }
+
+  /**
+   * Absolute expiry recorded in a token already stored; a relative expires_in can't be resolved
+   * later because it counts from when the token was issued
+   */
+  storedExpiry(token) {
+    if (token.expires_at) return new Date(token.expires_at);
+    if (token.expiry_date) return new Date(token.expiry_date);
+    return null;
+  }
+
+  async get(userId, platform) {
+    const result = await this.pool.query(
+      'SELECT token_data FROM user_tokens WHERE user_id = $1 AND platform = $2',
+      [userId, platform]
+    );
+    if (!result.rows[0]?.token_data) return null;
+    return this.deserialize(result.rows[0].token_data);
+  }
+
+  /**
+   * Encrypt and upsert a token; expires_at is added to the token (and its column) when it can be worked out.
+   * A new token clears any refresh failures and the needs-reconnect flag.
+   */
+  async save(userId, platform, token) {
+    const expiresAt = this.resolveExpiry(token);
+    const stored = expiresAt ? { ...token, expires_at: expiresAt } : token;
+
+    await this.pool.query(`
+      INSERT INTO user_tokens (user_id, platform, token_data, expires_at, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, NOW(), NOW())
+      ON CONFLICT (user_id, platform)
+      DO UPDATE SET token_data = EXCLUDED.token_data, expires_at = EXCLUDED.expires_at, updated_at = NOW(),
+        refresh_failures = 0, next_refresh_at = NULL, needs_reconnect_at = NULL, last_refresh_error = NULL
+    `, [userId, platform, this.cipher.encrypt(JSON.stringify(stored)), expiresAt]);
+
+    return stored;
+  }
+
+  /**
+   * Tokens expiring within `windowMinutes` that are due a refresh attempt (not backing off,
+   * not waiting for the user to reconnect), soonest first.
+   *
+   * Tokens saved before the expires_at column was filled in have it NULL. Their expiry is backfilled
+   * from the token itself when it records one, and they are only listed if that falls in the window.
+   * Tokens with no recorded expiry (e.g. old Twitch tokens) are listed, so a refresh gives them one.
+   */
+  async listDueForRefresh(windowMinutes, limit = 100) {
+    const result = await this.pool.query(`
+      SELECT user_id, platform, token_data, refresh_failures, expires_at
+      FROM user_tokens
+      WHERE needs_reconnect_at IS NULL
+        AND (expires_at IS NULL OR expires_at <= NOW() + ($1 * INTERVAL '1 minute'))
+        AND (next_refresh_at IS NULL OR next_refresh_at <= NOW())
+      ORDER BY expires_at NULLS FIRST
+      LIMIT $2
+    `, [windowMinutes, limit]);
+
+    const windowEnd = Date.now() + windowMinutes * 60 * 1000;
+    const due = [];
+
+    for (const row of result.rows) {
+      const entry = { userId: row.user_id, platform: row.platform, refreshFailures: row.refresh_failures };
+      let token;
+      try {
+        token = this.deserialize(row.token_data);
+      } catch (error) {
+        due.push({ ...entry, token: null, error });
+        continue;
+      }
+
+      const expiresAt = !row.expires_at && this.storedExpiry(token);
+      if (expiresAt) {
+        await this.pool.query(
+          'UPDATE user_tokens SET expires_at = $3 WHERE user_id = $1 AND platform = $2 AND expires_at IS NULL',
+          [row.user_id, row.platform, expiresAt]
+        );
+        if (expiresAt.getTime() > windowEnd) continue;
+      }
+
+      due.push({ ...entry, token });
+    }
+
+    return due;
+  }
+
+  /**
+   * Count a failed refresh. Schedules the next attempt at `retryAt`, or flags the connection as needing
+   * the user to reconnect. Returns the number of consecutive failures.
+   */
+  async recordRefreshFailure(userId, platform, { message, retryAt = null, needsReconnect = false }) {
+    const result = await this.pool.query(`
+      UPDATE user_tokens
+      SET refresh_failures = refresh_failures + 1,
+        last_refresh_error = $3,
+        next_refresh_at = $4,
+        needs_reconnect_at = CASE WHEN $5 THEN COALESCE(needs_reconnect_at, NOW()) ELSE needs_reconnect_at END,
+        updated_at = NOW()
+      WHERE user_id = $1 AND platform = $2
+      RETURNING refresh_failures
+    `, [userId, platform, message, retryAt, needsReconnect]);
+    return result.rows[0]?.refresh_failures ?? 0;
+  }
+
+  async getRefreshFailures(userId, platform) {
+    const result = await this.pool.query(
+      'SELECT refresh_failures FROM user_tokens WHERE user_id = $1 AND platform = $2',
+      [userId, platform]
+    );
+    return result.rows[0]?.refresh_failures ?? 0;
+  }
+
+  /**
+   * Platforms whose connection needs the user to reconnect: { platform: { since, error } }
+   */
+  async getReconnectStates(userId) {
+    const result = await this.pool.query(
+      'SELECT platform, needs_reconnect_at, last_refresh_error FROM user_tokens WHERE user_id = $1 AND needs_reconnect_at IS NOT NULL',
+      [userId]
+    );
+    return Object.fromEntries(result.rows.map(row => [
+      row.platform,
+      { since: row.needs_reconnect_at, error: row.last_refresh_error }
+    ]));
+  }
+
+  async remove(userId, platform) {
+    const result = await this.pool.query(
+      'DELETE FROM user_tokens WHERE user_id = $1 AND platform = $2',
+      [userId, platform]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Every stored token as { userId, platform, token }; rows that can't be decrypted or parsed
+   * have token null and the error instead
+   */
+  async list() {
+    const result = await this.pool.query('SELECT user_id, platform, token_data FROM user_tokens ORDER BY id');
+
+    return result.rows.map(row => {
+      try {
+        return { userId: row.user_id, platform: row.platform, token: this.deserialize(row.token_data) };
+      } catch (error) {
+        return { userId: row.user_id, platform: row.platform, token: null, error };
+      }
+    });
+  }
+
+  /**
+   * Rewrite rows that aren't encrypted with the current key (plain JSON, the old CBC format or an older
+   * key version). A row changed by someone else meanwhile is left for the next run.
+   */
+  async reencryptAll() {
+    const result = await this.pool.query('SELECT id, token_data FROM user_tokens ORDER BY id');
+    const summary = { total: result.rows.length, reencrypted: 0, failed: 0 };
+
+    for (const row of result.rows) {
+      if (!this.cipher.needsReencryption(row.token_data)) continue;
+
+      try {
+        const token = this.deserialize(row.token_data);
+        const updated = await this.pool.query(
+          'UPDATE user_tokens SET token_data = $2, updated_at = NOW() WHERE id = $1 AND token_data = $3',
+          [row.id, this.cipher.encrypt(JSON.stringify(token)), row.token_data]
+        );
+        summary.reencrypted += updated.rowCount;
+      } catch (error) {
+        console.error(`❌ Could not re-encrypt token ${row.id}:`, error.message);
+        summary.failed++;
+      }
+    }
+
+    return summary;
+  }
+}
+
+export default TokenStore;
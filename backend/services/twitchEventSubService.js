@@ -0,0 +1,338 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import { Pool } from 'pg';
+import TwitchService from './twitchService.js';
+import HistoryService from './historyService.js';
+import { webhookService } from './webhookService.js';
+
+const EVENTSUB_URL = 'https://api.twitch.tv/helix/eventsub/subscriptions';
+
+// Subscription types we create for every connected channel
+const SUBSCRIPTION_TYPES = {
+  'channel.follow': { version: '2', condition: (id) => ({ broadcaster_user_id: id, moderator_user_id: id }) },
+  'stream.online': { version: '1', condition: (id) => ({ broadcaster_user_id: id }) },
+  'stream.offline': { version: '1', condition: (id) => ({ broadcaster_user_id: id }) },
+  'channel.subscribe': { version: '1', condition: (id) => ({ broadcaster_user_id: id }) },
+  'channel.cheer': { version: '1', condition: (id) => ({ broadcaster_user_id: id }) }
+};
+
+// Twitch recommends rejecting messages older than 10 minutes
+const MESSAGE_MAX_AGE_MS = 10 * 60 * 1000;
+
+class TwitchEventSubService {
+  constructor(twitchService = new TwitchService()) {
+    this.twitchService = twitchService;
+    this.historyService = new HistoryService();
+    this.pool = new Pool({ connectionString: process.env.PG_CONNECTION_STRING });
+    // No default: without a secret we neither subscribe nor accept notifications
+    this.secret = process.env.TWITCH_EVENTSUB_SECRET || null;
+    this.callbackUrl = `${process.env.WEBHOOK_BASE_URL || 'http://localhost:4000'}/api/webhooks/twitch/eventsub`;
+  }
+
+  getSubscriptionTypes() {
+    return Object.keys(SUBSCRIPTION_TYPES);
+  }
+
+  requireSecret() {
+    if (!this.secret) {
+      throw new Error('TWITCH_EVENTSUB_SECRET must be set to use Twitch EventSub');
+    }
+  }
+
+  /**
+   * Verify the Twitch-Eventsub-Message-Signature header (sha256 HMAC over id + timestamp + body)
+   */
+  verifySignature(messageId, timestamp, rawBody, signature) {
+    if (!this.secret || !messageId || !timestamp || !signature) return false;
+
+    const expected = 'sha256=' + crypto
+      .createHmac('sha256', this.secret)
+      .update(messageId + timestamp + rawBody)
+      .digest('hex');
+
+    const signatureBuffer = Buffer.from(signature);
+    const expectedBuffer = Buffer.from(expected);
+    if (signatureBuffer.length !== expectedBuffer.length) return false;
+
+    return crypto.timingSafeEqual(signatureBuffer, expectedBuffer);
+  }
+
+  isMessageFresh(timestamp, now = Date.now()) {
+    const sentAt = Date.parse(timestamp);
+    if (isNaN(sentAt)) return false;
+    return Math.abs(now - sentAt) <= MESSAGE_MAX_AGE_MS;
+  }
+
+  async getHeaders() {
+    const token = await this.twitchService.authenticate();
+    return {
+      'Client-ID': this.twitchService.clientId,
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  /**
+   * Create a single EventSub subscription for a broadcaster
+   */
+  async createSubscription(type, broadcasterUserId) {
+    const definition = SUBSCRIPTION_TYPES[type];
+    if (!definition) {
+      throw new Error(`Unsupported EventSub type: ${type}`);
+    }
+    this.requireSecret();
+
+    try {
+      const response = await axios.post(EVENTSUB_URL, {
+        type,
+        version: definition.version,
+        condition: definition.condition(broadcasterUserId),
+        transport: {
+          method: 'webhook',
+          callback: this.callbackUrl,
+          secret: this.secret
+        }
+      }, { headers: await this.getHeaders() });
+
+      return response.data.data[0];
+    } catch (error) {
+      // 409 means the subscription already exists
+      if (error.response?.status === 409) {
+        return null;
+      }
+      console.error(`Twitch EventSub create error (${type}):`, error.response?.data || error.message);
+      throw new Error(`Failed to create Twitch EventSub subscription: ${error.message}`);
+    }
+  }
+
+  /**
+   * List EventSub subscriptions, optionally filtered to one broadcaster
+   */
+  async listSubscriptions(broadcasterUserId = null) {
+    try {
+      const subscriptions = [];
+      let cursor = null;
+
+      do {
+        const response = await axios.get(EVENTSUB_URL, {
+          headers: await this.getHeaders(),
+          params: {
+            ...(broadcasterUserId ? { user_id: broadcasterUserId } : {}),
+            ...(cursor ? { after: cursor } : {})
+          }
+        });
+
+        subscriptions.push(...response.data.data);
+        cursor = response.data.pagination?.cursor || null;
+      } while (cursor);
+
+      return subscriptions;
+    } catch (error) {
+      console.error('Twitch EventSub list error:', error.response?.data || error.message);
+      throw new Error(`Failed to list Twitch EventSub subscriptions: ${error.message}`);
+    }
+  }
+
+  async deleteSubscription(subscriptionId) {
+    try {
+      await axios.delete(EVENTSUB_URL, {
+        headers: await this.getHeaders(),
+        params: { id: subscriptionId }
+      });
+      return true;
+    } catch (error) {
+      console.error('Twitch EventSub delete error:', error.response?.data || error.message);
+      throw new Error(`Failed to delete Twitch EventSub subscription: ${error.message}`);
+    }
+  }
+
+  /**
+   * Make sure every supported subscription type exists for a Twitch login
+   */
+  async syncSubscriptions(twitchLogin) {
+    this.requireSecret();
+    const broadcasterUserId = await this.twitchService.getChannelIdFromUsername(twitchLogin);
+    const existing = await this.listSubscriptions(broadcasterUserId);
+    const activeTypes = new Set(
+      existing
+        .filter(sub => sub.status === 'enabled' || sub.status === 'webhook_callback_verification_pending')
+        .map(sub => sub.type)
+    );
+
+    const created = [];
+    for (const type of this.getSubscriptionTypes()) {
+      if (!activeTypes.has(type)) {
+        const subscription = await this.createSubscription(type, broadcasterUserId);
+        if (subscription) created.push(subscription);
+      }
+    }
+
+    return { broadcasterUserId, created, existing };
+  }
+
+  /**
+   * Sync subscriptions for every user with a connected Twitch channel
+   */
+  async syncAllSubscriptions() {
+    if (!this.secret) {
+      console.warn('⚠️ TWITCH_EVENTSUB_SECRET is not set; skipping Twitch EventSub sync');
+      return 0;
+    }
+
+    const result = await this.pool.query(
+      `SELECT id, connected_platforms FROM users
+       WHERE connected_platforms @> $1::jsonb`,
+      [JSON.stringify([{ name: 'twitch' }])]
+    );
+
+    let synced = 0;
+    for (const user of result.rows) {
+      const twitch = (user.connected_platforms || []).find(p => p.name === 'twitch');
+      try {
+        await this.syncSubscriptions(twitch.identifier);
+        synced++;
+      } catch (error) {
+        console.error(`Failed to sync Twitch EventSub for user ${user.id}:`, error.message);
+      }
+    }
+
+    return synced;
+  }
+
+  /**
+   * Remove all subscriptions for a broadcaster (e.g. when a user disconnects Twitch)
+   */
+  async removeSubscriptions(broadcasterUserId) {
+    const existing = await this.listSubscriptions(broadcasterUserId);
+    await Promise.all(existing.map(sub => this.deleteSubscription(sub.id)));
+    return existing.length;
+  }
+
+  /**
+   * Convert an EventSub notification into platform_history metrics
+   */
+  getEventMetrics(type, event) {
+    switch (type) {
+      case 'channel.follow':
+        return { new_followers: 1 };
+      case 'stream.online':
+        return { is_live: 1 };
+      case 'stream.offline':
+        return { is_live: 0 };
+      case 'channel.subscribe':
+        return { new_subscribers: 1 };
+      case 'channel.cheer':
+        return { bits: parseInt(event.bits) || 0 };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Store metrics for every user that has this broadcaster connected
+   */
+  async processNotification(subscription, event) {
+    try {
+      const metrics = this.getEventMetrics(subscription.type, event);
+      if (!metrics) {
+        return { success: true, usersUpdated: 0 };
+      }
+
+      // Connected Twitch platforms are keyed by login name
+      const result = await this.pool.query(
+        `SELECT id, email FROM users
+         WHERE connected_platforms @> $1::jsonb`,
+        [JSON.stringify([{ name: 'twitch', identifier: event.broadcaster_user_login }])]
+      );
+
+      for (const user of result.rows) {
+        await this.historyService.storePlatformMetrics(user.id, 'Twitch', event.broadcaster_user_id, metrics);
+      }
+
+      const isStreamEvent = subscription.type === 'stream.online' || subscription.type === 'stream.offline';
+      const updates = result.rows.map(user => ({
+        userId: user.id,
+        email: user.email,
+        platform: 'twitch',
+        identifier: event.broadcaster_user_id,
+        historyRecorded: true, // Event metrics were stored above
+        data: {
+          event: subscription.type,
+          ...metrics,
+          ...(isStreamEvent ? { isLive: subscription.type === 'stream.online' } : {}),
+          lastUpdated: new Date().toISOString()
+        }
+      }));
+
+      if (updates.length > 0) {
+        await webhookService.updatePlatformCache(updates);
+        webhookService.broadcastUpdates(updates);
+      }
+
+      console.log(`✅ Twitch EventSub ${subscription.type} processed for ${updates.length} users`);
+      return { success: true, usersUpdated: updates.length };
+    } catch (error) {
+      console.error('❌ Twitch EventSub processing error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Handle an incoming EventSub request; returns the HTTP status and either a JSON body or plain text
+   */
+  async handleMessage(headers, rawBody) {
+    const messageId = headers['twitch-eventsub-message-id'];
+    const timestamp = headers['twitch-eventsub-message-timestamp'];
+    const signature = headers['twitch-eventsub-message-signature'];
+    const messageType = headers['twitch-eventsub-message-type'];
+
+    if (!this.verifySignature(messageId, timestamp, rawBody, signature)) {
+      return { status: 403, body: { success: false, error: 'Invalid EventSub signature' } };
+    }
+
+    if (!this.isMessageFresh(timestamp)) {
+      return { status: 403, body: { success: false, error: 'EventSub message too old' } };
+    }
+
+    const delivery = await webhookService.recordDelivery('twitch_eventsub', messageId, timestamp, rawBody);
+    if (!delivery) {
+      // Twitch retries until it gets a 2xx, so acknowledge duplicates without reprocessing
+      return { status: 204 };
+    }
+
+    const message = JSON.parse(rawBody);
+    let response;
+
+    switch (messageType) {
+      case 'webhook_callback_verification':
+        console.log(`✅ Twitch EventSub ${message.subscription.type} subscription verified`);
+        response = { status: 200, text: message.challenge };
+        await webhookService.completeDelivery(delivery.id, 'processed', { verified: message.subscription.id });
+        break;
+
+      case 'revocation':
+        console.warn(`⚠️ Twitch EventSub ${message.subscription.type} subscription revoked: ${message.subscription.status}`);
+        response = { status: 204 };
+        await webhookService.completeDelivery(delivery.id, 'processed', {
+          revoked: message.subscription.id,
+          reason: message.subscription.status
+        });
+        break;
+
+      case 'notification': {
+        const result = await this.processNotification(message.subscription, message.event);
+        response = { status: 204 };
+        await webhookService.completeDelivery(delivery.id, result.success ? 'processed' : 'failed', result);
+        break;
+      }
+
+      default:
+        response = { status: 400, body: { success: false, error: `Unknown EventSub message type: ${messageType}` } };
+        await webhookService.completeDelivery(delivery.id, 'failed', response.body);
+    }
+
+    return response;
+  }
+}
+
+export default TwitchEventSubService;
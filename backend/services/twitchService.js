@@ -176,7 +176,7 @@ class TwitchService {
       }
     } catch (error) {
       console.error('Twitch API Error:', error.message);
-      throw new Error(`Failed to fetch Twitch data: ${error.message}`);
+      throw new Error(`Failed to fetch Twitch data: ${error.message}`, { cause: error });
     }
   }
 
@@ -0,0 +1,187 @@
+import crypto from 'crypto';
+import { Pool } from 'pg';
+import QRCode from 'qrcode';
+import { getTokenCipher } from '../utils/tokenCrypto.js';
+import { generateSecret, verifyCode, buildOtpauthUrl } from '../utils/totp.js';
+
+const RECOVERY_CODE_COUNT = 10;
+
+// TOTP two-factor authentication: enrolment, login verification and recovery codes
+class TwoFactorService {
+  constructor(cipher = getTokenCipher()) {
+    this.pool = new Pool({
+      connectionString: process.env.PG_CONNECTION_STRING
+    });
+    this.cipher = cipher;
+  }
+
+  normalizeRecoveryCode(code) {
+    return String(code ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(this.normalizeRecoveryCode(code)).digest('hex');
+  }
+
+  /**
+   * { enabled, pending, recoveryCodesRemaining } for the settings panel
+   */
+  async getStatus(userId) {
+    const result = await this.pool.query(`
+      SELECT utf.enabled_at,
+        (SELECT COUNT(*) FROM two_factor_recovery_codes WHERE user_id = $1 AND used_at IS NULL) AS remaining
+      FROM user_two_factor utf
+      WHERE utf.user_id = $1
+    `, [userId]);
+
+    const row = result.rows[0];
+    return {
+      enabled: !!row?.enabled_at,
+      pending: !!row && !row.enabled_at,
+      recoveryCodesRemaining: row?.enabled_at ? parseInt(row.remaining) : 0
+    };
+  }
+
+  async isEnabled(userId) {
+    const result = await this.pool.query(
+      'SELECT 1 FROM user_two_factor WHERE user_id = $1 AND enabled_at IS NOT NULL',
+      [userId]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Start (or restart) enrolment with a new secret. Two-factor stays off until confirmEnrollment
+   * receives a code from the authenticator app. Returns null if it is already enabled.
+   */
+  async startEnrollment(user) {
+    const secret = generateSecret();
+    const result = await this.pool.query(`
+      INSERT INTO user_two_factor (user_id, secret)
+      VALUES ($1, $2)
+      ON CONFLICT (user_id) DO UPDATE SET secret = EXCLUDED.secret, last_used_step = NULL, updated_at = NOW()
+      WHERE user_two_factor.enabled_at IS NULL
+      RETURNING user_id
+    `, [user.id, this.cipher.encrypt(secret)]);
+
+    if (result.rowCount === 0) return null;
+
+    const otpauthUrl = buildOtpauthUrl({ secret, account: user.email });
+    return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+  }
+
+  /**
+   * Turn two-factor on once the user proves their app produces valid codes; returns the recovery codes,
+   * or null if the code is wrong or there is no pending enrolment
+   */
+  async confirmEnrollment(userId, code) {
+    const result = await this.pool.query(
+      'SELECT secret FROM user_two_factor WHERE user_id = $1 AND enabled_at IS NULL',
+      [userId]
+    );
+    if (!result.rows[0]) return null;
+
+    const step = verifyCode(this.cipher.decrypt(result.rows[0].secret), code);
+    if (step === null) return null;
+
+    await this.pool.query(
+      'UPDATE user_two_factor SET enabled_at = NOW(), last_used_step = $2, updated_at = NOW() WHERE user_id = $1',
+      [userId, step]
+    );
+    return this.regenerateRecoveryCodes(userId);
+  }
+
+  /**
+   * Replace all recovery codes; the plaintext codes are only ever returned here
+   */
+  async regenerateRecoveryCodes(userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+      for (const code of codes) {
+        await client.query(
+          'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+          [userId, this.hashRecoveryCode(code)]
+        );
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return codes;
+  }
+
+  /**
+   * Check a login code: a TOTP code (each usable once) or an unused recovery code.
+   * Returns 'totp' or 'recovery_code' for the method that matched, or null.
+   */
+  async verify(userId, code) {
+    const result = await this.pool.query(
+      'SELECT secret, last_used_step FROM user_two_factor WHERE user_id = $1 AND enabled_at IS NOT NULL',
+      [userId]
+    );
+    const row = result.rows[0];
+    if (!row) return null;
+
+    const step = verifyCode(this.cipher.decrypt(row.secret), code);
+    if (step !== null) {
+      // Only move forward, so the same code can't be used twice
+      const claimed = await this.pool.query(`
+        UPDATE user_two_factor SET last_used_step = $2, updated_at = NOW()
+        WHERE user_id = $1 AND (last_used_step IS NULL OR last_used_step < $2)
+      `, [userId, step]);
+      return claimed.rowCount > 0 ? 'totp' : null;
+    }
+
+    if (!this.normalizeRecoveryCode(code)) return null;
+    const recovery = await this.pool.query(`
+      UPDATE two_factor_recovery_codes SET used_at = NOW()
+      WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+      RETURNING id
+    `, [userId, this.hashRecoveryCode(code)]);
+    return recovery.rowCount > 0 ? 'recovery_code' : null;
+  }
+
+  /**
+   * Re-encrypt stored secrets that aren't under the current key; returns { total, reencrypted, failed }
+   */
+  async reencryptSecrets() {
+    const result = await this.pool.query('SELECT user_id, secret FROM user_two_factor');
+    const summary = { total: result.rows.length, reencrypted: 0, failed: 0 };
+
+    for (const row of result.rows) {
+      if (!this.cipher.needsReencryption(row.secret)) continue;
+
+      try {
+        const updated = await this.pool.query(
+          'UPDATE user_two_factor SET secret = $2, updated_at = NOW() WHERE user_id = $1 AND secret = $3',
+          [row.user_id, this.cipher.encrypt(this.cipher.decrypt(row.secret)), row.secret]
+        );
+        summary.reencrypted += updated.rowCount;
+      } catch (error) {
+        console.error(`❌ Could not re-encrypt two-factor secret for user ${row.user_id}:`, error.message);
+        summary.failed++;
+      }
+    }
+
+    return summary;
+  }
+
+  async disable(userId) {
+    await this.pool.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+    const result = await this.pool.query('DELETE FROM user_two_factor WHERE user_id = $1', [userId]);
+    return result.rowCount > 0;
+  }
+}
+
+export default TwoFactorService;
@@ -1,6 +1,7 @@
-import { Pool } from 'pg';
 import crypto from 'crypto';
+import { Pool } from 'pg';
 import dotenv from 'dotenv';
+import { hashPassword, verifyPassword, needsRehash } from '../utils/password.js';
 
 dotenv.config();
 
@@ -9,25 +10,11 @@ const pool = new Pool({
   ssl: { rejectUnauthorized: false }
 });
 
-// Hash password using bcrypt-like approach
-function hashPassword(password) {
-  const salt = crypto.randomBytes(16).toString('hex');
-  const hash = crypto.pbkdf2Sync(password, salt, 1000, 64, 'sha512').toString('hex');
-  return `${salt}:${hash}`;
-}
-
-// Verify password
-function verifyPassword(password, hashedPassword) {
-  const [salt, hash] = hashedPassword.split(':');
-  const verifyHash = crypto.pbkdf2Sync(password, salt, 1000, 64, 'sha512').toString('hex');
-  return hash === verifyHash;
-}
-
 // Create a new user
 export async function createUser(email, password) {
   try {
-    const hashedPassword = hashPassword(password);
-    const userId = Date.now().toString();
+    const hashedPassword = await hashPassword(password);
+    const userId = crypto.randomUUID();
     
     const result = await pool.query(
       'INSERT INTO users (id, email, password_hash) VALUES ($1, $2, $3) RETURNING id, email, created_at',
@@ -47,7 +34,7 @@ export async function createUser(email, password) {
 export async function findUserByEmail(email) {
   try {
     const result = await pool.query(
-      'SELECT id, email, password_hash, created_at, connected_platforms FROM users WHERE email = $1',
+      'SELECT id, email, password_hash, created_at, connected_platforms, email_verified_at FROM users WHERE email = $1',
       [email]
     );
     
@@ -62,7 +49,7 @@ export async function findUserByEmail(email) {
 export async function findUserById(id) {
   try {
     const result = await pool.query(
-      'SELECT id, email, password_hash, created_at, connected_platforms FROM users WHERE id = $1',
+      'SELECT id, email, password_hash, created_at, connected_platforms, email_verified_at FROM users WHERE id = $1',
       [id]
     );
     
@@ -79,16 +66,50 @@ export async function verifyUser(email, password) {
     const user = await findUserByEmail(email);
     if (!user) return null;
     
-    if (verifyPassword(password, user.password_hash)) {
-      return user;
+    if (!await verifyPassword(password, user.password_hash)) {
+      return null;
     }
-    return null;
+
+    // Upgrade hashes from older schemes now that we have the plaintext
+    if (needsRehash(user.password_hash)) {
+      try {
+        const passwordHash = await hashPassword(password);
+        await pool.query(
+          'UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+          [passwordHash, user.id]
+        );
+        user.password_hash = passwordHash;
+      } catch (error) {
+        console.error('Error rehashing password:', error.message);
+      }
+    }
+
+    return user;
   } catch (error) {
     console.error('Error verifying user:', error.message);
     return null;
   }
 }
 
+// Replace a user's password (after a password reset)
+export async function updatePassword(userId, password) {
+  const passwordHash = await hashPassword(password);
+  const result = await pool.query(
+    'UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+    [passwordHash, userId]
+  );
+  return result.rowCount > 0;
+}
+
+// Mark a user's email address as verified (keeps the first verification time)
+export async function markEmailVerified(userId) {
+  const result = await pool.query(
+    'UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+    [userId]
+  );
+  return result.rowCount > 0;
+}
+
 // Update user's connected platforms
 export async function updateUserPlatforms(userId, connectedPlatforms) {
   try {
@@ -122,21 +143,21 @@ export async function getUserPlatforms(userId) {
 }
 
 // Delete user and all associated data
-export async function deleteUser(userId, userEmail) {
+export async function deleteUser(userId) {
   try {
     const client = await pool.connect();
     try {
       await client.query('BEGIN');
       
-      // Delete from user_tokens table (uses email as user_id)
+      // Delete from user_tokens table
       try {
-        await client.query('DELETE FROM user_tokens WHERE user_id = $1', [userEmail]);
-        console.log(`Deleted user tokens for email: ${userEmail}`);
+        await client.query('DELETE FROM user_tokens WHERE user_id = $1', [userId]);
+        console.log(`Deleted user tokens for user: ${userId}`);
       } catch (error) {
         console.log(`Error deleting from user_tokens: ${error.message}`);
       }
       
-      // Delete from platform_history table (uses numeric user_id)
+      // Delete from platform_history table
       try {
         await client.query('DELETE FROM platform_history WHERE user_id = $1', [userId]);
         console.log(`Deleted platform history for user: ${userId}`);
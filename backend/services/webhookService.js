@@ -1,6 +1,8 @@
 import crypto from 'crypto';
 import pkg from 'pg';
 import 'dotenv/config';
+import HistoryService from './historyService.js';
+import platformRegistry from './platforms/platformRegistry.js';
 
 const { Pool } = pkg;
 const pool = new Pool({
@@ -8,170 +10,227 @@ const pool = new Pool({
   ssl: { rejectUnauthorized: false }
 });
 
+// Webhook data fields that can be merged into cached platform stats
+const CACHEABLE_FIELDS = ['subscribers', 'followers', 'views', 'viewers', 'videos', 'likes', 'engagement', 'revenue', 'growth'];
+
+// Count metrics written to platform_history when a webhook reports them
+const HISTORY_METRICS = ['subscribers', 'followers', 'views', 'viewers'];
+
+// A delivery still marked received after this long was abandoned mid-processing and may be retried
+const DELIVERY_RETRY_AFTER_MINUTES = 5;
+
 // Webhook verification and processing
 export class WebhookService {
-  constructor() {
+  constructor(registry = platformRegistry) {
+    this.pool = pool;
+    this.registry = registry;
+    this.historyService = new HistoryService();
+    this.caches = null; // Registered by server.js via registerCaches()
     this.subscribers = new Map(); // Store active WebSocket connections
-    this.webhookSecrets = {
-      youtube: process.env.YOUTUBE_WEBHOOK_SECRET || 'youtube_secret',
-      twitch: process.env.TWITCH_WEBHOOK_SECRET || 'twitch_secret',
-      tiktok: process.env.TIKTOK_WEBHOOK_SECRET || 'tiktok_secret'
-    };
+    this.recentMessages = new Map(); // Per-user buffer of recent updates for reconnect-resume
+    this.resumeBufferSize = 100;
+    this.messageSequence = 0;
+    this.streamId = crypto.randomUUID(); // Changes on restart, so clients know old sequence numbers are gone
+    this.replayWindowMs = parseInt(process.env.WEBHOOK_REPLAY_WINDOW_MS) || 5 * 60 * 1000; // 5 minutes
+    // No default secret: a platform's endpoint stays disabled until its secret is configured
+    this.webhookSecrets = {};
+    for (const adapter of this.registry.list().filter(adapter => adapter.webhook)) {
+      const secret = process.env[adapter.webhook.secretEnv];
+      if (secret) {
+        this.webhookSecrets[adapter.id] = secret;
+      } else {
+        console.warn(`⚠️ ${adapter.webhook.secretEnv} is not set; ${adapter.displayName} webhooks are disabled`);
+      }
+    }
   }
 
   // Verify webhook signature
   verifySignature(platform, payload, signature, timestamp) {
     const secret = this.webhookSecrets[platform];
-    if (!secret) return false;
+    if (!secret || !signature) return false;
 
     const expectedSignature = crypto
       .createHmac('sha256', secret)
       .update(`${timestamp}.${payload}`)
       .digest('hex');
 
-    return crypto.timingSafeEqual(
-      Buffer.from(signature, 'hex'),
-      Buffer.from(expectedSignature, 'hex')
+    const signatureBuffer = Buffer.from(signature, 'hex');
+    const expectedBuffer = Buffer.from(expectedSignature, 'hex');
+
+    // timingSafeEqual throws on length mismatch
+    if (signatureBuffer.length !== expectedBuffer.length) return false;
+
+    return crypto.timingSafeEqual(signatureBuffer, expectedBuffer);
+  }
+
+  // Check the signed timestamp is inside the replay window (accepts seconds or milliseconds)
+  isTimestampFresh(timestamp, now = Date.now()) {
+    let timestampMs = parseInt(timestamp);
+    if (isNaN(timestampMs)) return false;
+
+    if (timestampMs < 1e12) {
+      timestampMs *= 1000;
+    }
+
+    return Math.abs(now - timestampMs) <= this.replayWindowMs;
+  }
+
+  // Record a delivery in the log; returns null if this delivery was already processed or is being
+  // processed right now (replay). A delivery that failed, or was left pending longer than
+  // DELIVERY_RETRY_AFTER_MINUTES (the server stopped mid-way), is taken over so the sender can retry it.
+  async recordDelivery(platform, deliveryId, timestamp, rawBody) {
+    const result = await this.pool.query(
+      `INSERT INTO webhook_deliveries (platform, delivery_id, signature_timestamp, payload)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (platform, delivery_id) DO UPDATE
+       SET signature_timestamp = EXCLUDED.signature_timestamp, payload = EXCLUDED.payload,
+           status = 'received', result = NULL, received_at = NOW(), processed_at = NULL
+       WHERE webhook_deliveries.status = 'failed'
+          OR (webhook_deliveries.status = 'received'
+              AND webhook_deliveries.received_at < NOW() - ($5 || ' minutes')::interval)
+       RETURNING id`,
+      [platform, deliveryId, String(timestamp), rawBody, String(DELIVERY_RETRY_AFTER_MINUTES)]
     );
+
+    return result.rows[0] || null;
   }
 
-  // Process YouTube webhook
-  async processYouTubeWebhook(payload) {
+  // Mark a logged delivery as processed or failed
+  async completeDelivery(deliveryId, status, result) {
     try {
-      const { channelId, subscriberCount, viewCount, videoCount } = payload;
-      
-      // Find users with this YouTube channel connected
-      const result = await pool.query(
-        `SELECT id, email FROM users 
-         WHERE connected_platforms @> $1::jsonb`,
-        [JSON.stringify([{"name": "youtube", "identifier": channelId}])]
+      await this.pool.query(
+        `UPDATE webhook_deliveries
+         SET status = $2, result = $3, processed_at = NOW()
+         WHERE id = $1`,
+        [deliveryId, status, JSON.stringify(result)]
       );
-
-      if (result.rows.length > 0) {
-        const updates = result.rows.map(user => ({
-          userId: user.id,
-          email: user.email,
-          platform: 'youtube',
-          data: {
-            subscribers: subscriberCount,
-            views: viewCount,
-            videos: videoCount,
-            lastUpdated: new Date().toISOString()
-          }
-        }));
-
-        // Broadcast updates to connected clients
-        this.broadcastUpdates(updates);
-        
-        // Update cache
-        this.updatePlatformCache(updates);
-        
-        console.log(`✅ YouTube webhook processed for ${updates.length} users`);
-        return { success: true, usersUpdated: updates.length };
-      }
-      
-      return { success: true, usersUpdated: 0 };
     } catch (error) {
-      console.error('❌ YouTube webhook processing error:', error);
-      return { success: false, error: error.message };
+      console.error('❌ Error updating webhook delivery log:', error);
     }
   }
 
-  // Process Twitch webhook
-  async processTwitchWebhook(payload) {
-    try {
-      const { broadcasterUserId, followerCount, viewerCount, isLive } = payload;
-      
-      // Find users with this Twitch channel connected
-      const result = await pool.query(
-        `SELECT id, email FROM users 
-         WHERE connected_platforms @> $1::jsonb`,
-        [JSON.stringify([{"name": "twitch", "identifier": broadcasterUserId}])]
-      );
+  // Remove delivery log entries older than the given number of days
+  async pruneDeliveries(days = 30) {
+    const result = await this.pool.query(
+      `DELETE FROM webhook_deliveries
+       WHERE received_at < NOW() - ($1 || ' days')::interval`,
+      [String(days)]
+    );
+    return result.rowCount;
+  }
 
-      if (result.rows.length > 0) {
-        const updates = result.rows.map(user => ({
-          userId: user.id,
-          email: user.email,
-          platform: 'twitch',
-          data: {
-            followers: followerCount,
-            viewers: viewerCount,
-            isLive: isLive,
-            lastUpdated: new Date().toISOString()
-          }
-        }));
+  // Registered platforms that accept webhooks and have a signing secret configured
+  webhookAdapters() {
+    return this.registry.list().filter(adapter => this.webhookSecrets[adapter.id]);
+  }
 
-        // Broadcast updates to connected clients
-        this.broadcastUpdates(updates);
-        
-        // Update cache
-        this.updatePlatformCache(updates);
-        
-        console.log(`✅ Twitch webhook processed for ${updates.length} users`);
-        return { success: true, usersUpdated: updates.length };
-      }
-      
-      return { success: true, usersUpdated: 0 };
+  // Get the payload processor for a platform
+  getProcessor(platform) {
+    const adapter = this.registry.get(platform);
+    if (!adapter?.webhook || adapter.id !== platform || !this.webhookSecrets[adapter.id]) return null;
+    return (payload) => this.processWebhook(adapter.id, payload);
+  }
+
+  // Verify, de-duplicate, log and process an incoming webhook request
+  async handleWebhook(platform, { rawBody, payload, signature, timestamp, nonce }) {
+    const processor = this.getProcessor(platform);
+    if (!processor) {
+      return { status: 404, body: { success: false, error: `Unsupported webhook platform: ${platform}` } };
+    }
+
+    if (!signature || !timestamp) {
+      return { status: 401, body: { success: false, error: 'Missing webhook signature or timestamp' } };
+    }
+
+    if (!this.isTimestampFresh(timestamp)) {
+      return { status: 401, body: { success: false, error: 'Webhook timestamp outside allowed window' } };
+    }
+
+    if (!this.verifySignature(platform, rawBody, signature, timestamp)) {
+      return { status: 401, body: { success: false, error: 'Invalid webhook signature' } };
+    }
+
+    // The signature is unique per timestamp + body, so it doubles as the nonce when none is sent
+    const delivery = await this.recordDelivery(platform, nonce || signature, timestamp, rawBody);
+    if (!delivery) {
+      console.warn(`⚠️ Rejected replayed ${platform} webhook`);
+      return { status: 409, body: { success: false, error: 'Webhook delivery already processed' } };
+    }
+
+    let result;
+    try {
+      result = await processor(payload);
     } catch (error) {
-      console.error('❌ Twitch webhook processing error:', error);
-      return { success: false, error: error.message };
+      result = { success: false, error: error.message };
     }
+    await this.completeDelivery(delivery.id, result.success ? 'processed' : 'failed', result);
+
+    return { status: result.success ? 200 : 500, body: result };
   }
 
-  // Process TikTok webhook
-  async processTikTokWebhook(payload) {
+  // Parse a webhook with its platform adapter and push the numbers to every user with that channel connected
+  async processWebhook(platform, payload) {
+    const adapter = this.registry.get(platform);
     try {
-      const { openId, followerCount, videoCount, likeCount } = payload;
-      
-      // Find users with this TikTok account connected
-      const result = await pool.query(
+      const { identifier, data } = adapter.webhook.parse(payload);
+
+      // Find users with this channel connected
+      const result = await this.pool.query(
         `SELECT id, email FROM users 
          WHERE connected_platforms @> $1::jsonb`,
-        [JSON.stringify([{"name": "tiktok", "identifier": openId}])]
+        [JSON.stringify([{"name": adapter.id, "identifier": identifier}])]
       );
 
       if (result.rows.length > 0) {
         const updates = result.rows.map(user => ({
           userId: user.id,
           email: user.email,
-          platform: 'tiktok',
-          data: {
-            followers: followerCount,
-            videos: videoCount,
-            likes: likeCount,
-            lastUpdated: new Date().toISOString()
-          }
+          platform: adapter.id,
+          identifier,
+          data: { ...data, lastUpdated: new Date().toISOString() }
         }));
 
-        // Broadcast updates to connected clients
+        // Update cache, then broadcast so clients that refetch see the new numbers
+        await this.updatePlatformCache(updates);
         this.broadcastUpdates(updates);
         
-        // Update cache
-        this.updatePlatformCache(updates);
-        
-        console.log(`✅ TikTok webhook processed for ${updates.length} users`);
+        console.log(`✅ ${adapter.displayName} webhook processed for ${updates.length} users`);
         return { success: true, usersUpdated: updates.length };
       }
       
       return { success: true, usersUpdated: 0 };
     } catch (error) {
-      console.error('❌ TikTok webhook processing error:', error);
+      console.error(`❌ ${adapter.displayName} webhook processing error:`, error);
       return { success: false, error: error.message };
     }
   }
 
+  async processYouTubeWebhook(payload) {
+    return this.processWebhook('youtube', payload);
+  }
+
+  async processTwitchWebhook(payload) {
+    return this.processWebhook('twitch', payload);
+  }
+
+  async processTikTokWebhook(payload) {
+    return this.processWebhook('tiktok', payload);
+  }
+
   // Broadcast updates to connected WebSocket clients
   broadcastUpdates(updates) {
     updates.forEach(update => {
       const message = {
         type: 'platform_update',
+        seq: ++this.messageSequence,
         userId: update.userId,
         platform: update.platform,
         data: update.data,
         timestamp: new Date().toISOString()
       };
 
+      this.bufferMessage(update.userId, message);
+
       // Send to all subscribers for this user
       const userSubscribers = this.subscribers.get(update.userId);
       if (userSubscribers) {
@@ -184,20 +243,100 @@ export class WebhookService {
     });
   }
 
-  // Update platform cache with new data
-  updatePlatformCache(updates) {
-    // This would update the in-memory cache with new data
-    // Implementation depends on your caching strategy
+  // Register the in-memory caches owned by server.js so webhook data can be merged into them
+  registerCaches({ platformCache, analyticsCache, lastUpdate, platformManager }) {
+    this.caches = { platformCache, analyticsCache, lastUpdate, platformManager };
+  }
+
+  // Merge webhook data into the platform caches, invalidate analytics and record history
+  async updatePlatformCache(updates) {
     console.log('🔄 Updating platform cache with webhook data');
+
+    for (const update of updates) {
+      const patch = Object.fromEntries(
+        Object.entries(update.data || {}).filter(([key, value]) => CACHEABLE_FIELDS.includes(key) && typeof value === 'number')
+      );
+
+      // Record counts so growth moves now rather than on the next API poll
+      // History is stored under the display name; growth is measured on the adapter's growth metric
+      const adapter = this.registry.get(update.platform);
+      if (adapter && update.identifier && !update.historyRecorded) {
+        const metrics = Object.fromEntries(Object.entries(patch).filter(([key]) => HISTORY_METRICS.includes(key)));
+        const growthValue = metrics[adapter.metrics.growth];
+
+        try {
+          if (growthValue !== undefined) {
+            patch.growth = await this.historyService.calculateGrowthRate(
+              update.userId, adapter.displayName, update.identifier, adapter.metrics.growth, growthValue
+            );
+          }
+          if (Object.keys(metrics).length > 0) {
+            await this.historyService.storePlatformMetrics(update.userId, adapter.displayName, update.identifier, metrics);
+          }
+        } catch (error) {
+          console.error(`Error storing ${update.platform} webhook history:`, error);
+        }
+      }
+
+      if (!this.caches) continue;
+      const { platformCache, analyticsCache, lastUpdate, platformManager } = this.caches;
+
+      const cached = platformCache.get(update.userId);
+      if (cached && Object.keys(patch).length > 0) {
+        platformCache.set(update.userId, cached.map(platform =>
+          platform.name?.toLowerCase() === update.platform ? { ...platform, ...patch } : platform
+        ));
+        lastUpdate.set(update.userId, Date.now());
+      }
+
+      analyticsCache.delete(update.userId);
+      platformManager?.mergeCachedStats(update.platform, update.userId, patch);
+      platformManager?.invalidateAnalytics(update.userId);
+    }
+  }
+
+  // Keep the most recent updates per user so reconnecting clients can catch up
+  bufferMessage(userId, message) {
+    if (!this.recentMessages.has(userId)) {
+      this.recentMessages.set(userId, { messages: [], trimmedSeq: 0 });
+    }
+    const buffer = this.recentMessages.get(userId);
+    buffer.messages.push(message);
+    if (buffer.messages.length > this.resumeBufferSize) {
+      buffer.trimmedSeq = buffer.messages.shift().seq;
+    }
+  }
+
+  // Messages a client missed since lastSeq, or null if they're no longer buffered
+  getMissedMessages(userId, streamId, lastSeq) {
+    if (streamId !== this.streamId || !Number.isInteger(lastSeq) || lastSeq > this.messageSequence) {
+      return null;
+    }
+    const buffer = this.recentMessages.get(userId) || { messages: [], trimmedSeq: 0 };
+    if (lastSeq < buffer.trimmedSeq) {
+      return null;
+    }
+    return buffer.messages.filter(message => message.seq > lastSeq);
   }
 
-  // Add WebSocket subscriber
-  addSubscriber(userId, ws) {
+  // Add WebSocket subscriber, replaying missed updates when resuming a previous stream
+  addSubscriber(userId, ws, resume = null) {
     if (!this.subscribers.has(userId)) {
       this.subscribers.set(userId, new Set());
     }
     this.subscribers.get(userId).add(ws);
-    
+
+    if (resume) {
+      const missed = this.getMissedMessages(userId, resume.streamId, resume.lastSeq);
+      if (missed) {
+        missed.forEach(message => ws.send(JSON.stringify(message)));
+        ws.send(JSON.stringify({ type: 'resumed', missed: missed.length, seq: this.messageSequence }));
+        return;
+      }
+      // Too far behind (or the server restarted) - the client must refetch everything
+      ws.send(JSON.stringify({ type: 'resync_required', seq: this.messageSequence }));
+    }
+
     // Send initial data
     this.sendInitialData(userId, ws);
   }
@@ -217,7 +356,7 @@ export class WebhookService {
   async sendInitialData(userId, ws) {
     try {
       // Fetch current platform data for the user
-      const result = await pool.query(
+      const result = await this.pool.query(
         'SELECT connected_platforms FROM users WHERE id = $1',
         [userId]
       );
@@ -225,6 +364,7 @@ export class WebhookService {
       if (result.rows[0]?.connected_platforms) {
         const message = {
           type: 'initial_data',
+          seq: this.messageSequence,
           platforms: result.rows[0].connected_platforms,
           timestamp: new Date().toISOString()
         };
@@ -240,21 +380,13 @@ export class WebhookService {
 
   // Get webhook endpoints for platforms
   getWebhookEndpoints() {
-    return {
-      youtube: '/api/webhooks/youtube',
-      twitch: '/api/webhooks/twitch',
-      tiktok: '/api/webhooks/tiktok'
-    };
+    return Object.fromEntries(this.webhookAdapters().map(adapter => [adapter.id, `/api/webhooks/${adapter.id}`]));
   }
 
   // Generate webhook URLs for platform setup
   generateWebhookUrls(baseUrl) {
     const endpoints = this.getWebhookEndpoints();
-    return {
-      youtube: `${baseUrl}${endpoints.youtube}`,
-      twitch: `${baseUrl}${endpoints.twitch}`,
-      tiktok: `${baseUrl}${endpoints.tiktok}`
-    };
+    return Object.fromEntries(Object.entries(endpoints).map(([platform, endpoint]) => [platform, `${baseUrl}${endpoint}`]));
   }
 }
 
@@ -94,7 +94,7 @@ class YouTubeService {
       };
     } catch (error) {
       console.error('YouTube API Error:', error.message);
-      throw new Error(`Failed to fetch YouTube data: ${error.message}`);
+      throw new Error(`Failed to fetch YouTube data: ${error.message}`, { cause: error });
     }
   }
 
@@ -0,0 +1,306 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import { Pool } from 'pg';
+import YouTubeService from './youtubeService.js';
+import { getToken } from './authService.js';
+import { webhookService } from './webhookService.js';
+
+const HUB_URL = 'https://pubsubhubbub.appspot.com/subscribe';
+const TOPIC_BASE = 'https://www.youtube.com/xml/feeds/videos.xml?channel_id=';
+
+// Renew leases that expire within this window
+const RENEWAL_WINDOW_MS = 24 * 60 * 60 * 1000; // 1 day
+
+class YouTubeWebSubService {
+  constructor(youtubeService = new YouTubeService()) {
+    this.youtubeService = youtubeService;
+    this.pool = new Pool({ connectionString: process.env.PG_CONNECTION_STRING });
+    // No default: without a secret we neither subscribe nor accept notifications
+    this.secret = process.env.YOUTUBE_WEBSUB_SECRET || null;
+    this.callbackUrl = `${process.env.WEBHOOK_BASE_URL || 'http://localhost:4000'}/api/webhooks/youtube/websub`;
+    this.leaseSeconds = parseInt(process.env.YOUTUBE_WEBSUB_LEASE_SECONDS) || 10 * 24 * 60 * 60; // 10 days (hub maximum)
+  }
+
+  requireSecret() {
+    if (!this.secret) {
+      throw new Error('YOUTUBE_WEBSUB_SECRET must be set to use YouTube WebSub');
+    }
+  }
+
+  getTopicUrl(channelId) {
+    return `${TOPIC_BASE}${encodeURIComponent(channelId)}`;
+  }
+
+  getChannelIdFromTopic(topic) {
+    try {
+      return new URL(topic).searchParams.get('channel_id');
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Ask the hub to (un)subscribe our callback to a channel's upload feed
+   */
+  async requestSubscription(channelId, mode = 'subscribe') {
+    this.requireSecret();
+    const topic = this.getTopicUrl(channelId);
+
+    await this.pool.query(
+      `INSERT INTO websub_subscriptions (channel_id, topic, status, requested_at, updated_at)
+       VALUES ($1, $2, $3, NOW(), NOW())
+       ON CONFLICT (channel_id)
+       DO UPDATE SET status = $3, requested_at = NOW(), updated_at = NOW()`,
+      [channelId, topic, mode === 'subscribe' ? 'pending' : 'pending_unsubscribe']
+    );
+
+    try {
+      await axios.post(HUB_URL, new URLSearchParams({
+        'hub.callback': this.callbackUrl,
+        'hub.topic': topic,
+        'hub.verify': 'async',
+        'hub.mode': mode,
+        'hub.secret': this.secret,
+        'hub.lease_seconds': String(this.leaseSeconds)
+      }).toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      });
+      return true;
+    } catch (error) {
+      console.error(`YouTube WebSub ${mode} error for ${channelId}:`, error.response?.data || error.message);
+      await this.pool.query(
+        'UPDATE websub_subscriptions SET status = $2, updated_at = NOW() WHERE channel_id = $1',
+        [channelId, 'failed']
+      );
+      throw new Error(`Failed to ${mode} YouTube channel ${channelId}: ${error.message}`);
+    }
+  }
+
+  async subscribe(channelId) {
+    return this.requestSubscription(channelId, 'subscribe');
+  }
+
+  async unsubscribe(channelId) {
+    return this.requestSubscription(channelId, 'unsubscribe');
+  }
+
+  /**
+   * Subscribe every connected YouTube channel that isn't already active
+   */
+  async subscribeAllChannels() {
+    if (!this.secret) {
+      console.warn('⚠️ YOUTUBE_WEBSUB_SECRET is not set; skipping YouTube WebSub subscriptions');
+      return 0;
+    }
+
+    const result = await this.pool.query(
+      `SELECT DISTINCT platform->>'identifier' AS channel_id
+       FROM users, jsonb_array_elements(connected_platforms) AS platform
+       WHERE platform->>'name' = 'youtube'
+         AND platform->>'identifier' NOT IN (
+           SELECT channel_id FROM websub_subscriptions WHERE status = 'active'
+         )`
+    );
+
+    let subscribed = 0;
+    for (const { channel_id: channelId } of result.rows) {
+      if (!channelId || channelId === 'authenticated_user') continue;
+      try {
+        await this.subscribe(channelId);
+        subscribed++;
+      } catch (error) {
+        console.error(`Failed to subscribe YouTube channel ${channelId}:`, error.message);
+      }
+    }
+
+    return subscribed;
+  }
+
+  /**
+   * Renew leases that are about to expire (run from the cron scheduler)
+   */
+  async renewExpiringSubscriptions(windowMs = RENEWAL_WINDOW_MS) {
+    // subscribeAllChannels warns about the missing secret; it runs on the same schedule
+    if (!this.secret) return 0;
+
+    const result = await this.pool.query(
+      `SELECT channel_id FROM websub_subscriptions
+       WHERE status = 'active' AND expires_at < NOW() + ($1 || ' milliseconds')::interval`,
+      [String(windowMs)]
+    );
+
+    let renewed = 0;
+    for (const { channel_id: channelId } of result.rows) {
+      try {
+        await this.subscribe(channelId);
+        renewed++;
+      } catch (error) {
+        console.error(`Failed to renew YouTube WebSub lease for ${channelId}:`, error.message);
+      }
+    }
+
+    return renewed;
+  }
+
+  /**
+   * Handle the hub's GET verification of intent; returns the challenge to echo, or null to refuse
+   */
+  async verifyIntent({ 'hub.mode': mode, 'hub.topic': topic, 'hub.challenge': challenge, 'hub.lease_seconds': leaseSeconds }) {
+    const channelId = this.getChannelIdFromTopic(topic);
+    if (!channelId || !challenge) return null;
+
+    const result = await this.pool.query(
+      'SELECT status FROM websub_subscriptions WHERE channel_id = $1',
+      [channelId]
+    );
+    const subscription = result.rows[0];
+
+    if (mode === 'subscribe' && subscription?.status === 'pending') {
+      const lease = parseInt(leaseSeconds) || this.leaseSeconds;
+      await this.pool.query(
+        `UPDATE websub_subscriptions
+         SET status = 'active', lease_seconds = $2, expires_at = NOW() + ($2 || ' seconds')::interval, updated_at = NOW()
+         WHERE channel_id = $1`,
+        [channelId, lease]
+      );
+      console.log(`✅ YouTube WebSub subscription active for ${channelId} (${lease}s lease)`);
+      return challenge;
+    }
+
+    if (mode === 'unsubscribe' && subscription?.status === 'pending_unsubscribe') {
+      await this.pool.query(
+        `UPDATE websub_subscriptions SET status = 'unsubscribed', expires_at = NULL, updated_at = NOW()
+         WHERE channel_id = $1`,
+        [channelId]
+      );
+      return challenge;
+    }
+
+    // Intent we never asked for (or a stale request)
+    return null;
+  }
+
+  /**
+   * Verify the X-Hub-Signature header (sha1 HMAC of the raw body with our hub.secret)
+   */
+  verifySignature(rawBody, signatureHeader) {
+    if (!this.secret || !signatureHeader) return false;
+
+    const [algorithm, signature] = signatureHeader.split('=');
+    if (!['sha1', 'sha256'].includes(algorithm) || !signature) return false;
+
+    const expected = crypto.createHmac(algorithm, this.secret).update(rawBody).digest('hex');
+    const signatureBuffer = Buffer.from(signature, 'hex');
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    if (signatureBuffer.length !== expectedBuffer.length) return false;
+
+    return crypto.timingSafeEqual(signatureBuffer, expectedBuffer);
+  }
+
+  /**
+   * Parse the Atom feed YouTube pushes for new, updated and deleted videos
+   */
+  parseFeed(xml) {
+    const readTag = (source, tag) => {
+      const match = source.match(new RegExp(`<${tag}[^>]*>([\\s\\S]*?)</${tag}>`));
+      return match ? match[1].trim() : null;
+    };
+
+    const entries = [...xml.matchAll(/<entry>([\s\S]*?)<\/entry>/g)].map(([, entry]) => ({
+      videoId: readTag(entry, 'yt:videoId'),
+      channelId: readTag(entry, 'yt:channelId'),
+      title: readTag(entry, 'title'),
+      published: readTag(entry, 'published'),
+      updated: readTag(entry, 'updated'),
+      deleted: false
+    }));
+
+    const deleted = [...xml.matchAll(/<at:deleted-entry[^>]*ref="yt:video:([^"]+)"[^>]*>([\s\S]*?)<\/at:deleted-entry>/g)]
+      .map(([, videoId, body]) => {
+        const channelUrl = body.match(/<uri>([^<]+)<\/uri>/)?.[1] || '';
+        return {
+          videoId,
+          channelId: channelUrl.split('/channel/')[1] || null,
+          title: null,
+          published: null,
+          updated: null,
+          deleted: true
+        };
+      });
+
+    return [...entries, ...deleted].filter(entry => entry.videoId && entry.channelId);
+  }
+
+  /**
+   * Refresh channel stats only for the users who have this channel connected
+   */
+  async refreshChannelForUsers(channelId) {
+    const result = await this.pool.query(
+      `SELECT id, email FROM users
+       WHERE connected_platforms @> $1::jsonb`,
+      [JSON.stringify([{ name: 'youtube', identifier: channelId }])]
+    );
+
+    const updates = [];
+    for (const user of result.rows) {
+      try {
+        const token = await getToken(user.id, 'youtube');
+        const stats = await this.youtubeService.getChannelStats(channelId, token?.access_token || null, user.id);
+        updates.push({
+          userId: user.id,
+          email: user.email,
+          platform: 'youtube',
+          identifier: channelId,
+          historyRecorded: true, // getChannelStats already stored history
+          data: { ...stats, lastUpdated: new Date().toISOString() }
+        });
+      } catch (error) {
+        console.error(`Failed to refresh YouTube stats for user ${user.id}:`, error.message);
+      }
+    }
+
+    if (updates.length > 0) {
+      await webhookService.updatePlatformCache(updates);
+      webhookService.broadcastUpdates(updates);
+    }
+
+    return updates.length;
+  }
+
+  /**
+   * Handle a pushed Atom notification; always acknowledged so the hub doesn't retry
+   */
+  async handleNotification(rawBody, signatureHeader) {
+    if (!this.verifySignature(rawBody, signatureHeader)) {
+      // WebSub asks subscribers to acknowledge but ignore notifications with a bad signature
+      console.warn('⚠️ Ignoring YouTube WebSub notification with invalid signature');
+      return { success: false, error: 'Invalid signature', usersUpdated: 0 };
+    }
+
+    const entries = this.parseFeed(rawBody);
+    const channelsToRefresh = new Set();
+
+    for (const entry of entries) {
+      const deliveryId = `${entry.videoId}:${entry.deleted ? 'deleted' : entry.updated}`;
+      const delivery = await webhookService.recordDelivery('youtube_websub', deliveryId, entry.updated || '', rawBody);
+      if (!delivery) continue; // Already seen this version of the entry
+
+      channelsToRefresh.add(entry.channelId);
+      await webhookService.completeDelivery(delivery.id, 'processed', {
+        videoId: entry.videoId,
+        channelId: entry.channelId,
+        deleted: entry.deleted
+      });
+    }
+
+    let usersUpdated = 0;
+    for (const channelId of channelsToRefresh) {
+      usersUpdated += await this.refreshChannelForUsers(channelId);
+    }
+
+    console.log(`✅ YouTube WebSub notification processed: ${entries.length} entries, ${usersUpdated} users refreshed`);
+    return { success: true, entries: entries.length, usersUpdated };
+  }
+}
+
+export default YouTubeWebSubService;
@@ -0,0 +1,80 @@
+import { jest } from '@jest/globals';
+
+// Mock pg Pool before importing the service - shared instance returned by constructor
+const mockPool = {
+  query: jest.fn()
+};
+
+jest.mock('pg', () => ({
+  Pool: jest.fn(() => mockPool)
+}));
+
+import AccountTokenService, { ACCOUNT_TOKEN_PURPOSES } from '../../services/accountTokenService.js';
+
+describe('Account Token Service', () => {
+  let accountTokenService;
+
+  const userId = '1700000000000';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    accountTokenService = new AccountTokenService();
+    accountTokenService.pool = mockPool;
+  });
+
+  describe('createToken', () => {
+    test('should replace earlier tokens and store only a hash of the new one', async () => {
+      mockPool.query.mockResolvedValue({ rowCount: 1 });
+      const before = Date.now();
+
+      const token = await accountTokenService.createToken(userId, ACCOUNT_TOKEN_PURPOSES.resetPassword);
+
+      const [invalidateQuery, invalidateParams] = mockPool.query.mock.calls[0];
+      expect(invalidateQuery).toContain('SET used_at = NOW() WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL');
+      expect(invalidateParams).toEqual([userId, 'reset_password']);
+
+      const [insertQuery, [, purpose, tokenHash, expiresAt]] = mockPool.query.mock.calls[1];
+      expect(insertQuery).toContain('INSERT INTO account_tokens');
+      expect(purpose).toBe('reset_password');
+      expect(tokenHash).toBe(accountTokenService.hashToken(token));
+      expect(mockPool.query.mock.calls[1][1]).not.toContain(token);
+      expect(expiresAt.getTime() - before).toBeGreaterThanOrEqual(60 * 60 * 1000);
+      expect(expiresAt.getTime() - before).toBeLessThan(61 * 60 * 1000);
+    });
+
+    test('should give verification links a longer lifetime than reset links', async () => {
+      mockPool.query.mockResolvedValue({ rowCount: 1 });
+
+      await accountTokenService.createToken(userId, ACCOUNT_TOKEN_PURPOSES.verifyEmail);
+
+      const expiresAt = mockPool.query.mock.calls[1][1][3];
+      expect(expiresAt.getTime() - Date.now()).toBeGreaterThan(23 * 60 * 60 * 1000);
+    });
+
+    test('should reject unknown purposes', async () => {
+      await expect(accountTokenService.createToken(userId, 'login')).rejects.toThrow(/Unknown account token purpose/);
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('consumeToken', () => {
+    test('should redeem a live token once, for its own purpose only', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ user_id: userId }] });
+
+      expect(await accountTokenService.consumeToken('emailed-token', ACCOUNT_TOKEN_PURPOSES.verifyEmail)).toBe(userId);
+
+      const [query, params] = mockPool.query.mock.calls[0];
+      expect(query).toContain('WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()');
+      expect(params).toEqual([accountTokenService.hashToken('emailed-token'), 'verify_email']);
+    });
+
+    test('should return null for used, expired or unknown tokens', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      expect(await accountTokenService.consumeToken('used-token', ACCOUNT_TOKEN_PURPOSES.resetPassword)).toBeNull();
+      expect(await accountTokenService.consumeToken('', ACCOUNT_TOKEN_PURPOSES.resetPassword)).toBeNull();
+      expect(await accountTokenService.consumeToken(undefined, ACCOUNT_TOKEN_PURPOSES.resetPassword)).toBeNull();
+      expect(mockPool.query).toHaveBeenCalledTimes(1);
+    });
+  });
+});
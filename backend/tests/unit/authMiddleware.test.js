@@ -0,0 +1,206 @@
+import { jest } from '@jest/globals';
+import { createAuthMiddleware, sendAuthError, getBearerToken } from '../../middleware/auth.js';
+
+const createResponse = () => {
+  const res = { headers: {} };
+  res.set = jest.fn((name, value) => { res.headers[name] = value; return res; });
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('Auth Middleware', () => {
+  const user = { id: '3f2b8c1e-6a4d-4e7b-9c0a-5d1e2f3a4b5c', email: 'creator@example.com', connected_platforms: ['youtube'] };
+  const sessionId = '6f1c2b7e-1d2a-4c55-9a7e-1b3f0a9d2c11';
+
+  let authTokenService;
+  let findUserById;
+  let authenticate;
+  let requireAuth;
+  let requireApiAuth;
+  let requireVerifiedEmail;
+
+  beforeEach(() => {
+    authTokenService = {
+      verifyAccessToken: jest.fn(token => (token === 'valid-token' ? { sub: user.id, email: user.email, sid: sessionId } : null)),
+      isSessionActive: jest.fn().mockResolvedValue(true),
+      touchSession: jest.fn().mockResolvedValue()
+    };
+    findUserById = jest.fn(async id => (id === user.id ? user : null));
+    ({ authenticate, requireAuth, requireApiAuth, requireVerifiedEmail } = createAuthMiddleware({
+      authTokenService,
+      findUserById,
+      publicRoutes: ['POST /api/auth/login', 'GET /api/platforms', 'POST /api/webhooks/:platform']
+    }));
+  });
+
+  const run = async (req) => {
+    const next = jest.fn();
+    await authenticate(req, createResponse(), next);
+    expect(next).toHaveBeenCalled();
+    return req;
+  };
+
+  describe('authenticate', () => {
+    test('should resolve the user from the login session and mark it as seen', async () => {
+      const req = await run({ headers: {}, session: { authenticated: true, user: { id: user.id, email: user.email }, loginSessionId: sessionId } });
+
+      expect(req.user).toBe(user);
+      expect(req.auth).toEqual({ userId: user.id, email: user.email, sessionId, method: 'session' });
+      expect(authTokenService.verifyAccessToken).not.toHaveBeenCalled();
+      expect(authTokenService.touchSession).toHaveBeenCalledWith(sessionId);
+    });
+
+    test('should ignore server sessions that belong to no login session', async () => {
+      const req = await run({ headers: {}, session: { authenticated: true, user: { id: user.id, email: user.email } } });
+
+      expect(req.user).toBeNull();
+      expect(findUserById).not.toHaveBeenCalled();
+      expect(authTokenService.touchSession).not.toHaveBeenCalled();
+    });
+
+    test('should end a server session whose login session was revoked', async () => {
+      const session = { authenticated: true, user: { id: user.id, email: user.email }, loginSessionId: sessionId };
+
+      const active = await run({ headers: {}, session });
+      expect(active.auth).toEqual({ userId: user.id, email: user.email, sessionId, method: 'session' });
+
+      authTokenService.isSessionActive.mockResolvedValueOnce(false);
+      const revoked = await run({ headers: {}, session });
+      expect(revoked.user).toBeNull();
+      expect(authTokenService.isSessionActive).toHaveBeenCalledWith(sessionId);
+    });
+
+    test('should resolve the user from a bearer or query token', async () => {
+      const fromHeader = await run({ headers: { authorization: 'Bearer valid-token' }, session: {} });
+      const fromQuery = await run({ headers: {}, query: { token: 'valid-token' }, session: {} });
+
+      for (const req of [fromHeader, fromQuery]) {
+        expect(req.user).toBe(user);
+        expect(req.auth).toEqual({ userId: user.id, email: user.email, sessionId, method: 'token' });
+      }
+      expect(authTokenService.isSessionActive).toHaveBeenCalledWith(sessionId);
+      expect(authTokenService.touchSession).toHaveBeenCalledTimes(2);
+    });
+
+    test('should flag invalid and revoked tokens', async () => {
+      const invalid = await run({ headers: { authorization: 'Bearer forged-token' }, session: {} });
+
+      authTokenService.isSessionActive.mockResolvedValueOnce(false);
+      const revoked = await run({ headers: { authorization: 'Bearer valid-token' }, session: {} });
+
+      for (const req of [invalid, revoked]) {
+        expect(req.user).toBeNull();
+        expect(req.authError).toBe('invalid_token');
+      }
+    });
+
+    test('should leave anonymous requests without a user or error', async () => {
+      const req = await run({ headers: {}, session: {} });
+
+      expect(req.user).toBeNull();
+      expect(req.auth).toBeNull();
+      expect(req.authError).toBeNull();
+    });
+
+    test('should continue without a user when the lookup fails', async () => {
+      findUserById.mockRejectedValueOnce(new Error('connection refused'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const req = await run({ headers: {}, session: { authenticated: true, user: { id: user.id }, loginSessionId: sessionId } });
+
+      expect(req.user).toBeNull();
+      expect(findUserById).toHaveBeenCalled();
+      console.error.mockRestore();
+    });
+  });
+
+  describe('requireAuth', () => {
+    test('should pass authenticated requests through', () => {
+      const next = jest.fn();
+      requireAuth({ user }, createResponse(), next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should reject missing credentials with auth_required', () => {
+      const res = createResponse();
+      const next = jest.fn();
+      requireAuth({ user: null, authError: null }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Authentication required', code: 'auth_required' });
+      expect(res.headers['WWW-Authenticate']).toBe('Bearer');
+    });
+
+    test('should reject a bad token with invalid_token', () => {
+      const res = createResponse();
+      requireAuth({ user: null, authError: 'invalid_token' }, res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Invalid or expired token', code: 'invalid_token' });
+      expect(res.headers['WWW-Authenticate']).toBe('Bearer error="invalid_token"');
+    });
+  });
+
+  describe('requireApiAuth', () => {
+    const apiRequest = (method, path, extra = {}) => ({ method, baseUrl: '/api', path, user: null, authError: null, ...extra });
+
+    test('should let anonymous requests through to public routes only', () => {
+      const next = jest.fn();
+      requireApiAuth(apiRequest('POST', '/auth/login'), createResponse(), next);
+      requireApiAuth(apiRequest('GET', '/platforms/'), createResponse(), next);
+      requireApiAuth(apiRequest('HEAD', '/platforms'), createResponse(), next);
+      requireApiAuth(apiRequest('POST', '/webhooks/kick'), createResponse(), next);
+      requireApiAuth(apiRequest('OPTIONS', '/revenue'), createResponse(), next);
+
+      expect(next).toHaveBeenCalledTimes(5);
+    });
+
+    test('should require a login everywhere else', () => {
+      for (const [method, path] of [['POST', '/platforms'], ['DELETE', '/platforms/youtube'], ['POST', '/cache/clear-analytics'], ['POST', '/webhooks/kick/extra']]) {
+        const res = createResponse();
+        const next = jest.fn();
+        requireApiAuth(apiRequest(method, path), res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(401);
+      }
+
+      const next = jest.fn();
+      requireApiAuth(apiRequest('POST', '/platforms', { user }), createResponse(), next);
+      expect(next).toHaveBeenCalled();
+    });
+  });
+
+  describe('requireVerifiedEmail', () => {
+    test('should answer 403 until the email address is confirmed', () => {
+      const res = createResponse();
+      requireVerifiedEmail({ user }, res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Verify your email address first', code: 'forbidden' });
+
+      const next = jest.fn();
+      requireVerifiedEmail({ user: { ...user, email_verified_at: new Date() } }, createResponse(), next);
+      expect(next).toHaveBeenCalled();
+    });
+  });
+
+  describe('helpers', () => {
+    test('should send 403s without a challenge', () => {
+      const res = createResponse();
+      sendAuthError(res, 'forbidden', 'Verify your email first');
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Verify your email first', code: 'forbidden' });
+      expect(res.set).not.toHaveBeenCalled();
+    });
+
+    test('should prefer the Authorization header over ?token=', () => {
+      expect(getBearerToken({ headers: { authorization: 'Bearer header-token' }, query: { token: 'query-token' } })).toBe('header-token');
+      expect(getBearerToken({ headers: { authorization: 'Basic abc' }, query: {} })).toBeNull();
+    });
+  });
+});
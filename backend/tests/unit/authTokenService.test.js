@@ -0,0 +1,209 @@
+import { jest } from '@jest/globals';
+
+// Mock pg Pool before importing the service - shared instance returned by constructor
+const mockPool = {
+  query: jest.fn()
+};
+
+jest.mock('pg', () => ({
+  Pool: jest.fn(() => mockPool)
+}));
+
+import AuthTokenService from '../../services/authTokenService.js';
+
+describe('Auth Token Service', () => {
+  let authTokenService;
+
+  const user = { id: '3f2b8c1e-6a4d-4e7b-9c0a-5d1e2f3a4b5c', email: 'creator@example.com' };
+  const sessionId = '6f1c2b7e-1d2a-4c55-9a7e-1b3f0a9d2c11';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    authTokenService = new AuthTokenService();
+    authTokenService.pool = mockPool;
+    authTokenService.secret = 'test-secret';
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('Access Tokens', () => {
+    test('should sign and verify an access token', () => {
+      const token = authTokenService.signAccessToken(user, sessionId);
+      const claims = authTokenService.verifyAccessToken(token);
+
+      expect(token.split('.')).toHaveLength(3);
+      expect(claims).toEqual(expect.objectContaining({ sub: user.id, email: user.email, sid: sessionId }));
+      expect(claims.exp - claims.iat).toBe(authTokenService.accessTokenTtl);
+    });
+
+    test('should reject tampered, forged and foreign tokens', () => {
+      const token = authTokenService.signAccessToken(user, sessionId);
+      const [header, , signature] = token.split('.');
+      const forgedPayload = Buffer.from(JSON.stringify({ sub: '2', email: 'victim@example.com', sid: sessionId, exp: 9999999999 })).toString('base64url');
+
+      expect(authTokenService.verifyAccessToken(`${header}.${forgedPayload}.${signature}`)).toBeNull();
+      expect(authTokenService.verifyAccessToken(Buffer.from(`${user.email}:${Date.now()}`).toString('base64'))).toBeNull();
+      expect(authTokenService.verifyAccessToken(undefined)).toBeNull();
+
+      const otherService = new AuthTokenService();
+      otherService.secret = 'another-secret';
+      expect(authTokenService.verifyAccessToken(otherService.signAccessToken(user, sessionId))).toBeNull();
+    });
+
+    test('should reject expired tokens', () => {
+      jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00.000Z') });
+      const token = authTokenService.signAccessToken(user, sessionId);
+
+      jest.setSystemTime(new Date(Date.now() + (authTokenService.accessTokenTtl + 1) * 1000));
+
+      expect(authTokenService.verifyAccessToken(token)).toBeNull();
+    });
+
+    test('should keep two-factor challenges and access tokens apart', () => {
+      const challenge = authTokenService.signTwoFactorChallenge(user);
+      const accessToken = authTokenService.signAccessToken(user, sessionId);
+
+      expect(authTokenService.verifyTwoFactorChallenge(challenge)).toEqual(expect.objectContaining({ sub: user.id, purpose: '2fa' }));
+      expect(authTokenService.verifyAccessToken(challenge)).toBeNull();
+      expect(authTokenService.verifyTwoFactorChallenge(accessToken)).toBeNull();
+    });
+
+    test('should only accept signed, unexpired OAuth state', () => {
+      jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00.000Z') });
+      const state = authTokenService.signOAuthState(user, sessionId);
+      const forged = Buffer.from(JSON.stringify({ userId: user.id, timestamp: Date.now() })).toString('base64');
+
+      expect(authTokenService.verifyOAuthState(state)).toEqual(expect.objectContaining({ sub: user.id, sid: sessionId, purpose: 'oauth' }));
+      expect(authTokenService.verifyOAuthState(forged)).toBeNull();
+      expect(authTokenService.verifyOAuthState(authTokenService.signAccessToken(user, sessionId))).toBeNull();
+      expect(authTokenService.verifyAccessToken(state)).toBeNull();
+
+      jest.setSystemTime(new Date(Date.now() + 6 * 60 * 1000));
+      expect(authTokenService.verifyOAuthState(state)).toBeNull();
+    });
+
+    test('should refuse to sign without a secret', () => {
+      authTokenService.secret = undefined;
+
+      expect(() => authTokenService.signAccessToken(user, sessionId)).toThrow(/AUTH_TOKEN_SECRET/);
+    });
+  });
+
+  describe('Refresh Tokens', () => {
+    test('should store only a hash of a new session\'s refresh token', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ id: 1 }] });
+
+      const tokens = await authTokenService.issueTokens(user, { userAgent: 'jest', ip: '127.0.0.1' });
+
+      const [query, params] = mockPool.query.mock.calls[0];
+      expect(query).toContain('INSERT INTO refresh_tokens');
+      expect(params[0]).toBe(user.id);
+      expect(params[2]).toBe(authTokenService.hashToken(tokens.refreshToken));
+      expect(params).not.toContain(tokens.refreshToken);
+      expect(params.slice(4)).toEqual(['jest', '127.0.0.1']);
+      expect(authTokenService.verifyAccessToken(tokens.token).sid).toBe(params[1]);
+      expect(tokens.expiresIn).toBe(authTokenService.accessTokenTtl);
+      expect(tokens.sessionId).toBe(params[1]);
+    });
+
+    test('should rotate a live refresh token within the same session', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: user.id, session_id: sessionId, expires_at: new Date(Date.now() + 60000), revoked_at: null, email: user.email }] })
+        .mockResolvedValueOnce({ rowCount: 1 })
+        .mockResolvedValueOnce({ rows: [{ id: 2 }] })
+        .mockResolvedValueOnce({ rowCount: 1 });
+
+      const tokens = await authTokenService.rotateRefreshToken('old-refresh-token');
+
+      expect(mockPool.query.mock.calls[0][1]).toEqual([authTokenService.hashToken('old-refresh-token')]);
+      expect(mockPool.query.mock.calls[1][0]).toContain('WHERE id = $1 AND revoked_at IS NULL');
+      expect(mockPool.query.mock.calls[2][1][1]).toBe(sessionId);
+      expect(mockPool.query.mock.calls[3][1]).toEqual([2, 1]);
+      expect(tokens.refreshToken).not.toBe('old-refresh-token');
+      expect(authTokenService.verifyAccessToken(tokens.token)).toEqual(expect.objectContaining({ sub: user.id, sid: sessionId }));
+    });
+
+    test('should revoke the whole session when a rotated token is reused', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: user.id, session_id: sessionId, expires_at: new Date(Date.now() + 60000), revoked_at: new Date(), email: user.email }] })
+        .mockResolvedValueOnce({ rowCount: 1 });
+
+      expect(await authTokenService.rotateRefreshToken('stolen-refresh-token')).toBeNull();
+      expect(mockPool.query).toHaveBeenLastCalledWith(expect.stringContaining('WHERE session_id = $1 AND revoked_at IS NULL'), [sessionId]);
+    });
+
+    test('should not rotate unknown or expired tokens', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: user.id, session_id: sessionId, expires_at: new Date(Date.now() - 1000), revoked_at: null, email: user.email }] });
+
+      expect(await authTokenService.rotateRefreshToken('unknown')).toBeNull();
+      expect(await authTokenService.rotateRefreshToken('expired')).toBeNull();
+      expect(await authTokenService.rotateRefreshToken('')).toBeNull();
+      expect(mockPool.query).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Revocation', () => {
+    test('should treat a session without live refresh tokens as revoked', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ '?column?': 1 }] }).mockResolvedValueOnce({ rows: [] });
+
+      expect(await authTokenService.isSessionActive(sessionId)).toBe(true);
+      expect(await authTokenService.isSessionActive(sessionId)).toBe(false);
+    });
+
+    test('should list live sessions with device details', async () => {
+      const createdAt = new Date('2025-01-01T00:00:00.000Z');
+      const lastSeenAt = new Date('2025-01-02T00:00:00.000Z');
+      mockPool.query.mockResolvedValueOnce({
+        rows: [{ session_id: sessionId, created_at: createdAt, last_seen_at: lastSeenAt, user_agent: 'jest', ip_address: '127.0.0.1' }]
+      });
+
+      const sessions = await authTokenService.listSessions(user.id);
+
+      expect(mockPool.query.mock.calls[0][0]).toContain('HAVING BOOL_OR(revoked_at IS NULL AND expires_at > NOW())');
+      expect(mockPool.query.mock.calls[0][0]).toContain('MAX(GREATEST(created_at, last_seen_at)) AS last_seen_at');
+      expect(mockPool.query.mock.calls[0][1]).toEqual([user.id]);
+      expect(sessions).toEqual([{ id: sessionId, createdAt, lastSeenAt, userAgent: 'jest', ipAddress: '127.0.0.1' }]);
+    });
+
+    test('should record activity on a live session at most once a minute', async () => {
+      mockPool.query.mockResolvedValueOnce({ rowCount: 1 });
+
+      await authTokenService.touchSession(sessionId);
+
+      const [query, params] = mockPool.query.mock.calls[0];
+      expect(query).toContain('SET last_seen_at = NOW()');
+      expect(query).toContain('WHERE session_id = $1 AND revoked_at IS NULL');
+      expect(params).toEqual([sessionId, 60]);
+    });
+
+    test('should only revoke sessions that belong to the user', async () => {
+      mockPool.query.mockResolvedValueOnce({ rowCount: 2 }).mockResolvedValueOnce({ rowCount: 0 });
+
+      expect(await authTokenService.revokeUserSession(user.id, sessionId)).toBe(true);
+      expect(await authTokenService.revokeUserSession('someone-else', sessionId)).toBe(false);
+      expect(mockPool.query).toHaveBeenLastCalledWith(expect.stringContaining('WHERE user_id = $1 AND session_id = $2'), ['someone-else', sessionId]);
+    });
+
+    test('should revoke every other session and count them once each', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ session_id: 'a' }, { session_id: 'a' }, { session_id: 'b' }] });
+
+      expect(await authTokenService.revokeOtherSessions(user.id, sessionId)).toBe(2);
+      expect(mockPool.query).toHaveBeenCalledWith(expect.stringContaining('session_id IS DISTINCT FROM $2'), [user.id, sessionId]);
+    });
+
+    test('should revoke a session by its refresh token', async () => {
+      mockPool.query.mockResolvedValueOnce({ rowCount: 1 });
+
+      await authTokenService.revokeRefreshToken('refresh-token');
+
+      expect(mockPool.query).toHaveBeenCalledWith(
+        expect.stringContaining('session_id = (SELECT session_id FROM refresh_tokens WHERE token_hash = $1)'),
+        [authTokenService.hashToken('refresh-token')]
+      );
+    });
+  });
+});
@@ -0,0 +1,157 @@
+import { jest } from '@jest/globals';
+
+// Mock pg Pool before importing the service
+jest.mock('pg', () => ({
+  Pool: jest.fn(() => ({ query: jest.fn() }))
+}));
+
+import CsvImportService from '../../services/csvImportService.js';
+import { PlatformRegistry } from '../../services/platforms/platformRegistry.js';
+
+const YOUTUBE_EXPORT = `\uFEFFDate,Views,Watch time (hours),Subscribers,Estimated revenue (USD)
+Total,"1,500",30.5,12,4.75
+2025-01-02,700,14.25,5,2.50
+2025-01-01,800,16.25,7,2.25
+`;
+
+const TWITCH_EXPORT = `Day,Average Viewers,Max Viewers,Follows,Hours Streamed,Chatters
+Jan 5 2025,42,87,6,3.5,19
+"Jan 6, 2025",40,80,,4,20
+`;
+
+const TIKTOK_EXPORT = `Date,Followers,Difference in followers from previous day
+1/30/2025,10250,50
+1/31/2025,10300,50\r
+`;
+
+describe('CSV Import Service', () => {
+  let csvImportService;
+  let mockHistoryService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockHistoryService = {
+      storeMetric: jest.fn().mockResolvedValue({ id: 1 })
+    };
+    csvImportService = new CsvImportService(mockHistoryService);
+  });
+
+  describe('Parsing', () => {
+    test('should handle quoted cells, escaped quotes and CRLF line endings', () => {
+      const rows = csvImportService.parseCsv('a,"b, c","say ""hi"""\r\n1,2,3\r\n\r\n');
+
+      expect(rows).toEqual([['a', 'b, c', 'say "hi"'], ['1', '2', '3']]);
+    });
+
+    test('should parse the date formats used by the exports', () => {
+      expect(csvImportService.parseDate('2025-01-05').toISOString()).toBe('2025-01-05T00:00:00.000Z');
+      expect(csvImportService.parseDate('1/5/2025').toISOString()).toBe('2025-01-05T00:00:00.000Z');
+      expect(csvImportService.parseDate('Jan 5, 2025').toISOString()).toBe('2025-01-05T00:00:00.000Z');
+      expect(csvImportService.parseDate('Sun January 5 2025').toISOString()).toBe('2025-01-05T00:00:00.000Z');
+      expect(csvImportService.parseDate('2025-02-30')).toBeNull();
+      expect(csvImportService.parseDate('Total')).toBeNull();
+    });
+
+    test('should detect the platform from the header', () => {
+      expect(csvImportService.detectPlatform(['Date', 'Views', 'Subscribers'])).toBe('youtube');
+      expect(csvImportService.detectPlatform(['Day', 'Average Viewers', 'Follows'])).toBe('twitch');
+      expect(csvImportService.detectPlatform(['Date', 'Followers', 'Profile views'])).toBe('tiktok');
+      expect(csvImportService.detectPlatform(['Month', 'Views'])).toBeNull();
+    });
+
+    test('should read exports of any registered platform with csvColumns', async () => {
+      const registry = new PlatformRegistry([{
+        id: 'kick',
+        displayName: 'Kick',
+        metrics: { audience: 'followers', reach: 'viewers', growth: 'followers' },
+        revenueModel: { type: 'audience', description: 'Flat rate per follower' },
+        rateLimit: { maxCalls: 100, windowMs: 60 * 60 * 1000 },
+        fallbackStats: { name: 'Kick', followers: 0 },
+        createService: () => ({}),
+        fetchStats: jest.fn(),
+        csvColumns: { date: ['date'], columns: { 'peak viewers': { metric: 'max_viewers' } } }
+      }]);
+      csvImportService = new CsvImportService(mockHistoryService, registry);
+
+      const preview = csvImportService.buildPreview('Date,Peak Viewers\n2025-01-01,12\n');
+      await csvImportService.importRows('user1', preview.platform, 'kick-channel', preview.rows);
+
+      expect(preview.platform).toBe('kick');
+      expect(mockHistoryService.storeMetric).toHaveBeenCalledWith('user1', 'Kick', 'kick-channel', 'max_viewers', 12, new Date('2025-01-01T00:00:00.000Z'));
+    });
+  });
+
+  describe('Preview', () => {
+    test('should map YouTube Studio columns and skip the totals row', () => {
+      const preview = csvImportService.buildPreview(YOUTUBE_EXPORT);
+
+      expect(preview.platform).toBe('youtube');
+      expect(preview.skipped).toBe(1);
+      expect(preview.errors).toEqual([]);
+      expect(preview.rows).toEqual([
+        {
+          line: 4,
+          date: '2025-01-01',
+          metrics: { daily_views: 800, watch_time_minutes: 975, net_subscribers: 7, revenue_cents: 225 }
+        },
+        {
+          line: 3,
+          date: '2025-01-02',
+          metrics: { daily_views: 700, watch_time_minutes: 855, net_subscribers: 5, revenue_cents: 250 }
+        }
+      ]);
+    });
+
+    test('should map Twitch columns and leave empty cells out', () => {
+      const preview = csvImportService.buildPreview(TWITCH_EXPORT);
+
+      expect(preview.platform).toBe('twitch');
+      expect(preview.rows[0].metrics).toEqual({
+        viewers: 42, max_viewers: 87, new_followers: 6, minutes_streamed: 210, chatters: 19
+      });
+      expect(preview.rows[1].metrics).not.toHaveProperty('new_followers');
+    });
+
+    test('should map TikTok follower history', () => {
+      const preview = csvImportService.buildPreview(TIKTOK_EXPORT);
+
+      expect(preview.platform).toBe('tiktok');
+      expect(preview.rows.map(row => row.date)).toEqual(['2025-01-30', '2025-01-31']);
+      expect(preview.rows[1].metrics).toEqual({ followers: 10300, new_followers: 50 });
+    });
+
+    test('should report values that are not numbers', () => {
+      const preview = csvImportService.buildPreview('Date,Followers\n2025-01-01,lots\n');
+
+      expect(preview.errors).toEqual([{ line: 2, column: 'Followers', message: 'Not a number: "lots"' }]);
+      expect(preview.rows).toEqual([]);
+    });
+
+    test('should list columns it does not import', () => {
+      const preview = csvImportService.buildPreview('Date,Followers,Favourite colour\n2025-01-01,10,blue\n');
+
+      expect(preview.ignoredColumns).toEqual(['Favourite colour']);
+    });
+
+    test('should reject files it cannot recognise', () => {
+      expect(() => csvImportService.buildPreview('Month,Total\nJan,1\n')).toThrow('Could not recognise this export');
+      expect(() => csvImportService.buildPreview('Date,Views\n')).toThrow('no data rows');
+      expect(() => csvImportService.buildPreview('Date,Views\n2025-01-01,1\n', 'instagram')).toThrow('Unsupported platform');
+    });
+  });
+
+  describe('Import', () => {
+    test('should upsert each metric at midnight UTC of its day', async () => {
+      const preview = csvImportService.buildPreview(TIKTOK_EXPORT);
+
+      const result = await csvImportService.importRows('user1', 'tiktok', 'open-id', preview.rows);
+
+      expect(result).toEqual({ days: 2, values: 4 });
+      expect(mockHistoryService.storeMetric).toHaveBeenCalledTimes(4);
+      expect(mockHistoryService.storeMetric).toHaveBeenCalledWith(
+        'user1', 'TikTok', 'open-id', 'followers', 10250, new Date('2025-01-30T00:00:00.000Z')
+      );
+    });
+  });
+});
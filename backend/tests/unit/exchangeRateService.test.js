@@ -0,0 +1,115 @@
+import { jest } from '@jest/globals';
+
+// Mock pg Pool before importing the service - shared instance returned by constructor
+const mockPool = {
+  query: jest.fn()
+};
+
+jest.mock('pg', () => ({
+  Pool: jest.fn(() => mockPool)
+}));
+
+import ExchangeRateService, { DEFAULT_RATES_FILE } from '../../services/exchangeRateService.js';
+
+describe('Exchange Rate Service', () => {
+  let exchangeRateService;
+
+  const rates = {
+    USD: { rate: 1, date: null },
+    EUR: { rate: 0.5, date: '2025-01-02' },
+    JPY: { rate: 150, date: '2025-01-01' }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    exchangeRateService = new ExchangeRateService();
+    exchangeRateService.pool = mockPool;
+  });
+
+  describe('Validation', () => {
+    test('should accept a rates payload', () => {
+      expect(exchangeRateService.validateRates({ base: 'USD', date: '2025-01-02', rates: { EUR: 0.97 } })).toBeNull();
+    });
+
+    test('should reject malformed payloads', () => {
+      expect(exchangeRateService.validateRates({ base: 'usd', date: '2025-01-02', rates: { EUR: 1 } })).toMatch(/base/);
+      expect(exchangeRateService.validateRates({ base: 'USD', date: 'yesterday', rates: { EUR: 1 } })).toMatch(/date/);
+      expect(exchangeRateService.validateRates({ base: 'USD', date: '2025-01-02', rates: {} })).toMatch(/rates/);
+      expect(exchangeRateService.validateRates({ base: 'USD', date: '2025-01-02', rates: { EUR: 0 } })).toMatch(/EUR/);
+      expect(exchangeRateService.validateRates({ base: 'EUR', date: '2025-01-02', rates: { GBP: 0.8 } })).toMatch(/USD/);
+    });
+  });
+
+  describe('Storing', () => {
+    test('should re-base rates against USD', () => {
+      expect(exchangeRateService.toUsdRates({ base: 'EUR', rates: { USD: 2, GBP: 1 } })).toEqual({ EUR: 0.5, GBP: 0.5 });
+    });
+
+    test('should overwrite uploaded rates but keep existing rows when loading the file', async () => {
+      mockPool.query.mockResolvedValue({ rowCount: 1 });
+
+      await exchangeRateService.storeRates({ base: 'USD', date: '2025-01-02', rates: { EUR: 0.97 } }, 'upload');
+      await exchangeRateService.storeRates({ base: 'USD', date: '2025-01-02', rates: { EUR: 0.97 } }, 'file');
+
+      const [uploadQuery, params] = mockPool.query.mock.calls[0];
+      expect(uploadQuery).toContain('DO UPDATE SET rate = EXCLUDED.rate');
+      expect(params).toEqual(['EUR', 0.97, '2025-01-02', 'upload']);
+      expect(mockPool.query.mock.calls[1][0]).toContain('DO NOTHING');
+    });
+
+    test('should load the bundled offline rates file', async () => {
+      mockPool.query.mockResolvedValueOnce({ rowCount: 15 });
+
+      const result = await exchangeRateService.loadRatesFile(DEFAULT_RATES_FILE);
+
+      expect(result).toEqual(expect.objectContaining({ stored: 15 }));
+      expect(mockPool.query.mock.calls[0][1]).toContain('file');
+    });
+
+    test('should not store an invalid payload', async () => {
+      await expect(exchangeRateService.storeRates({ base: 'USD', date: '2025-01-02', rates: { EUR: -1 } })).rejects.toThrow(/EUR/);
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Conversion', () => {
+    test('should read the latest rate per currency on or before a date', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ currency: 'EUR', rate: '0.50000000', rate_date: '2025-01-02' }] });
+
+      const result = await exchangeRateService.getRates(new Date('2025-02-01'));
+
+      expect(mockPool.query).toHaveBeenCalledWith(expect.stringContaining('DISTINCT ON (currency)'), [new Date('2025-02-01')]);
+      expect(result).toEqual({ USD: { rate: 1, date: null }, EUR: { rate: 0.5, date: '2025-01-02' } });
+    });
+
+    test('should convert through USD', () => {
+      expect(exchangeRateService.convert(10, 'EUR', 'USD', rates)).toBe(20);
+      expect(exchangeRateService.convert(10, 'EUR', 'JPY', rates)).toBe(3000);
+      expect(exchangeRateService.convert(10, 'EUR', 'EUR', {})).toBe(10);
+      expect(() => exchangeRateService.convert(10, 'CHF', 'USD', rates)).toThrow('No exchange rate for CHF');
+    });
+
+    test('should report the oldest rate date involved', () => {
+      expect(exchangeRateService.getRateDate(['EUR', 'JPY', 'USD'], rates)).toBe('2025-01-01');
+      expect(exchangeRateService.getRateDate(['USD'], rates)).toBeNull();
+    });
+  });
+
+  describe('Reporting Currency', () => {
+    test('should default to USD', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      expect(await exchangeRateService.getReportingCurrency('user1')).toBe('USD');
+      expect(await exchangeRateService.getReportingCurrency(null)).toBe('USD');
+      expect(mockPool.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('should save the user\'s preference', async () => {
+      mockPool.query.mockResolvedValueOnce({ rowCount: 1 });
+
+      await exchangeRateService.setReportingCurrency('user1', 'EUR');
+
+      expect(mockPool.query).toHaveBeenCalledWith(expect.stringContaining('ON CONFLICT (user_id)'), ['user1', 'EUR']);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+import { jest } from '@jest/globals';
+import ExcelJS from 'exceljs';
+
+// Mock pg Pool before importing the service
+jest.mock('pg', () => ({
+  Pool: jest.fn(() => ({ query: jest.fn() }))
+}));
+
+import ExportService from '../../services/exportService.js';
+
+describe('Export Service', () => {
+  let exportService;
+  let mockHistoryService;
+
+  const user = {
+    id: 'user1',
+    email: 'creator@example.com',
+    created_at: '2024-06-01T00:00:00.000Z',
+    connected_platforms: [{ name: 'youtube', identifier: 'UC123' }]
+  };
+
+  const analytics = {
+    totalRevenue: 120,
+    totalGrowth: 4.5,
+    topPlatform: 'YouTube',
+    monthlyTrend: [{ month: '2025-01', label: 'Jan 2025', revenue: 120, interpolated: false }],
+    platformBreakdown: [{ platform: 'YouTube', percentage: 100 }]
+  };
+
+  const buildData = () => exportService.buildExport(user, {
+    from: new Date('2025-01-01T00:00:00.000Z'),
+    to: new Date('2025-01-31T00:00:00.000Z'),
+    platforms: [{ name: 'YouTube', subscribers: 1000, views: 5000, revenue: 120, growth: 4.5, channelName: 'Ignored' }],
+    analytics,
+    manualRevenue: [{ id: 1, platform: 'youtube', period: '2025-01', source: 'adsense', amount: 120, currency: 'USD', notes: null }]
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockHistoryService = {
+      getHistoryRows: jest.fn().mockResolvedValue([
+        { recordedAt: '2025-01-02T00:00:00.000Z', platform: 'YouTube', identifier: 'UC123', metric: 'subscribers', value: 990, resolution: 'daily' },
+        { recordedAt: '2025-01-30T12:00:00.000Z', platform: 'YouTube', identifier: 'UC123', metric: 'subscribers', value: 1000, resolution: 'raw' }
+      ])
+    };
+    exportService = new ExportService(mockHistoryService);
+  });
+
+  describe('Collecting', () => {
+    test('should bundle platforms, history, manual revenue and analytics for the range', async () => {
+      const data = await buildData();
+
+      expect(mockHistoryService.getHistoryRows).toHaveBeenCalledWith('user1', {
+        from: new Date('2025-01-01T00:00:00.000Z'),
+        to: new Date('2025-01-31T00:00:00.000Z')
+      });
+      expect(data.range).toEqual({ from: '2025-01-01T00:00:00.000Z', to: '2025-01-31T00:00:00.000Z' });
+      expect(data.account).toEqual({ email: 'creator@example.com', createdAt: '2024-06-01T00:00:00.000Z' });
+      expect(data.platforms).toEqual([{
+        name: 'YouTube', identifier: 'UC123', subscribers: 1000, followers: null, views: 5000, viewers: null, revenue: 120, growth: 4.5, revenueCurrency: 'USD'
+      }]);
+      expect(data.history).toHaveLength(2);
+      expect(data.manualRevenue).toEqual([{ id: 1, platform: 'youtube', period: '2025-01', source: 'adsense', amount: 120, currency: 'USD', notes: null }]);
+      expect(data.analytics).toBe(analytics);
+    });
+  });
+
+  describe('Formats', () => {
+    test('should write one titled CSV section per table', async () => {
+      const { body, contentType, filename } = await exportService.render(await buildData(), 'csv');
+      const sections = body.trim().split('\r\n\r\n');
+
+      expect(contentType).toContain('text/csv');
+      expect(filename).toMatch(/^networthy-export-\d{4}-\d{2}-\d{2}\.csv$/);
+      expect(sections.map(section => section.split('\r\n')[0])).toEqual([
+        '# Summary', '# Platforms', '# Metric History', '# Manual Revenue', '# Monthly Trend', '# Platform Breakdown'
+      ]);
+      expect(sections[2].split('\r\n')).toEqual([
+        '# Metric History',
+        'recordedAt,platform,identifier,metric,value,resolution',
+        '2025-01-02T00:00:00.000Z,YouTube,UC123,subscribers,990,daily',
+        '2025-01-30T12:00:00.000Z,YouTube,UC123,subscribers,1000,raw'
+      ]);
+    });
+
+    test('should quote CSV values containing separators or quotes', () => {
+      expect(exportService.escapeCsv('plain')).toBe('plain');
+      expect(exportService.escapeCsv('a, b')).toBe('"a, b"');
+      expect(exportService.escapeCsv('say "hi"')).toBe('"say ""hi"""');
+      expect(exportService.escapeCsv(null)).toBe('');
+    });
+
+    test('should write JSON', async () => {
+      const { body, contentType } = await exportService.render(await buildData(), 'json');
+
+      expect(contentType).toContain('application/json');
+      expect(JSON.parse(body).history[1].value).toBe(1000);
+    });
+
+    test('should write an XLSX workbook with a sheet per table', async () => {
+      const { body, filename } = await exportService.render(await buildData(), 'xlsx');
+
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(body);
+
+      expect(filename).toMatch(/\.xlsx$/);
+      expect(workbook.worksheets.map(sheet => sheet.name)).toEqual([
+        'Summary', 'Platforms', 'Metric History', 'Manual Revenue', 'Monthly Trend', 'Platform Breakdown'
+      ]);
+      const history = workbook.getWorksheet('Metric History');
+      expect(history.getRow(1).values.slice(1)).toEqual(['recordedAt', 'platform', 'identifier', 'metric', 'value', 'resolution']);
+      expect(history.getRow(3).getCell(5).value).toBe(1000);
+    });
+  });
+});
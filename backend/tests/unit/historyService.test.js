@@ -258,6 +258,220 @@ describe('History Service', () => {
     });
   });
 
+  describe('Revenue Trend', () => {
+    const monthsAgo = (n) => {
+      const now = new Date();
+      return new Date(now.getFullYear(), now.getMonth() - n, 15);
+    };
+
+    test('should return labelled month buckets from stored snapshots', async () => {
+      mockPool.query.mockResolvedValueOnce({
+        rows: [
+          { metric_value: 100, recorded_at: monthsAgo(5) },
+          { metric_value: 300, recorded_at: monthsAgo(1) },
+          { metric_value: 500, recorded_at: monthsAgo(1) },
+          { metric_value: 600, recorded_at: monthsAgo(0) }
+        ]
+      });
+
+      const trend = await historyService.calculateRevenueTrend('user1', 600);
+
+      expect(trend).toHaveLength(6);
+      expect(trend.map(point => point.month)).toEqual(
+        [5, 4, 3, 2, 1, 0].map(n => historyService.getMonthKey(monthsAgo(n)))
+      );
+      expect(trend[0]).toEqual(expect.objectContaining({ revenue: 100, interpolated: false }));
+      expect(trend[4]).toEqual(expect.objectContaining({ revenue: 400, interpolated: false }));
+      expect(trend[5]).toEqual(expect.objectContaining({ revenue: 600, interpolated: false }));
+      expect(trend[0].label).toMatch(/^[A-Z][a-z]{2} \d{4}$/);
+    });
+
+    test('should flag interpolated months between measurements', async () => {
+      mockPool.query.mockResolvedValueOnce({
+        rows: [
+          { metric_value: 100, recorded_at: monthsAgo(5) },
+          { metric_value: 600, recorded_at: monthsAgo(0) }
+        ]
+      });
+
+      const trend = await historyService.calculateRevenueTrend('user1', 600);
+
+      expect(trend.map(point => point.interpolated)).toEqual([false, true, true, true, true, false]);
+      expect(trend[1].revenue).toBeGreaterThan(100);
+      expect(trend[1].revenue).toBeLessThan(trend[4].revenue);
+    });
+
+    test('should return the same flat trend every time without history', async () => {
+      mockPool.query.mockResolvedValue({ rows: [] });
+
+      const first = await historyService.calculateRevenueTrend('user1', 250);
+      const second = await historyService.calculateRevenueTrend('user1', 250);
+
+      expect(first).toEqual(second);
+      expect(first.map(point => point.revenue)).toEqual([250, 250, 250, 250, 250, 250]);
+      expect(first.map(point => point.interpolated)).toEqual([true, true, true, true, true, false]);
+    });
+  });
+
+  describe('Metric Series', () => {
+    const from = new Date('2025-01-01T00:00:00.000Z');
+    const to = new Date('2025-01-05T12:00:00.000Z');
+
+    test('should bucket multiple metrics and fill gaps', async () => {
+      mockPool.query.mockResolvedValueOnce({
+        rows: [
+          { metric_name: 'subscribers', bucket: new Date('2025-01-02T00:00:00.000Z'), value: 100 },
+          { metric_name: 'subscribers', bucket: new Date('2025-01-04T00:00:00.000Z'), value: 120 },
+          { metric_name: 'views', bucket: new Date('2025-01-01T00:00:00.000Z'), value: '5000' }
+        ]
+      });
+
+      const series = await historyService.getMetricSeries('user1', 'YouTube', ['subscribers', 'views'], {
+        from, to, interval: 'day', aggregate: 'max'
+      });
+
+      expect(mockPool.query).toHaveBeenCalledWith(
+        expect.stringContaining('MAX(value_max)'),
+        ['user1', 'YouTube', 'day', ['subscribers', 'views'], from, to]
+      );
+      expect(series.subscribers.map(point => [point.value, point.filled])).toEqual([
+        [null, true], [100, false], [100, true], [120, false], [120, true]
+      ]);
+      expect(series.views[0]).toEqual({ bucket: '2025-01-01T00:00:00.000Z', value: 5000, filled: false });
+      expect(series.views[4]).toEqual({ bucket: '2025-01-05T00:00:00.000Z', value: 5000, filled: true });
+    });
+
+    test('should use the latest value per bucket by default', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      await historyService.getMetricSeries('user1', 'Twitch', ['followers'], { from, to });
+
+      expect(mockPool.query.mock.calls[0][0]).toContain('array_agg(value_last ORDER BY sampled_at DESC))[1]');
+    });
+
+    test('should read older ranges from daily and monthly rollups', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      await historyService.getMetricSeries('user1', 'YouTube', ['subscribers'], { from, to, interval: 'month' });
+
+      const query = mockPool.query.mock.calls[0][0];
+      expect(query).toContain('FROM platform_history_daily d');
+      expect(query).toContain('FROM platform_history_monthly m');
+    });
+
+    test('should reject unsupported intervals and aggregates', async () => {
+      await expect(historyService.getMetricSeries('user1', 'YouTube', ['views'], { from, to, interval: 'hour' }))
+        .rejects.toThrow('Unsupported interval');
+      await expect(historyService.getMetricSeries('user1', 'YouTube', ['views'], { from, to, aggregate: 'sum' }))
+        .rejects.toThrow('Unsupported aggregate');
+    });
+
+    test('should align week buckets to Mondays and month buckets to the first', () => {
+      expect(historyService.getSeriesBuckets('2025-01-01T10:00:00Z', '2025-01-20T00:00:00Z', 'week')).toEqual([
+        '2024-12-30T00:00:00.000Z', '2025-01-06T00:00:00.000Z', '2025-01-13T00:00:00.000Z', '2025-01-20T00:00:00.000Z'
+      ]);
+      expect(historyService.getSeriesBuckets('2025-01-15T00:00:00Z', '2025-03-01T00:00:00Z', 'month')).toEqual([
+        '2025-01-01T00:00:00.000Z', '2025-02-01T00:00:00.000Z', '2025-03-01T00:00:00.000Z'
+      ]);
+    });
+  });
+
+  describe('History Rows', () => {
+    test('should return raw and rollup rows for the range', async () => {
+      mockPool.query.mockResolvedValueOnce({
+        rows: [
+          { platform_name: 'YouTube', platform_identifier: 'UC123', metric_name: 'subscribers', recorded_at: '2025-01-01T00:00:00.000Z', value: '990', resolution: 'daily' },
+          { platform_name: 'YouTube', platform_identifier: 'UC123', metric_name: 'subscribers', recorded_at: '2025-03-01T12:00:00.000Z', value: 1000, resolution: 'raw' }
+        ]
+      });
+      const from = new Date('2025-01-01T00:00:00.000Z');
+      const to = new Date('2025-03-31T00:00:00.000Z');
+
+      const rows = await historyService.getHistoryRows('user1', { from, to });
+
+      expect(mockPool.query).toHaveBeenCalledWith(expect.stringContaining('FROM platform_history_daily d'), ['user1', from, to]);
+      expect(rows[0]).toEqual({
+        platform: 'YouTube',
+        identifier: 'UC123',
+        metric: 'subscribers',
+        recordedAt: '2025-01-01T00:00:00.000Z',
+        value: 990,
+        resolution: 'daily'
+      });
+      expect(rows[1].resolution).toBe('raw');
+    });
+  });
+
+  describe('Retention', () => {
+    test('should fall back to default retention settings', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      const settings = await historyService.getRetentionSettings('user1');
+
+      expect(settings).toEqual({ rawDays: 90, dailyDays: 730, monthlyDays: null, isDefault: true });
+    });
+
+    test('should return a user\'s own retention settings', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ raw_days: 30, daily_days: 365, monthly_days: 3650 }] });
+
+      const settings = await historyService.getRetentionSettings('user1');
+
+      expect(settings).toEqual({ rawDays: 30, dailyDays: 365, monthlyDays: 3650, isDefault: false });
+    });
+
+    test('should validate that coarser tables are kept at least as long', () => {
+      expect(historyService.validateRetentionSettings({ rawDays: 30, dailyDays: 365, monthlyDays: null })).toBeNull();
+      expect(historyService.validateRetentionSettings({ rawDays: 0, dailyDays: 365, monthlyDays: null })).toMatch(/rawDays/);
+      expect(historyService.validateRetentionSettings({ rawDays: 90, dailyDays: 30, monthlyDays: null })).toMatch(/dailyDays/);
+      expect(historyService.validateRetentionSettings({ rawDays: 30, dailyDays: 365, monthlyDays: 100 })).toMatch(/monthlyDays/);
+    });
+
+    test('should reject invalid settings on update', async () => {
+      await expect(historyService.updateRetentionSettings('user1', { rawDays: 90, dailyDays: 30 }))
+        .rejects.toThrow('dailyDays');
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+
+    test('should roll up before pruning, in one transaction', async () => {
+      const mockClient = {
+        query: jest.fn().mockResolvedValue({ rowCount: 2 }),
+        release: jest.fn()
+      };
+      mockPool.connect = jest.fn().mockResolvedValue(mockClient);
+
+      const summary = await historyService.applyRetention();
+
+      const statements = mockClient.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/).slice(0, 3).join(' '));
+      expect(statements).toEqual([
+        'BEGIN',
+        'INSERT INTO platform_history_daily',
+        'INSERT INTO platform_history_monthly',
+        'DELETE FROM platform_history',
+        'DELETE FROM platform_history_daily',
+        'DELETE FROM platform_history_monthly',
+        'COMMIT'
+      ]);
+      expect(mockClient.query.mock.calls[3][1]).toEqual([90]);
+      expect(summary).toEqual({ dailyRows: 2, monthlyRows: 2, rawPruned: 2, dailyPruned: 2, monthlyPruned: 2 });
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+
+    test('should roll back when a step fails', async () => {
+      const mockClient = {
+        query: jest.fn()
+          .mockResolvedValueOnce({}) // BEGIN
+          .mockRejectedValueOnce(new Error('Database error'))
+          .mockResolvedValueOnce({}), // ROLLBACK
+        release: jest.fn()
+      };
+      mockPool.connect = jest.fn().mockResolvedValue(mockClient);
+
+      await expect(historyService.applyRetention()).rejects.toThrow('Database error');
+      expect(mockClient.query).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+  });
+
   describe('Data Validation', () => {
     test('should handle large metric values', async () => {
       const largeValue = 1000000000;
@@ -0,0 +1,91 @@
+import { jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+
+import LiveUpdateService from '../../services/liveUpdateService.js';
+
+describe('Live Update Service', () => {
+  let liveUpdateService;
+  let mockWebhookService;
+
+  const createSocket = () => {
+    const ws = new EventEmitter();
+    ws.send = jest.fn();
+    ws.ping = jest.fn();
+    ws.terminate = jest.fn();
+    ws.readyState = 1;
+    return ws;
+  };
+
+  const sentMessages = (ws) => ws.send.mock.calls.map(([raw]) => JSON.parse(raw));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockWebhookService = {
+      streamId: 'stream-1',
+      addSubscriber: jest.fn(),
+      removeSubscriber: jest.fn()
+    };
+
+    liveUpdateService = new LiveUpdateService(mockWebhookService);
+  });
+
+  describe('Connections', () => {
+    test('should greet the client and subscribe it', () => {
+      const ws = createSocket();
+
+      liveUpdateService.handleConnection(ws, { url: '/api/live' }, { id: 'user1' });
+
+      expect(sentMessages(ws)[0]).toEqual(expect.objectContaining({ type: 'connected', streamId: 'stream-1' }));
+      expect(mockWebhookService.addSubscriber).toHaveBeenCalledWith('user1', ws, null);
+    });
+
+    test('should pass resume parameters through', () => {
+      const ws = createSocket();
+
+      liveUpdateService.handleConnection(ws, { url: '/api/live?streamId=stream-1&lastSeq=42' }, { id: 'user1' });
+
+      expect(mockWebhookService.addSubscriber).toHaveBeenCalledWith('user1', ws, { streamId: 'stream-1', lastSeq: 42 });
+    });
+
+    test('should unsubscribe on close', () => {
+      const ws = createSocket();
+      liveUpdateService.handleConnection(ws, { url: '/api/live' }, { id: 'user1' });
+
+      ws.emit('close');
+
+      expect(mockWebhookService.removeSubscriber).toHaveBeenCalledWith('user1', ws);
+    });
+
+    test('should answer JSON pings', () => {
+      const ws = createSocket();
+      liveUpdateService.handleConnection(ws, { url: '/api/live' }, { id: 'user1' });
+
+      ws.emit('message', Buffer.from(JSON.stringify({ type: 'ping' })));
+      ws.emit('message', Buffer.from('not json'));
+
+      const messages = sentMessages(ws);
+      expect(messages).toHaveLength(2);
+      expect(messages[1].type).toBe('pong');
+    });
+  });
+
+  describe('Heartbeats', () => {
+    test('should ping live clients and terminate unresponsive ones', () => {
+      const alive = createSocket();
+      const dead = createSocket();
+      liveUpdateService.handleConnection(alive, { url: '/api/live' }, { id: 'user1' });
+      liveUpdateService.handleConnection(dead, { url: '/api/live' }, { id: 'user2' });
+      liveUpdateService.wss = { clients: new Set([alive, dead]) };
+
+      liveUpdateService.checkHeartbeats();
+      alive.emit('pong');
+      liveUpdateService.checkHeartbeats();
+
+      expect(alive.ping).toHaveBeenCalledTimes(2);
+      expect(alive.terminate).not.toHaveBeenCalled();
+      expect(dead.ping).toHaveBeenCalledTimes(1);
+      expect(dead.terminate).toHaveBeenCalled();
+    });
+  });
+});
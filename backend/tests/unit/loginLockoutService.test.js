@@ -0,0 +1,189 @@
+import { jest } from '@jest/globals';
+
+// Mock pg Pool before importing the service - shared instance returned by constructor
+const mockPool = {
+  query: jest.fn()
+};
+
+jest.mock('pg', () => ({
+  Pool: jest.fn(() => mockPool)
+}));
+
+import LoginLockoutService, { LOGIN_BLOCK_CODES, normalizeLoginEmail } from '../../services/loginLockoutService.js';
+
+describe('Login Lockout Service', () => {
+  let loginLockoutService;
+
+  const email = 'Creator@Example.com ';
+  const meta = { ip: '127.0.0.1', userAgent: 'jest' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPool.query.mockReset();
+    loginLockoutService = new LoginLockoutService();
+    loginLockoutService.pool = mockPool;
+    loginLockoutService.threshold = 5;
+    loginLockoutService.lockoutMinutes = 15;
+  });
+
+  describe('check', () => {
+    test('should allow emails without recent failures', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      expect(await loginLockoutService.check(email)).toBeNull();
+      expect(mockPool.query.mock.calls[0][1]).toEqual(['creator@example.com']);
+    });
+
+    test('should report lockouts before progressive delays', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ locked_for: '600', delay_for: '4' }] })
+        .mockResolvedValueOnce({ rows: [{ locked_for: null, delay_for: '4' }] })
+        .mockResolvedValueOnce({ rows: [{ locked_for: '-30', delay_for: '-2' }] });
+
+      expect(await loginLockoutService.check(email)).toEqual({ code: LOGIN_BLOCK_CODES.locked, retryAfter: 600 });
+      expect(await loginLockoutService.check(email)).toEqual({ code: LOGIN_BLOCK_CODES.throttled, retryAfter: 4 });
+      expect(await loginLockoutService.check(email)).toBeNull();
+    });
+  });
+
+  describe('reserveAttempt', () => {
+    test('should count the attempt and apply a doubling delay below the threshold', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rowCount: 0 })
+        .mockResolvedValueOnce({ rows: [{ failed_count: 3, lockout_count: 0 }] });
+
+      const { block, attempt } = await loginLockoutService.reserveAttempt(email);
+
+      expect(block).toBeUndefined();
+      expect(attempt).toEqual({
+        email: 'creator@example.com',
+        locked: false,
+        failedCount: 3,
+        lockoutCount: 0,
+        failure: { code: LOGIN_BLOCK_CODES.throttled, retryAfter: 4 }
+      });
+      const [reserveQuery, reserveParams] = mockPool.query.mock.calls[1];
+      expect(reserveQuery).toContain('AND (retry_after IS NULL OR retry_after <= NOW())');
+      expect(reserveParams).toEqual(['creator@example.com', 60, 24 * 60, 5, 30, 15, 24 * 60]);
+    });
+
+    test('should lock the account when the attempt reaches the threshold', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rowCount: 0 })
+        .mockResolvedValueOnce({ rows: [{ failed_count: 0, lockout_count: 2 }] });
+
+      const { attempt } = await loginLockoutService.reserveAttempt(email);
+
+      expect(attempt).toEqual(expect.objectContaining({
+        locked: true,
+        failedCount: 5,
+        lockoutCount: 2,
+        failure: { code: LOGIN_BLOCK_CODES.locked, retryAfter: 30 * 60 }
+      }));
+    });
+
+    test('should refuse the attempt while the account is locked or delayed', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rowCount: 0 })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ locked_for: '600', delay_for: null }] });
+
+      expect(await loginLockoutService.reserveAttempt(email)).toEqual({
+        block: { code: LOGIN_BLOCK_CODES.locked, retryAfter: 600 }
+      });
+    });
+
+    test('should let only one of many parallel failures through', async () => {
+      // Behaves like the conditional UPDATE: once an attempt has set a delay, the rest don't match
+      let retryAfter = 0;
+      let failedCount = 0;
+      mockPool.query.mockImplementation(async (query) => {
+        await new Promise(resolve => setImmediate(resolve));
+        if (query.includes('UPDATE login_failures SET')) {
+          if (retryAfter > Date.now()) return { rows: [] };
+          failedCount++;
+          retryAfter = Date.now() + loginLockoutService.delaySeconds(failedCount) * 1000;
+          return { rows: [{ failed_count: failedCount, lockout_count: 0 }] };
+        }
+        if (query.includes('SELECT')) {
+          return { rows: [{ locked_for: null, delay_for: String(Math.ceil((retryAfter - Date.now()) / 1000)) }] };
+        }
+        return { rows: [], rowCount: 0 };
+      });
+
+      const results = await Promise.all(Array.from({ length: 10 }, async () => {
+        const { block, attempt } = await loginLockoutService.reserveAttempt(email);
+        if (block) return block;
+        // Wrong password
+        return loginLockoutService.recordFailure(attempt, meta);
+      }));
+
+      expect(failedCount).toBe(1);
+      expect(results.filter(result => result.code === LOGIN_BLOCK_CODES.throttled)).toHaveLength(10);
+      expect(results.filter(result => result.retryAfter === 1)).toHaveLength(10);
+    });
+  });
+
+  describe('recordFailure', () => {
+    test('should only return the delay the reserved attempt already applied', async () => {
+      const attempt = { email: 'creator@example.com', locked: false, failedCount: 2, lockoutCount: 0, failure: { code: LOGIN_BLOCK_CODES.throttled, retryAfter: 2 } };
+
+      expect(await loginLockoutService.recordFailure(attempt, meta)).toEqual({ code: LOGIN_BLOCK_CODES.throttled, retryAfter: 2 });
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+
+    test('should audit the lockout at the threshold', async () => {
+      mockPool.query.mockResolvedValueOnce({ rowCount: 1 });
+      const attempt = { email: 'creator@example.com', locked: true, failedCount: 5, lockoutCount: 2, failure: { code: LOGIN_BLOCK_CODES.locked, retryAfter: 30 * 60 } };
+
+      expect(await loginLockoutService.recordFailure(attempt, meta)).toEqual({ code: LOGIN_BLOCK_CODES.locked, retryAfter: 30 * 60 });
+
+      const [auditQuery, auditParams] = mockPool.query.mock.calls[0];
+      expect(auditQuery).toContain('INSERT INTO auth_audit_log');
+      expect(auditParams.slice(0, 4)).toEqual(['creator@example.com', 'account_locked', '127.0.0.1', 'jest']);
+      expect(JSON.parse(auditParams[4])).toEqual({ failedAttempts: 5, lockoutMinutes: 30, lockoutCount: 2 });
+    });
+
+    test('should cap delays and lockout durations', () => {
+      expect(loginLockoutService.delaySeconds(1)).toBe(1);
+      expect(loginLockoutService.delaySeconds(20)).toBe(30);
+      expect(loginLockoutService.lockoutDurationMinutes(0)).toBe(15);
+      expect(loginLockoutService.lockoutDurationMinutes(10)).toBe(24 * 60);
+    });
+  });
+
+  describe('releaseAttempt', () => {
+    test('should restore the count from before a lockout the attempt applied', async () => {
+      mockPool.query.mockResolvedValueOnce({ rowCount: 1 });
+
+      await loginLockoutService.releaseAttempt({ email: 'creator@example.com', locked: true, failedCount: 5, lockoutCount: 2 });
+
+      expect(mockPool.query.mock.calls[0][0]).toContain('retry_after = NULL, locked_until = NULL');
+      expect(mockPool.query.mock.calls[0][1]).toEqual(['creator@example.com', 4, 1]);
+    });
+  });
+
+  describe('unlock', () => {
+    test('should lift a lockout and audit it', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ was_locked: true }] })
+        .mockResolvedValueOnce({ rowCount: 1 });
+
+      expect(await loginLockoutService.unlock(email, { ...meta, reason: 'password_reset' })).toBe(true);
+      expect(mockPool.query.mock.calls[1][1][1]).toBe('account_unlocked');
+      expect(JSON.parse(mockPool.query.mock.calls[1][1][4])).toEqual({ reason: 'password_reset' });
+    });
+
+    test('should not audit when nothing was locked', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      expect(await loginLockoutService.unlock(email)).toBe(false);
+      expect(mockPool.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  test('should normalize emails so case and spacing cannot dodge the counter', () => {
+    expect(normalizeLoginEmail(' Creator@EXAMPLE.com')).toBe('creator@example.com');
+    expect(normalizeLoginEmail(undefined)).toBe('');
+  });
+});
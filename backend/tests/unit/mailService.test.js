@@ -0,0 +1,58 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import MailService, { FileMailTransport, createMailTransport, ConsoleMailTransport } from '../../services/mailService.js';
+
+describe('Mail Service', () => {
+  let mailDir;
+
+  beforeEach(() => {
+    mailDir = fs.mkdtempSync(path.join(os.tmpdir(), 'networthy-mail-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(mailDir, { recursive: true, force: true });
+  });
+
+  const readMessages = () => fs.readdirSync(mailDir)
+    .map(file => JSON.parse(fs.readFileSync(path.join(mailDir, file), 'utf8')));
+
+  test('should write messages to the file transport', async () => {
+    const mailService = new MailService(new FileMailTransport(mailDir));
+
+    await mailService.sendVerificationEmail('creator@example.com', 'http://localhost:3000/verify-email?token=abc');
+
+    const [message] = readMessages();
+    expect(message).toEqual(expect.objectContaining({
+      to: 'creator@example.com',
+      from: mailService.from,
+      subject: 'Verify your Networthy email address'
+    }));
+    expect(message.text).toContain('http://localhost:3000/verify-email?token=abc');
+  });
+
+  test('should include the reset link in password reset emails', async () => {
+    const mailService = new MailService(new FileMailTransport(mailDir));
+
+    await mailService.sendPasswordResetEmail('creator@example.com', 'http://localhost:3000/reset-password?token=xyz');
+
+    const [message] = readMessages();
+    expect(message.subject).toBe('Reset your Networthy password');
+    expect(message.text).toContain('http://localhost:3000/reset-password?token=xyz');
+  });
+
+  test('should accept any transport with a send method', async () => {
+    const transport = { send: jest.fn().mockResolvedValue({ id: 'provider-id' }) };
+    const mailService = new MailService(transport);
+
+    expect(await mailService.send({ to: 'a@example.com', subject: 'Hi', text: 'Hello' })).toEqual({ id: 'provider-id' });
+    expect(transport.send).toHaveBeenCalledWith({ from: mailService.from, to: 'a@example.com', subject: 'Hi', text: 'Hello' });
+  });
+
+  test('should pick the transport named by MAIL_TRANSPORT', () => {
+    expect(createMailTransport('console')).toBeInstanceOf(ConsoleMailTransport);
+    expect(createMailTransport('file')).toBeInstanceOf(FileMailTransport);
+    expect(() => createMailTransport('pigeon')).toThrow(/Unknown MAIL_TRANSPORT "pigeon"/);
+  });
+});
@@ -0,0 +1,137 @@
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+
+// Mock pg Pool before importing userService. userService creates its pool at import time,
+// before mockPool is initialised, so the mocked pool looks it up on each query.
+const mockPool = {
+  query: jest.fn()
+};
+
+jest.mock('pg', () => ({
+  Pool: jest.fn(() => ({ query: (...args) => mockPool.query(...args) }))
+}));
+
+import { hashPassword, verifyPassword, needsRehash } from '../../utils/password.js';
+import { createUser, verifyUser } from '../../services/userService.js';
+
+// A hash in the pre-scrypt format: <salt hex>:<PBKDF2-SHA512, 1000 iterations, hex>
+const legacyHash = (password, salt = 'a1b2c3d4e5f60718') =>
+  `${salt}:${crypto.pbkdf2Sync(password, salt, 1000, 64, 'sha512').toString('hex')}`;
+
+describe('Password Hashing', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('hashPassword', () => {
+    test('should produce a versioned scrypt hash with a random salt', async () => {
+      const first = await hashPassword('correct horse');
+      const second = await hashPassword('correct horse');
+
+      expect(first).toMatch(/^\$scrypt\$v=1\$N=32768,r=8,p=1\$[\w-]+\$[\w-]+$/);
+      expect(first).not.toBe(second);
+      expect(first.length).toBeLessThanOrEqual(255);
+    });
+  });
+
+  describe('verifyPassword', () => {
+    test('should verify scrypt hashes', async () => {
+      const hash = await hashPassword('correct horse');
+
+      expect(await verifyPassword('correct horse', hash)).toBe(true);
+      expect(await verifyPassword('wrong horse', hash)).toBe(false);
+    });
+
+    test('should verify legacy PBKDF2 hashes', async () => {
+      const hash = legacyHash('password123');
+
+      expect(await verifyPassword('password123', hash)).toBe(true);
+      expect(await verifyPassword('password124', hash)).toBe(false);
+    });
+
+    test('should reject malformed or missing hashes', async () => {
+      expect(await verifyPassword('password123', 'not-a-hash')).toBe(false);
+      expect(await verifyPassword('password123', 'abcd:ef')).toBe(false);
+      expect(await verifyPassword('password123', null)).toBe(false);
+      expect(await verifyPassword(undefined, legacyHash('password123'))).toBe(false);
+    });
+
+    test('should compare in constant time', async () => {
+      const spy = jest.spyOn(crypto, 'timingSafeEqual');
+
+      await verifyPassword('correct horse', await hashPassword('correct horse'));
+      await verifyPassword('password123', legacyHash('password123'));
+
+      expect(spy).toHaveBeenCalledTimes(2);
+      spy.mockRestore();
+    });
+  });
+
+  describe('needsRehash', () => {
+    test('should flag legacy hashes and weaker scrypt parameters', async () => {
+      const current = await hashPassword('correct horse');
+
+      expect(needsRehash(current)).toBe(false);
+      expect(needsRehash(legacyHash('password123'))).toBe(true);
+      expect(needsRehash(current.replace('N=32768', 'N=16384'))).toBe(true);
+      expect(needsRehash(current.replace('v=1', 'v=0'))).toBe(true);
+    });
+  });
+
+  describe('createUser', () => {
+    test('should store a scrypt hash under a random UUID', async () => {
+      mockPool.query.mockImplementation(async (query, [id, email]) => ({ rows: [{ id, email }] }));
+
+      const first = await createUser('creator@example.com', 'password123');
+      const second = await createUser('other@example.com', 'password123');
+
+      const [query, [, , hash]] = mockPool.query.mock.calls[0];
+      expect(query).toContain('INSERT INTO users (id, email, password_hash)');
+      expect(first.id).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+      expect(second.id).not.toBe(first.id);
+      expect(needsRehash(hash)).toBe(false);
+      mockPool.query.mockReset();
+    });
+  });
+
+  describe('verifyUser', () => {
+    const user = { id: '3f2b8c1e-6a4d-4e7b-9c0a-5d1e2f3a4b5c', email: 'creator@example.com' };
+
+    test('should rehash a legacy hash after a successful login', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ ...user, password_hash: legacyHash('password123') }] })
+        .mockResolvedValueOnce({ rowCount: 1 });
+
+      const result = await verifyUser(user.email, 'password123');
+
+      const [query, [newHash, userId]] = mockPool.query.mock.calls[1];
+      expect(query).toContain('UPDATE users SET password_hash = $1');
+      expect(userId).toBe(user.id);
+      expect(needsRehash(newHash)).toBe(false);
+      expect(await verifyPassword('password123', newHash)).toBe(true);
+      expect(result.password_hash).toBe(newHash);
+    });
+
+    test('should not rehash current hashes or failed logins', async () => {
+      const hash = await hashPassword('password123');
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ ...user, password_hash: hash }] })
+        .mockResolvedValueOnce({ rows: [{ ...user, password_hash: legacyHash('password123') }] });
+
+      expect(await verifyUser(user.email, 'password123')).toEqual(expect.objectContaining({ id: user.id }));
+      expect(await verifyUser(user.email, 'wrong password')).toBeNull();
+      expect(mockPool.query).toHaveBeenCalledTimes(2);
+    });
+
+    test('should still log in when the rehash cannot be saved', async () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ ...user, password_hash: legacyHash('password123') }] })
+        .mockRejectedValueOnce(new Error('connection refused'));
+
+      expect(await verifyUser(user.email, 'password123')).toEqual(expect.objectContaining({ id: user.id }));
+      expect(consoleSpy).toHaveBeenCalledWith('Error rehashing password:', 'connection refused');
+      consoleSpy.mockRestore();
+    });
+  });
+});
@@ -192,6 +192,99 @@ describe('Platform Manager', () => {
       expect(analytics.totalRevenue).toBe(0);
       expect(analytics.platformBreakdown).toBeDefined();
     });
+
+    test('should return a deterministic monthly trend', async () => {
+      const platformStats = [{ name: 'YouTube', subscribers: 1000, revenue: 300, growth: 0 }];
+
+      const first = await platformManager.calculateAnalytics(platformStats);
+      platformManager.clearAnalyticsCache();
+      const second = await platformManager.calculateAnalytics(platformStats);
+
+      expect(first.monthlyTrend).toEqual(second.monthlyTrend);
+      expect(first.monthlyTrend[5]).toEqual(expect.objectContaining({ revenue: 300, interpolated: false }));
+    });
+
+    test('should report USD without loading exchange rates', async () => {
+      const getRates = jest.spyOn(platformManager.exchangeRateService, 'getRates');
+
+      const analytics = await platformManager.calculateAnalytics([{ name: 'YouTube', revenue: 300 }]);
+
+      expect(getRates).not.toHaveBeenCalled();
+      expect(analytics.currency).toBe('USD');
+      expect(analytics.exchangeRate).toBeNull();
+    });
+
+    test('should convert mixed platform currencies to the reporting currency', async () => {
+      jest.spyOn(platformManager.exchangeRateService, 'getRates').mockResolvedValue({
+        USD: { rate: 1, date: null },
+        EUR: { rate: 0.5, date: '2025-01-02' },
+        GBP: { rate: 0.25, date: '2025-01-01' }
+      });
+      const platformStats = [
+        { name: 'YouTube', revenue: 100 },
+        { name: 'Twitch', revenue: 50, revenueCurrency: 'GBP' }
+      ];
+
+      const analytics = await platformManager.calculateAnalytics(platformStats, null, { currency: 'EUR' });
+
+      // 100 USD = 50 EUR, 50 GBP = 200 USD = 100 EUR
+      expect(analytics.totalRevenue).toBe(150);
+      expect(analytics.currency).toBe('EUR');
+      expect(analytics.topPlatform).toBe('Twitch');
+      expect(analytics.monthlyTrend[5].revenue).toBe(150);
+      expect(analytics.exchangeRate).toEqual({ date: '2025-01-01', rates: { GBP: 0.25, EUR: 0.5 } });
+    });
+  });
+
+  describe('Connection Status', () => {
+    const platforms = [{ name: 'YouTube', identifier: 'UC123' }];
+    const stats = { name: 'YouTube', subscribers: 1000, views: 5000, revenue: 20, growth: 1, channelId: 'UC123', channelName: 'Test Channel' };
+
+    beforeEach(() => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.error.mockRestore();
+    });
+
+    test('should mark fresh stats as ok with the time they were fetched', async () => {
+      platformManager.services.youtube.getChannelStats = jest.fn().mockResolvedValue(stats);
+
+      const [youtube] = await platformManager.getAllPlatformStats(platforms, 'user1');
+
+      expect(youtube).toEqual({ ...stats, status: { state: 'ok', lastSuccessAt: expect.any(String), error: null } });
+    });
+
+    test('should keep serving the last good stats as stale when the API fails', async () => {
+      platformManager.services.youtube.getChannelStats = jest.fn()
+        .mockResolvedValueOnce(stats)
+        .mockRejectedValueOnce(new Error('Failed to fetch YouTube data: socket hang up'));
+
+      const [first] = await platformManager.getAllPlatformStats(platforms, 'user1');
+      platformManager.clearCache();
+      const [second] = await platformManager.getAllPlatformStats(platforms, 'user1');
+
+      expect(second.subscribers).toBe(1000);
+      expect(second.status).toEqual({
+        state: 'stale',
+        lastSuccessAt: first.status.lastSuccessAt,
+        error: { message: 'Failed to fetch YouTube data: socket hang up', httpStatus: null }
+      });
+    });
+
+    test('should report why a platform that never loaded has no stats', async () => {
+      const quota = Object.assign(new Error('quota exceeded'), { response: { status: 403, data: { error: { errors: [{ reason: 'quotaExceeded' }] } } } });
+      platformManager.services.youtube.getChannelStats = jest.fn().mockRejectedValue(new Error('Failed to fetch YouTube data: quota exceeded', { cause: quota }));
+
+      const [youtube] = await platformManager.getAllPlatformStats(platforms, 'user1');
+
+      expect(youtube.status).toEqual({
+        state: 'quota_exceeded',
+        lastSuccessAt: null,
+        error: { message: 'Failed to fetch YouTube data: quota exceeded', httpStatus: 403 }
+      });
+    });
   });
 
   describe('Fallback Data', () => {
@@ -247,5 +340,25 @@ describe('Platform Manager', () => {
       expect(stats.entries).toContain('test_key1');
       expect(stats.entries).toContain('test_key2');
     });
+
+    test('should merge fresh stats into one user\'s cached platform data', () => {
+      platformManager.cache.set('youtube_UC123_user1', { data: { subscribers: 100, views: 500 }, expiry: Date.now() + 1000 });
+      platformManager.cache.set('youtube_UC123_user2', { data: { subscribers: 100 }, expiry: Date.now() + 1000 });
+
+      platformManager.mergeCachedStats('youtube', 'user1', { subscribers: 150 });
+
+      expect(platformManager.cache.get('youtube_UC123_user1').data).toEqual({ subscribers: 150, views: 500 });
+      expect(platformManager.cache.get('youtube_UC123_user2').data).toEqual({ subscribers: 100 });
+    });
+
+    test('should invalidate one user\'s analytics', () => {
+      platformManager.cache.set('analytics_user1', { data: {}, expiry: Date.now() + 1000 });
+      platformManager.cache.set('analytics_user2', { data: {}, expiry: Date.now() + 1000 });
+
+      platformManager.invalidateAnalytics('user1');
+
+      expect(platformManager.cache.has('analytics_user1')).toBe(false);
+      expect(platformManager.cache.has('analytics_user2')).toBe(true);
+    });
   });
 });
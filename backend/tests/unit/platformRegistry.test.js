@@ -0,0 +1,66 @@
+import { jest } from '@jest/globals';
+import platformRegistry, { PlatformRegistry } from '../../services/platforms/platformRegistry.js';
+
+jest.mock('axios');
+jest.mock('googleapis');
+
+const adapter = (overrides = {}) => ({
+  id: 'kick',
+  displayName: 'Kick',
+  metrics: { audience: 'followers', reach: 'viewers', growth: 'followers' },
+  revenueModel: { type: 'audience', description: 'Flat rate per follower' },
+  rateLimit: { maxCalls: 100, windowMs: 60 * 60 * 1000 },
+  fallbackStats: { name: 'Kick', followers: 0, viewers: 0, revenue: 0, growth: 0 },
+  createService: () => ({}),
+  fetchStats: jest.fn(),
+  ...overrides
+});
+
+describe('Platform Registry', () => {
+  test('should register the built-in platforms', () => {
+    expect(platformRegistry.ids()).toEqual(['youtube', 'twitch', 'tiktok']);
+
+    for (const builtIn of platformRegistry.list()) {
+      expect(builtIn.auth.path).toBeDefined();
+      expect(typeof builtIn.webhook.parse).toBe('function');
+      expect(builtIn.fallbackStats.name).toBe(builtIn.displayName);
+    }
+    expect(platformRegistry.get('youtube').auth.path).toBe('google');
+    expect(platformRegistry.list().filter(builtIn => builtIn.onConnect).map(builtIn => builtIn.id)).toEqual(['youtube', 'twitch']);
+  });
+
+  test('should look adapters up by id or display name, ignoring case', () => {
+    const registry = new PlatformRegistry([adapter()]);
+
+    expect(registry.get('kick').id).toBe('kick');
+    expect(registry.get('KICK').id).toBe('kick');
+    expect(registry.get('Kick').id).toBe('kick');
+    expect(registry.get('myspace')).toBeNull();
+    expect(registry.get(undefined)).toBeNull();
+  });
+
+  test('should reject adapters missing part of the contract', () => {
+    const registry = new PlatformRegistry();
+
+    expect(() => registry.register(adapter({ fetchStats: undefined, rateLimit: undefined })))
+      .toThrow('Platform adapter kick is missing rateLimit, fetchStats');
+    expect(() => registry.register(adapter({ auth: { path: 'kick', getAuthorizationUrl: jest.fn() } })))
+      .toThrow('Platform adapter kick is missing auth.exchangeCode, auth.getAccount, auth.refreshToken');
+    expect(() => registry.register(adapter({ webhook: { secretEnv: 'KICK_WEBHOOK_SECRET' } })))
+      .toThrow('Platform adapter kick is missing webhook.parse');
+    expect(() => registry.register(adapter({ onConnect: 'subscribe', csvColumns: { date: ['date'] } })))
+      .toThrow('Platform adapter kick is missing onConnect, csvColumns.date, csvColumns.columns');
+    expect(registry.ids()).toEqual([]);
+  });
+
+  test('should reject duplicate ids', () => {
+    const registry = new PlatformRegistry([adapter()]);
+
+    expect(() => registry.register(adapter())).toThrow('Platform adapter kick is already registered');
+  });
+
+  test('should parse webhook payloads into stat fields', () => {
+    expect(platformRegistry.get('twitch').webhook.parse({ broadcasterUserId: '42', followerCount: 10, viewerCount: 3, isLive: true }))
+      .toEqual({ identifier: '42', data: { followers: 10, viewers: 3, isLive: true } });
+  });
+});
@@ -0,0 +1,44 @@
+import { PLATFORM_STATUS, describePlatformError, platformStatus } from '../../utils/platformStatus.js';
+
+// Services rethrow with a friendlier message and keep the API error as the cause
+const wrapped = (cause, message = `Failed to fetch YouTube data: ${cause.message}`) => new Error(message, { cause });
+
+describe('Platform Status', () => {
+  test('should spot expired or revoked tokens', () => {
+    const unauthorized = Object.assign(new Error('Request failed with status code 401'), { response: { status: 401 } });
+    const tiktok = Object.assign(new Error('Bad request'), { response: { status: 400, data: { error: { code: 'access_token_invalid' } } } });
+
+    expect(describePlatformError(wrapped(unauthorized))).toEqual({
+      state: PLATFORM_STATUS.tokenExpired,
+      message: 'Failed to fetch YouTube data: Request failed with status code 401',
+      httpStatus: 401
+    });
+    expect(describePlatformError(wrapped(tiktok)).state).toBe(PLATFORM_STATUS.tokenExpired);
+  });
+
+  test('should spot quota errors reported as 403 or 429', () => {
+    const youtubeQuota = Object.assign(new Error('The request cannot be completed because you have exceeded your quota.'), {
+      code: 403,
+      errors: [{ reason: 'quotaExceeded' }]
+    });
+    const rateLimited = Object.assign(new Error('Too Many Requests'), { response: { status: 429 } });
+
+    expect(describePlatformError(wrapped(youtubeQuota))).toEqual(expect.objectContaining({ state: PLATFORM_STATUS.quotaExceeded, httpStatus: 403 }));
+    expect(describePlatformError(wrapped(rateLimited)).state).toBe(PLATFORM_STATUS.quotaExceeded);
+  });
+
+  test('should spot missing channels and fall back to a generic API error', () => {
+    expect(describePlatformError(wrapped(new Error('Channel not found'))).state).toBe(PLATFORM_STATUS.notFound);
+    expect(describePlatformError(new Error('Twitch user not found')).state).toBe(PLATFORM_STATUS.notFound);
+    expect(describePlatformError(wrapped(new Error('socket hang up')))).toEqual(expect.objectContaining({ state: PLATFORM_STATUS.apiError, httpStatus: null }));
+  });
+
+  test('should build a status with error detail', () => {
+    expect(platformStatus(PLATFORM_STATUS.ok, { lastSuccessAt: '2025-01-01T00:00:00.000Z' })).toEqual({
+      state: 'ok',
+      lastSuccessAt: '2025-01-01T00:00:00.000Z',
+      error: null
+    });
+    expect(platformStatus(PLATFORM_STATUS.apiError, { error: { message: 'boom' } }).error).toEqual({ message: 'boom', httpStatus: null });
+  });
+});
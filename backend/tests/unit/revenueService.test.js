@@ -0,0 +1,165 @@
+import { jest } from '@jest/globals';
+
+// Mock pg Pool before importing the service; tests swap in mockPool. Importing the platform
+// registry also creates pools, before mockPool is initialised.
+const mockPool = {
+  query: jest.fn()
+};
+
+jest.mock('pg', () => ({
+  Pool: jest.fn(() => ({ query: jest.fn() }))
+}));
+
+import RevenueService from '../../services/revenueService.js';
+
+describe('Revenue Service', () => {
+  let revenueService;
+
+  const row = {
+    id: 7,
+    platform_name: 'youtube',
+    period: '2025-01',
+    source: 'adsense',
+    amount: '120.50',
+    currency: 'USD',
+    notes: null,
+    created_at: '2025-01-31T00:00:00.000Z',
+    updated_at: '2025-01-31T00:00:00.000Z'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    revenueService = new RevenueService();
+    revenueService.pool = mockPool;
+  });
+
+  describe('Validation', () => {
+    test('should accept a complete entry', () => {
+      expect(revenueService.validateEntry({ platform: 'youtube', period: '2025-01', amount: 120.5 })).toBeNull();
+    });
+
+    test('should reject invalid fields', () => {
+      expect(revenueService.validateEntry({ platform: 'myspace', period: '2025-01', amount: 1 })).toMatch(/platform/);
+      expect(revenueService.validateEntry({ platform: 'youtube', period: '2025-13', amount: 1 })).toMatch(/period/);
+      expect(revenueService.validateEntry({ platform: 'youtube', period: '2025-01', amount: -1 })).toMatch(/amount/);
+      expect(revenueService.validateEntry({ platform: 'youtube', period: '2025-01', amount: '1' })).toMatch(/amount/);
+      expect(revenueService.validateEntry({ platform: 'youtube', period: '2025-01', amount: 1, currency: 'usd' })).toMatch(/currency/);
+      expect(revenueService.validateEntry({ platform: 'youtube', period: '2025-01', amount: 1, source: 'Big Brand!' })).toMatch(/source/);
+    });
+
+    test('should accept any registered platform', () => {
+      revenueService = new RevenueService(undefined, { ids: () => ['youtube', 'kick'] });
+
+      expect(revenueService.validateEntry({ platform: 'kick', period: '2025-01', amount: 1 })).toBeNull();
+      expect(revenueService.validateEntry({ platform: 'tiktok', period: '2025-01', amount: 1 })).toBe('platform must be one of: youtube, kick');
+    });
+
+    test('should only check the fields present in an edit', () => {
+      expect(revenueService.validateEntry({ amount: 50 }, true)).toBeNull();
+      expect(revenueService.validateEntry({ period: 'January' }, true)).toMatch(/period/);
+    });
+  });
+
+  describe('Ledger', () => {
+    test('should list a user\'s entries with optional filters', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [row] });
+
+      const entries = await revenueService.listEntries('user1', { platform: 'youtube', from: '2025-01', to: '2025-06' });
+
+      expect(mockPool.query).toHaveBeenCalledWith(
+        expect.stringContaining('WHERE user_id = $1 AND platform_name = $2 AND period >= $3 AND period <= $4'),
+        ['user1', 'youtube', '2025-01', '2025-06']
+      );
+      expect(entries).toEqual([expect.objectContaining({ id: 7, platform: 'youtube', amount: 120.5, source: 'adsense' })]);
+    });
+
+    test('should upsert by user, platform, period and source', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [row] });
+
+      await revenueService.upsertEntry('user1', { platform: 'youtube', period: '2025-01', source: 'adsense', amount: 120.5 });
+
+      expect(mockPool.query).toHaveBeenCalledWith(
+        expect.stringContaining('ON CONFLICT (user_id, platform_name, period, source)'),
+        ['user1', 'youtube', '2025-01', 'adsense', 120.5, 'USD', null]
+      );
+    });
+
+    test('should only update the given fields of the user\'s own entry', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ ...row, amount: '99.00' }] });
+
+      const updated = await revenueService.updateEntry('user1', 7, { amount: 99 });
+
+      const [query, params] = mockPool.query.mock.calls[0];
+      expect(query).toContain('SET amount = $3, updated_at = NOW()');
+      expect(query).toContain('WHERE user_id = $1 AND id = $2');
+      expect(params).toEqual(['user1', 7, 99]);
+      expect(updated.amount).toBe(99);
+    });
+
+    test('should return null when editing an entry the user does not own', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      expect(await revenueService.updateEntry('user2', 7, { amount: 99 })).toBeNull();
+    });
+
+    test('should report whether a deleted entry existed', async () => {
+      mockPool.query.mockResolvedValueOnce({ rowCount: 1 }).mockResolvedValueOnce({ rowCount: 0 });
+
+      expect(await revenueService.deleteEntry('user1', 7)).toBe(true);
+      expect(await revenueService.deleteEntry('user2', 7)).toBe(false);
+    });
+  });
+
+  describe('Overrides', () => {
+    test('should total the latest period per platform for the requesting user only', async () => {
+      mockPool.query.mockResolvedValueOnce({
+        rows: [
+          { platform_name: 'twitch', period: '2025-02', currency: 'EUR', total: '40.00' },
+          { platform_name: 'youtube', period: '2025-01', currency: 'USD', total: '170.50' }
+        ]
+      });
+
+      const overrides = await revenueService.getRevenueOverrides('user1');
+
+      expect(mockPool.query).toHaveBeenCalledWith(expect.stringContaining('SELECT MAX(latest.period)'), ['user1']);
+      expect(overrides).toEqual({
+        twitch: { amount: 40, currency: 'EUR' },
+        youtube: { amount: 170.5, currency: 'USD' }
+      });
+    });
+
+    test('should total a period that mixes currencies in USD', async () => {
+      const mockExchangeRates = {
+        getRates: jest.fn().mockResolvedValue({ USD: { rate: 1 }, EUR: { rate: 0.5 } }),
+        convert: (amount, from, to, rates) => amount / rates[from].rate * rates[to].rate
+      };
+      revenueService = new RevenueService(mockExchangeRates);
+      revenueService.pool = mockPool;
+      mockPool.query.mockResolvedValueOnce({
+        rows: [
+          { platform_name: 'youtube', period: '2025-01', currency: 'EUR', total: '10.00' },
+          { platform_name: 'youtube', period: '2025-01', currency: 'USD', total: '5.00' }
+        ]
+      });
+
+      expect(await revenueService.getRevenueOverrides('user1')).toEqual({ youtube: { amount: 25, currency: 'USD' } });
+    });
+
+    test('should have no overrides without a user', async () => {
+      expect(await revenueService.getRevenueOverrides(null)).toEqual({});
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+
+    test('should replace estimated revenue by platform name', () => {
+      const platforms = [
+        { name: 'YouTube', revenue: 10 },
+        { name: 'Twitch', revenue: 20 }
+      ];
+
+      expect(revenueService.applyOverrides(platforms, { youtube: { amount: 0, currency: 'EUR' } })).toEqual([
+        { name: 'YouTube', revenue: 0, revenueCurrency: 'EUR' },
+        { name: 'Twitch', revenue: 20 }
+      ]);
+    });
+  });
+});
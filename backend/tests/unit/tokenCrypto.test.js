@@ -0,0 +1,77 @@
+import crypto from 'crypto';
+import { TokenCipher, loadKeyRing } from '../../utils/tokenCrypto.js';
+
+const KEY_1 = '11'.repeat(32);
+const KEY_2 = '22'.repeat(32);
+
+// The pre-GCM format written by authService: <iv hex>:<AES-256-CBC hex>
+const legacyEncrypt = (text, keyHex = KEY_1) => {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-cbc', Buffer.from(keyHex, 'hex'), iv);
+  return `${iv.toString('hex')}:${Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]).toString('hex')}`;
+};
+
+describe('Token Encryption', () => {
+  describe('loadKeyRing', () => {
+    test('should use ENCRYPTION_KEY as version 1', () => {
+      const { keys, currentVersion } = loadKeyRing({ ENCRYPTION_KEY: KEY_1 });
+
+      expect(currentVersion).toBe(1);
+      expect(keys.get(1).toString('hex')).toBe(KEY_1);
+    });
+
+    test('should read versioned keys and default to the newest', () => {
+      expect(loadKeyRing({ ENCRYPTION_KEYS: `1:${KEY_1}, 2:${KEY_2}` }).currentVersion).toBe(2);
+      expect(loadKeyRing({ ENCRYPTION_KEYS: `1:${KEY_1},2:${KEY_2}`, ENCRYPTION_KEY_VERSION: '1' }).currentVersion).toBe(1);
+    });
+
+    test('should reject malformed keys and unknown current versions', () => {
+      expect(() => loadKeyRing({ ENCRYPTION_KEY: 'not-a-hex-key' })).toThrow(/32 bytes of hex/);
+      expect(() => loadKeyRing({ ENCRYPTION_KEYS: `x:${KEY_1}` })).toThrow(/Invalid ENCRYPTION_KEYS/);
+      expect(() => loadKeyRing({ ENCRYPTION_KEYS: `1:${KEY_1}`, ENCRYPTION_KEY_VERSION: '3' })).toThrow(/No encryption key/);
+    });
+  });
+
+  describe('TokenCipher', () => {
+    const cipher = new TokenCipher(loadKeyRing({ ENCRYPTION_KEYS: `1:${KEY_1},2:${KEY_2}` }));
+
+    test('should round-trip with a fresh IV and the current key version', () => {
+      const first = cipher.encrypt('{"access_token":"secret"}');
+      const second = cipher.encrypt('{"access_token":"secret"}');
+
+      expect(first).toMatch(/^gcm:v2:/);
+      expect(first).not.toBe(second);
+      expect(first).not.toContain('secret');
+      expect(cipher.decrypt(first)).toBe('{"access_token":"secret"}');
+      expect(cipher.needsReencryption(first)).toBe(false);
+    });
+
+    test('should reject tampered ciphertext', () => {
+      const [prefix, version, iv, tag, data] = cipher.encrypt('{"access_token":"secret"}').split(':');
+      const flipped = Buffer.from(data, 'base64url');
+      flipped[0] ^= 1;
+
+      expect(() => cipher.decrypt([prefix, version, iv, tag, flipped.toString('base64url')].join(':'))).toThrow();
+    });
+
+    test('should decrypt older key versions and the legacy CBC format, flagging both for re-encryption', () => {
+      const oldCipher = new TokenCipher(loadKeyRing({ ENCRYPTION_KEY: KEY_1 }));
+      const olderVersion = oldCipher.encrypt('older');
+      const legacy = legacyEncrypt('legacy');
+
+      expect(cipher.decrypt(olderVersion)).toBe('older');
+      expect(cipher.decrypt(legacy)).toBe('legacy');
+      expect(cipher.keyVersion(olderVersion)).toBe(1);
+      expect(cipher.keyVersion(legacy)).toBeNull();
+      expect(cipher.needsReencryption(olderVersion)).toBe(true);
+      expect(cipher.needsReencryption(legacy)).toBe(true);
+    });
+
+    test('should fail clearly when a key version is missing', () => {
+      const newOnly = new TokenCipher(loadKeyRing({ ENCRYPTION_KEYS: `2:${KEY_2}` }));
+      const payload = new TokenCipher(loadKeyRing({ ENCRYPTION_KEY: KEY_1 })).encrypt('older');
+
+      expect(() => newOnly.decrypt(payload)).toThrow('No encryption key for version 1');
+    });
+  });
+});
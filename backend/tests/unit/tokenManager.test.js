@@ -48,6 +48,7 @@ describe('Token Manager', () => {
     // Create token manager instance
     tokenManager = new TokenManager();
     tokenManager.pool = mockPool;
+    tokenManager.tokenStore.pool = mockPool;
   });
 
   describe('Token Validation', () => {
@@ -89,27 +90,22 @@ describe('Token Manager', () => {
   });
 
   describe('Token Retrieval', () => {
-    test('should retrieve valid token successfully', async () => {
+    test('should retrieve and decrypt a valid token', async () => {
       const userId = '1234567890';
       const platform = 'youtube';
       const mockToken = {
-        user_id: userId,
-        platform: platform,
-        token_data: JSON.stringify({
-          access_token: 'test-token',
-          expires_at: new Date(Date.now() + 3600000) // 1 hour from now
-        }),
-        expires_at: new Date(Date.now() + 3600000) // 1 hour from now
+        access_token: 'test-token',
+        expires_at: new Date(Date.now() + 3600000).toISOString() // 1 hour from now
       };
       
       mockPool.query.mockResolvedValueOnce({
-        rows: [mockToken]
+        rows: [{ token_data: tokenManager.tokenStore.cipher.encrypt(JSON.stringify(mockToken)) }]
       });
       
       const result = await tokenManager.getValidToken(userId, platform);
       
       expect(mockPool.query).toHaveBeenCalledWith(
-        'SELECT * FROM user_tokens WHERE user_id = $1 AND platform = $2',
+        'SELECT token_data FROM user_tokens WHERE user_id = $1 AND platform = $2',
         [userId, platform]
       );
       expect(result).toEqual(mockToken);
@@ -180,10 +176,11 @@ describe('Token Manager', () => {
 
       await tokenManager.updateToken(userId, platform, tokenData);
       
-      expect(mockPool.query).toHaveBeenCalledWith(
-        expect.stringContaining('INSERT INTO user_tokens'),
-        [userId, platform, JSON.stringify(tokenData)]
-      );
+      const [query, params] = mockPool.query.mock.calls[0];
+      expect(query).toContain('INSERT INTO user_tokens');
+      expect(params).toEqual([userId, platform, expect.stringMatching(/^gcm:v1:/), tokenData.expires_at]);
+      expect(params[2]).not.toContain('test-token');
+      expect(JSON.parse(tokenManager.tokenStore.cipher.decrypt(params[2]))).toEqual(JSON.parse(JSON.stringify(tokenData)));
     });
 
     test('should handle database errors in token update', async () => {
@@ -266,7 +263,7 @@ describe('Token Manager', () => {
         rowCount: 1
       });
       
-      const result = await tokenManager.validateAndRefreshYouTubeToken(userId, tokenData);
+      const result = await tokenManager.validateAndRefreshToken(userId, 'youtube', tokenData);
       
       expect(mockOAuth2.refreshAccessToken).toHaveBeenCalled();
       expect(result).toEqual({
@@ -297,7 +294,7 @@ describe('Token Manager', () => {
         rowCount: 1
       });
       
-      await expect(tokenManager.validateAndRefreshYouTubeToken(userId, tokenData))
+      await expect(tokenManager.validateAndRefreshToken(userId, 'youtube', tokenData))
         .rejects.toThrow('Token refresh failed - re-authentication required');
     });
   });
@@ -323,7 +320,7 @@ describe('Token Manager', () => {
         rowCount: 1
       });
       
-      const result = await tokenManager.validateAndRefreshTwitchToken(userId, tokenData);
+      const result = await tokenManager.validateAndRefreshToken(userId, 'twitch', tokenData);
       
       expect(mockAxios.post).toHaveBeenCalledWith(
         'https://id.twitch.tv/oauth2/token',
@@ -335,9 +332,9 @@ describe('Token Manager', () => {
         }
       );
       expect(result).toEqual({
-        accessToken: 'new-access-token',
-        refreshToken: 'new-refresh-token',
-        expiresAt: expect.any(Date)
+        access_token: 'new-access-token',
+        refresh_token: 'new-refresh-token',
+        expires_at: expect.any(Date)
       });
     });
 
@@ -355,11 +352,100 @@ describe('Token Manager', () => {
         rowCount: 1
       });
       
-      await expect(tokenManager.validateAndRefreshTwitchToken(userId, tokenData))
+      await expect(tokenManager.validateAndRefreshToken(userId, 'twitch', tokenData))
         .rejects.toThrow('Token refresh failed - re-authentication required');
     });
   });
 
+  describe('TikTok Token Refresh', () => {
+    const expiredTikTokToken = {
+      access_token: 'old-access-token',
+      refresh_token: 'test-refresh-token',
+      open_id: 'tiktok-open-id',
+      expires_at: new Date(Date.now() - 3600000) // Expired
+    };
+
+    test('should refresh TikTok token against the token endpoint', async () => {
+      mockAxios.post.mockResolvedValueOnce({
+        data: {
+          access_token: 'new-access-token',
+          refresh_token: 'new-refresh-token',
+          expires_in: 86400,
+          refresh_expires_in: 31536000,
+          open_id: 'tiktok-open-id',
+          scope: 'user.info.basic,video.list',
+          token_type: 'Bearer'
+        }
+      });
+      mockPool.query.mockResolvedValueOnce({ rowCount: 1 });
+
+      const result = await tokenManager.validateAndRefreshToken('1234567890', 'tiktok', expiredTikTokToken);
+
+      const [url, body, config] = mockAxios.post.mock.calls[0];
+      expect(url).toBe('https://open.tiktokapis.com/v2/oauth/token/');
+      expect(Object.fromEntries(new URLSearchParams(body))).toEqual(expect.objectContaining({
+        grant_type: 'refresh_token',
+        refresh_token: 'test-refresh-token'
+      }));
+      expect(config.headers['Content-Type']).toBe('application/x-www-form-urlencoded');
+      expect(result).toEqual({
+        access_token: 'new-access-token',
+        refresh_token: 'new-refresh-token',
+        expires_at: expect.any(Date),
+        refresh_expires_at: expect.any(Date),
+        open_id: 'tiktok-open-id',
+        scope: 'user.info.basic,video.list'
+      });
+      expect(result.expires_at.getTime()).toBeGreaterThan(Date.now());
+      const [query, params] = mockPool.query.mock.calls[0];
+      expect(query).toContain('INSERT INTO user_tokens');
+      expect(params.slice(0, 2)).toEqual(['1234567890', 'tiktok']);
+      expect(JSON.parse(tokenManager.tokenStore.cipher.decrypt(params[2]))).toEqual(JSON.parse(JSON.stringify(result)));
+    });
+
+    test('should treat an error body from TikTok as a failed refresh', async () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+      mockAxios.post.mockResolvedValueOnce({
+        data: { error: 'invalid_grant', error_description: 'Refresh token is invalid or expired.' }
+      });
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ refresh_failures: 0 }] })
+        .mockResolvedValueOnce({ rows: [{ refresh_failures: 1 }] });
+
+      await expect(tokenManager.validateAndRefreshToken('1234567890', 'tiktok', expiredTikTokToken))
+        .rejects.toThrow('Token refresh failed - re-authentication required');
+      expect(consoleSpy).toHaveBeenCalledWith(
+        '❌ Failed to refresh TikTok token for user 1234567890:',
+        'Refresh token is invalid or expired.'
+      );
+      // A revoked grant won't recover: the connection is flagged for reconnecting, not deleted
+      const [query, params] = mockPool.query.mock.calls[1];
+      expect(query).toContain('UPDATE user_tokens');
+      expect(params).toEqual(['1234567890', 'tiktok', 'Refresh token is invalid or expired.', null, true]);
+      expect(mockPool.query).not.toHaveBeenCalledWith(expect.stringContaining('DELETE'), expect.anything());
+      consoleSpy.mockRestore();
+      warnSpy.mockRestore();
+    });
+
+    test('should not call TikTok for a token that is still valid', async () => {
+      const validToken = { ...expiredTikTokToken, expires_at: new Date(Date.now() + 3600000) };
+
+      expect(await tokenManager.validateAndRefreshToken('1234567890', 'tiktok', validToken)).toBe(validToken);
+      expect(mockAxios.post).not.toHaveBeenCalled();
+    });
+
+    test('should refresh expired TikTok tokens from getValidToken', async () => {
+      const refreshed = { access_token: 'new-access-token' };
+      const refreshSpy = jest.spyOn(tokenManager, 'validateAndRefreshToken').mockResolvedValueOnce(refreshed);
+      const storedToken = { refresh_token: 'test-refresh-token', expires_at: new Date(Date.now() - 3600000).toISOString() };
+      mockPool.query.mockResolvedValueOnce({ rows: [{ token_data: tokenManager.tokenStore.cipher.encrypt(JSON.stringify(storedToken)) }] });
+
+      expect(await tokenManager.getValidToken('1234567890', 'tiktok')).toBe(refreshed);
+      expect(refreshSpy).toHaveBeenCalledWith('1234567890', 'tiktok', storedToken);
+    });
+  });
+
   describe('Token Cleanup', () => {
     test('should cleanup expired tokens successfully', async () => {
       const mockTokens = [
@@ -381,12 +467,47 @@ describe('Token Manager', () => {
       
       mockPool.query
         .mockResolvedValueOnce({ rows: mockTokens }) // First call for getting all tokens
-        .mockResolvedValueOnce({ rowCount: 1 }) // Second call for removing expired token
-        .mockResolvedValueOnce({ rowCount: 1 }); // Third call for removing expired token
+        .mockResolvedValueOnce({ rows: [{ refresh_failures: 0 }] }) // Failure count for the expired token
+        .mockResolvedValueOnce({ rows: [{ refresh_failures: 1 }] }); // Recording the failed refresh
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation();
       
       const result = await tokenManager.cleanupExpiredTokens();
       
-      expect(result).toBe(1); // One expired token removed
+      expect(result).toBe(1); // One expired token could not be refreshed
+      expect(mockPool.query).not.toHaveBeenCalledWith(expect.stringContaining('DELETE'), expect.anything());
+      consoleSpy.mockRestore();
+      warnSpy.mockRestore();
+    });
+
+    test('should renew expired TikTok tokens during cleanup', async () => {
+      const refreshSpy = jest.spyOn(tokenManager, 'validateAndRefreshToken').mockResolvedValueOnce({});
+      mockPool.query.mockResolvedValueOnce({
+        rows: [{
+          user_id: 'user3',
+          platform: 'tiktok',
+          token_data: JSON.stringify({ refresh_token: 'tiktok-refresh', expires_at: new Date(Date.now() - 3600000) })
+        }]
+      });
+
+      const result = await tokenManager.cleanupExpiredTokens();
+
+      expect(result).toBe(0);
+      expect(refreshSpy).toHaveBeenCalledWith('user3', 'tiktok', expect.objectContaining({ refresh_token: 'tiktok-refresh' }));
+    });
+
+    test('should keep tokens it cannot decrypt', async () => {
+      const consoleSpy = jest.spyOn(console, 'warn').mockImplementation();
+      mockPool.query.mockResolvedValueOnce({
+        rows: [{ user_id: 'user4', platform: 'youtube', token_data: 'gcm:v9:aaaa:bbbb:cccc' }]
+      });
+
+      const result = await tokenManager.cleanupExpiredTokens();
+
+      expect(result).toBe(0);
+      expect(mockPool.query).toHaveBeenCalledTimes(1);
+      expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining('Skipping youtube token for user user4'));
+      consoleSpy.mockRestore();
     });
 
     test('should handle database errors in token cleanup', async () => {
@@ -397,6 +518,75 @@ describe('Token Manager', () => {
     });
   });
 
+  describe('Background Refresh', () => {
+    const dueRow = (userId, platform, token) => ({
+      user_id: userId,
+      platform,
+      refresh_failures: 0,
+      token_data: tokenManager.tokenStore.cipher.encrypt(JSON.stringify(token))
+    });
+
+    test('should refresh tokens inside the window before they expire', async () => {
+      const expiringSoon = { refresh_token: 'twitch-refresh', expires_at: new Date(Date.now() + 10 * 60000).toISOString() };
+      const refreshSpy = jest.spyOn(tokenManager, 'validateAndRefreshToken')
+        .mockResolvedValueOnce({})
+        .mockRejectedValueOnce(new Error('refresh failed'));
+      mockPool.query.mockResolvedValueOnce({
+        rows: [dueRow('user1', 'twitch', expiringSoon), dueRow('user2', 'youtube', expiringSoon)]
+      });
+
+      const summary = await tokenManager.refreshExpiringTokens({ windowMinutes: 15 });
+
+      expect(summary).toEqual({ refreshed: 1, failed: 1, skipped: 0 });
+      expect(mockPool.query.mock.calls[0][0]).toContain('needs_reconnect_at IS NULL');
+      expect(mockPool.query.mock.calls[0][1]).toEqual([15, 100]);
+      expect(refreshSpy).toHaveBeenCalledWith('user1', 'twitch', expiringSoon, { force: true });
+      expect(refreshSpy).toHaveBeenCalledWith('user2', 'youtube', expiringSoon, { force: true });
+    });
+
+    test('should back off exponentially after a transient failure', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ refresh_failures: 2 }] })
+        .mockResolvedValueOnce({ rows: [{ refresh_failures: 3 }] });
+      const before = Date.now();
+
+      const result = await tokenManager.recordRefreshFailure('user1', 'twitch', new Error('socket hang up'));
+
+      expect(result).toEqual({ attempts: 3, needsReconnect: false });
+      const [, [, , message, retryAt, needsReconnect]] = mockPool.query.mock.calls[1];
+      expect(message).toBe('socket hang up');
+      expect(needsReconnect).toBe(false);
+      expect(retryAt.getTime() - before).toBeGreaterThanOrEqual(20 * 60000);
+      expect(retryAt.getTime() - before).toBeLessThan(21 * 60000);
+    });
+
+    test('should ask the user to reconnect after repeated or permanent failures', async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+      const revoked = Object.assign(new Error('Request failed with status code 400'), { response: { status: 400 } });
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ refresh_failures: 4 }] })
+        .mockResolvedValueOnce({ rows: [{ refresh_failures: 5 }] })
+        .mockResolvedValueOnce({ rows: [{ refresh_failures: 0 }] })
+        .mockResolvedValueOnce({ rows: [{ refresh_failures: 1 }] });
+
+      expect(await tokenManager.recordRefreshFailure('user1', 'youtube', new Error('timeout'))).toEqual({ attempts: 5, needsReconnect: true });
+      expect(await tokenManager.recordRefreshFailure('user1', 'twitch', revoked)).toEqual({ attempts: 1, needsReconnect: true });
+      expect(mockPool.query.mock.calls[3][1].slice(3)).toEqual([null, true]);
+      warnSpy.mockRestore();
+    });
+
+    test('should flag a token without a refresh token without calling the platform', async () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+      const recordSpy = jest.spyOn(tokenManager, 'recordRefreshFailure').mockResolvedValueOnce({ attempts: 1, needsReconnect: true });
+
+      await expect(tokenManager.validateAndRefreshToken('user1', 'twitch', { access_token: 'old' }))
+        .rejects.toThrow('Token refresh failed - re-authentication required');
+      expect(mockAxios.post).not.toHaveBeenCalled();
+      expect(recordSpy).toHaveBeenCalledWith('user1', 'twitch', expect.objectContaining({ code: 'no_refresh_token' }));
+      consoleSpy.mockRestore();
+    });
+  });
+
   describe('Connected Platforms Update', () => {
     test('should update connected platforms successfully', async () => {
       const userId = '1234567890';
@@ -0,0 +1,174 @@
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+
+// Mock pg Pool before importing the service - shared instance returned by constructor
+const mockPool = {
+  query: jest.fn()
+};
+
+jest.mock('pg', () => ({
+  Pool: jest.fn(() => mockPool)
+}));
+
+import TokenStore from '../../services/tokenStore.js';
+import { TokenCipher, loadKeyRing } from '../../utils/tokenCrypto.js';
+
+const KEY_1 = '11'.repeat(32);
+const KEY_2 = '22'.repeat(32);
+
+describe('Token Store', () => {
+  let tokenStore;
+  const cipher = new TokenCipher(loadKeyRing({ ENCRYPTION_KEYS: `1:${KEY_1},2:${KEY_2}` }));
+  const token = { access_token: 'access', refresh_token: 'refresh', expires_at: '2030-01-01T00:00:00.000Z' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tokenStore = new TokenStore(cipher);
+    tokenStore.pool = mockPool;
+  });
+
+  test('should encrypt tokens on save and record their expiry', async () => {
+    mockPool.query.mockResolvedValueOnce({ rowCount: 1 });
+
+    await tokenStore.save('user-1', 'youtube', token);
+
+    const [query, [userId, platform, tokenData, expiresAt]] = mockPool.query.mock.calls[0];
+    expect(query).toContain('ON CONFLICT (user_id, platform)');
+    expect([userId, platform]).toEqual(['user-1', 'youtube']);
+    expect(tokenData).toMatch(/^gcm:v2:/);
+    expect(tokenData).not.toContain('refresh');
+    expect(expiresAt).toEqual(new Date(token.expires_at));
+  });
+
+  test('should derive expires_at from expiry_date or expires_in', () => {
+    jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00.000Z') });
+
+    expect(tokenStore.resolveExpiry({ expiry_date: Date.parse('2025-01-01T01:00:00.000Z') })).toEqual(new Date('2025-01-01T01:00:00.000Z'));
+    expect(tokenStore.resolveExpiry({ expires_in: 60 })).toEqual(new Date('2025-01-01T00:01:00.000Z'));
+    expect(tokenStore.resolveExpiry({ access_token: 'no expiry' })).toBeNull();
+
+    jest.useRealTimers();
+  });
+
+  test('should read encrypted rows and plain JSON rows written before encryption was shared', async () => {
+    mockPool.query
+      .mockResolvedValueOnce({ rows: [{ token_data: cipher.encrypt(JSON.stringify(token)) }] })
+      .mockResolvedValueOnce({ rows: [{ token_data: JSON.stringify(token) }] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    expect(await tokenStore.get('user-1', 'youtube')).toEqual(token);
+    expect(await tokenStore.get('user-1', 'youtube')).toEqual(token);
+    expect(await tokenStore.get('user-1', 'twitch')).toBeNull();
+  });
+
+  test('should list undecryptable rows with their error instead of throwing', async () => {
+    mockPool.query.mockResolvedValueOnce({
+      rows: [
+        { user_id: 'user-1', platform: 'youtube', token_data: cipher.encrypt(JSON.stringify(token)) },
+        { user_id: 'user-2', platform: 'twitch', token_data: 'gcm:v7:aaaa:bbbb:cccc' }
+      ]
+    });
+
+    const [good, bad] = await tokenStore.list();
+
+    expect(good).toEqual({ userId: 'user-1', platform: 'youtube', token });
+    expect(bad).toEqual({ userId: 'user-2', platform: 'twitch', token: null, error: expect.any(Error) });
+  });
+
+  test('should clear refresh failures when a new token is saved', async () => {
+    mockPool.query.mockResolvedValueOnce({ rowCount: 1 });
+
+    await tokenStore.save('user-1', 'youtube', token);
+
+    expect(mockPool.query.mock.calls[0][0]).toContain('refresh_failures = 0, next_refresh_at = NULL, needs_reconnect_at = NULL');
+  });
+
+  test('should list tokens due for a refresh with their failure count', async () => {
+    mockPool.query.mockResolvedValueOnce({
+      rows: [{ user_id: 'user-1', platform: 'twitch', refresh_failures: 2, expires_at: new Date(), token_data: cipher.encrypt(JSON.stringify(token)) }]
+    });
+
+    const due = await tokenStore.listDueForRefresh(30);
+
+    expect(due).toEqual([{ userId: 'user-1', platform: 'twitch', refreshFailures: 2, token }]);
+    const [query, params] = mockPool.query.mock.calls[0];
+    expect(query).toContain("expires_at IS NULL OR expires_at <= NOW() + ($1 * INTERVAL '1 minute')");
+    expect(query).toContain('next_refresh_at IS NULL OR next_refresh_at <= NOW()');
+    expect(params).toEqual([30, 100]);
+    expect(mockPool.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('should backfill a missing expires_at column from the token and list tokens without any expiry', async () => {
+    const soon = new Date(Date.now() + 10 * 60 * 1000);
+    const youtube = { access_token: 'a', refresh_token: 'r', expiry_date: soon.getTime() };
+    const twitch = { access_token: 'a', refresh_token: 'r' };
+    mockPool.query
+      .mockResolvedValueOnce({
+        rows: [
+          // Recorded expiry well outside the window: backfilled, not refreshed yet
+          { user_id: 'user-1', platform: 'tiktok', refresh_failures: 0, expires_at: null, token_data: cipher.encrypt(JSON.stringify(token)) },
+          { user_id: 'user-1', platform: 'youtube', refresh_failures: 0, expires_at: null, token_data: cipher.encrypt(JSON.stringify(youtube)) },
+          { user_id: 'user-2', platform: 'twitch', refresh_failures: 0, expires_at: null, token_data: cipher.encrypt(JSON.stringify(twitch)) }
+        ]
+      })
+      .mockResolvedValueOnce({ rowCount: 1 })
+      .mockResolvedValueOnce({ rowCount: 1 });
+
+    const due = await tokenStore.listDueForRefresh(30);
+
+    expect(due).toEqual([
+      { userId: 'user-1', platform: 'youtube', refreshFailures: 0, token: youtube },
+      { userId: 'user-2', platform: 'twitch', refreshFailures: 0, token: twitch }
+    ]);
+    expect(mockPool.query).toHaveBeenCalledTimes(3);
+    expect(mockPool.query.mock.calls[1]).toEqual([expect.stringContaining('SET expires_at = $3'), ['user-1', 'tiktok', new Date(token.expires_at)]]);
+    expect(mockPool.query.mock.calls[2][1]).toEqual(['user-1', 'youtube', soon]);
+  });
+
+  test('should record refresh failures and report connections to reconnect', async () => {
+    const retryAt = new Date('2030-01-01T00:05:00.000Z');
+    const since = new Date('2030-01-01T00:00:00.000Z');
+    mockPool.query
+      .mockResolvedValueOnce({ rows: [{ refresh_failures: 3 }] })
+      .mockResolvedValueOnce({ rows: [{ platform: 'youtube', needs_reconnect_at: since, last_refresh_error: 'invalid_grant' }] });
+
+    expect(await tokenStore.recordRefreshFailure('user-1', 'youtube', { message: 'timeout', retryAt })).toBe(3);
+    expect(mockPool.query.mock.calls[0][1]).toEqual(['user-1', 'youtube', 'timeout', retryAt, false]);
+    expect(await tokenStore.getReconnectStates('user-1')).toEqual({ youtube: { since, error: 'invalid_grant' } });
+  });
+
+  test('should re-encrypt rows that are not under the current key', async () => {
+    const oldCipher = new TokenCipher(loadKeyRing({ ENCRYPTION_KEY: KEY_1 }));
+    const iv = crypto.randomBytes(16);
+    const cbc = crypto.createCipheriv('aes-256-cbc', Buffer.from(KEY_1, 'hex'), iv);
+    const legacy = `${iv.toString('hex')}:${Buffer.concat([cbc.update(JSON.stringify(token)), cbc.final()]).toString('hex')}`;
+    const current = cipher.encrypt(JSON.stringify(token));
+
+    mockPool.query
+      .mockResolvedValueOnce({
+        rows: [
+          { id: 1, token_data: current },
+          { id: 2, token_data: oldCipher.encrypt(JSON.stringify(token)) },
+          { id: 3, token_data: legacy },
+          { id: 4, token_data: JSON.stringify(token) },
+          { id: 5, token_data: 'gcm:v7:aaaa:bbbb:cccc' }
+        ]
+      })
+      .mockResolvedValue({ rowCount: 1 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const summary = await tokenStore.reencryptAll();
+
+    expect(summary).toEqual({ total: 5, reencrypted: 3, failed: 1 });
+    const updates = mockPool.query.mock.calls.slice(1);
+    expect(updates.map(([, params]) => params[0])).toEqual([2, 3, 4]);
+    for (const [query, [, tokenData]] of updates) {
+      expect(query).toContain('WHERE id = $1 AND token_data = $3');
+      expect(cipher.keyVersion(tokenData)).toBe(2);
+      expect(JSON.parse(cipher.decrypt(tokenData))).toEqual(token);
+    }
+
+    console.error.mockRestore();
+    mockPool.query.mockReset();
+  });
+});
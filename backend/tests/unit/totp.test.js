@@ -0,0 +1,55 @@
+import { base32Encode, base32Decode, generateSecret, generateCode, verifyCode, timeStep, buildOtpauthUrl } from '../../utils/totp.js';
+
+// RFC 6238 appendix B secret ("12345678901234567890") in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TOTP', () => {
+  test('should round-trip base32', () => {
+    expect(base32Encode(Buffer.from('12345678901234567890'))).toBe(RFC_SECRET);
+    expect(base32Decode(RFC_SECRET).toString()).toBe('12345678901234567890');
+    expect(base32Decode('gezd gnbv-gy3t qojq gezd gnbv gy3t qojq').toString()).toBe('12345678901234567890');
+    expect(() => base32Decode('not base32!')).toThrow();
+  });
+
+  test('should match the RFC 6238 SHA-1 test vectors', () => {
+    expect(generateCode(RFC_SECRET, timeStep(59 * 1000))).toBe('287082');
+    expect(generateCode(RFC_SECRET, timeStep(1111111109 * 1000))).toBe('081804');
+    expect(generateCode(RFC_SECRET, timeStep(1234567890 * 1000))).toBe('005924');
+    expect(generateCode(RFC_SECRET, timeStep(2000000000 * 1000))).toBe('279037');
+  });
+
+  test('should accept codes within one step of clock drift and return the matching step', () => {
+    const time = 1234567890 * 1000;
+    const step = timeStep(time);
+
+    expect(verifyCode(RFC_SECRET, '005924', { time })).toBe(step);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { time })).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { time })).toBe(step + 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2), { time })).toBeNull();
+  });
+
+  test('should reject malformed codes', () => {
+    expect(verifyCode(RFC_SECRET, '12345')).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef')).toBeNull();
+    expect(verifyCode(RFC_SECRET, undefined)).toBeNull();
+    expect(verifyCode(RFC_SECRET, '005 924', { time: 1234567890 * 1000 })).not.toBeNull();
+  });
+
+  test('should generate distinct 160-bit secrets', () => {
+    const secret = generateSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(base32Decode(secret)).toHaveLength(20);
+    expect(generateSecret()).not.toBe(secret);
+  });
+
+  test('should build an otpauth URL for authenticator apps', () => {
+    const url = new URL(buildOtpauthUrl({ secret: RFC_SECRET, account: 'creator@example.com' }));
+
+    expect(url.protocol).toBe('otpauth:');
+    expect(url.host).toBe('totp');
+    expect(decodeURIComponent(url.pathname)).toBe('/Networthy:creator@example.com');
+    expect(url.searchParams.get('secret')).toBe(RFC_SECRET);
+    expect(url.searchParams.get('issuer')).toBe('Networthy');
+  });
+});
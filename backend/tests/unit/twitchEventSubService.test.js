@@ -0,0 +1,260 @@
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+
+// Mock pg Pool before importing the service - shared instance returned by constructor
+const mockPool = {
+  query: jest.fn()
+};
+
+jest.mock('pg', () => ({
+  Pool: jest.fn(() => mockPool)
+}));
+
+// Mock HistoryService as a constructor returning an object
+jest.mock('../../services/historyService.js', () => ({
+  __esModule: true,
+  default: jest.fn().mockImplementation(() => ({
+    storePlatformMetrics: jest.fn()
+  }))
+}));
+
+// Mock the shared webhook service (delivery log and broadcasting)
+jest.mock('../../services/webhookService.js', () => ({
+  webhookService: {
+    recordDelivery: jest.fn(),
+    completeDelivery: jest.fn(),
+    broadcastUpdates: jest.fn(),
+    updatePlatformCache: jest.fn()
+  }
+}));
+
+jest.mock('axios');
+
+// Import after mocking
+import TwitchEventSubService from '../../services/twitchEventSubService.js';
+import { webhookService } from '../../services/webhookService.js';
+
+describe('Twitch EventSub Service', () => {
+  let eventSubService;
+  let mockAxios;
+  let mockTwitchService;
+
+  const sign = (messageId, timestamp, body) => 'sha256=' + crypto
+    .createHmac('sha256', eventSubService.secret)
+    .update(messageId + timestamp + body)
+    .digest('hex');
+
+  const buildRequest = (messageType, message, overrides = {}) => {
+    const rawBody = JSON.stringify(message);
+    const messageId = overrides.messageId || 'message-1';
+    const timestamp = overrides.timestamp || new Date().toISOString();
+    return {
+      rawBody,
+      headers: {
+        'twitch-eventsub-message-id': messageId,
+        'twitch-eventsub-message-timestamp': timestamp,
+        'twitch-eventsub-message-signature': overrides.signature || sign(messageId, timestamp, rawBody),
+        'twitch-eventsub-message-type': messageType
+      }
+    };
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockAxios = require('axios');
+    mockTwitchService = {
+      clientId: 'test-client-id',
+      authenticate: jest.fn().mockResolvedValue('app-token'),
+      getChannelIdFromUsername: jest.fn().mockResolvedValue('12345')
+    };
+
+    eventSubService = new TwitchEventSubService(mockTwitchService);
+    eventSubService.pool = mockPool;
+  });
+
+  describe('Signature Verification', () => {
+    test('should accept a valid signature', () => {
+      const timestamp = new Date().toISOString();
+      const signature = sign('id-1', timestamp, '{}');
+
+      expect(eventSubService.verifySignature('id-1', timestamp, '{}', signature)).toBe(true);
+    });
+
+    test('should reject a tampered body', () => {
+      const timestamp = new Date().toISOString();
+      const signature = sign('id-1', timestamp, '{}');
+
+      expect(eventSubService.verifySignature('id-1', timestamp, '{"x":1}', signature)).toBe(false);
+    });
+
+    test('should reject messages older than ten minutes', () => {
+      const old = new Date(Date.now() - 11 * 60 * 1000).toISOString();
+
+      expect(eventSubService.isMessageFresh(old)).toBe(false);
+      expect(eventSubService.isMessageFresh(new Date().toISOString())).toBe(true);
+    });
+  });
+
+  describe('Message Handling', () => {
+    test('should answer the callback verification challenge', async () => {
+      webhookService.recordDelivery.mockResolvedValueOnce({ id: 1 });
+      const { headers, rawBody } = buildRequest('webhook_callback_verification', {
+        challenge: 'challenge-token',
+        subscription: { id: 'sub-1', type: 'stream.online' }
+      });
+
+      const result = await eventSubService.handleMessage(headers, rawBody);
+
+      expect(result).toEqual({ status: 200, text: 'challenge-token' });
+    });
+
+    test('should reject an invalid signature', async () => {
+      const { headers, rawBody } = buildRequest('notification', { subscription: {}, event: {} }, {
+        signature: 'sha256=bad'
+      });
+
+      const result = await eventSubService.handleMessage(headers, rawBody);
+
+      expect(result.status).toBe(403);
+      expect(webhookService.recordDelivery).not.toHaveBeenCalled();
+    });
+
+    test('should reject every message when no secret is configured', async () => {
+      const { headers, rawBody } = buildRequest('notification', { subscription: {}, event: {} });
+      eventSubService.secret = null;
+
+      const result = await eventSubService.handleMessage(headers, rawBody);
+
+      expect(result.status).toBe(403);
+      expect(webhookService.recordDelivery).not.toHaveBeenCalled();
+    });
+
+    test('should acknowledge duplicate messages without reprocessing', async () => {
+      webhookService.recordDelivery.mockResolvedValueOnce(null);
+      const spy = jest.spyOn(eventSubService, 'processNotification');
+      const { headers, rawBody } = buildRequest('notification', {
+        subscription: { type: 'channel.follow' },
+        event: { broadcaster_user_id: '12345', broadcaster_user_login: 'streamer' }
+      });
+
+      const result = await eventSubService.handleMessage(headers, rawBody);
+
+      expect(result.status).toBe(204);
+      expect(spy).not.toHaveBeenCalled();
+    });
+
+    test('should log revocations', async () => {
+      webhookService.recordDelivery.mockResolvedValueOnce({ id: 7 });
+      const { headers, rawBody } = buildRequest('revocation', {
+        subscription: { id: 'sub-1', type: 'channel.follow', status: 'authorization_revoked' }
+      });
+
+      const result = await eventSubService.handleMessage(headers, rawBody);
+
+      expect(result.status).toBe(204);
+      expect(webhookService.completeDelivery).toHaveBeenCalledWith(7, 'processed', {
+        revoked: 'sub-1',
+        reason: 'authorization_revoked'
+      });
+    });
+
+    test('should store metrics for a notification', async () => {
+      webhookService.recordDelivery.mockResolvedValueOnce({ id: 9 });
+      mockPool.query.mockResolvedValueOnce({ rows: [{ id: 'user1', email: 'user1@example.com' }] });
+      const { headers, rawBody } = buildRequest('notification', {
+        subscription: { type: 'channel.cheer' },
+        event: { broadcaster_user_id: '12345', broadcaster_user_login: 'streamer', bits: 500 }
+      });
+
+      const result = await eventSubService.handleMessage(headers, rawBody);
+
+      expect(result.status).toBe(204);
+      expect(mockPool.query).toHaveBeenCalledWith(
+        expect.stringContaining('connected_platforms @> $1::jsonb'),
+        [JSON.stringify([{ name: 'twitch', identifier: 'streamer' }])]
+      );
+      expect(eventSubService.historyService.storePlatformMetrics).toHaveBeenCalledWith(
+        'user1', 'Twitch', '12345', { bits: 500 }
+      );
+      expect(webhookService.broadcastUpdates).toHaveBeenCalled();
+      expect(webhookService.completeDelivery).toHaveBeenCalledWith(9, 'processed', { success: true, usersUpdated: 1 });
+    });
+  });
+
+  describe('Event Metrics', () => {
+    test('should map stream events to live status', () => {
+      expect(eventSubService.getEventMetrics('stream.online', {})).toEqual({ is_live: 1 });
+      expect(eventSubService.getEventMetrics('stream.offline', {})).toEqual({ is_live: 0 });
+    });
+
+    test('should ignore unknown event types', () => {
+      expect(eventSubService.getEventMetrics('channel.raid', {})).toBeNull();
+    });
+  });
+
+  describe('Subscription Management', () => {
+    test('should create missing subscriptions only', async () => {
+      mockAxios.get.mockResolvedValueOnce({
+        data: {
+          data: [{ id: 'sub-1', type: 'stream.online', status: 'enabled' }],
+          pagination: {}
+        }
+      });
+      mockAxios.post.mockImplementation((url, body) => Promise.resolve({
+        data: { data: [{ id: `new-${body.type}`, type: body.type }] }
+      }));
+
+      const result = await eventSubService.syncSubscriptions('streamer');
+
+      expect(result.broadcasterUserId).toBe('12345');
+      expect(result.created).toHaveLength(4);
+      expect(mockAxios.post).not.toHaveBeenCalledWith(
+        expect.any(String),
+        expect.objectContaining({ type: 'stream.online' }),
+        expect.any(Object)
+      );
+      expect(mockAxios.post).toHaveBeenCalledWith(
+        'https://api.twitch.tv/helix/eventsub/subscriptions',
+        expect.objectContaining({
+          type: 'channel.follow',
+          version: '2',
+          condition: { broadcaster_user_id: '12345', moderator_user_id: '12345' },
+          transport: expect.objectContaining({ method: 'webhook', callback: eventSubService.callbackUrl })
+        }),
+        expect.any(Object)
+      );
+    });
+
+    test('should refuse to subscribe without a secret', async () => {
+      eventSubService.secret = null;
+
+      await expect(eventSubService.syncSubscriptions('streamer')).rejects.toThrow('TWITCH_EVENTSUB_SECRET must be set');
+      await expect(eventSubService.syncAllSubscriptions()).resolves.toBe(0);
+      expect(mockAxios.post).not.toHaveBeenCalled();
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+
+    test('should treat an existing subscription conflict as a no-op', async () => {
+      mockAxios.post.mockRejectedValueOnce({ response: { status: 409 }, message: 'Conflict' });
+
+      const result = await eventSubService.createSubscription('stream.online', '12345');
+
+      expect(result).toBeNull();
+    });
+
+    test('should follow pagination when listing', async () => {
+      mockAxios.get
+        .mockResolvedValueOnce({ data: { data: [{ id: 'a' }], pagination: { cursor: 'next' } } })
+        .mockResolvedValueOnce({ data: { data: [{ id: 'b' }], pagination: {} } });
+
+      const result = await eventSubService.listSubscriptions('12345');
+
+      expect(result.map(sub => sub.id)).toEqual(['a', 'b']);
+      expect(mockAxios.get).toHaveBeenLastCalledWith(
+        'https://api.twitch.tv/helix/eventsub/subscriptions',
+        expect.objectContaining({ params: { user_id: '12345', after: 'next' } })
+      );
+    });
+  });
+});
@@ -0,0 +1,143 @@
+import { jest } from '@jest/globals';
+
+// Mock pg Pool before importing the service - shared instance returned by constructor
+const mockClient = {
+  query: jest.fn(),
+  release: jest.fn()
+};
+const mockPool = {
+  query: jest.fn(),
+  connect: jest.fn(() => Promise.resolve(mockClient))
+};
+
+jest.mock('pg', () => ({
+  Pool: jest.fn(() => mockPool)
+}));
+
+import TwoFactorService from '../../services/twoFactorService.js';
+import { generateCode, timeStep } from '../../utils/totp.js';
+
+describe('Two Factor Service', () => {
+  let twoFactorService;
+
+  const user = { id: '3f2b8c1e-6a4d-4e7b-9c0a-5d1e2f3a4b5c', email: 'creator@example.com' };
+  const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+  // Identity cipher so stored secrets are readable in assertions
+  const cipher = {
+    encrypt: jest.fn(value => `enc:${value}`),
+    decrypt: jest.fn(value => value.replace(/^(old-)?enc:/, '')),
+    needsReencryption: jest.fn(value => !value.startsWith('enc:'))
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    twoFactorService = new TwoFactorService(cipher);
+    twoFactorService.pool = mockPool;
+  });
+
+  describe('Enrolment', () => {
+    test('should store an encrypted secret and return a QR code for it', async () => {
+      mockPool.query.mockResolvedValueOnce({ rowCount: 1 });
+
+      const enrollment = await twoFactorService.startEnrollment(user);
+
+      const [query, [userId, storedSecret]] = mockPool.query.mock.calls[0];
+      expect(query).toContain('WHERE user_two_factor.enabled_at IS NULL');
+      expect(userId).toBe(user.id);
+      expect(storedSecret).toBe(`enc:${enrollment.secret}`);
+      expect(enrollment.otpauthUrl).toContain(`secret=${enrollment.secret}`);
+      expect(enrollment.qrCode).toMatch(/^data:image\/png;base64,/);
+    });
+
+    test('should not restart enrolment once two-factor is enabled', async () => {
+      mockPool.query.mockResolvedValueOnce({ rowCount: 0 });
+
+      expect(await twoFactorService.startEnrollment(user)).toBeNull();
+    });
+
+    test('should enable two-factor and issue recovery codes for a valid code', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ secret: `enc:${secret}` }] })
+        .mockResolvedValueOnce({ rowCount: 1 });
+      mockClient.query.mockResolvedValue({ rowCount: 1 });
+
+      const codes = await twoFactorService.confirmEnrollment(user.id, generateCode(secret));
+
+      expect(mockPool.query.mock.calls[1][0]).toContain('SET enabled_at = NOW()');
+      expect(codes).toHaveLength(10);
+      expect(new Set(codes).size).toBe(10);
+      codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+
+      const inserted = mockClient.query.mock.calls.filter(([query]) => query.includes('INSERT INTO two_factor_recovery_codes'));
+      expect(inserted.map(([, params]) => params[1])).toEqual(codes.map(code => twoFactorService.hashRecoveryCode(code)));
+      expect(mockClient.query).toHaveBeenLastCalledWith('COMMIT');
+    });
+
+    test('should keep two-factor off for a wrong code', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ secret: `enc:${secret}` }] });
+
+      expect(await twoFactorService.confirmEnrollment(user.id, '000000')).toBeNull();
+      expect(mockPool.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Login verification', () => {
+    test('should accept a fresh TOTP code once', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ secret: `enc:${secret}`, last_used_step: null }] })
+        .mockResolvedValueOnce({ rowCount: 1 })
+        .mockResolvedValueOnce({ rows: [{ secret: `enc:${secret}`, last_used_step: timeStep() }] })
+        .mockResolvedValueOnce({ rowCount: 0 });
+      const code = generateCode(secret);
+
+      expect(await twoFactorService.verify(user.id, code)).toBe('totp');
+      expect(mockPool.query.mock.calls[1][0]).toContain('last_used_step IS NULL OR last_used_step < $2');
+
+      // Replayed code: the step guard matches nothing
+      expect(await twoFactorService.verify(user.id, code)).toBeNull();
+    });
+
+    test('should accept an unused recovery code in any format', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ secret: `enc:${secret}`, last_used_step: null }] })
+        .mockResolvedValueOnce({ rowCount: 1 });
+
+      expect(await twoFactorService.verify(user.id, ' AB12C-34DEF ')).toBe('recovery_code');
+      expect(mockPool.query.mock.calls[1][1]).toEqual([user.id, twoFactorService.hashRecoveryCode('ab12c34def')]);
+    });
+
+    test('should reject codes for users without two-factor', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      expect(await twoFactorService.verify(user.id, generateCode(secret))).toBeNull();
+      expect(mockPool.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Status', () => {
+    test('should report enabled, pending and remaining recovery codes', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ enabled_at: new Date(), remaining: '7' }] })
+        .mockResolvedValueOnce({ rows: [{ enabled_at: null, remaining: '0' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      expect(await twoFactorService.getStatus(user.id)).toEqual({ enabled: true, pending: false, recoveryCodesRemaining: 7 });
+      expect(await twoFactorService.getStatus(user.id)).toEqual({ enabled: false, pending: true, recoveryCodesRemaining: 0 });
+      expect(await twoFactorService.getStatus(user.id)).toEqual({ enabled: false, pending: false, recoveryCodesRemaining: 0 });
+    });
+  });
+
+  describe('Key Rotation', () => {
+    test('should re-encrypt only secrets under an old key', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ user_id: user.id, secret: `old-enc:${secret}` }, { user_id: 'other', secret: `enc:${secret}` }] })
+        .mockResolvedValueOnce({ rowCount: 1 });
+
+      expect(await twoFactorService.reencryptSecrets()).toEqual({ total: 2, reencrypted: 1, failed: 0 });
+      expect(mockPool.query).toHaveBeenLastCalledWith(
+        expect.stringContaining('UPDATE user_two_factor SET secret = $2'),
+        [user.id, `enc:${secret}`, `old-enc:${secret}`]
+      );
+    });
+  });
+});
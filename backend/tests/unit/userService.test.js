@@ -101,7 +101,7 @@ describe('User Service', () => {
       const result = await findUserByEmail('test@example.com');
 
       expect(mockPool.query).toHaveBeenCalledWith(
-        'SELECT id, email, password_hash, created_at, connected_platforms FROM users WHERE email = $1',
+        'SELECT id, email, password_hash, created_at, connected_platforms, email_verified_at FROM users WHERE email = $1',
         ['test@example.com']
       );
       expect(result).toEqual(mockUser);
@@ -146,7 +146,7 @@ describe('User Service', () => {
       const result = await findUserById('1234567890');
 
       expect(mockPool.query).toHaveBeenCalledWith(
-        'SELECT id, email, password_hash, created_at, connected_platforms FROM users WHERE id = $1',
+        'SELECT id, email, password_hash, created_at, connected_platforms, email_verified_at FROM users WHERE id = $1',
         ['1234567890']
       );
       expect(result).toEqual(mockUser);
@@ -10,7 +10,8 @@ jest.mock('pg', () => ({
 // Mock crypto
 jest.mock('crypto', () => ({
   createHmac: jest.fn(),
-  timingSafeEqual: jest.fn()
+  timingSafeEqual: jest.fn(),
+  randomUUID: jest.fn(() => 'test-stream-id')
 }));
 
 // Import after mocking
@@ -289,15 +290,209 @@ describe('Webhook Service', () => {
       webhookService.addSubscriber(userId, mockConnection);
       webhookService.broadcastUpdates(updates);
 
-      expect(mockConnection.send).toHaveBeenCalledWith(
-        JSON.stringify({
-          type: 'platform_update',
-          userId: userId,
-          platform: 'youtube',
-          data: { subscribers: 1000 },
-          timestamp: expect.any(String)
-        })
+      const message = JSON.parse(mockConnection.send.mock.calls[0][0]);
+      expect(message).toEqual({
+        type: 'platform_update',
+        seq: 1,
+        userId: userId,
+        platform: 'youtube',
+        data: { subscribers: 1000 },
+        timestamp: expect.any(String)
+      });
+    });
+
+    test('should replay missed updates when a client resumes', () => {
+      const userId = 'test-user-id';
+      const updates = (subscribers) => [
+        { userId, email: 'test@example.com', platform: 'youtube', data: { subscribers } }
+      ];
+
+      webhookService.broadcastUpdates(updates(1000));
+      webhookService.broadcastUpdates(updates(1001));
+      webhookService.broadcastUpdates(updates(1002));
+
+      const resumed = { send: jest.fn(), readyState: 1 };
+      webhookService.addSubscriber(userId, resumed, { streamId: webhookService.streamId, lastSeq: 1 });
+
+      const sent = resumed.send.mock.calls.map(([raw]) => JSON.parse(raw));
+      expect(sent.map(message => message.type)).toEqual(['platform_update', 'platform_update', 'resumed']);
+      expect(sent.map(message => message.seq)).toEqual([2, 3, 3]);
+    });
+
+    test('should ask for a resync when the stream changed', () => {
+      const userId = 'test-user-id';
+      const connection = { send: jest.fn(), readyState: 1 };
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      webhookService.addSubscriber(userId, connection, { streamId: 'old-stream', lastSeq: 5 });
+
+      expect(JSON.parse(connection.send.mock.calls[0][0]).type).toBe('resync_required');
+    });
+
+    test('should ask for a resync when missed updates were trimmed', () => {
+      const userId = 'test-user-id';
+      const connection = { send: jest.fn(), readyState: 1 };
+      webhookService.resumeBufferSize = 2;
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      [1, 2, 3].forEach(count => webhookService.broadcastUpdates([
+        { userId, email: 'test@example.com', platform: 'youtube', data: { subscribers: count } }
+      ]));
+      webhookService.addSubscriber(userId, connection, { streamId: webhookService.streamId, lastSeq: 0 });
+
+      expect(JSON.parse(connection.send.mock.calls[0][0]).type).toBe('resync_required');
+    });
+  });
+
+  describe('Replay Protection', () => {
+    test('should accept timestamps inside the replay window', () => {
+      const now = Date.now();
+
+      expect(webhookService.isTimestampFresh(String(now - 1000), now)).toBe(true);
+      expect(webhookService.isTimestampFresh(String(Math.floor(now / 1000)), now)).toBe(true);
+    });
+
+    test('should reject stale or malformed timestamps', () => {
+      const now = Date.now();
+
+      expect(webhookService.isTimestampFresh(String(now - 10 * 60 * 1000), now)).toBe(false);
+      expect(webhookService.isTimestampFresh('not-a-timestamp', now)).toBe(false);
+    });
+
+    test('should return null when a delivery was already processed', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      const result = await webhookService.recordDelivery('youtube', 'nonce-1', '1234567890', '{}');
+
+      expect(mockPool.query).toHaveBeenCalledWith(
+        expect.stringContaining('ON CONFLICT (platform, delivery_id) DO UPDATE'),
+        ['youtube', 'nonce-1', '1234567890', '{}', '5']
       );
+      expect(mockPool.query.mock.calls[0][0]).toContain("WHERE webhook_deliveries.status = 'failed'");
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('Webhook Handling', () => {
+    const request = () => ({
+      rawBody: '{"channelId":"test-channel-id"}',
+      payload: { channelId: 'test-channel-id' },
+      signature: 'abcd',
+      timestamp: String(Date.now())
+    });
+
+    test('should reject unsupported platforms', async () => {
+      const result = await webhookService.handleWebhook('myspace', request());
+
+      expect(result.status).toBe(404);
+    });
+
+    test('should disable platforms without a configured secret', async () => {
+      const secret = process.env.YOUTUBE_WEBHOOK_SECRET;
+      delete process.env.YOUTUBE_WEBHOOK_SECRET;
+      const service = new WebhookService();
+      process.env.YOUTUBE_WEBHOOK_SECRET = secret;
+      service.pool = mockPool;
+
+      const result = await service.handleWebhook('youtube', request());
+
+      expect(result.status).toBe(404);
+      expect(mockPool.query).not.toHaveBeenCalled();
+      expect(service.getWebhookEndpoints()).not.toHaveProperty('youtube');
+      expect(service.getWebhookEndpoints()).toHaveProperty('twitch');
+    });
+
+    test('should reject requests without a signature', async () => {
+      const result = await webhookService.handleWebhook('youtube', { ...request(), signature: undefined });
+
+      expect(result.status).toBe(401);
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+
+    test('should reject stale timestamps', async () => {
+      const stale = String(Date.now() - 60 * 60 * 1000);
+
+      const result = await webhookService.handleWebhook('youtube', { ...request(), timestamp: stale });
+
+      expect(result.status).toBe(401);
+      expect(result.body.error).toBe('Webhook timestamp outside allowed window');
+    });
+
+    test('should reject invalid signatures', async () => {
+      jest.spyOn(webhookService, 'verifySignature').mockReturnValue(false);
+
+      const result = await webhookService.handleWebhook('youtube', request());
+
+      expect(result.status).toBe(401);
+      expect(result.body.error).toBe('Invalid webhook signature');
+    });
+
+    test('should reject replayed deliveries', async () => {
+      jest.spyOn(webhookService, 'verifySignature').mockReturnValue(true);
+      jest.spyOn(webhookService, 'processWebhook');
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      const result = await webhookService.handleWebhook('youtube', request());
+
+      expect(result.status).toBe(409);
+      expect(webhookService.processWebhook).not.toHaveBeenCalled();
+    });
+
+    test('should process and log a new delivery', async () => {
+      jest.spyOn(webhookService, 'verifySignature').mockReturnValue(true);
+      jest.spyOn(webhookService, 'processWebhook').mockResolvedValue({ success: true, usersUpdated: 1 });
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 42 }] })
+        .mockResolvedValueOnce({ rowCount: 1 });
+
+      const result = await webhookService.handleWebhook('youtube', { ...request(), nonce: 'delivery-1' });
+
+      expect(mockPool.query).toHaveBeenNthCalledWith(
+        1,
+        expect.stringContaining('INSERT INTO webhook_deliveries'),
+        ['youtube', 'delivery-1', expect.any(String), '{"channelId":"test-channel-id"}', '5']
+      );
+      expect(mockPool.query).toHaveBeenNthCalledWith(
+        2,
+        expect.stringContaining('UPDATE webhook_deliveries'),
+        [42, 'processed', JSON.stringify({ success: true, usersUpdated: 1 })]
+      );
+      expect(result).toEqual({ status: 200, body: { success: true, usersUpdated: 1 } });
+      expect(webhookService.processWebhook).toHaveBeenCalledWith('youtube', { channelId: 'test-channel-id' });
+    });
+
+    test('should accept a retry of a delivery that failed', async () => {
+      jest.spyOn(webhookService, 'verifySignature').mockReturnValue(true);
+      jest.spyOn(webhookService, 'processWebhook')
+        .mockResolvedValueOnce({ success: false, error: 'Database unavailable' })
+        .mockResolvedValueOnce({ success: true, usersUpdated: 1 });
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 42 }] })
+        .mockResolvedValueOnce({ rowCount: 1 })
+        // The failed row is taken over by the retry
+        .mockResolvedValueOnce({ rows: [{ id: 42 }] })
+        .mockResolvedValueOnce({ rowCount: 1 });
+
+      const failed = await webhookService.handleWebhook('youtube', { ...request(), nonce: 'delivery-1' });
+      const retried = await webhookService.handleWebhook('youtube', { ...request(), nonce: 'delivery-1' });
+
+      expect(failed.status).toBe(500);
+      expect(mockPool.query).toHaveBeenNthCalledWith(2, expect.stringContaining('UPDATE webhook_deliveries'), [42, 'failed', expect.any(String)]);
+      expect(retried).toEqual({ status: 200, body: { success: true, usersUpdated: 1 } });
+      expect(mockPool.query).toHaveBeenNthCalledWith(4, expect.stringContaining('UPDATE webhook_deliveries'), [42, 'processed', expect.any(String)]);
+    });
+
+    test('should mark the delivery failed when processing throws', async () => {
+      jest.spyOn(webhookService, 'verifySignature').mockReturnValue(true);
+      jest.spyOn(webhookService, 'processWebhook').mockRejectedValue(new Error('boom'));
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 7 }] })
+        .mockResolvedValueOnce({ rowCount: 1 });
+
+      const result = await webhookService.handleWebhook('youtube', request());
+
+      expect(result).toEqual({ status: 500, body: { success: false, error: 'boom' } });
+      expect(mockPool.query).toHaveBeenNthCalledWith(2, expect.stringContaining('UPDATE webhook_deliveries'), [7, 'failed', expect.any(String)]);
     });
   });
 
@@ -339,4 +534,67 @@ describe('Webhook Service', () => {
       consoleSpy.mockRestore();
     });
   });
+
+  describe('Cache Updates', () => {
+    let caches;
+
+    beforeEach(() => {
+      caches = {
+        platformCache: new Map([
+          ['user1', [{ name: 'YouTube', subscribers: 900, views: 5000, growth: 0 }, { name: 'Twitch', followers: 10 }]]
+        ]),
+        analyticsCache: new Map([['user1', { totalRevenue: 10 }], ['user2', { totalRevenue: 20 }]]),
+        lastUpdate: new Map([['user1', 0]]),
+        platformManager: {
+          mergeCachedStats: jest.fn(),
+          invalidateAnalytics: jest.fn()
+        }
+      };
+      webhookService.registerCaches(caches);
+      webhookService.historyService = {
+        calculateGrowthRate: jest.fn().mockResolvedValue(11.11),
+        storePlatformMetrics: jest.fn().mockResolvedValue()
+      };
+    });
+
+    test('should merge webhook data into the user\'s cached platforms', async () => {
+      await webhookService.updatePlatformCache([
+        { userId: 'user1', platform: 'youtube', identifier: 'UC123', data: { subscribers: 1000, lastUpdated: 'now' } }
+      ]);
+
+      expect(caches.platformCache.get('user1')).toEqual([
+        { name: 'YouTube', subscribers: 1000, views: 5000, growth: 11.11 },
+        { name: 'Twitch', followers: 10 }
+      ]);
+      expect(caches.lastUpdate.get('user1')).toBeGreaterThan(0);
+      expect(caches.platformManager.mergeCachedStats).toHaveBeenCalledWith('youtube', 'user1', { subscribers: 1000, growth: 11.11 });
+    });
+
+    test('should invalidate analytics only for affected users', async () => {
+      await webhookService.updatePlatformCache([
+        { userId: 'user1', platform: 'youtube', identifier: 'UC123', data: { subscribers: 1000 } }
+      ]);
+
+      expect(caches.analyticsCache.has('user1')).toBe(false);
+      expect(caches.analyticsCache.has('user2')).toBe(true);
+      expect(caches.platformManager.invalidateAnalytics).toHaveBeenCalledWith('user1');
+    });
+
+    test('should write reported counts to history', async () => {
+      await webhookService.updatePlatformCache([
+        { userId: 'user1', platform: 'twitch', identifier: '12345', data: { followers: 50, viewers: 7, isLive: true } }
+      ]);
+
+      expect(webhookService.historyService.calculateGrowthRate).toHaveBeenCalledWith('user1', 'Twitch', '12345', 'followers', 50);
+      expect(webhookService.historyService.storePlatformMetrics).toHaveBeenCalledWith('user1', 'Twitch', '12345', { followers: 50, viewers: 7 });
+    });
+
+    test('should not write history twice when the producer already stored it', async () => {
+      await webhookService.updatePlatformCache([
+        { userId: 'user1', platform: 'youtube', identifier: 'UC123', historyRecorded: true, data: { subscribers: 1000 } }
+      ]);
+
+      expect(webhookService.historyService.storePlatformMetrics).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,244 @@
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+
+// Mock pg Pool before importing the service - shared instance returned by constructor
+const mockPool = {
+  query: jest.fn()
+};
+
+jest.mock('pg', () => ({
+  Pool: jest.fn(() => mockPool)
+}));
+
+// Mock stored OAuth tokens
+jest.mock('../../services/authService.js', () => ({
+  getToken: jest.fn()
+}));
+
+// Mock the shared webhook service (delivery log and broadcasting)
+jest.mock('../../services/webhookService.js', () => ({
+  webhookService: {
+    recordDelivery: jest.fn(),
+    completeDelivery: jest.fn(),
+    broadcastUpdates: jest.fn(),
+    updatePlatformCache: jest.fn()
+  }
+}));
+
+jest.mock('axios');
+
+// Import after mocking
+import YouTubeWebSubService from '../../services/youtubeWebSubService.js';
+import { webhookService } from '../../services/webhookService.js';
+import { getToken } from '../../services/authService.js';
+
+const CHANNEL_ID = 'UC_x5XG1OV2P6uZZ5FSM9Ttw';
+
+const buildFeed = (videoId = 'abc123', updated = '2025-01-01T12:00:00+00:00') => `<?xml version='1.0' encoding='UTF-8'?>
+<feed xmlns:yt="http://www.youtube.com/xml/schemas/2015" xmlns="http://www.w3.org/2005/Atom">
+  <link rel="hub" href="https://pubsubhubbub.appspot.com"/>
+  <title>YouTube video feed</title>
+  <updated>${updated}</updated>
+  <entry>
+    <id>yt:video:${videoId}</id>
+    <yt:videoId>${videoId}</yt:videoId>
+    <yt:channelId>${CHANNEL_ID}</yt:channelId>
+    <title>New upload</title>
+    <link rel="alternate" href="https://www.youtube.com/watch?v=${videoId}"/>
+    <published>2025-01-01T11:59:00+00:00</published>
+    <updated>${updated}</updated>
+  </entry>
+</feed>`;
+
+const DELETED_FEED = `<?xml version='1.0' encoding='UTF-8'?>
+<feed xmlns:at="http://purl.org/atompub/tombstones/1.0" xmlns="http://www.w3.org/2005/Atom">
+  <at:deleted-entry ref="yt:video:gone456" when="2025-01-02T00:00:00+00:00">
+    <link href="https://www.youtube.com/watch?v=gone456"/>
+    <at:by>
+      <name>Channel</name>
+      <uri>https://www.youtube.com/channel/${CHANNEL_ID}</uri>
+    </at:by>
+  </at:deleted-entry>
+</feed>`;
+
+describe('YouTube WebSub Service', () => {
+  let webSubService;
+  let mockAxios;
+  let mockYouTubeService;
+
+  const sign = (body) => 'sha1=' + crypto
+    .createHmac('sha1', webSubService.secret)
+    .update(body)
+    .digest('hex');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockAxios = require('axios');
+    mockYouTubeService = {
+      getChannelStats: jest.fn().mockResolvedValue({ name: 'YouTube', followers: 1000, views: 5000 })
+    };
+
+    webSubService = new YouTubeWebSubService(mockYouTubeService);
+    webSubService.pool = mockPool;
+    mockPool.query.mockResolvedValue({ rows: [] });
+  });
+
+  describe('Subscribing', () => {
+    test('should post a subscription request to the hub', async () => {
+      mockAxios.post.mockResolvedValueOnce({ status: 202 });
+
+      await webSubService.subscribe(CHANNEL_ID);
+
+      const [url, body] = mockAxios.post.mock.calls[0];
+      const params = new URLSearchParams(body);
+      expect(url).toBe('https://pubsubhubbub.appspot.com/subscribe');
+      expect(params.get('hub.mode')).toBe('subscribe');
+      expect(params.get('hub.topic')).toBe(`https://www.youtube.com/xml/feeds/videos.xml?channel_id=${CHANNEL_ID}`);
+      expect(params.get('hub.callback')).toBe(webSubService.callbackUrl);
+      expect(params.get('hub.secret')).toBe(webSubService.secret);
+      expect(mockPool.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO websub_subscriptions'),
+        [CHANNEL_ID, webSubService.getTopicUrl(CHANNEL_ID), 'pending']
+      );
+    });
+
+    test('should mark the subscription failed when the hub rejects it', async () => {
+      mockAxios.post.mockRejectedValueOnce(new Error('Bad Request'));
+
+      await expect(webSubService.subscribe(CHANNEL_ID)).rejects.toThrow('Failed to subscribe YouTube channel');
+      expect(mockPool.query).toHaveBeenLastCalledWith(
+        expect.stringContaining('UPDATE websub_subscriptions'),
+        [CHANNEL_ID, 'failed']
+      );
+    });
+
+    test('should refuse to subscribe without a secret', async () => {
+      webSubService.secret = null;
+
+      await expect(webSubService.subscribe(CHANNEL_ID)).rejects.toThrow('YOUTUBE_WEBSUB_SECRET must be set');
+      await expect(webSubService.subscribeAllChannels()).resolves.toBe(0);
+      await expect(webSubService.renewExpiringSubscriptions()).resolves.toBe(0);
+      expect(mockAxios.post).not.toHaveBeenCalled();
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+
+    test('should renew leases that are about to expire', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ channel_id: 'UC1' }, { channel_id: 'UC2' }] });
+      mockAxios.post.mockResolvedValue({ status: 202 });
+
+      const renewed = await webSubService.renewExpiringSubscriptions();
+
+      expect(renewed).toBe(2);
+      expect(mockAxios.post).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Verification of Intent', () => {
+    test('should echo the challenge for a pending subscription and store the lease', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ status: 'pending' }] });
+
+      const challenge = await webSubService.verifyIntent({
+        'hub.mode': 'subscribe',
+        'hub.topic': webSubService.getTopicUrl(CHANNEL_ID),
+        'hub.challenge': 'challenge-token',
+        'hub.lease_seconds': '432000'
+      });
+
+      expect(challenge).toBe('challenge-token');
+      expect(mockPool.query).toHaveBeenLastCalledWith(
+        expect.stringContaining("SET status = 'active'"),
+        [CHANNEL_ID, 432000]
+      );
+    });
+
+    test('should refuse intents we did not request', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      const challenge = await webSubService.verifyIntent({
+        'hub.mode': 'subscribe',
+        'hub.topic': webSubService.getTopicUrl('UC_unknown'),
+        'hub.challenge': 'challenge-token'
+      });
+
+      expect(challenge).toBeNull();
+    });
+  });
+
+  describe('Feed Parsing', () => {
+    test('should extract video and channel ids from new entries', () => {
+      const entries = webSubService.parseFeed(buildFeed());
+
+      expect(entries).toEqual([{
+        videoId: 'abc123',
+        channelId: CHANNEL_ID,
+        title: 'New upload',
+        published: '2025-01-01T11:59:00+00:00',
+        updated: '2025-01-01T12:00:00+00:00',
+        deleted: false
+      }]);
+    });
+
+    test('should extract deleted entries', () => {
+      const entries = webSubService.parseFeed(DELETED_FEED);
+
+      expect(entries).toHaveLength(1);
+      expect(entries[0]).toEqual(expect.objectContaining({ videoId: 'gone456', channelId: CHANNEL_ID, deleted: true }));
+    });
+  });
+
+  describe('Notifications', () => {
+    test('should ignore notifications with an invalid signature', async () => {
+      const result = await webSubService.handleNotification(buildFeed(), 'sha1=deadbeef');
+
+      expect(result.success).toBe(false);
+      expect(webhookService.recordDelivery).not.toHaveBeenCalled();
+      expect(mockYouTubeService.getChannelStats).not.toHaveBeenCalled();
+    });
+
+    test('should ignore every notification when no secret is configured', async () => {
+      const feed = buildFeed();
+      const signature = sign(feed);
+      webSubService.secret = null;
+
+      const result = await webSubService.handleNotification(feed, signature);
+
+      expect(result.success).toBe(false);
+      expect(webhookService.recordDelivery).not.toHaveBeenCalled();
+    });
+
+    test('should refresh stats only for users with the affected channel', async () => {
+      const feed = buildFeed();
+      webhookService.recordDelivery.mockResolvedValueOnce({ id: 3 });
+      mockPool.query.mockResolvedValueOnce({ rows: [{ id: 'user1', email: 'user1@example.com' }] });
+      getToken.mockResolvedValueOnce({ access_token: 'yt-token' });
+
+      const result = await webSubService.handleNotification(feed, sign(feed));
+
+      expect(result).toEqual({ success: true, entries: 1, usersUpdated: 1 });
+      expect(mockPool.query).toHaveBeenCalledWith(
+        expect.stringContaining('connected_platforms @> $1::jsonb'),
+        [JSON.stringify([{ name: 'youtube', identifier: CHANNEL_ID }])]
+      );
+      expect(mockYouTubeService.getChannelStats).toHaveBeenCalledWith(CHANNEL_ID, 'yt-token', 'user1');
+      expect(webhookService.broadcastUpdates).toHaveBeenCalledWith([
+        expect.objectContaining({ userId: 'user1', platform: 'youtube' })
+      ]);
+      expect(webhookService.completeDelivery).toHaveBeenCalledWith(3, 'processed', {
+        videoId: 'abc123',
+        channelId: CHANNEL_ID,
+        deleted: false
+      });
+    });
+
+    test('should not refresh again for an entry already processed', async () => {
+      const feed = buildFeed();
+      webhookService.recordDelivery.mockResolvedValueOnce(null);
+
+      const result = await webSubService.handleNotification(feed, sign(feed));
+
+      expect(result.usersUpdated).toBe(0);
+      expect(mockYouTubeService.getChannelStats).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,89 @@
+// Password hashing: scrypt in a versioned, self-describing format, with support for verifying legacy PBKDF2 hashes
+import crypto from 'crypto';
+
+// Stored as $scrypt$v=1$N=32768,r=8,p=1$<salt>$<hash> (salt and hash base64url)
+const HASH_VERSION = 1;
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+
+// Hashes from before the scrypt upgrade: <salt hex>:<hash hex>, PBKDF2-SHA512 with 1000 iterations
+const LEGACY_ITERATIONS = 1000;
+
+function scryptOptions({ N, r, p }) {
+  // scrypt needs 128 * N * r bytes; Node's default 32 MB cap is too small for N=32768
+  return { N, r, p, maxmem: 256 * N * r };
+}
+
+function scrypt(password, salt, keyLength, params) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, keyLength, scryptOptions(params), (error, key) => (error ? reject(error) : resolve(key)));
+  });
+}
+
+function parseHash(hashedPassword) {
+  const parts = typeof hashedPassword === 'string' ? hashedPassword.split('$') : [];
+  // ['', 'scrypt', 'v=1', 'N=...,r=...,p=...', salt, hash]
+  if (parts.length !== 6 || parts[0] !== '' || parts[1] !== 'scrypt') return null;
+
+  const version = parseInt(parts[2].replace('v=', ''));
+  const params = Object.fromEntries(parts[3].split(',').map(pair => {
+    const [key, value] = pair.split('=');
+    return [key, parseInt(value)];
+  }));
+  if (!version || !params.N || !params.r || !params.p) return null;
+
+  return {
+    version,
+    params,
+    salt: Buffer.from(parts[4], 'base64url'),
+    hash: Buffer.from(parts[5], 'base64url')
+  };
+}
+
+/**
+ * Hash a password with the current scheme
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const hash = await scrypt(password, salt, KEY_LENGTH, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+  return `$scrypt$v=${HASH_VERSION}$N=${N},r=${r},p=${p}$${salt.toString('base64url')}$${hash.toString('base64url')}`;
+}
+
+/**
+ * Check a password against a stored hash (current or legacy format) in constant time
+ */
+export async function verifyPassword(password, hashedPassword) {
+  if (typeof password !== 'string' || typeof hashedPassword !== 'string') return false;
+
+  const parsed = parseHash(hashedPassword);
+  let expected;
+  let actual;
+
+  if (parsed) {
+    expected = parsed.hash;
+    actual = await scrypt(password, parsed.salt, expected.length, parsed.params);
+  } else {
+    const [salt, hash] = hashedPassword.split(':');
+    if (!salt || !hash) return false;
+    expected = Buffer.from(hash, 'hex');
+    actual = crypto.pbkdf2Sync(password, salt, LEGACY_ITERATIONS, 64, 'sha512');
+  }
+
+  // timingSafeEqual throws on length mismatch
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Whether a stored hash uses an older format or weaker parameters than hashPassword would
+ */
+export function needsRehash(hashedPassword) {
+  const parsed = parseHash(hashedPassword);
+  if (!parsed) return true;
+
+  return parsed.version !== HASH_VERSION ||
+    parsed.params.N < SCRYPT_PARAMS.N ||
+    parsed.params.r < SCRYPT_PARAMS.r ||
+    parsed.params.p < SCRYPT_PARAMS.p;
+}
@@ -0,0 +1,67 @@
+// Health of one platform connection, sent with each /api/platforms entry as `status`
+export const PLATFORM_STATUS = {
+  ok: 'ok',
+  stale: 'stale',
+  tokenExpired: 'token_expired',
+  quotaExceeded: 'quota_exceeded',
+  apiError: 'api_error',
+  notFound: 'not_found'
+};
+
+// YouTube (googleapis) and TikTok name quota and token problems in the error body rather than only the HTTP status
+const QUOTA_REASONS = ['quotaExceeded', 'dailyLimitExceeded', 'rateLimitExceeded', 'userRateLimitExceeded', 'rate_limit_exceeded'];
+const TOKEN_REASONS = ['authError', 'access_token_invalid', 'invalid_grant', 'invalid_token'];
+
+/**
+ * The error and everything it wraps via `cause`; services rethrow with a friendlier message
+ */
+function errorChain(error) {
+  const chain = [];
+  for (let current = error; current && chain.length < 5; current = current.cause) {
+    chain.push(current);
+  }
+  return chain;
+}
+
+function httpStatusOf(error) {
+  const status = error.response?.status ?? error.status ?? error.code;
+  return Number.isInteger(status) ? status : null;
+}
+
+function reasonsOf(error) {
+  const body = error.response?.data?.error;
+  return [
+    ...(error.errors || []).map(e => e.reason),
+    ...(body?.errors || []).map(e => e.reason),
+    typeof body === 'string' ? body : body?.code
+  ].filter(Boolean);
+}
+
+/**
+ * Classify a failed stats fetch: { state, message, httpStatus }
+ */
+export function describePlatformError(error) {
+  const chain = errorChain(error);
+  const httpStatus = chain.map(httpStatusOf).find(Boolean) || null;
+  const reasons = chain.flatMap(reasonsOf);
+  const messages = chain.map(e => e.message || '').join(' ');
+
+  let state = PLATFORM_STATUS.apiError;
+  if (httpStatus === 401 || reasons.some(r => TOKEN_REASONS.includes(r)) || /invalid (oauth|access) token|token (has )?expired/i.test(messages)) {
+    state = PLATFORM_STATUS.tokenExpired;
+  } else if (httpStatus === 429 || reasons.some(r => QUOTA_REASONS.includes(r)) || /quota/i.test(messages)) {
+    state = PLATFORM_STATUS.quotaExceeded;
+  } else if (httpStatus === 404 || /not found/i.test(messages)) {
+    state = PLATFORM_STATUS.notFound;
+  }
+
+  return { state, message: error.message, httpStatus };
+}
+
+export function platformStatus(state, { lastSuccessAt = null, error = null } = {}) {
+  return {
+    state,
+    lastSuccessAt,
+    error: error ? { message: error.message, httpStatus: error.httpStatus ?? null } : null
+  };
+}
@@ -0,0 +1,121 @@
+// Authenticated encryption (AES-256-GCM) for OAuth tokens and other secrets at rest, with versioned keys.
+// Ciphertext format: gcm:v<key version>:<iv>:<auth tag>:<ciphertext>, each part base64url.
+import crypto from 'crypto';
+
+const PREFIX = 'gcm';
+const IV_BYTES = 12;
+const KEY_BYTES = 32;
+const LEGACY_KEY_VERSION = 1;
+// Development fallback, as before; production must set ENCRYPTION_KEY or ENCRYPTION_KEYS
+const DEFAULT_KEY = '1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef';
+
+function parseKey(hex, version) {
+  const key = Buffer.from(hex || '', 'hex');
+  if (key.length !== KEY_BYTES) {
+    throw new Error(`Encryption key v${version} must be ${KEY_BYTES} bytes of hex`);
+  }
+  return key;
+}
+
+/**
+ * Key ring from the environment. ENCRYPTION_KEYS is "version:hexkey,..." (e.g. "2:ab..,1:cd..");
+ * without it ENCRYPTION_KEY is version 1. New data uses ENCRYPTION_KEY_VERSION, or the highest version.
+ */
+export function loadKeyRing(env = process.env) {
+  const keys = new Map();
+
+  if (env.ENCRYPTION_KEYS) {
+    for (const entry of env.ENCRYPTION_KEYS.split(',').map(part => part.trim()).filter(Boolean)) {
+      const [versionText, hex] = entry.split(':');
+      const version = parseInt(versionText);
+      if (!Number.isInteger(version) || version < 1) {
+        throw new Error(`Invalid ENCRYPTION_KEYS entry: ${versionText}`);
+      }
+      keys.set(version, parseKey(hex, version));
+    }
+  } else {
+    keys.set(LEGACY_KEY_VERSION, parseKey(env.ENCRYPTION_KEY || DEFAULT_KEY, LEGACY_KEY_VERSION));
+  }
+
+  const currentVersion = env.ENCRYPTION_KEY_VERSION
+    ? parseInt(env.ENCRYPTION_KEY_VERSION)
+    : Math.max(...keys.keys());
+  if (!keys.has(currentVersion)) {
+    throw new Error(`No encryption key for ENCRYPTION_KEY_VERSION ${env.ENCRYPTION_KEY_VERSION}`);
+  }
+
+  return { keys, currentVersion };
+}
+
+export class TokenCipher {
+  constructor(keyRing = loadKeyRing()) {
+    this.keys = keyRing.keys;
+    this.currentVersion = keyRing.currentVersion;
+  }
+
+  encrypt(text) {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.keys.get(this.currentVersion), iv);
+    const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+    return [PREFIX, `v${this.currentVersion}`, iv, cipher.getAuthTag(), encrypted]
+      .map(part => (Buffer.isBuffer(part) ? part.toString('base64url') : part))
+      .join(':');
+  }
+
+  decrypt(payload) {
+    if (!this.isCurrentFormat(payload)) {
+      return this.decryptLegacy(payload);
+    }
+
+    const [, versionText, iv, tag, encrypted] = payload.split(':');
+    const version = parseInt(versionText.slice(1));
+    const key = this.keys.get(version);
+    if (!key) {
+      throw new Error(`No encryption key for version ${version}`);
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64url'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64url')), decipher.final()]).toString('utf8');
+  }
+
+  isCurrentFormat(payload) {
+    return typeof payload === 'string' && payload.startsWith(`${PREFIX}:v`) && payload.split(':').length === 5;
+  }
+
+  /**
+   * Key version of a payload, or null for the pre-GCM format
+   */
+  keyVersion(payload) {
+    return this.isCurrentFormat(payload) ? parseInt(payload.split(':')[1].slice(1)) : null;
+  }
+
+  /**
+   * True for anything not encrypted with the current key: legacy CBC, older key versions
+   */
+  needsReencryption(payload) {
+    return this.keyVersion(payload) !== this.currentVersion;
+  }
+
+  // Pre-GCM format: <iv hex>:<AES-256-CBC ciphertext hex> under the version 1 key
+  decryptLegacy(payload) {
+    const key = this.keys.get(LEGACY_KEY_VERSION);
+    if (!key) {
+      throw new Error('No version 1 key to decrypt legacy data');
+    }
+
+    const [ivHex, ...rest] = String(payload).split(':');
+    const decipher = crypto.createDecipheriv('aes-256-cbc', key, Buffer.from(ivHex, 'hex'));
+    return Buffer.concat([decipher.update(Buffer.from(rest.join(':'), 'hex')), decipher.final()]).toString('utf8');
+  }
+}
+
+let defaultCipher = null;
+
+// Shared cipher built from the environment on first use
+export function getTokenCipher() {
+  if (!defaultCipher) {
+    defaultCipher = new TokenCipher();
+  }
+  return defaultCipher;
+}
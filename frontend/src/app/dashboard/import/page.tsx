@@ -0,0 +1,243 @@
+'use client';
+import { useState } from 'react';
+import Link from 'next/link';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Label } from '@/components/ui/label';
+import { ArrowLeft, Upload } from 'lucide-react';
+import ProtectedRoute from '@/components/ProtectedRoute';
+import { getApiUrl } from '@/config/auth';
+
+interface ImportPreview {
+  platform: 'youtube' | 'twitch' | 'tiktok';
+  identifier: string;
+  columns: { column: string; metric: string }[];
+  ignoredColumns: string[];
+  rows: { line: number; date: string; metrics: Record<string, number> }[];
+  skipped: number;
+  errors: { line: number; column: string; message: string }[];
+}
+
+const PLATFORM_LABELS: Record<string, string> = {
+  youtube: 'YouTube Studio',
+  twitch: 'Twitch',
+  tiktok: 'TikTok'
+};
+
+// Only the first rows are shown; the whole file is imported
+const PREVIEW_ROWS = 20;
+
+// POST the raw CSV to one of the import endpoints
+const uploadCsv = async (endpoint: string, csv: string, platform: string) => {
+  const authToken = localStorage.getItem('authToken');
+  const headers: Record<string, string> = { 'Content-Type': 'text/csv' };
+  if (authToken) {
+    headers['Authorization'] = `Bearer ${authToken}`;
+  }
+
+  const query = platform ? `?platform=${platform}` : '';
+  const response = await fetch(getApiUrl(`${endpoint}${query}`), {
+    method: 'POST',
+    credentials: 'include',
+    headers,
+    body: csv
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || 'Request failed');
+  }
+  return data;
+};
+
+export default function ImportHistoryPage() {
+  const [csv, setCsv] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [platform, setPlatform] = useState('');
+  const [preview, setPreview] = useState<ImportPreview | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [result, setResult] = useState('');
+
+  const loadPreview = async (text: string, selectedPlatform: string) => {
+    setLoading(true);
+    setError('');
+    setResult('');
+    setPreview(null);
+    try {
+      setPreview(await uploadCsv('/api/history/import/preview', text, selectedPlatform));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Could not read this file');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFileChange = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    const text = await file.text();
+    setCsv(text);
+    setFileName(file.name);
+    await loadPreview(text, platform);
+  };
+
+  const handlePlatformChange = async (e: React.ChangeEvent<HTMLSelectElement>) => {
+    setPlatform(e.target.value);
+    if (csv) {
+      await loadPreview(csv, e.target.value);
+    }
+  };
+
+  const handleImport = async () => {
+    if (!preview) return;
+
+    setLoading(true);
+    setError('');
+    try {
+      const data = await uploadCsv('/api/history/import', csv, preview.platform);
+      setResult(`Imported ${data.values} values across ${data.days} days.`);
+      setPreview(null);
+      setCsv('');
+      setFileName('');
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Import failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const metrics = preview ? preview.columns.map(({ metric }) => metric).filter((metric, i, all) => all.indexOf(metric) === i) : [];
+
+  return (
+    <ProtectedRoute>
+      <div className="min-h-screen bg-background">
+        <header className="border-b bg-card/50 backdrop-blur supports-[backdrop-filter]:bg-card/50">
+          <div className="container mx-auto flex h-16 items-center px-4 sm:px-6 lg:px-8 max-w-7xl">
+            <Link href="/dashboard" className="flex items-center text-muted-foreground hover:text-foreground transition-colors">
+              <ArrowLeft className="w-4 h-4 mr-2" />
+              Dashboard
+            </Link>
+          </div>
+        </header>
+
+        <main className="container mx-auto px-4 py-8 sm:px-6 lg:px-8 max-w-7xl space-y-6">
+          <Card>
+            <CardHeader>
+              <CardTitle>Import History</CardTitle>
+              <CardDescription>
+                Upload an analytics CSV export from YouTube Studio, Twitch or TikTok to fill in your charts from before you joined.
+                Re-importing the same days updates them instead of duplicating them.
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <div className="grid gap-4 sm:grid-cols-2">
+                <div className="space-y-2">
+                  <Label htmlFor="csv-file">CSV file</Label>
+                  <input
+                    id="csv-file"
+                    type="file"
+                    accept=".csv,text/csv"
+                    onChange={handleFileChange}
+                    disabled={loading}
+                    className="block w-full text-sm file:mr-4 file:rounded-md file:border-0 file:bg-primary file:px-4 file:py-2 file:text-primary-foreground"
+                  />
+                  {fileName && <p className="text-xs text-muted-foreground">{fileName}</p>}
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="csv-platform">Platform</Label>
+                  <select
+                    id="csv-platform"
+                    value={platform}
+                    onChange={handlePlatformChange}
+                    disabled={loading}
+                    className="h-9 w-full rounded-md border bg-transparent px-3 text-sm"
+                  >
+                    <option value="">Detect automatically</option>
+                    {Object.entries(PLATFORM_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              {error && <div className="text-sm text-red-600">{error}</div>}
+              {result && <div className="text-sm text-green-600">{result}</div>}
+            </CardContent>
+          </Card>
+
+          {preview && (
+            <Card>
+              <CardHeader>
+                <div className="flex items-center justify-between">
+                  <div>
+                    <CardTitle>Preview</CardTitle>
+                    <CardDescription>
+                      {preview.rows.length} days from {PLATFORM_LABELS[preview.platform]}
+                      {preview.identifier === 'import' ? ' (not connected yet)' : ''}
+                      {preview.skipped > 0 ? ` · ${preview.skipped} undated rows skipped` : ''}
+                    </CardDescription>
+                  </div>
+                  <Button onClick={handleImport} disabled={loading || preview.rows.length === 0 || preview.errors.length > 0}>
+                    <Upload className="h-4 w-4 mr-2" />
+                    Import
+                  </Button>
+                </div>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                <div className="flex flex-wrap gap-2">
+                  {preview.columns.map(({ column, metric }) => (
+                    <Badge key={column} variant="secondary">{column} → {metric}</Badge>
+                  ))}
+                  {preview.ignoredColumns.map(column => (
+                    <Badge key={column} variant="outline" className="text-muted-foreground">{column} (ignored)</Badge>
+                  ))}
+                </div>
+
+                {preview.errors.length > 0 && (
+                  <div className="rounded-md border border-red-200 bg-red-50 p-3 text-sm text-red-700">
+                    <p className="font-medium mb-1">Fix these values and upload the file again:</p>
+                    <ul className="list-disc pl-5">
+                      {preview.errors.slice(0, 10).map(({ line, column, message }) => (
+                        <li key={`${line}-${column}`}>Line {line}, {column}: {message}</li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="border-b text-left text-muted-foreground">
+                        <th className="py-2 pr-4 font-medium">Date</th>
+                        {metrics.map(metric => (
+                          <th key={metric} className="py-2 pr-4 font-medium">{metric}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {preview.rows.slice(0, PREVIEW_ROWS).map(row => (
+                        <tr key={row.date} className="border-b last:border-0">
+                          <td className="py-2 pr-4">{row.date}</td>
+                          {metrics.map(metric => (
+                            <td key={metric} className="py-2 pr-4">{row.metrics[metric]?.toLocaleString() ?? '—'}</td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  {preview.rows.length > PREVIEW_ROWS && (
+                    <p className="mt-2 text-xs text-muted-foreground">
+                      Showing the first {PREVIEW_ROWS} of {preview.rows.length} days.
+                    </p>
+                  )}
+                </div>
+              </CardContent>
+            </Card>
+          )}
+        </main>
+      </div>
+    </ProtectedRoute>
+  );
+}
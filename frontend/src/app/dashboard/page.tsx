@@ -15,10 +15,14 @@ import {
   Settings,
   BarChart3,
   ArrowLeft,
-  RefreshCw
+  RefreshCw,
+  Upload,
+  Download
 } from 'lucide-react';
 import { useAuth } from '@/hooks/useAuth';
+import { useLiveUpdates } from '@/hooks/useLiveUpdates';
 import { authConfig, getApiUrl } from '@/config/auth';
+import { getFreshAuthToken } from '@/lib/authTokens';
 import { 
   LineChart, 
   Line, 
@@ -35,12 +39,15 @@ import {
 interface RevenueFormProps {
   platform: string;
   initialRevenue: number;
+  initialCurrency: string;
+  currencies: string[];
   onClose: () => void;
   onSave: (data: { platform: string; revenue: number; currency: string; period: string }) => void;
 }
 
-function RevenueForm({ platform, initialRevenue, onClose, onSave }: RevenueFormProps) {
+function RevenueForm({ platform, initialRevenue, initialCurrency, currencies, onClose, onSave }: RevenueFormProps) {
   const [revenue, setRevenue] = useState(initialRevenue);
+  const [currency, setCurrency] = useState(initialCurrency);
   const [error, setError] = useState('');
 
   const handleInputChange = (e: React.ChangeEvent<HTMLInputElement>) => {
@@ -68,36 +75,57 @@ function RevenueForm({ platform, initialRevenue, onClose, onSave }: RevenueFormP
     const updated = {
       platform,
       revenue: Number(revenue),
-      currency: "USD",
+      currency,
       period: "monthly"
     };
 
+    // Revenue is stored per user, so the request must be authenticated
+    const authToken = localStorage.getItem('authToken');
+    const headers: Record<string, string> = { "Content-Type": "application/json" };
+    if (authToken) {
+      headers['Authorization'] = `Bearer ${authToken}`;
+    }
+
     const res = await fetch(getApiUrl(`/api/platforms/${platform}/revenue`), {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ revenue: Number(revenue) })
+      credentials: 'include',
+      headers,
+      body: JSON.stringify({ revenue: Number(revenue), currency })
     });
 
     if (res.ok) {
       onSave(updated);
       onClose();
     } else {
-      alert("Failed to update revenue");
+      const data = await res.json().catch(() => ({}));
+      setError(data.error || 'Failed to update revenue');
     }
   };
 
   return (
     <form onSubmit={handleSubmit} className="mt-2 space-y-3">
       <div>
-        <Input
-          type="number"
-          min="0"
-          step="0.01"
-          value={revenue}
-          onChange={handleInputChange}
-          className={`w-full ${error ? 'border-red-500' : ''}`}
-          placeholder="Enter revenue amount"
-        />
+        <div className="flex gap-2">
+          <Input
+            type="number"
+            min="0"
+            step="0.01"
+            value={revenue}
+            onChange={handleInputChange}
+            className={`flex-1 ${error ? 'border-red-500' : ''}`}
+            placeholder="Enter revenue amount"
+          />
+          <select
+            aria-label="Revenue currency"
+            value={currency}
+            onChange={(e) => setCurrency(e.target.value)}
+            className="h-9 rounded-md border bg-transparent px-2 text-sm"
+          >
+            {currencies.map(code => (
+              <option key={code} value={code}>{code}</option>
+            ))}
+          </select>
+        </div>
         {error && (
           <p className="text-red-500 text-xs mt-1">{error}</p>
         )}
@@ -110,6 +138,517 @@ function RevenueForm({ platform, initialRevenue, onClose, onSave }: RevenueFormP
   );
 }
 
+const EXPORT_FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'xlsx', label: 'Excel (XLSX)' },
+  { value: 'json', label: 'JSON' }
+];
+
+// Date input value (YYYY-MM-DD) for a date `daysAgo` days before today
+const dateInputValue = (daysAgo = 0) => {
+  const date = new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000);
+  return date.toISOString().slice(0, 10);
+};
+
+function ExportForm() {
+  const [format, setFormat] = useState('csv');
+  const [from, setFrom] = useState(dateInputValue(365));
+  const [to, setTo] = useState(dateInputValue());
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleExport = async () => {
+    if (from > to) {
+      setError('The start date must be before the end date');
+      return;
+    }
+
+    setExporting(true);
+    setError('');
+    try {
+      const authToken = localStorage.getItem('authToken');
+      const headers: Record<string, string> = {};
+      if (authToken) {
+        headers['Authorization'] = `Bearer ${authToken}`;
+      }
+
+      // Include the whole end day
+      const params = new URLSearchParams({ format, from, to: `${to}T23:59:59.999Z` });
+      const response = await fetch(getApiUrl(`/api/export?${params.toString()}`), {
+        credentials: 'include',
+        headers
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Export failed');
+      }
+
+      // Download the file without leaving the dashboard
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `networthy-export-${from}-to-${to}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Export failed');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-2 gap-2">
+        <div>
+          <label htmlFor="export-from" className="text-xs text-muted-foreground">From</label>
+          <Input id="export-from" type="date" value={from} max={to} onChange={(e) => setFrom(e.target.value)} />
+        </div>
+        <div>
+          <label htmlFor="export-to" className="text-xs text-muted-foreground">To</label>
+          <Input id="export-to" type="date" value={to} min={from} onChange={(e) => setTo(e.target.value)} />
+        </div>
+      </div>
+      <div className="flex gap-2">
+        <select
+          aria-label="Export format"
+          value={format}
+          onChange={(e) => setFormat(e.target.value)}
+          className="h-9 flex-1 rounded-md border bg-transparent px-3 text-sm"
+        >
+          {EXPORT_FORMATS.map(({ value, label }) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <Button onClick={handleExport} disabled={exporting || !from || !to}>
+          <Download className="h-4 w-4 mr-2" />
+          {exporting ? 'Exporting...' : 'Export'}
+        </Button>
+      </div>
+      {error && <p className="text-red-500 text-xs">{error}</p>}
+    </div>
+  );
+}
+
+interface CurrencyFormProps {
+  currencies: string[];
+  onChange: (currency: string) => void;
+}
+
+// Reporting currency for analytics; individual revenue entries keep their own currency
+function CurrencyForm({ currencies, onChange }: CurrencyFormProps) {
+  const [currency, setCurrency] = useState('USD');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const authHeaders = (): Record<string, string> => {
+    const authToken = localStorage.getItem('authToken');
+    return authToken ? { 'Authorization': `Bearer ${authToken}` } : {};
+  };
+
+  useEffect(() => {
+    fetch(getApiUrl('/api/settings/currency'), { credentials: 'include', headers: authHeaders() })
+      .then(res => (res.ok ? res.json() : null))
+      .then(data => data?.currency && setCurrency(data.currency))
+      .catch(error => console.error('Error loading reporting currency:', error));
+  }, []);
+
+  const handleChange = async (next: string) => {
+    setSaving(true);
+    setError('');
+    try {
+      const response = await fetch(getApiUrl('/api/settings/currency'), {
+        method: 'PUT',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify({ currency: next })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update reporting currency');
+      }
+      setCurrency(data.currency);
+      onChange(data.currency);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to update reporting currency');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <select
+        aria-label="Reporting currency"
+        value={currency}
+        disabled={saving}
+        onChange={(e) => handleChange(e.target.value)}
+        className="h-9 w-full rounded-md border bg-transparent px-3 text-sm"
+      >
+        {(currencies.includes(currency) ? currencies : [currency, ...currencies]).map(code => (
+          <option key={code} value={code}>{code}</option>
+        ))}
+      </select>
+      {error && <p className="text-red-500 text-xs">{error}</p>}
+    </div>
+  );
+}
+
+interface TwoFactorStatus {
+  enabled: boolean;
+  pending: boolean;
+  recoveryCodesRemaining: number;
+}
+
+// Enable or disable TOTP two-factor login and manage recovery codes
+function TwoFactorForm() {
+  const [status, setStatus] = useState<TwoFactorStatus | null>(null);
+  const [setup, setSetup] = useState<{ secret: string; qrCode: string } | null>(null);
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [disabling, setDisabling] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const request = async (path: string, body?: Record<string, string>) => {
+    const authToken = await getFreshAuthToken();
+    const response = await fetch(getApiUrl(`${authConfig.endpoints.twoFactor}${path}`), {
+      method: body ? 'POST' : 'GET',
+      credentials: 'include',
+      headers: {
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        ...(authToken ? { 'Authorization': `Bearer ${authToken}` } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || 'Request failed');
+    }
+    return data;
+  };
+
+  const loadStatus = useCallback(() => {
+    request('')
+      .then(setStatus)
+      .catch(error => console.error('Error loading two-factor status:', error));
+  }, []);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const run = async (action: () => Promise<void>) => {
+    setBusy(true);
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Request failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startSetup = () => run(async () => {
+    setRecoveryCodes(null);
+    setSetup(await request('/setup', {}));
+  });
+
+  const confirmSetup = (e: React.FormEvent) => {
+    e.preventDefault();
+    run(async () => {
+      const data = await request('/enable', { code });
+      setSetup(null);
+      setCode('');
+      setRecoveryCodes(data.recoveryCodes);
+      loadStatus();
+    });
+  };
+
+  const disable = (e: React.FormEvent) => {
+    e.preventDefault();
+    run(async () => {
+      await request('/disable', { password, code });
+      setDisabling(false);
+      setPassword('');
+      setCode('');
+      setRecoveryCodes(null);
+      loadStatus();
+    });
+  };
+
+  const regenerateCodes = () => run(async () => {
+    const data = await request('/recovery-codes', { code });
+    setCode('');
+    setRecoveryCodes(data.recoveryCodes);
+    loadStatus();
+  });
+
+  if (!status) {
+    return <p className="text-sm text-muted-foreground">Loading...</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      {recoveryCodes && (
+        <div className="rounded-md border bg-muted/50 p-3 space-y-2">
+          <p className="text-sm font-medium">Save these recovery codes somewhere safe</p>
+          <p className="text-xs text-muted-foreground">
+            Each code signs you in once if you lose your authenticator app. They won&apos;t be shown again.
+          </p>
+          <div className="grid grid-cols-2 gap-1 font-mono text-sm">
+            {recoveryCodes.map(recoveryCode => <span key={recoveryCode}>{recoveryCode}</span>)}
+          </div>
+        </div>
+      )}
+
+      {setup ? (
+        <form onSubmit={confirmSetup} className="space-y-3">
+          <p className="text-sm">Scan this QR code with your authenticator app, then enter the 6-digit code it shows.</p>
+          <Image src={setup.qrCode} alt="Two-factor QR code" width={180} height={180} unoptimized />
+          <p className="text-xs text-muted-foreground break-all">
+            Can&apos;t scan it? Enter this key instead: <span className="font-mono">{setup.secret}</span>
+          </p>
+          <Input
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="123456"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            required
+          />
+          <div className="flex gap-2">
+            <Button type="submit" size="sm" disabled={busy}>Enable</Button>
+            <Button type="button" variant="outline" size="sm" onClick={() => setSetup(null)}>Cancel</Button>
+          </div>
+        </form>
+      ) : status.enabled ? (
+        <div className="space-y-3">
+          <div className="flex items-center gap-2">
+            <Badge variant="default">Enabled</Badge>
+            <span className="text-sm text-muted-foreground">
+              {status.recoveryCodesRemaining} recovery code{status.recoveryCodesRemaining === 1 ? '' : 's'} left
+            </span>
+          </div>
+          {disabling ? (
+            <form onSubmit={disable} className="space-y-2">
+              <Input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Current password"
+                required
+              />
+              <Input
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder="Authentication or recovery code"
+                autoComplete="one-time-code"
+                required
+              />
+              <div className="flex gap-2">
+                <Button type="submit" variant="destructive" size="sm" disabled={busy}>Disable</Button>
+                <Button type="button" variant="outline" size="sm" onClick={() => setDisabling(false)}>Cancel</Button>
+              </div>
+            </form>
+          ) : (
+            <div className="space-y-2">
+              <div className="flex gap-2">
+                <Input
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  placeholder="Authentication code"
+                  autoComplete="one-time-code"
+                  className="flex-1"
+                />
+                <Button variant="outline" size="sm" onClick={regenerateCodes} disabled={busy || !code}>
+                  New Recovery Codes
+                </Button>
+              </div>
+              <Button variant="outline" size="sm" className="w-full" onClick={() => setDisabling(true)}>
+                Disable Two-Factor
+              </Button>
+            </div>
+          )}
+        </div>
+      ) : (
+        <Button variant="outline" size="sm" className="w-full" onClick={startSetup} disabled={busy}>
+          Set Up Two-Factor
+        </Button>
+      )}
+
+      {error && <p className="text-red-500 text-xs">{error}</p>}
+    </div>
+  );
+}
+
+interface LoginSession {
+  id: string;
+  createdAt: string;
+  lastSeenAt: string;
+  userAgent: string | null;
+  ipAddress: string | null;
+  current: boolean;
+}
+
+// Short device label from a user agent, e.g. "Chrome on macOS"
+function describeUserAgent(userAgent: string | null) {
+  if (!userAgent) return 'Unknown device';
+  const browser = /Edg\//.test(userAgent) ? 'Edge'
+    : /Chrome\//.test(userAgent) ? 'Chrome'
+    : /Firefox\//.test(userAgent) ? 'Firefox'
+    : /Safari\//.test(userAgent) ? 'Safari'
+    : null;
+  const os = /iPhone|iPad/.test(userAgent) ? 'iOS'
+    : /Android/.test(userAgent) ? 'Android'
+    : /Mac OS X/.test(userAgent) ? 'macOS'
+    : /Windows/.test(userAgent) ? 'Windows'
+    : /Linux/.test(userAgent) ? 'Linux'
+    : null;
+  if (!browser && !os) return userAgent;
+  return [browser || 'Browser', os].filter(Boolean).join(' on ');
+}
+
+// Devices signed in to this account, with revoke and "sign out everywhere else"
+function SessionsForm({ onCurrentRevoked }: { onCurrentRevoked: () => void }) {
+  const [sessions, setSessions] = useState<LoginSession[] | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const request = async (path: string, method = 'GET') => {
+    const authToken = await getFreshAuthToken();
+    const response = await fetch(getApiUrl(`${authConfig.endpoints.sessions}${path}`), {
+      method,
+      credentials: 'include',
+      headers: authToken ? { 'Authorization': `Bearer ${authToken}` } : {}
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || 'Request failed');
+    }
+    return data;
+  };
+
+  const loadSessions = useCallback(() => {
+    request('')
+      .then(data => setSessions(data.sessions))
+      .catch(error => console.error('Error loading sessions:', error));
+  }, []);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const run = async (action: () => Promise<void>) => {
+    setBusy(true);
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Request failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const revoke = (session: LoginSession) => run(async () => {
+    await request(`/${encodeURIComponent(session.id)}`, 'DELETE');
+    if (session.current) {
+      onCurrentRevoked();
+      return;
+    }
+    loadSessions();
+  });
+
+  const revokeOthers = () => run(async () => {
+    await request('/revoke-others', 'POST');
+    loadSessions();
+  });
+
+  if (!sessions) {
+    return <p className="text-sm text-muted-foreground">Loading...</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="space-y-2">
+        {sessions.map(session => (
+          <div key={session.id} className="flex items-start justify-between gap-3 rounded-md border p-3">
+            <div className="min-w-0">
+              <div className="flex items-center gap-2">
+                <span className="text-sm font-medium truncate">{describeUserAgent(session.userAgent)}</span>
+                {session.current && <Badge variant="default">This device</Badge>}
+              </div>
+              <p className="text-xs text-muted-foreground">
+                {session.ipAddress || 'Unknown IP'} · Last active {new Date(session.lastSeenAt).toLocaleString()}
+              </p>
+              <p className="text-xs text-muted-foreground">
+                Signed in {new Date(session.createdAt).toLocaleString()}
+              </p>
+            </div>
+            <Button variant="outline" size="sm" onClick={() => revoke(session)} disabled={busy}>
+              {session.current ? 'Sign Out' : 'Revoke'}
+            </Button>
+          </div>
+        ))}
+        {sessions.length === 0 && (
+          <p className="text-sm text-muted-foreground">No active sessions.</p>
+        )}
+      </div>
+
+      {sessions.some(session => !session.current) && (
+        <Button variant="outline" size="sm" className="w-full" onClick={revokeOthers} disabled={busy}>
+          Sign Out All Other Sessions
+        </Button>
+      )}
+
+      {error && <p className="text-red-500 text-xs">{error}</p>}
+    </div>
+  );
+}
+
+type PlatformStatusState = 'ok' | 'stale' | 'token_expired' | 'quota_exceeded' | 'api_error' | 'not_found';
+
+interface PlatformStatus {
+  state: PlatformStatusState;
+  lastSuccessAt: string | null;
+  error: { message: string; httpStatus: number | null } | null;
+}
+
+const PLATFORM_STATUS_LABELS: Record<PlatformStatusState, string> = {
+  ok: 'Up to date',
+  stale: 'Showing last known stats',
+  token_expired: 'Token expired',
+  quota_exceeded: 'API quota exceeded',
+  api_error: 'API error',
+  not_found: 'Channel not found'
+};
+
+// The numbers only mean something if this platform has loaded successfully at least once
+function hasPlatformStats(status?: PlatformStatus) {
+  return !status || status.state === 'ok' || !!status.lastSuccessAt;
+}
+
+// Why a platform's numbers are missing or old, and when they last loaded
+function PlatformStatusLine({ status }: { status?: PlatformStatus }) {
+  if (!status || status.state === 'ok') return null;
+
+  return (
+    <div className="mt-1 text-xs text-muted-foreground" title={status.error?.message}>
+      <Badge variant={status.state === 'stale' ? 'secondary' : 'destructive'} className="text-xs mr-2">
+        {PLATFORM_STATUS_LABELS[status.state]}
+      </Badge>
+      {status.lastSuccessAt
+        ? `Last updated ${new Date(status.lastSuccessAt).toLocaleString()}`
+        : 'No data loaded yet'}
+    </div>
+  );
+}
+
 interface PlatformData {
   name: string;
   subscribers?: number;
@@ -118,16 +657,30 @@ interface PlatformData {
   viewers?: number;
   engagement?: number;
   revenue: number;
+  revenueCurrency?: string;
   growth: number;
   error?: string;
+  // Set when the server could not refresh this platform's token and the user has to connect it again
+  needsReconnect?: boolean;
+  reconnectReason?: string;
+  status?: PlatformStatus;
+}
+
+interface TrendPoint {
+  month: string;
+  label: string;
+  revenue: number;
+  interpolated: boolean;
 }
 
 interface AnalyticsData {
   totalRevenue: number;
   totalGrowth: number;
   topPlatform: string;
-  monthlyTrend: number[];
+  monthlyTrend: TrendPoint[];
   platformBreakdown: { platform: string; percentage: number }[];
+  currency?: string;
+  exchangeRate?: { date: string | null; rates: Record<string, number> } | null;
 }
 
 export default function DashboardPage() {
@@ -136,20 +689,22 @@ export default function DashboardPage() {
   const [analyticsData, setAnalyticsData] = useState<AnalyticsData | null>(null);
   const [loading, setLoading] = useState(true);
   const [editingPlatform, setEditingPlatform] = useState<string | null>(null);
-  const [authStatus, setAuthStatus] = useState<{ authenticated: boolean; user: { email: string; platform: string } | null } | null>(null);
+  const [authStatus, setAuthStatus] = useState<{ authenticated: boolean; user: { email: string; platform: string; emailVerified?: boolean } | null } | null>(null);
   const [showSettings, setShowSettings] = useState(false);
   const [connectedPlatforms, setConnectedPlatforms] = useState<string[]>([]);
   const [dataStatus, setDataStatus] = useState<'mock' | 'real' | 'loading' | 'api_error'>('loading');
   const [isDeletingAccount, setIsDeletingAccount] = useState(false);
   const [isFetching, setIsFetching] = useState(false);
+  const [currencies, setCurrencies] = useState<string[]>(['USD']);
+  const [verificationNotice, setVerificationNotice] = useState('');
 
   const fetchData = useCallback(async () => {
     if (isFetching) return; // Prevent multiple simultaneous calls
     setIsFetching(true);
     
     try {
-      // Simple authentication check
-      const token = localStorage.getItem('authToken');
+      // Simple authentication check (refreshes the access token first if it's about to expire)
+      const token = await getFreshAuthToken();
       let authRes, authData;
       
       try {
@@ -228,6 +783,11 @@ export default function DashboardPage() {
         alert(`Successfully connected ${platform}! Your data will appear in the dashboard.`);
       }
 
+      if (urlParams.get('error') === 'email_unverified') {
+        window.history.replaceState({}, document.title, window.location.pathname);
+        alert('Please verify your email address before connecting platforms. Check your inbox for the verification link.');
+      }
+
       // Don't force refresh to prevent infinite loops
       const refreshParam = '';
       
@@ -336,6 +896,17 @@ export default function DashboardPage() {
     fetchData();
   }, []); // Only run once on mount
 
+  // Currencies we hold exchange rates for, offered in the revenue and reporting currency selects
+  useEffect(() => {
+    fetch(getApiUrl('/api/exchange-rates'))
+      .then(res => (res.ok ? res.json() : null))
+      .then(data => data?.rates && setCurrencies(Object.keys(data.rates).sort()))
+      .catch(error => console.error('Error loading exchange rates:', error));
+  }, []);
+
+  // Patch platform cards in place as webhook updates arrive
+  const { status: liveStatus } = useLiveUpdates(setPlatformData, { onResync: fetchData });
+
   const getPlatformIcon = (platform: string) => {
     switch (platform.toLowerCase()) {
       case 'youtube': return (
@@ -366,10 +937,10 @@ export default function DashboardPage() {
     return num.toString();
   };
 
-  const formatCurrency = (amount: number) => {
+  const formatCurrency = (amount: number, currency = analyticsData?.currency || 'USD') => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: 'USD',
+      currency,
     }).format(amount);
   };
 
@@ -437,6 +1008,22 @@ export default function DashboardPage() {
     }
   };
 
+  const handleResendVerification = async () => {
+    try {
+      const authToken = await getFreshAuthToken();
+      const response = await fetch(getApiUrl(authConfig.endpoints.resendVerification), {
+        method: 'POST',
+        credentials: 'include',
+        headers: authToken ? { 'Authorization': `Bearer ${authToken}` } : {}
+      });
+      const data = await response.json();
+      setVerificationNotice(response.ok ? data.message : data.error || 'Failed to send verification email');
+    } catch (error) {
+      console.error('Failed to resend verification email:', error);
+      setVerificationNotice('Failed to send verification email. Please try again.');
+    }
+  };
+
   const handleLogout = async () => {
     try {
       await fetch(getApiUrl(authConfig.endpoints.logout), {
@@ -589,6 +1176,11 @@ export default function DashboardPage() {
                   ⚠️ API Issues
                 </Badge>
               )}
+              {liveStatus === 'open' && (
+                <Badge variant="outline">
+                  🟢 Live
+                </Badge>
+              )}
               <Button 
                 variant="ghost" 
                 size="sm"
@@ -624,6 +1216,12 @@ export default function DashboardPage() {
               >
                 <RefreshCw className="h-4 w-4" />
               </Button>
+              <Button variant="outline" size="sm" asChild>
+                <Link href="/dashboard/import">
+                  <Upload className="h-4 w-4 mr-2" />
+                  Import
+                </Link>
+              </Button>
               <Button variant="outline" size="sm" onClick={() => setShowSettings(true)}>
                 <Settings className="h-4 w-4 mr-2" />
                 Settings
@@ -642,6 +1240,27 @@ export default function DashboardPage() {
 
         {/* Main Content */}
         <main className="container mx-auto px-4 py-8 sm:px-6 lg:px-8 max-w-7xl">
+          {/* Email Verification Reminder */}
+          {authStatus?.user?.emailVerified === false && (
+            <Card className="mb-6 border-blue-200 bg-blue-50">
+              <CardContent className="pt-6">
+                <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+                  <div>
+                    <h3 className="text-sm font-medium text-blue-800">
+                      Verify your email address
+                    </h3>
+                    <p className="mt-1 text-sm text-blue-700">
+                      {verificationNotice || `We sent a verification link to ${authStatus.user.email}. You can connect platforms once your address is confirmed.`}
+                    </p>
+                  </div>
+                  <Button variant="outline" size="sm" onClick={handleResendVerification}>
+                    Resend Email
+                  </Button>
+                </div>
+              </CardContent>
+            </Card>
+          )}
+
           {/* API Issues Warning */}
           {(dataStatus === 'mock' || dataStatus === 'api_error') && connectedPlatforms.length > 0 && (
             <Card className="mb-6 border-yellow-200 bg-yellow-50">
@@ -718,6 +1337,11 @@ export default function DashboardPage() {
                 <div className="text-2xl font-bold">
                   {analyticsData ? formatCurrency(analyticsData.totalRevenue) : '$0'}
                 </div>
+                {analyticsData?.exchangeRate?.date && (
+                  <p className="text-xs text-muted-foreground">
+                    Converted to {analyticsData.currency} at rates from {analyticsData.exchangeRate.date}
+                  </p>
+                )}
               </CardContent>
             </Card>
             <Card>
@@ -768,13 +1392,39 @@ export default function DashboardPage() {
                     📊 Revenue trend shows zero because your channels are new. Start creating content to see your revenue grow!
                   </p>
                 )}
+                {analyticsData?.monthlyTrend.some(point => point.interpolated) && (
+                  <p className="text-xs text-muted-foreground mb-4">
+                    Hollow points are estimated from neighbouring months with recorded revenue.
+                  </p>
+                )}
                 <ResponsiveContainer width="100%" height={300}>
-                  <LineChart data={analyticsData?.monthlyTrend.map((value, index) => ({ month: `Month ${index + 1}`, revenue: value })) || []}>
+                  <LineChart data={analyticsData?.monthlyTrend || []}>
                     <CartesianGrid strokeDasharray="3 3" />
-                    <XAxis dataKey="month" />
+                    <XAxis dataKey="label" />
                     <YAxis />
-                    <Tooltip formatter={(value: number) => formatCurrency(Number(value))} />
-                    <Line type="monotone" dataKey="revenue" stroke="#2176ae" strokeWidth={3} />
+                    <Tooltip
+                      formatter={(value: number, _name: string, item: { payload?: TrendPoint }) => [
+                        formatCurrency(Number(value)) + (item.payload?.interpolated ? ' (estimated)' : ''),
+                        'Revenue'
+                      ]}
+                    />
+                    <Line
+                      type="monotone"
+                      dataKey="revenue"
+                      stroke="#2176ae"
+                      strokeWidth={3}
+                      dot={({ cx, cy, payload }: { cx?: number; cy?: number; payload?: TrendPoint }) => (
+                        <circle
+                          key={payload?.month}
+                          cx={cx}
+                          cy={cy}
+                          r={4}
+                          stroke="#2176ae"
+                          strokeWidth={2}
+                          fill={payload?.interpolated ? '#ffffff' : '#2176ae'}
+                        />
+                      )}
+                    />
                   </LineChart>
                 </ResponsiveContainer>
               </CardContent>
@@ -859,17 +1509,24 @@ export default function DashboardPage() {
                             </div>
                             <div className="ml-4">
                               <div className="text-sm font-medium">{platform.name}</div>
+                              <PlatformStatusLine status={platform.status} />
                             </div>
                           </div>
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm font-bold">
-                          {formatNumber(platform.followers || platform.subscribers || 0)}
+                          {hasPlatformStats(platform.status)
+                            ? formatNumber(platform.followers || platform.subscribers || 0)
+                            : <span className="text-muted-foreground">—</span>}
                         </td>
                                              <td className="px-6 py-4 whitespace-nowrap text-sm font-bold">
-                           {formatNumber(platform.views || platform.viewers || 0)}
+                           {hasPlatformStats(platform.status)
+                             ? formatNumber(platform.views || platform.viewers || 0)
+                             : <span className="text-muted-foreground">—</span>}
                          </td>
                          <td className="px-6 py-4 whitespace-nowrap text-sm font-bold">
-                           {formatCurrency(platform.revenue)}
+                           {hasPlatformStats(platform.status)
+                             ? formatCurrency(platform.revenue, platform.revenueCurrency || 'USD')
+                             : <span className="text-muted-foreground">—</span>}
                            <Button
                              variant="link"
                              size="sm"
@@ -882,21 +1539,25 @@ export default function DashboardPage() {
                              <RevenueForm
                                platform={platform.name}
                                initialRevenue={platform.revenue}
+                               initialCurrency={platform.revenueCurrency || 'USD'}
+                               currencies={currencies}
                                onClose={() => setEditingPlatform(null)}
                                onSave={async (updated) => {
                                  // Update platform data and recalculate analytics
                                  setPlatformData(prev => {
                                    const updatedPlatformData = prev.map(p => 
-                                     p.name === updated.platform ? { ...p, revenue: updated.revenue } : p
+                                     p.name === updated.platform ? { ...p, revenue: updated.revenue, revenueCurrency: updated.currency } : p
                                    );
                                    
                                    // Recalculate analytics data for the chart
                                    (async () => {
                                      try {
+                                       const authToken = localStorage.getItem('authToken');
                                        const response = await fetch(getApiUrl('/api/analytics'), {
                                          method: 'POST',
                                          headers: {
                                            'Content-Type': 'application/json',
+                                           ...(authToken ? { 'Authorization': `Bearer ${authToken}` } : {})
                                          },
                                          body: JSON.stringify({ platforms: updatedPlatformData }),
                                          credentials: 'include'
@@ -919,7 +1580,32 @@ export default function DashboardPage() {
                                }}
                              />
                            )}
-                           {platform.error && (
+                           {platform.needsReconnect ? (
+                             <div className="mt-2">
+                               <Badge variant="destructive" className="text-xs" title={platform.reconnectReason}>
+                                 Reconnect needed
+                               </Badge>
+                               <Button
+                                 variant="link"
+                                 size="sm"
+                                 onClick={() => refreshPlatformTokens(platform.name)}
+                                 className="ml-2 p-0 h-auto text-xs"
+                               >
+                                 Reconnect
+                               </Button>
+                             </div>
+                           ) : platform.status?.state === 'token_expired' ? (
+                             <div className="mt-2">
+                               <Button
+                                 variant="link"
+                                 size="sm"
+                                 onClick={() => refreshPlatformTokens(platform.name)}
+                                 className="p-0 h-auto text-xs"
+                               >
+                                 Refresh Token
+                               </Button>
+                             </div>
+                           ) : !platform.status && platform.error && (
                              <div className="mt-2">
                                <Badge variant="destructive" className="text-xs">
                                  API Error
@@ -952,7 +1638,7 @@ export default function DashboardPage() {
         {/* Settings Modal */}
         {showSettings && (
           <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
-            <Card className="max-w-md w-full mx-4">
+            <Card className="max-w-md w-full mx-4 max-h-[90vh] overflow-y-auto">
               <CardHeader>
                 <div className="flex items-center justify-between">
                   <CardTitle>Settings</CardTitle>
@@ -979,7 +1665,9 @@ export default function DashboardPage() {
                        </div>
                        <div>
                          <span className="font-medium">YouTube</span>
-                         {platformData.find(p => p.name.toLowerCase() === 'youtube')?.error && (
+                         {platformData.find(p => p.name.toLowerCase() === 'youtube')?.needsReconnect ? (
+                           <div className="text-xs text-red-600 mt-1">Connection lost - reconnect to keep stats updating</div>
+                         ) : platformData.find(p => p.name.toLowerCase() === 'youtube')?.status?.state === 'token_expired' && (
                            <div className="text-xs text-red-600 mt-1">Token expired</div>
                          )}
                        </div>
@@ -987,7 +1675,15 @@ export default function DashboardPage() {
                      {connectedPlatforms.includes('youtube') ? (
                        <div className="flex items-center gap-2">
                          <Badge variant="default">Connected</Badge>
-                         {platformData.find(p => p.name.toLowerCase() === 'youtube')?.error && (
+                         {platformData.find(p => p.name.toLowerCase() === 'youtube')?.needsReconnect ? (
+                           <Button
+                             size="sm"
+                             variant="outline"
+                             onClick={() => refreshPlatformTokens('youtube')}
+                           >
+                             Reconnect
+                           </Button>
+                         ) : platformData.find(p => p.name.toLowerCase() === 'youtube')?.status?.state === 'token_expired' && (
                            <Button
                              size="sm"
                              variant="outline"
@@ -1048,7 +1744,9 @@ export default function DashboardPage() {
                        </div>
                        <div>
                          <span className="font-medium">Twitch</span>
-                         {platformData.find(p => p.name.toLowerCase() === 'twitch')?.error && (
+                         {platformData.find(p => p.name.toLowerCase() === 'twitch')?.needsReconnect ? (
+                           <div className="text-xs text-red-600 mt-1">Connection lost - reconnect to keep stats updating</div>
+                         ) : platformData.find(p => p.name.toLowerCase() === 'twitch')?.status?.state === 'token_expired' && (
                            <div className="text-xs text-red-600 mt-1">Token expired</div>
                          )}
                        </div>
@@ -1056,7 +1754,15 @@ export default function DashboardPage() {
                      {connectedPlatforms.includes('twitch') ? (
                        <div className="flex items-center gap-2">
                          <Badge variant="default">Connected</Badge>
-                         {platformData.find(p => p.name.toLowerCase() === 'twitch')?.error && (
+                         {platformData.find(p => p.name.toLowerCase() === 'twitch')?.needsReconnect ? (
+                           <Button
+                             size="sm"
+                             variant="outline"
+                             onClick={() => refreshPlatformTokens('twitch')}
+                           >
+                             Reconnect
+                           </Button>
+                         ) : platformData.find(p => p.name.toLowerCase() === 'twitch')?.status?.state === 'token_expired' && (
                            <Button
                              size="sm"
                              variant="outline"
@@ -1108,10 +1814,26 @@ export default function DashboardPage() {
                           <path d="M12.525.02c1.31-.02 2.61-.01 3.91-.02.08 1.53.63 3.09 1.75 4.17 1.12 1.11 2.7 1.62 4.24 1.79v4.03c-1.44-.05-2.89-.35-4.2-.97-.57-.26-1.1-.59-1.62-.93-.01 2.92.01 5.84-.02 8.75-.08 1.4-.54 2.79-1.35 3.94-1.31 1.92-3.58 3.17-5.91 3.21-1.43.08-2.86-.31-4.08-1.03-2.02-1.19-3.44-3.37-3.65-5.71-.02-.5-.03-1-.01-1.49.18-1.9 1.12-3.72 2.58-4.96 1.66-1.44 3.98-2.13 6.15-1.72.02 1.48-.04 2.96-.04 4.44-.99-.32-2.15-.23-3.02.37-.63.41-1.11 1.04-1.36 1.75-.21.51-.15 1.07-.14 1.61.24 1.64 1.82 3.02 3.5 2.87 1.12-.01 2.19-.66 2.77-1.61.19-.33.4-.67.41-1.06.1-1.79.06-3.57.07-5.36.01-4.03-.01-8.05.02-12.07z"/>
                         </svg>
                       </div>
-                      <span className="font-medium">TikTok</span>
+                      <div>
+                        <span className="font-medium">TikTok</span>
+                        {platformData.find(p => p.name.toLowerCase() === 'tiktok')?.needsReconnect && (
+                          <div className="text-xs text-red-600 mt-1">Connection lost - reconnect to keep stats updating</div>
+                        )}
+                      </div>
                     </div>
                     {connectedPlatforms.includes('tiktok') ? (
-                      <Badge variant="default">Connected</Badge>
+                      <div className="flex items-center gap-2">
+                        <Badge variant="default">Connected</Badge>
+                        {platformData.find(p => p.name.toLowerCase() === 'tiktok')?.needsReconnect && (
+                          <Button
+                            size="sm"
+                            variant="outline"
+                            onClick={() => refreshPlatformTokens('tiktok')}
+                          >
+                            Reconnect
+                          </Button>
+                        )}
+                      </div>
                     ) : (
                       <Button
                         size="sm"
@@ -1148,6 +1870,38 @@ export default function DashboardPage() {
                 </div>
               </div>
 
+              <div className="pt-4 border-t">
+                <h3 className="text-lg font-semibold mb-1">Reporting Currency</h3>
+                <p className="text-sm text-muted-foreground mb-3">
+                  Revenue totals and trends are converted to this currency using locally stored exchange rates.
+                </p>
+                <CurrencyForm currencies={currencies} onChange={() => fetchData()} />
+              </div>
+
+              <div className="pt-4 border-t">
+                <h3 className="text-lg font-semibold mb-1">Two-Factor Authentication</h3>
+                <p className="text-sm text-muted-foreground mb-3">
+                  Require a code from an authenticator app when signing in, in addition to your password.
+                </p>
+                <TwoFactorForm />
+              </div>
+
+              <div className="pt-4 border-t">
+                <h3 className="text-lg font-semibold mb-1">Active Sessions</h3>
+                <p className="text-sm text-muted-foreground mb-3">
+                  Devices signed in to your account. Revoke any you don&apos;t recognise.
+                </p>
+                <SessionsForm onCurrentRevoked={handleLogout} />
+              </div>
+
+              <div className="pt-4 border-t">
+                <h3 className="text-lg font-semibold mb-1">Export Data</h3>
+                <p className="text-sm text-muted-foreground mb-3">
+                  Download your platforms, metric history, manual revenue and analytics for a date range.
+                </p>
+                <ExportForm />
+              </div>
+
               <div className="pt-4 border-t space-y-3">
                 <Button
                   onClick={refreshConnectedPlatforms}
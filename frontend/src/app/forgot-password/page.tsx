@@ -0,0 +1,122 @@
+'use client';
+import Link from 'next/link';
+import Image from 'next/image';
+import { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { ArrowLeft } from 'lucide-react';
+import { authConfig, getApiUrl } from '@/config/auth';
+
+export default function ForgotPasswordPage() {
+  const [email, setEmail] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+    setMessage('');
+
+    try {
+      const response = await fetch(getApiUrl(authConfig.endpoints.forgotPassword), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ email })
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setMessage(data.message || 'Check your email for a password reset link.');
+      } else {
+        setError(data.error || 'Could not send a reset link');
+      }
+    } catch {
+      setError('Network error. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-white">
+      {/* Gradient background for top section */}
+      <div className="absolute inset-0 h-[1000px] bg-gradient-to-b from-gray-950 via-[#71bf49] to-white pointer-events-none"></div>
+      <div className="relative z-10 flex items-center justify-center p-6 min-h-screen">
+      <div className="w-full max-w-md">
+        {/* Logo and Header */}
+        <div className="text-center mb-8">
+          <div className="flex justify-center mb-6">
+            <div className="-ml-2">
+              <Image
+                src="/assets/Asset 10.png"
+                alt="Networthy Logo"
+                width={175}
+                height={175}
+                className="object-contain w-auto h-auto"
+              />
+            </div>
+          </div>
+          <h1 className="text-2xl font-bold text-white">Forgot Password</h1>
+          <p className="text-sm text-white/80">We&apos;ll email you a link to choose a new one</p>
+        </div>
+
+        <Card>
+          <CardHeader>
+            <CardTitle>Reset Password</CardTitle>
+            <CardDescription>
+              Enter the email address you signed up with
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            {message ? (
+              <div className="bg-primary/10 border border-primary/20 rounded-lg p-3 text-sm">
+                {message}
+              </div>
+            ) : (
+              <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="space-y-2">
+                  <Label htmlFor="email">Email Address</Label>
+                  <Input
+                    type="email"
+                    id="email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    required
+                    placeholder="Enter your email"
+                  />
+                </div>
+
+                {error && (
+                  <div className="bg-destructive/10 border border-destructive/20 rounded-lg p-3 text-destructive text-sm">
+                    {error}
+                  </div>
+                )}
+
+                <Button type="submit" className="w-full" disabled={submitting}>
+                  {submitting ? 'Sending...' : 'Send Reset Link'}
+                </Button>
+              </form>
+            )}
+
+            <div className="mt-6 text-center">
+              <Button variant="ghost" size="sm" asChild>
+                <Link href="/login" className="flex items-center gap-2">
+                  <ArrowLeft className="h-4 w-4" />
+                  Back to Sign In
+                </Link>
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+      </div>
+    </div>
+  );
+}
@@ -8,6 +8,7 @@ import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { ArrowLeft } from 'lucide-react';
 import { authConfig, getApiUrl } from '@/config/auth';
+import { storeAuthTokens } from '@/lib/authTokens';
 
 export default function LoginPage() {
   const [loading, setLoading] = useState(true);
@@ -15,6 +16,9 @@ export default function LoginPage() {
   const [password, setPassword] = useState('');
   const [loginLoading, setLoginLoading] = useState(false);
   const [error, setError] = useState('');
+  // Set when the password was right and the account needs a two-factor code
+  const [challengeToken, setChallengeToken] = useState<string | null>(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
 
   useEffect(() => {
     const checkAuth = async () => {
@@ -79,12 +83,51 @@ export default function LoginPage() {
 
       const data = await response.json();
 
-      if (response.ok) {
+      if (response.ok && data.twoFactorRequired) {
+        setChallengeToken(data.challengeToken);
+      } else if (response.ok) {
         if (data.token) {
-          localStorage.setItem('authToken', data.token);
+          storeAuthTokens(data);
+        }
+        window.location.href = '/dashboard';
+      } else {
+        setError(data.error || 'Login failed');
+      }
+    } catch {
+      setError('Network error. Please try again.');
+    } finally {
+      setLoginLoading(false);
+    }
+  };
+
+  const handleTwoFactor = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setLoginLoading(true);
+    setError('');
+
+    try {
+      const response = await fetch(getApiUrl(authConfig.endpoints.loginTwoFactor), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ challengeToken, code: twoFactorCode }),
+        credentials: 'include'
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        storeAuthTokens(data);
+        if (data.recoveryCodeUsed) {
+          alert('You signed in with a recovery code. It can\'t be used again; generate new codes in Settings if you are running low.');
         }
         window.location.href = '/dashboard';
       } else {
+        if (data.code === 'challenge_expired') {
+          setChallengeToken(null);
+          setTwoFactorCode('');
+        }
         setError(data.error || 'Login failed');
       }
     } catch {
@@ -134,6 +177,43 @@ export default function LoginPage() {
             </CardDescription>
           </CardHeader>
           <CardContent>
+            {challengeToken ? (
+            <form onSubmit={handleTwoFactor} className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="twoFactorCode">Authentication Code</Label>
+                <Input
+                  id="twoFactorCode"
+                  value={twoFactorCode}
+                  onChange={(e) => setTwoFactorCode(e.target.value)}
+                  required
+                  autoFocus
+                  autoComplete="one-time-code"
+                  placeholder="6-digit code or recovery code"
+                />
+                <p className="text-xs text-muted-foreground">
+                  Enter the code from your authenticator app, or one of your recovery codes.
+                </p>
+              </div>
+
+              {error && (
+                <div className="bg-destructive/10 border border-destructive/20 rounded-lg p-3 text-destructive text-sm">
+                  {error}
+                </div>
+              )}
+
+              <Button type="submit" className="w-full" disabled={loginLoading}>
+                {loginLoading ? 'Verifying...' : 'Verify'}
+              </Button>
+              <Button
+                type="button"
+                variant="ghost"
+                className="w-full"
+                onClick={() => { setChallengeToken(null); setTwoFactorCode(''); setError(''); }}
+              >
+                Use a different account
+              </Button>
+            </form>
+            ) : (
             <form onSubmit={handleLogin} className="space-y-4">
               <div className="space-y-2">
                 <Label htmlFor="email">Email Address</Label>
@@ -148,7 +228,12 @@ export default function LoginPage() {
               </div>
 
               <div className="space-y-2">
-                <Label htmlFor="password">Password</Label>
+                <div className="flex items-center justify-between">
+                  <Label htmlFor="password">Password</Label>
+                  <Link href="/forgot-password" className="text-xs text-primary hover:underline">
+                    Forgot password?
+                  </Link>
+                </div>
                 <Input
                   type="password"
                   id="password"
@@ -169,6 +254,7 @@ export default function LoginPage() {
                 {loginLoading ? 'Signing In...' : 'Sign In'}
               </Button>
             </form>
+            )}
 
             <div className="mt-6 text-center">
               <p className="text-sm text-muted-foreground">
@@ -15,6 +15,7 @@ import {
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { authConfig, getApiUrl } from '@/config/auth';
+import { clearAuthTokens, getFreshAuthToken, getRefreshToken } from '@/lib/authTokens';
 
 export default function HomePage() {
   const [authStatus, setAuthStatus] = useState<{ authenticated: boolean; user?: { email: string; platform: string } } | null>(null);
@@ -38,7 +39,7 @@ export default function HomePage() {
         }
 
         // Fallback to token-based auth
-        const token = localStorage.getItem('authToken');
+        const token = await getFreshAuthToken();
         if (token) {
           try {
             const response = await fetch(getApiUrl(authConfig.endpoints.statusToken), {
@@ -58,11 +59,11 @@ export default function HomePage() {
         }
         
         setAuthStatus({ authenticated: false });
-        localStorage.removeItem('authToken');
+        clearAuthTokens();
       } catch (error) {
         console.error('Auth check failed:', error);
         setAuthStatus({ authenticated: false });
-        localStorage.removeItem('authToken');
+        clearAuthTokens();
       }
     };
 
@@ -108,7 +109,18 @@ export default function HomePage() {
                   size="sm"
                   onClick={async () => {
                     try {
-                      localStorage.removeItem('authToken');
+                      // Revoke this login's tokens on the server before forgetting them
+                      const token = localStorage.getItem('authToken');
+                      await fetch(getApiUrl(authConfig.endpoints.logout), {
+                        method: 'POST',
+                        headers: {
+                          'Content-Type': 'application/json',
+                          ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+                        },
+                        body: JSON.stringify({ refreshToken: getRefreshToken() }),
+                        credentials: 'include'
+                      }).catch(() => null);
+                      clearAuthTokens();
                       setAuthStatus({ authenticated: false });
                       setTimeout(() => {
                         window.location.reload();
@@ -116,7 +128,7 @@ export default function HomePage() {
                     } catch (error) {
                       console.error('Logout error:', error);
                       setAuthStatus({ authenticated: false });
-                      localStorage.removeItem('authToken');
+                      clearAuthTokens();
                       window.location.reload();
                     }
                   }}
@@ -8,6 +8,7 @@ import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { ArrowLeft } from 'lucide-react';
 import { authConfig, getApiUrl } from '@/config/auth';
+import { storeAuthTokens } from '@/lib/authTokens';
 
 export default function RegisterPage() {
   const [loading, setLoading] = useState(true);
@@ -88,7 +89,7 @@ export default function RegisterPage() {
 
       if (response.ok) {
         if (data.token) {
-          localStorage.setItem('authToken', data.token);
+          storeAuthTokens(data);
         }
         window.location.href = '/dashboard';
       } else {
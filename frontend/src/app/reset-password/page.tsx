@@ -0,0 +1,163 @@
+'use client';
+import Link from 'next/link';
+import Image from 'next/image';
+import { useEffect, useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { ArrowLeft } from 'lucide-react';
+import { authConfig, getApiUrl } from '@/config/auth';
+import { clearAuthTokens } from '@/lib/authTokens';
+
+export default function ResetPasswordPage() {
+  const [token, setToken] = useState<string | null>(null);
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [done, setDone] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setToken(new URLSearchParams(window.location.search).get('token'));
+  }, []);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      setSubmitting(false);
+      return;
+    }
+
+    try {
+      const response = await fetch(getApiUrl(authConfig.endpoints.resetPassword), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ token, password })
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        // Every session was logged out by the reset, including this browser's
+        clearAuthTokens();
+        setDone(true);
+      } else {
+        setError(data.error || 'Password reset failed');
+      }
+    } catch {
+      setError('Network error. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-white">
+      {/* Gradient background for top section */}
+      <div className="absolute inset-0 h-[1000px] bg-gradient-to-b from-gray-950 via-[#71bf49] to-white pointer-events-none"></div>
+      <div className="relative z-10 flex items-center justify-center p-6 min-h-screen">
+      <div className="w-full max-w-md">
+        {/* Logo and Header */}
+        <div className="text-center mb-8">
+          <div className="flex justify-center mb-6">
+            <div className="-ml-2">
+              <Image
+                src="/assets/Asset 10.png"
+                alt="Networthy Logo"
+                width={175}
+                height={175}
+                className="object-contain w-auto h-auto"
+              />
+            </div>
+          </div>
+          <h1 className="text-2xl font-bold text-white">Choose a New Password</h1>
+          <p className="text-sm text-white/80">You&apos;ll be signed out everywhere else</p>
+        </div>
+
+        <Card>
+          <CardHeader>
+            <CardTitle>Reset Password</CardTitle>
+            <CardDescription>
+              Enter a new password of at least 8 characters
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            {done ? (
+              <div className="space-y-4">
+                <div className="bg-primary/10 border border-primary/20 rounded-lg p-3 text-sm">
+                  Your password has been updated.
+                </div>
+                <Button className="w-full" asChild>
+                  <Link href="/login">Sign In</Link>
+                </Button>
+              </div>
+            ) : !token ? (
+              <div className="space-y-4">
+                <div className="bg-destructive/10 border border-destructive/20 rounded-lg p-3 text-destructive text-sm">
+                  This password reset link is incomplete. Request a new one below.
+                </div>
+                <Button className="w-full" asChild>
+                  <Link href="/forgot-password">Request a New Link</Link>
+                </Button>
+              </div>
+            ) : (
+              <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="space-y-2">
+                  <Label htmlFor="password">New Password</Label>
+                  <Input
+                    type="password"
+                    id="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    required
+                    minLength={8}
+                    placeholder="Create a password"
+                  />
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="confirmPassword">Confirm Password</Label>
+                  <Input
+                    type="password"
+                    id="confirmPassword"
+                    value={confirmPassword}
+                    onChange={(e) => setConfirmPassword(e.target.value)}
+                    required
+                    placeholder="Confirm your password"
+                  />
+                </div>
+
+                {error && (
+                  <div className="bg-destructive/10 border border-destructive/20 rounded-lg p-3 text-destructive text-sm">
+                    {error}
+                  </div>
+                )}
+
+                <Button type="submit" className="w-full" disabled={submitting}>
+                  {submitting ? 'Updating...' : 'Update Password'}
+                </Button>
+              </form>
+            )}
+
+            <div className="mt-6 text-center">
+              <Button variant="ghost" size="sm" asChild>
+                <Link href="/login" className="flex items-center gap-2">
+                  <ArrowLeft className="h-4 w-4" />
+                  Back to Sign In
+                </Link>
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,105 @@
+'use client';
+import Link from 'next/link';
+import Image from 'next/image';
+import { useEffect, useRef, useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { authConfig, getApiUrl } from '@/config/auth';
+
+export default function VerifyEmailPage() {
+  const [status, setStatus] = useState<'verifying' | 'verified' | 'failed'>('verifying');
+  const [error, setError] = useState('');
+  // Tokens are single-use, so don't let a re-run effect submit it twice
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    if (submitted.current) return;
+    submitted.current = true;
+
+    const verify = async () => {
+      const token = new URLSearchParams(window.location.search).get('token');
+      if (!token) {
+        setError('This verification link is incomplete.');
+        setStatus('failed');
+        return;
+      }
+
+      try {
+        const response = await fetch(getApiUrl(authConfig.endpoints.verifyEmail), {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ token })
+        });
+        const data = await response.json();
+
+        if (response.ok) {
+          setStatus('verified');
+        } else {
+          setError(data.error || 'Email verification failed');
+          setStatus('failed');
+        }
+      } catch {
+        setError('Network error. Please try again.');
+        setStatus('failed');
+      }
+    };
+
+    verify();
+  }, []);
+
+  return (
+    <div className="min-h-screen bg-white">
+      {/* Gradient background for top section */}
+      <div className="absolute inset-0 h-[1000px] bg-gradient-to-b from-gray-950 via-[#71bf49] to-white pointer-events-none"></div>
+      <div className="relative z-10 flex items-center justify-center p-6 min-h-screen">
+      <div className="w-full max-w-md">
+        {/* Logo and Header */}
+        <div className="text-center mb-8">
+          <div className="flex justify-center mb-6">
+            <div className="-ml-2">
+              <Image
+                src="/assets/Asset 10.png"
+                alt="Networthy Logo"
+                width={175}
+                height={175}
+                className="object-contain w-auto h-auto"
+              />
+            </div>
+          </div>
+          <h1 className="text-2xl font-bold text-white">Verify Email</h1>
+        </div>
+
+        <Card>
+          <CardHeader>
+            <CardTitle>
+              {status === 'verifying' ? 'Verifying...' : status === 'verified' ? 'Email Verified' : 'Verification Failed'}
+            </CardTitle>
+            <CardDescription>
+              {status === 'verified'
+                ? 'Your email address is confirmed. You can now connect your platforms.'
+                : status === 'failed'
+                  ? 'You can request a new link from your dashboard.'
+                  : 'Confirming your email address'}
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {error && (
+              <div className="bg-destructive/10 border border-destructive/20 rounded-lg p-3 text-destructive text-sm">
+                {error}
+              </div>
+            )}
+
+            {status !== 'verifying' && (
+              <Button className="w-full" asChild>
+                <Link href="/dashboard">Go to Dashboard</Link>
+              </Button>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+      </div>
+    </div>
+  );
+}
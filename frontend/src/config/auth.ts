@@ -10,6 +10,15 @@ export const authConfig = {
     register: '/api/auth/register',
     me: '/api/auth/me',
     statusToken: '/api/auth/status-token',
+    refresh: '/api/auth/refresh',
+    verifyEmail: '/api/auth/verify-email',
+    resendVerification: '/api/auth/resend-verification',
+    forgotPassword: '/api/auth/forgot-password',
+    resetPassword: '/api/auth/reset-password',
+    loginTwoFactor: '/api/auth/login/2fa',
+    twoFactor: '/api/auth/2fa',
+    sessions: '/api/auth/sessions',
+    live: '/api/live',
   },
   
   // Security settings
@@ -46,6 +55,11 @@ export const getApiUrl = (endpoint: string): string => {
   return `${authConfig.apiBaseUrl}${endpoint}`;
 };
 
+// Helper function to get a WebSocket URL on the API host (http -> ws, https -> wss)
+export const getWebSocketUrl = (endpoint: string): string => {
+  return `${authConfig.apiBaseUrl.replace(/^http/, 'ws')}${endpoint}`;
+};
+
 // Helper function to check if we're in production
 export const isProduction = (): boolean => {
   return process.env.NODE_ENV === 'production';
@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react';
 import { authConfig, getApiUrl, shouldUseHttpOnlyCookies } from '@/config/auth';
+import { clearAuthTokens, getFreshAuthToken, getRefreshToken, getTokenExpiry, refreshAuthToken } from '@/lib/authTokens';
 
 interface User {
   email: string;
@@ -40,7 +41,7 @@ export function useAuth() {
       }
       
       // Fallback to token-based auth (for development or when cookies fail)
-      const token = localStorage.getItem('authToken');
+      const token = await getFreshAuthToken();
       if (token && (authConfig.development.allowLocalStorageFallback || !shouldUseHttpOnlyCookies())) {
         try {
           authRes = await fetch(getApiUrl(authConfig.endpoints.statusToken), {
@@ -78,14 +79,42 @@ export function useAuth() {
     checkAuth();
   }, []);
 
+  // Refresh the access token shortly before it expires, for as long as we're logged in
+  useEffect(() => {
+    if (!authStatus?.authenticated || !authConfig.security.autoRefreshToken) return;
+
+    let timer: ReturnType<typeof setTimeout>;
+    const schedule = () => {
+      const token = localStorage.getItem('authToken');
+      const expiry = token ? getTokenExpiry(token) : null;
+      if (!expiry) return;
+
+      const delay = Math.max(expiry - Date.now() - authConfig.security.tokenExpiryBuffer * 1000, 0);
+      timer = setTimeout(async () => {
+        if (await refreshAuthToken()) schedule();
+      }, delay);
+    };
+
+    schedule();
+    return () => clearTimeout(timer);
+  }, [authStatus?.authenticated]);
+
   const logout = () => {
-    // Clear both token and session
-    localStorage.removeItem('authToken');
+    const token = localStorage.getItem('authToken');
+    const refreshToken = getRefreshToken();
+
+    // Clear both tokens and session
+    clearAuthTokens();
     setAuthStatus({ authenticated: false, user: null });
     
-    // Call logout endpoint to clear server-side session
+    // Call logout endpoint to clear the server-side session and revoke the tokens
     fetch(getApiUrl(authConfig.endpoints.logout), {
       method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+      },
+      body: JSON.stringify({ refreshToken }),
       credentials: 'include'
     }).finally(() => {
       window.location.href = authConfig.redirects.login;
@@ -0,0 +1,153 @@
+import { useState, useEffect, useRef, Dispatch, SetStateAction } from 'react';
+import { authConfig, getWebSocketUrl } from '@/config/auth';
+
+type LiveStatus = 'connecting' | 'open' | 'closed';
+
+interface LivePlatform {
+  name: string;
+}
+
+interface PlatformUpdateMessage {
+  type: 'platform_update';
+  seq: number;
+  platform: string;
+  data: Record<string, unknown>;
+  timestamp: string;
+}
+
+interface LiveUpdatesOptions {
+  // Called when the server can't replay what we missed and everything must be refetched
+  onResync?: () => void;
+}
+
+// Fields a platform_update may patch on a dashboard platform card
+const PATCHABLE_FIELDS = ['subscribers', 'followers', 'views', 'viewers', 'engagement', 'revenue', 'growth'];
+
+const PING_INTERVAL = 25000; // Just under the server's 30s heartbeat
+const MAX_RECONNECT_DELAY = 30000;
+
+export function useLiveUpdates<T extends LivePlatform>(
+  setPlatformData: Dispatch<SetStateAction<T[]>>,
+  { onResync }: LiveUpdatesOptions = {}
+) {
+  const [status, setStatus] = useState<LiveStatus>('connecting');
+  const onResyncRef = useRef(onResync);
+  onResyncRef.current = onResync;
+
+  useEffect(() => {
+    let socket: WebSocket | null = null;
+    let pingTimer: ReturnType<typeof setInterval> | null = null;
+    let reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+    let awaitingPong = false;
+    let attempts = 0;
+    let stopped = false;
+
+    // Resume position, so a reconnect only receives what we missed
+    let streamId: string | null = null;
+    let lastSeq: number | null = null;
+
+    const applyUpdate = (message: PlatformUpdateMessage) => {
+      const patch = Object.fromEntries(
+        Object.entries(message.data).filter(([key, value]) => PATCHABLE_FIELDS.includes(key) && typeof value === 'number')
+      );
+      if (Object.keys(patch).length === 0) return;
+
+      setPlatformData(prev => prev.map(platform =>
+        platform.name.toLowerCase() === message.platform.toLowerCase() ? { ...platform, ...patch } : platform
+      ));
+    };
+
+    const scheduleReconnect = () => {
+      if (stopped) return;
+      const delay = Math.min(1000 * 2 ** attempts, MAX_RECONNECT_DELAY);
+      attempts++;
+      reconnectTimer = setTimeout(connect, delay);
+    };
+
+    const connect = () => {
+      const params = new URLSearchParams();
+      const token = localStorage.getItem('authToken');
+      if (token) params.set('token', token);
+      if (streamId && lastSeq !== null) {
+        params.set('streamId', streamId);
+        params.set('lastSeq', String(lastSeq));
+      }
+
+      setStatus('connecting');
+      socket = new WebSocket(`${getWebSocketUrl(authConfig.endpoints.live)}?${params.toString()}`);
+
+      socket.onopen = () => {
+        attempts = 0;
+        awaitingPong = false;
+        setStatus('open');
+
+        // A ping left unanswered for a whole interval means the connection is dead
+        pingTimer = setInterval(() => {
+          if (awaitingPong) {
+            socket?.close();
+            return;
+          }
+          awaitingPong = true;
+          socket?.send(JSON.stringify({ type: 'ping' }));
+        }, PING_INTERVAL);
+      };
+
+      socket.onmessage = (event) => {
+        let message;
+        try {
+          message = JSON.parse(event.data);
+        } catch {
+          return;
+        }
+
+        switch (message.type) {
+          case 'connected':
+            if (streamId && message.streamId !== streamId) {
+              lastSeq = null;
+            }
+            streamId = message.streamId;
+            break;
+          case 'initial_data':
+          case 'resumed':
+            lastSeq = message.seq;
+            break;
+          case 'platform_update':
+            lastSeq = message.seq;
+            applyUpdate(message);
+            break;
+          case 'resync_required':
+            lastSeq = message.seq;
+            onResyncRef.current?.();
+            break;
+          case 'pong':
+            awaitingPong = false;
+            break;
+        }
+      };
+
+      socket.onclose = () => {
+        if (pingTimer) clearInterval(pingTimer);
+        pingTimer = null;
+        setStatus('closed');
+        scheduleReconnect();
+      };
+
+      socket.onerror = () => {
+        if (authConfig.development.debugAuth) {
+          console.log('Live updates connection error');
+        }
+      };
+    };
+
+    connect();
+
+    return () => {
+      stopped = true;
+      if (pingTimer) clearInterval(pingTimer);
+      if (reconnectTimer) clearTimeout(reconnectTimer);
+      socket?.close();
+    };
+  }, [setPlatformData]);
+
+  return { status };
+}
@@ -0,0 +1,98 @@
+import { authConfig, getApiUrl } from '@/config/auth';
+
+const ACCESS_TOKEN_KEY = 'authToken';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+
+export interface AuthTokens {
+  token: string;
+  refreshToken: string;
+}
+
+export const storeAuthTokens = ({ token, refreshToken }: AuthTokens) => {
+  localStorage.setItem(ACCESS_TOKEN_KEY, token);
+  localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+};
+
+export const clearAuthTokens = () => {
+  localStorage.removeItem(ACCESS_TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+};
+
+export const getRefreshToken = (): string | null => localStorage.getItem(REFRESH_TOKEN_KEY);
+
+// Expiry of an access token in ms since epoch, read from its (unverified) payload
+export const getTokenExpiry = (token: string): number | null => {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const { exp } = JSON.parse(atob(payload));
+    return typeof exp === 'number' ? exp * 1000 : null;
+  } catch {
+    return null;
+  }
+};
+
+// One refresh at a time: the server revokes the session if a rotated refresh token is used twice. The promise
+// covers this tab; the Web Lock covers every tab sharing the tokens in localStorage
+let pendingRefresh: Promise<string | null> | null = null;
+const REFRESH_LOCK = 'networthy-token-refresh';
+
+const withRefreshLock = <T>(run: () => Promise<T>): Promise<T> =>
+  typeof navigator !== 'undefined' && navigator.locks
+    ? navigator.locks.request(REFRESH_LOCK, run)
+    : run();
+
+// Swap the stored refresh token for a new pair; returns the new access token, or null if the session is over
+export const refreshAuthToken = (): Promise<string | null> => {
+  if (pendingRefresh) return pendingRefresh;
+
+  const startingToken = getRefreshToken();
+  pendingRefresh = withRefreshLock(async () => {
+    const refreshToken = getRefreshToken();
+    if (!refreshToken) return null;
+
+    // Another tab rotated the pair while we waited for the lock; use its tokens rather than replaying ours
+    if (refreshToken !== startingToken) return localStorage.getItem(ACCESS_TOKEN_KEY);
+
+    try {
+      const response = await fetch(getApiUrl(authConfig.endpoints.refresh), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+        credentials: 'include'
+      });
+
+      if (!response.ok) {
+        if (response.status === 401) clearAuthTokens();
+        return null;
+      }
+
+      const data = await response.json();
+      storeAuthTokens(data);
+      return data.token as string;
+    } catch (error) {
+      if (authConfig.development.debugAuth) {
+        console.log('Token refresh failed:', error);
+      }
+      return null;
+    }
+  }).finally(() => {
+    pendingRefresh = null;
+  });
+
+  return pendingRefresh;
+};
+
+// The stored access token, refreshed first if it expires within tokenExpiryBuffer
+export const getFreshAuthToken = async (): Promise<string | null> => {
+  const token = localStorage.getItem(ACCESS_TOKEN_KEY);
+  if (!token) return null;
+
+  // Tokens we can't read an expiry from are left for the server to judge
+  const expiry = getTokenExpiry(token);
+  if (!expiry || expiry - Date.now() > authConfig.security.tokenExpiryBuffer * 1000) {
+    return token;
+  }
+
+  const refreshed = await refreshAuthToken();
+  return refreshed || (expiry > Date.now() ? token : null);
+};
@@ -0,0 +1,83 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+
+type AuthTokensModule = typeof import('../../src/lib/authTokens');
+
+// Each tab gets its own copy of the module, sharing localStorage and the Web Lock like real tabs do
+const openTab = (): AuthTokensModule => {
+  let tab: AuthTokensModule | undefined;
+  jest.isolateModules(() => {
+    tab = require('../../src/lib/authTokens');
+  });
+  return tab!;
+};
+
+const jsonResponse = (status: number, body: unknown) => ({ ok: status < 400, status, json: async () => body }) as Response;
+
+describe('refreshAuthToken', () => {
+  let store: Record<string, string>;
+  let lockQueue: Promise<unknown>;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    store = { authToken: 'access-1', refreshToken: 'refresh-1' };
+    jest.mocked(localStorage.getItem).mockImplementation((key: string) => store[key] ?? null);
+    jest.mocked(localStorage.setItem).mockImplementation((key: string, value: string) => {
+      store[key] = value;
+    });
+    jest.mocked(localStorage.removeItem).mockImplementation((key: string) => {
+      delete store[key];
+    });
+
+    lockQueue = Promise.resolve();
+    Object.defineProperty(navigator, 'locks', {
+      configurable: true,
+      value: {
+        request: (_name: string, run: () => Promise<unknown>) => {
+          const result = lockQueue.then(run);
+          lockQueue = result.catch(() => undefined);
+          return result;
+        }
+      }
+    });
+
+    let issued = 1;
+    jest.mocked(global.fetch).mockImplementation(async (_url, init) => {
+      const { refreshToken } = JSON.parse(init?.body as string);
+      if (refreshToken !== `refresh-${issued}`) {
+        return jsonResponse(401, { code: 'REFRESH_TOKEN_REUSED' });
+      }
+      issued++;
+      return jsonResponse(200, { token: `access-${issued}`, refreshToken: `refresh-${issued}` });
+    });
+  });
+
+  afterEach(() => {
+    delete (navigator as { locks?: unknown }).locks;
+  });
+
+  test('sends a single refresh when two tabs refresh at the same time', async () => {
+    const [first, second] = [openTab(), openTab()];
+
+    const tokens = await Promise.all([first.refreshAuthToken(), second.refreshAuthToken()]);
+
+    expect(tokens).toEqual(['access-2', 'access-2']);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(store).toEqual({ authToken: 'access-2', refreshToken: 'refresh-2' });
+  });
+
+  test('shares one request between callers in the same tab', async () => {
+    const tab = openTab();
+
+    const tokens = await Promise.all([tab.refreshAuthToken(), tab.refreshAuthToken()]);
+
+    expect(tokens).toEqual(['access-2', 'access-2']);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('clears the tokens when the server ends the session', async () => {
+    store.refreshToken = 'revoked';
+
+    await expect(openTab().refreshAuthToken()).resolves.toBeNull();
+    expect(store).toEqual({});
+  });
+});